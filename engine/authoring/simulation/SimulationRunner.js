@@ -38,10 +38,11 @@ function buildRoutineIndex(definition) {
   return routines;
 }
 
-function readResourceValue(snapshot, resourceKey) {
+// Report values are plain numbers; amounts beyond double range read as Infinity.
+function readResourceValue(snapshot, resourceKey, numeric) {
   const resources = snapshot && snapshot.canonical && snapshot.canonical.resources;
   const value = resources && resources[resourceKey];
-  return Number.isFinite(value) ? value : 0;
+  return numeric.isValue(value) ? numeric.toNumber(value) : 0;
 }
 
 class SimulationRunner {
@@ -66,6 +67,9 @@ class SimulationRunner {
       ...(scenario.engineOptions || {}),
       tickRate: scenario.tickRate || 1000 / dt,
       now: () => nowMs,
+      // An explicit scenario seed reseeds the engine RNG so randomized runs reproduce exactly;
+      // otherwise the definition's systems.rngSeed applies.
+      ...(Number.isInteger(scenario.seed) ? { rngSeed: seed % 0x100000000 } : {}),
     });
     engine.initialize(definition);
 
@@ -111,7 +115,7 @@ class SimulationRunner {
     const pushRecordingSnapshot = (snapshot, tick) => {
       const resources = {};
       for (const resourceKey of reportResourceKeys) {
-        resources[resourceKey] = readResourceValue(snapshot, resourceKey);
+        resources[resourceKey] = readResourceValue(snapshot, resourceKey, engine.numeric);
       }
 
       const netRates = {};
@@ -131,7 +135,8 @@ class SimulationRunner {
       previousRecordedSnapshot = recordingSnapshot;
     };
 
-    const initialSnapshot = toJsonSafe(engine.stateStore.snapshot());
+    // Store snapshots are frozen and structurally shared between ticks, so they are kept as-is.
+    const initialSnapshot = engine.stateStore.snapshot();
     snapshots.push(initialSnapshot);
     pushRecordingSnapshot(initialSnapshot, -1);
     nextSnapshotAtSec += snapshotIntervalSec;
@@ -145,7 +150,7 @@ class SimulationRunner {
       const summary = toJsonSafe(engine.tick());
       nowMs += dt;
       elapsedSec += dt / 1000;
-      const snapshot = toJsonSafe(engine.stateStore.snapshot());
+      const snapshot = engine.stateStore.snapshot();
       snapshots.push(snapshot);
 
       for (const transitionRef of (summary.unlocks && summary.unlocks.transitions) || []) {
@@ -246,7 +251,7 @@ class SimulationRunner {
         },
         unlockTransitions,
         resourceKpis: reportResourceKeys.reduce((kpis, key) => {
-          const values = snapshots.map((snapshot) => readResourceValue(snapshot, key));
+          const values = snapshots.map((snapshot) => readResourceValue(snapshot, key, engine.numeric));
           kpis[key] = {
             start: values[0],
             end: values[values.length - 1],
@@ -1,9 +1,15 @@
 const { parseGameDefinition } = require('../validation/parser/parseGameDefinition');
 const { createRuntimeSystems } = require('../systems/createRuntimeSystems');
 const { LayerRegistry } = require('../plugins/LayerRegistry');
+const { SystemPluginRegistry } = require('../plugins/SystemPluginRegistry');
+const { SYSTEM_PLUGIN_PHASE_HOOKS } = require('./contracts/SystemPlugin');
 const { registerBuiltinLayers } = require('../plugins/layers/registerBuiltinLayers');
 const { EVENT_CATALOG } = require('../systems/catalogs/eventCatalog');
 const { evaluateUnlockCondition, evaluateUnlockProgress } = require('../systems/unlocks/unlockCondition');
+const { TickProfiler } = require('../systems/perf/TickProfiler');
+const { ReplayRecorder, expandReplayLog, hashReplayState } = require('../systems/replay/ReplayRecorder');
+const { TickHistory } = require('../systems/history/TickHistory');
+const { hashDeterministicPayload } = require('../authoring/authoring-types');
 
 const ENGINE_PHASES = Object.freeze({
   INPUT: 'input',
@@ -23,6 +29,8 @@ const ENGINE_PHASE_SEQUENCE = Object.freeze([
   ENGINE_PHASES.RENDER,
 ]);
 
+const DEFAULT_CATCH_UP_MAX_TICKS = 10000;
+
 class GameEngine {
   constructor(options = {}) {
     const devModeStrict = options.devModeStrict !== undefined ? Boolean(options.devModeStrict) : true;
@@ -42,11 +50,25 @@ class GameEngine {
     this.multiplierCompiler = null;
     this.characteristicSystem = null;
     this.saveSystem = null;
+    this.saveStringCodec = null;
+    this.saveReconciler = null;
+    this.randomService = null;
+    this.timerSystem = null;
+    this.numeric = null;
+    this.resourceRegistry = null;
     this.uiComposer = null;
+    this.profiler = null;
+    this.replayRecorder = null;
+    this.history = null;
+    this.tickIndex = 0;
     this.layerRegistry = options.layerRegistry || new LayerRegistry();
     this.layerInstances = [];
+    this.systemPluginRegistry = options.systemPluginRegistry || new SystemPluginRegistry();
+    this.systemPlugins = [];
     this.runtimeSubscriptionTokens = [];
     this.layerEventSubscriptionTokens = [];
+    this.systemPluginSubscriptionTokens = [];
+    this.systemPluginMiddlewareIds = [];
 
     this.onLayerUpdate = typeof options.onLayerUpdate === 'function' ? options.onLayerUpdate : () => {};
     this.onUnlockEvaluation = typeof options.onUnlockEvaluation === 'function' ? options.onUnlockEvaluation : () => {};
@@ -64,6 +86,9 @@ class GameEngine {
     this.intentQueue = [];
     this.lastTickSummary = null;
     this.latestUnlockSummary = null;
+    this.quarantinedState = {};
+    this.writeNormalizer = null;
+    this.lastReconciliationReport = null;
     this.currentPhase = null;
     this.phaseCursor = -1;
   }
@@ -80,28 +105,129 @@ class GameEngine {
       devModeStrict: this.devModeStrict,
       definition: this.definition,
       isNodeLocked: (nodeRef) => this.#isNodeLockedRef(nodeRef),
+      getNextTimerTick: () => this.#nextTimerTick(),
     });
 
-    this.eventBus = systems.eventBus;
-    this.stateStore = systems.stateStore;
-    this.intentRouter = systems.intentRouter;
-    this.timeSystem = systems.timeSystem;
-    this.modifierResolver = systems.modifierResolver;
-    this.layerResetService = systems.layerResetService;
-    this.unlockEvaluator = systems.unlockEvaluator;
-    this.routineSystem = systems.routineSystem;
-    this.multiplierCompiler = systems.multiplierCompiler;
-    this.characteristicSystem = systems.characteristicSystem;
-    this.saveSystem = systems.saveSystem;
-    this.uiComposer = systems.uiComposer;
+    this.#adoptRuntimeSystems(systems);
+    this.#installWriteNormalizer(systems.writeNormalizer);
+    this.randomService.ensureState();
+    this.timerSystem.ensureState();
 
     registerBuiltinLayers(this.layerRegistry);
+    this.#registerLayerCatalogs();
+    this.#registerDefinitionCatalogs(this.definition);
     this.layerInstances = this.#instantiateLayersFromDefinition();
 
     this.#wireRuntimeSystems();
     this.#wireLayerEventSubscriptions();
+    this.#initializeSystemPlugins();
     this.#bootstrapUnlockSnapshot();
     this.initialized = true;
+
+    if (this.runtimeOptions.profiler) {
+      this.enableProfiler(this.runtimeOptions.profiler === true ? {} : this.runtimeOptions.profiler);
+    }
+    if (this.runtimeOptions.history) {
+      this.enableHistory(this.runtimeOptions.history === true ? {} : this.runtimeOptions.history);
+    }
+  }
+
+  /**
+   * Swap in an edited definition without restarting the engine.
+   *
+   * The new definition is parsed and validated first; on failure the running engine is untouched.
+   * Definition-derived systems (routine index, unlock targets, softcap index, reset rules, layer
+   * instances) are rebuilt, while the EventBus, StateStore, TimeSystem and IntentRouter carry over
+   * so external subscribers and the clock survive the reload.
+   *
+   * With `preserveState` (the default) the current canonical state, routine pools and unlock latches
+   * and pending intents are reconciled against the new definition exactly like importSave();
+   * otherwise canonical state restarts from the new `definition.state` with an empty intent queue.
+   *
+   * @param {string|Record<string, unknown>} rawDefinition
+   * @param {{ preserveState?: boolean, orphanPolicy?: 'drop' | 'quarantine' }} [options]
+   */
+  reloadDefinition(rawDefinition, options = {}) {
+    this.#assertInitialized();
+    this.#assertOutsideTick('reloadDefinition');
+    this.#assertNotRecording('reloadDefinition');
+
+    const nextDefinition = parseGameDefinition(rawDefinition);
+    const preserveState = options.preserveState !== false;
+    const previous = preserveState
+      ? {
+          canonical: this.stateStore.snapshot().canonical,
+          runtime: {
+            routines: this.#exportRuntimeStateOf(this.routineSystem),
+            unlocks: this.#exportRuntimeStateOf(this.unlockEvaluator),
+            intentQueue: this.intentQueue,
+          },
+        }
+      : null;
+
+    const systems = createRuntimeSystems({
+      ...this.runtimeOptions,
+      devModeStrict: this.devModeStrict,
+      definition: nextDefinition,
+      isNodeLocked: (nodeRef) => this.#isNodeLockedRef(nodeRef),
+      getNextTimerTick: () => this.#nextTimerTick(),
+      eventBus: this.eventBus,
+      stateStore: this.stateStore,
+      timeSystem: this.timeSystem,
+      intentRouter: this.intentRouter,
+      uiComposer: this.uiComposer,
+    });
+
+    // Everything that can reject the new definition runs before the live engine changes: reconciliation,
+    // the new resource bounds (against the state they will govern) and catalog registration.
+    let reconciled = null;
+    let nextCanonical = nextDefinition.state || {};
+    if (previous) {
+      reconciled = systems.saveReconciler.reconcile(previous, { orphanPolicy: options.orphanPolicy });
+      nextCanonical = reconciled.canonical;
+    }
+    if (systems.writeNormalizer) {
+      nextCanonical = systems.writeNormalizer('', nextCanonical);
+    }
+    this.#replaceDefinitionCatalogs(nextDefinition);
+
+    const previousWriteNormalizer = this.writeNormalizer;
+    try {
+      this.#destroyLayerInstances();
+      this.definition = nextDefinition;
+      this.#adoptRuntimeSystems(systems);
+      this.layerInstances = this.#instantiateLayersFromDefinition();
+      this.#wireLayerEventSubscriptions();
+
+      // The old bounds must not clamp the new state, so the store holds no normalizer across the swap.
+      this.#installWriteNormalizer(null);
+      this.stateStore.replaceCanonical(nextCanonical);
+      this.#installWriteNormalizer(systems.writeNormalizer);
+    } catch (error) {
+      this.#installWriteNormalizer(previousWriteNormalizer);
+      throw error;
+    }
+
+    this.randomService.ensureState();
+    this.timerSystem.ensureState();
+    if (reconciled) {
+      this.#importRuntimeStateOf(this.routineSystem, reconciled.runtime.routines);
+      this.#importRuntimeStateOf(this.unlockEvaluator, reconciled.runtime.unlocks);
+      this.intentQueue = reconciled.runtime.intentQueue;
+      this.quarantinedState = { ...this.quarantinedState, ...reconciled.report.quarantine };
+    } else {
+      this.intentQueue = [];
+      this.quarantinedState = {};
+    }
+    const reconciliation = reconciled ? reconciled.report : null;
+    this.lastReconciliationReport = reconciliation;
+    this.#bootstrapUnlockSnapshot();
+    this.#clearHistory();
+
+    return {
+      preserveState,
+      reconciliation,
+    };
   }
 
   /**
@@ -114,15 +240,8 @@ class GameEngine {
     }
     this.runtimeSubscriptionTokens = [];
 
-    for (const token of this.layerEventSubscriptionTokens) {
-      this.eventBus.unsubscribe(token);
-    }
-    this.layerEventSubscriptionTokens = [];
-
-    for (const layerInstance of this.layerInstances) {
-      layerInstance.destroy();
-    }
-    this.layerInstances = [];
+    this.#destroySystemPlugins();
+    this.#destroyLayerInstances();
 
     this.initialized = false;
     this.definition = null;
@@ -136,9 +255,384 @@ class GameEngine {
    */
   enqueueIntent(intent) {
     this.#assertInitialized();
+    if (this.replayRecorder) {
+      this.replayRecorder.recordIntent(intent, this.currentPhase !== null);
+    }
     this.intentQueue.push(intent);
   }
 
+  /**
+   * Would this intent succeed right now? Runs IntentRouter.preview(): catalog and payload checks,
+   * middleware, the lock check and the handler's preview step, returning the same codes as routing.
+   * Nothing is queued or recorded. Preview steps must be read-only: writes are rolled back and
+   * publishes dropped, and the preview is rejected with `PREVIEW_WROTE_STATE` or
+   * `PREVIEW_PUBLISHED_EVENT` instead of returning the step's result.
+   * @param {Record<string, unknown>} intent
+   * @returns {import('./contracts/IntentRouterContract').IntentRouteResult & { previewed?: boolean }}
+   */
+  previewIntent(intent) {
+    this.#assertInitialized();
+    if (typeof this.intentRouter.preview !== 'function') {
+      throw new Error('GameEngine.previewIntent() requires an IntentRouter with preview support.');
+    }
+    const runPreview = () =>
+      typeof this.eventBus.withPublishingBlocked === 'function'
+        ? this.eventBus.withPublishingBlocked(() => this.intentRouter.preview(intent))
+        : { result: this.intentRouter.preview(intent), blocked: [] };
+    if (typeof this.stateStore.begin !== 'function') {
+      return this.#previewOutcome(intent, runPreview(), false);
+    }
+
+    const before = this.stateStore.snapshot();
+    let outcome;
+    let wroteState;
+    this.stateStore.begin();
+    try {
+      outcome = runPreview();
+      wroteState = this.stateStore.snapshot() !== before;
+    } finally {
+      this.stateStore.rollback();
+    }
+    return this.#previewOutcome(intent, outcome, wroteState);
+  }
+
+  /**
+   * Start recording a replay log: the current engine save, every intent enqueued through
+   * enqueueIntent(), each tick's dt and a canonical state hash every `hashEvery` ticks.
+   * importSave() and reloadDefinition() are rejected until stopRecording().
+   * @param {{ hashEvery?: number }} [options]
+   */
+  startRecording(options = {}) {
+    this.#assertInitialized();
+    this.#assertOutsideTick('startRecording');
+    if (this.replayRecorder) {
+      throw new Error('GameEngine.startRecording() called while a recording is already running.');
+    }
+
+    this.replayRecorder = new ReplayRecorder({
+      start: this.exportSave({ replay: true }),
+      gameId: this.definition.meta.gameId,
+      definitionHash: hashDeterministicPayload(this.definition).hash,
+      hashEvery: options.hashEvery,
+    });
+  }
+
+  /**
+   * @returns {import('../systems/replay/ReplayRecorder').ReplayLog}
+   */
+  stopRecording() {
+    if (!this.replayRecorder) {
+      throw new Error('GameEngine.stopRecording() called without an active recording.');
+    }
+
+    const log = this.replayRecorder.finish();
+    this.replayRecorder = null;
+    return log;
+  }
+
+  isRecording() {
+    return this.replayRecorder !== null;
+  }
+
+  /**
+   * Restore the log's start save, then re-run every recorded tick with its recorded dt and intents,
+   * comparing canonical state hashes. Stops at the first tick whose hash differs from the recording.
+   * @param {import('../systems/replay/ReplayRecorder').ReplayLog} log
+   */
+  replay(log) {
+    this.#assertInitialized();
+    this.#assertOutsideTick('replay');
+    this.#assertNotRecording('replay');
+
+    const ticks = expandReplayLog(log);
+    this.importSave(log.start, { reconcile: false });
+
+    let divergence = null;
+    let ticksReplayed = 0;
+    for (const entry of ticks) {
+      for (const intent of entry.intents) {
+        this.intentQueue.push(JSON.parse(JSON.stringify(intent)));
+      }
+      this.#runTick(entry.dt);
+      ticksReplayed += 1;
+
+      if (entry.expectedHash !== null) {
+        const actualHash = hashReplayState(this.stateStore.snapshot().canonical);
+        if (actualHash !== entry.expectedHash) {
+          divergence = { tick: entry.tick, expectedHash: entry.expectedHash, actualHash };
+          break;
+        }
+      }
+    }
+
+    return {
+      ok: divergence === null,
+      ticksReplayed,
+      tickCount: ticks.length,
+      divergence,
+      definitionMatches: log.definitionHash === hashDeterministicPayload(this.definition).hash,
+      finalHash: hashReplayState(this.stateStore.snapshot().canonical),
+    };
+  }
+
+  /**
+   * Capture a full engine save: canonical state plus runtime-only system state that canonical
+   * state cannot express (routine pool occupancy, unlock latches, time baseline, pending intents,
+   * the tick counter that replay ticks and `atTick` timers are numbered against).
+   * Derived state is omitted; it is recomputed from canonical state on import.
+   * @param {Record<string, unknown>} [metadata]
+   */
+  exportSave(metadata = {}) {
+    this.#assertInitialized();
+    this.#assertOutsideTick('exportSave');
+
+    const snapshot = {
+      canonical: this.stateStore.snapshot().canonical,
+      runtime: {
+        routines: this.#exportRuntimeStateOf(this.routineSystem),
+        unlocks: this.#exportRuntimeStateOf(this.unlockEvaluator),
+        time: this.#exportRuntimeStateOf(this.timeSystem),
+        intentQueue: this.intentQueue,
+        quarantine: this.quarantinedState,
+        tickIndex: this.tickIndex,
+      },
+    };
+
+    const backendMetadata = this.numeric.id === 'number' ? {} : { numericBackend: this.numeric.id };
+    return this.saveSystem.serialize(snapshot, { ...metadata, gameId: this.definition.meta.gameId, ...backendMetadata });
+  }
+
+  /**
+   * Restore a payload produced by exportSave(). Saves without runtime sections (plain SaveSystem
+   * snapshots) rebuild routine pools from canonical routine flags and start with empty unlock latches;
+   * saves without a tick counter keep the engine's current one.
+   *
+   * The snapshot is reconciled against the current definition first (see SaveReconciler): missing
+   * paths are seeded, orphaned paths are quarantined (kept in later exports, out of canonical state)
+   * or dropped, and removed routines are stopped. Pass `{ reconcile: false }` to apply it verbatim.
+   * @param {Record<string, unknown>} payload
+   * @param {{ reconcile?: boolean, orphanPolicy?: 'drop' | 'quarantine' }} [options]
+   */
+  importSave(payload, options = {}) {
+    this.#assertInitialized();
+    this.#assertOutsideTick('importSave');
+    this.#assertNotRecording('importSave');
+
+    const restored = this.saveSystem.deserialize(payload);
+    const snapshot = restored.snapshot;
+    if (!snapshot || typeof snapshot !== 'object' || !snapshot.canonical || typeof snapshot.canonical !== 'object') {
+      throw new Error('GameEngine.importSave requires payload.snapshot.canonical to be an object.');
+    }
+
+    const gameId = this.definition.meta.gameId;
+    if (restored.metadata.gameId !== undefined && restored.metadata.gameId !== gameId) {
+      throw new Error(
+        `GameEngine.importSave gameId mismatch: save is for "${restored.metadata.gameId}", engine runs "${gameId}".`
+      );
+    }
+    // Saves without numericBackend metadata hold plain numbers, which every backend reads.
+    const savedBackend = restored.metadata.numericBackend;
+    if (savedBackend !== undefined && savedBackend !== this.numeric.id) {
+      throw new Error(
+        `GameEngine.importSave numeric backend mismatch: save uses "${savedBackend}", engine runs "${this.numeric.id}".`
+      );
+    }
+
+    let canonical = snapshot.canonical;
+    let runtime = snapshot.runtime && typeof snapshot.runtime === 'object' ? snapshot.runtime : {};
+    let reconciliation = null;
+    if (options.reconcile !== false) {
+      const reconciled = this.saveReconciler.reconcile({ canonical, runtime }, { orphanPolicy: options.orphanPolicy });
+      canonical = reconciled.canonical;
+      runtime = reconciled.runtime;
+      reconciliation = reconciled.report;
+    }
+
+    this.stateStore.replaceCanonical(canonical);
+    this.randomService.ensureState();
+    this.timerSystem.ensureState();
+    this.#importRuntimeStateOf(this.routineSystem, runtime.routines);
+    this.#importRuntimeStateOf(this.unlockEvaluator, runtime.unlocks);
+    this.#importRuntimeStateOf(this.timeSystem, runtime.time);
+    this.intentQueue = Array.isArray(runtime.intentQueue) ? runtime.intentQueue : [];
+    if (Number.isSafeInteger(runtime.tickIndex) && runtime.tickIndex >= 0) {
+      this.tickIndex = runtime.tickIndex;
+    }
+    this.quarantinedState = {
+      ...(runtime.quarantine && typeof runtime.quarantine === 'object' ? runtime.quarantine : {}),
+      ...(reconciliation ? reconciliation.quarantine : {}),
+    };
+    this.lastReconciliationReport = reconciliation;
+    this.#bootstrapUnlockSnapshot();
+    this.#clearHistory();
+
+    return {
+      schemaVersion: restored.schemaVersion,
+      metadata: restored.metadata,
+      migrationsApplied: restored.migrationsApplied || [],
+      reconciliation,
+    };
+  }
+
+  /**
+   * Report from the most recent importSave() reconciliation, or null when none ran.
+   */
+  getLastReconciliationReport() {
+    return this.lastReconciliationReport;
+  }
+
+  /**
+   * Orphaned save values set aside by reconciliation, keyed by their old canonical path.
+   * @returns {Record<string, unknown>}
+   */
+  getQuarantinedState() {
+    return { ...this.quarantinedState };
+  }
+
+  /**
+   * Portable copy/paste form of exportSave(): compressed, checksummed and tagged with gameId.
+   * @param {Record<string, unknown>} [metadata]
+   * @returns {string}
+   */
+  exportSaveString(metadata = {}) {
+    return this.#requireSaveStringCodec().encode(this.exportSave(metadata));
+  }
+
+  /**
+   * Throws SaveStringError (with a `code`) for foreign, truncated or edited strings before touching state.
+   * @param {string} text
+   */
+  importSaveString(text) {
+    return this.importSave(this.#requireSaveStringCodec().decodePayload(text));
+  }
+
+  /**
+   * Time controls are intents like any other UI action: they are applied during the next input phase,
+   * so the new speed/pause state already governs that tick's time phase.
+   */
+  pause() {
+    this.enqueueIntent({ type: 'PAUSE_GAME', payload: {} });
+  }
+
+  resume() {
+    this.enqueueIntent({ type: 'RESUME_GAME', payload: {} });
+  }
+
+  /**
+   * @param {number} timeScale
+   */
+  setTimeScale(timeScale) {
+    this.enqueueIntent({ type: 'SET_TIME_SCALE', payload: { timeScale } });
+  }
+
+  /**
+   * Start recording per-tick wall time by phase, engine system, layer update, EventBus subscriber
+   * scope and system plugin, plus state read/write/snapshot counts. Off by default; each profiled
+   * tick summary carries `perf`.
+   * @param {{ windowSize?: number, now?: () => number }} [options]
+   */
+  enableProfiler(options = {}) {
+    this.#assertInitialized();
+    this.profiler = new TickProfiler(options);
+    this.#attachProfiler(this.profiler);
+    return this.profiler;
+  }
+
+  disableProfiler() {
+    this.#attachProfiler(null);
+    this.profiler = null;
+  }
+
+  /**
+   * Rolling stats over the profiler window, or null while profiling is off.
+   */
+  getPerfReport() {
+    return this.profiler ? this.profiler.getReport() : null;
+  }
+
+  /**
+   * Causal chain behind an event, root first, from the EventBus trace log (`eventTraceCapacity`
+   * engine option, default 1000 records): each entry carries id, kind ('intent' | 'event'), type,
+   * tick, phase and causedBy. Events carry their id as `event.id`.
+   * @param {string} eventId
+   */
+  getEventTrace(eventId) {
+    return typeof this.eventBus.getTrace === 'function' ? this.eventBus.getTrace(eventId) : [];
+  }
+
+  /**
+   * Dev-mode time travel: keep the engine state before each of the last `capacity` ticks
+   * (canonical state, unlock latches, routine pools and the intents the tick routed).
+   * importSave() and reloadDefinition() start a fresh history.
+   * @param {{ capacity?: number }} [options]
+   */
+  enableHistory(options = {}) {
+    this.#assertInitialized();
+    this.history = new TickHistory(options);
+    return this.history;
+  }
+
+  disableHistory() {
+    this.history = null;
+  }
+
+  /**
+   * @returns {{ oldestTick: number | null, newestTick: number | null, currentTick: number, capacity: number } | null}
+   */
+  getHistoryRange() {
+    if (!this.history) {
+      return null;
+    }
+
+    return {
+      oldestTick: this.history.oldestTick,
+      newestTick: this.history.newestTick,
+      currentTick: this.tickIndex,
+      capacity: this.history.capacity,
+    };
+  }
+
+  /**
+   * Restore the state from just before `tick` ran. Recorded later ticks stay available to
+   * stepForward() until the next live tick()/runFrame()/catchUp() overwrites that future.
+   * Derived state owned by layers and system plugins is rebuilt as ticks run.
+   * @param {number} tick
+   */
+  rewindTo(tick) {
+    const entry = this.#requireHistoryEntry('rewindTo', tick);
+
+    this.stateStore.replaceCanonical(entry.state.canonical);
+    this.#importRuntimeStateOf(this.routineSystem, entry.state.runtime.routines);
+    this.#importRuntimeStateOf(this.unlockEvaluator, entry.state.runtime.unlocks);
+    this.intentQueue = JSON.parse(JSON.stringify(entry.state.runtime.intentQueue));
+    this.tickIndex = tick;
+    this.#bootstrapUnlockSnapshot();
+    if (typeof this.timeSystem.resetBaseline === 'function') {
+      this.timeSystem.resetBaseline();
+    }
+
+    return this.getHistoryRange();
+  }
+
+  /**
+   * Re-run the current tick from history with its recorded dt and intents (intents enqueued while
+   * rewound are discarded). Returns the tick summary.
+   */
+  stepForward() {
+    const entry = this.#requireHistoryEntry('stepForward', this.tickIndex);
+    this.intentQueue = JSON.parse(JSON.stringify(entry.state.runtime.intentQueue));
+    return this.#runTick(entry.dt, { recordHistory: false });
+  }
+
+  getTimeControls() {
+    this.#assertInitialized();
+    if (typeof this.timeSystem.getTimeControls !== 'function') {
+      return { paused: false, timeScale: 1 };
+    }
+
+    return this.timeSystem.getTimeControls();
+  }
+
   /**
    * Execute a deterministic tick loop.
    *
@@ -150,15 +644,110 @@ class GameEngine {
    * 4) Guardrails:
    *    - maxEventsPerTick throws on runaway recursive publishes.
    *    - maxDispatchCyclesPerTick defers remaining queued events to the next tick.
+   * 5) StateStore watchers are notified once, after render, with the tick's batched changes.
    */
   tick() {
     this.#assertInitialized();
+    return this.#runTick(null);
+  }
+
+  /**
+   * Run one rendered frame in fixed time-step mode.
+   * The TimeSystem accumulator decides how many exact tickDurationMs ticks to run, so results do not
+   * depend on the host frame rate; `alpha` is the leftover fraction of a tick for render interpolation.
+   */
+  runFrame() {
+    this.#assertInitialized();
+    if (typeof this.timeSystem.beginFrame !== 'function') {
+      throw new Error('GameEngine.runFrame() requires a TimeSystem with fixed time-step support.');
+    }
+
+    const frame = this.timeSystem.beginFrame();
+    const summaries = [];
+    for (let step = 0; step < frame.steps; step += 1) {
+      summaries.push(this.tick());
+    }
+
+    return {
+      steps: frame.steps,
+      droppedMs: frame.droppedMs,
+      alpha: frame.alpha,
+      summaries,
+    };
+  }
+
+  /**
+   * Simulate elapsed wall-clock time (e.g. while the game was closed) as a sequence of fixed-size ticks.
+   *
+   * Each chunk runs through the full phase loop so routine auto-stops, unlock transitions and events
+   * fire exactly as they would live. Elapsed time beyond `maxTicks * chunkMs` is dropped and reported
+   * as `cappedMs`. A paused game simulates nothing (`paused: true`, no ticks, nothing capped). The TimeSystem
+   * baseline is reset afterwards so the next live tick does not replay the gap.
+   *
+   * @param {number} elapsedMs
+   * @param {{ maxTicks?: number, chunkMs?: number }} [options]
+   */
+  catchUp(elapsedMs, options = {}) {
+    this.#assertInitialized();
+    this.#assertOutsideTick('catchUp');
+    if (!Number.isFinite(elapsedMs) || elapsedMs < 0) {
+      throw new Error(`GameEngine.catchUp() requires finite, non-negative elapsedMs. Received: ${elapsedMs}`);
+    }
+
+    const chunkMs = this.#resolveCatchUpChunkMs(options.chunkMs);
+    const maxTicks = options.maxTicks === undefined ? DEFAULT_CATCH_UP_MAX_TICKS : options.maxTicks;
+    if (!Number.isInteger(maxTicks) || maxTicks < 0) {
+      throw new Error('GameEngine.catchUp() options.maxTicks must be a non-negative integer when provided.');
+    }
+
+    const paused = typeof this.timeSystem.getTimeControls === 'function' && this.timeSystem.getTimeControls().paused === true;
+    const simulatableMs = paused ? 0 : Math.min(elapsedMs, maxTicks * chunkMs);
+    const resourcesBefore = this.#readResourceTotals();
+    const unlocksGained = [];
+    const routinesStopped = [];
+    let simulatedMs = 0;
+    let ticks = 0;
+
+    while (simulatedMs < simulatableMs && ticks < maxTicks) {
+      const dt = Math.min(chunkMs, simulatableMs - simulatedMs);
+      const summary = this.#runTick(dt);
+      simulatedMs += dt;
+
+      for (const targetRef of (summary.unlocks && summary.unlocks.transitions) || []) {
+        unlocksGained.push({ targetRef, tick: ticks });
+      }
+      for (const routineKey of (summary.routine && summary.routine.stoppedBeforeDelta) || []) {
+        routinesStopped.push({ routine: routineKey, tick: ticks });
+      }
+      ticks += 1;
+    }
+
+    if (typeof this.timeSystem.resetBaseline === 'function') {
+      this.timeSystem.resetBaseline();
+    }
+
+    return {
+      elapsedMs,
+      simulatedMs,
+      cappedMs: paused ? 0 : elapsedMs - simulatedMs,
+      paused,
+      chunkMs,
+      ticks,
+      resourceDeltas: this.#diffResourceTotals(resourcesBefore, this.#readResourceTotals()),
+      unlocksGained,
+      routinesStopped,
+    };
+  }
 
+  #runTick(dtOverride, options = {}) {
+    const historyState = this.history && options.recordHistory !== false ? this.#captureHistoryState() : null;
     this.phaseCursor = -1;
+    this.eventBus.currentTick = this.tickIndex;
     const summary = {
       intentsRouted: [],
       dt: 0,
       updatedLayers: [],
+      timers: null,
       routine: null,
       characteristics: null,
       multipliers: null,
@@ -166,32 +755,59 @@ class GameEngine {
       dispatch: null,
       unlocks: null,
       ui: null,
+      systemPlugins: {},
+      perf: null,
     };
+    if (this.profiler) {
+      this.profiler.beginTick();
+    }
 
     this.#enterPhase(ENGINE_PHASES.INPUT);
     summary.intentsRouted = this.#runInputPhase();
+    this.#runSystemPluginHooks(summary);
 
     this.#enterPhase(ENGINE_PHASES.TIME);
-    summary.dt = this.#runTimePhase();
+    summary.dt = dtOverride === null ? this.#runTimePhase() : dtOverride;
+    this.#runSystemPluginHooks(summary);
 
     this.#enterPhase(ENGINE_PHASES.LAYER_UPDATE);
     const layerUpdateSummary = this.#runLayerUpdatePhase(summary.dt);
     summary.updatedLayers = layerUpdateSummary.updatedLayerIds;
+    summary.timers = layerUpdateSummary.timers;
     summary.routine = layerUpdateSummary.routine;
     summary.characteristics = layerUpdateSummary.characteristics;
     summary.multipliers = layerUpdateSummary.multipliers;
+    this.#runSystemPluginHooks(summary);
 
     this.#enterPhase(ENGINE_PHASES.EVENT_DISPATCH);
     summary.dispatchedHandlers = this.eventBus.dispatchQueued();
     summary.dispatch = this.eventBus.getLastDispatchReport();
+    this.#runSystemPluginHooks(summary);
 
     this.#enterPhase(ENGINE_PHASES.UNLOCK_EVALUATION);
     summary.unlocks = this.#runUnlockEvaluationPhase(summary);
+    this.#runSystemPluginHooks(summary);
 
     this.#enterPhase(ENGINE_PHASES.RENDER);
     summary.ui = this.onRenderCompose(this.#buildPhaseContext(summary));
+    this.#runSystemPluginHooks(summary);
 
     this.#exitPhaseLoop();
+    if (this.replayRecorder) {
+      this.replayRecorder.recordTick(summary.dt, () => this.stateStore.snapshot().canonical);
+    }
+    if (historyState) {
+      // A live tick after rewindTo() starts a new timeline: the old future is dropped.
+      this.history.truncateFrom(this.tickIndex);
+      this.history.record({ tick: this.tickIndex, dt: summary.dt, state: historyState });
+    }
+    this.tickIndex += 1;
+    if (typeof this.stateStore.flushWatchers === 'function') {
+      this.stateStore.flushWatchers();
+    }
+    if (this.profiler) {
+      summary.perf = { tick: this.profiler.endTick(), rolling: this.profiler.getReport() };
+    }
     this.lastTickSummary = summary;
     return summary;
   }
@@ -202,7 +818,8 @@ class GameEngine {
 
     const routed = [];
     for (const intent of queued) {
-      const result = this.intentRouter.route(intent);
+      const causeId = typeof this.eventBus.traceIntent === 'function' ? this.eventBus.traceIntent(intent) : null;
+      const result = this.#withEventCause(causeId, () => this.intentRouter.route(intent));
       routed.push(result);
     }
 
@@ -218,11 +835,57 @@ class GameEngine {
     return dt;
   }
 
+  #resolveCatchUpChunkMs(chunkMs) {
+    if (chunkMs !== undefined) {
+      if (!Number.isFinite(chunkMs) || chunkMs <= 0) {
+        throw new Error('GameEngine.catchUp() options.chunkMs must be a positive finite number when provided.');
+      }
+      return chunkMs;
+    }
+
+    if (Number.isFinite(this.timeSystem.tickDurationMs) && this.timeSystem.tickDurationMs > 0) {
+      return this.timeSystem.tickDurationMs;
+    }
+
+    const systems = this.definition.systems || {};
+    return Number.isFinite(systems.tickMs) && systems.tickMs > 0 ? systems.tickMs : 1000 / 60;
+  }
+
+  #readResourceTotals() {
+    const resources = this.stateStore.get('resources');
+    const totals = {};
+    if (!resources || typeof resources !== 'object') {
+      return totals;
+    }
+
+    for (const [key, value] of Object.entries(resources)) {
+      if (this.numeric.isValue(value)) {
+        totals[key] = value;
+      }
+    }
+    return totals;
+  }
+
+  #diffResourceTotals(before, after) {
+    const keys = Array.from(new Set([...Object.keys(before), ...Object.keys(after)])).sort((left, right) =>
+      left.localeCompare(right)
+    );
+    const deltas = {};
+    for (const key of keys) {
+      const start = key in before ? before[key] : 0;
+      const end = key in after ? after[key] : 0;
+      deltas[key] = { start, end, delta: this.numeric.sub(end, start) };
+    }
+    return deltas;
+  }
+
   #runLayerUpdatePhase(dt) {
     const dtSeconds = dt / 1000;
-    const multipliers = this.multiplierCompiler.update();
-    const routine = this.routineSystem.update(dtSeconds);
-    const characteristics = this.characteristicSystem.update();
+    // Timers run first so events they fire are dispatched this tick and layers see any state they imply.
+    const timers = this.#profiled('systems', 'timerSystem', () => this.timerSystem.update(dt));
+    const multipliers = this.#profiled('systems', 'multiplierCompiler', () => this.multiplierCompiler.update());
+    const routine = this.#profiled('systems', 'routineSystem', () => this.routineSystem.update(dtSeconds));
+    const characteristics = this.#profiled('systems', 'characteristicSystem', () => this.characteristicSystem.update());
 
     const layers = Array.isArray(this.definition.layers) ? this.definition.layers : [];
     const updatedLayerIds = [];
@@ -231,13 +894,16 @@ class GameEngine {
       const layer = layers[index];
       const layerInstance = this.layerInstances[index];
       // Deterministic invariant: process in exact parsed JSON layers[] order (no sorting/reordering).
-      layerInstance.update(dt);
-      this.onLayerUpdate(layer, this.#buildPhaseContext({ dt }));
+      this.#profiled('layers', layer.id, () => {
+        layerInstance.update(dt);
+        this.onLayerUpdate(layer, this.#buildPhaseContext({ dt }));
+      });
       updatedLayerIds.push(layer.id);
     }
 
     return {
       updatedLayerIds,
+      timers,
       routine,
       characteristics,
       multipliers,
@@ -258,11 +924,16 @@ class GameEngine {
       layerResetService: this.layerResetService,
       intentRouter: this.intentRouter,
       routineSystem: this.routineSystem,
+      randomService: this.randomService,
+      timerSystem: this.timerSystem,
     };
   }
 
   #runUnlockEvaluationPhase(summary) {
-    const unlockSummary = this.unlockEvaluator.evaluateAll({ phase: 'end-of-tick' });
+    // Unlocks react to state, not events: attribute UNLOCKED to whatever produced the current state.
+    const causeId =
+      typeof this.eventBus.resolveStateChangeCause === 'function' ? this.eventBus.resolveStateChangeCause() : null;
+    const unlockSummary = this.#withEventCause(causeId, () => this.unlockEvaluator.evaluateAll({ phase: 'end-of-tick' }));
     this.latestUnlockSummary = unlockSummary;
     this.stateStore.setDerived('unlocks', unlockSummary);
     this.onUnlockEvaluation(this.#buildPhaseContext({ ...summary, unlocks: unlockSummary }), unlockSummary);
@@ -278,9 +949,12 @@ class GameEngine {
     const unlocked = {};
     const statusByRef = {};
 
+    const latches = this.unlockEvaluator.unlockedByRef instanceof Map ? this.unlockEvaluator.unlockedByRef : null;
+
     for (const target of this.unlockEvaluator.targets || []) {
-      const isUnlocked = evaluateUnlockCondition(target.ast, state);
-      const progress = evaluateUnlockProgress(target.ast, state);
+      const isLatched = Boolean(latches && latches.get(target.ref) === true);
+      const isUnlocked = isLatched || evaluateUnlockCondition(target.ast, state, this.numeric);
+      const progress = evaluateUnlockProgress(target.ast, state, this.numeric);
       unlocked[target.ref] = isUnlocked;
       statusByRef[target.ref] = {
         unlocked: isUnlocked,
@@ -302,6 +976,65 @@ class GameEngine {
     this.stateStore.setDerived('unlocks', this.latestUnlockSummary);
   }
 
+  #adoptRuntimeSystems(systems) {
+    this.eventBus = systems.eventBus;
+    this.stateStore = systems.stateStore;
+    this.intentRouter = systems.intentRouter;
+    this.timeSystem = systems.timeSystem;
+    this.modifierResolver = systems.modifierResolver;
+    this.layerResetService = systems.layerResetService;
+    this.unlockEvaluator = systems.unlockEvaluator;
+    this.routineSystem = systems.routineSystem;
+    this.multiplierCompiler = systems.multiplierCompiler;
+    this.characteristicSystem = systems.characteristicSystem;
+    this.saveSystem = systems.saveSystem;
+    this.saveStringCodec = systems.saveStringCodec;
+    this.saveReconciler = systems.saveReconciler;
+    this.randomService = systems.randomService;
+    this.timerSystem = systems.timerSystem;
+    this.numeric = systems.numeric;
+    this.resourceRegistry = systems.resourceRegistry;
+    this.uiComposer = systems.uiComposer;
+  }
+
+  #installWriteNormalizer(writeNormalizer) {
+    this.writeNormalizer = writeNormalizer;
+    if (typeof this.stateStore.setWriteNormalizer === 'function') {
+      this.stateStore.setWriteNormalizer(writeNormalizer);
+    }
+  }
+
+  #destroyLayerInstances() {
+    for (const token of this.layerEventSubscriptionTokens) {
+      this.eventBus.unsubscribe(token);
+    }
+    this.layerEventSubscriptionTokens = [];
+
+    for (const layerInstance of this.layerInstances) {
+      layerInstance.destroy();
+    }
+    this.layerInstances = [];
+  }
+
+  #requireSaveStringCodec() {
+    this.#assertInitialized();
+    if (!this.saveStringCodec) {
+      throw new Error('GameEngine save strings require definition.meta.gameId or an injected saveStringCodec.');
+    }
+
+    return this.saveStringCodec;
+  }
+
+  #exportRuntimeStateOf(system) {
+    return typeof system.exportRuntimeState === 'function' ? system.exportRuntimeState() : null;
+  }
+
+  #importRuntimeStateOf(system, runtimeState) {
+    if (typeof system.importRuntimeState === 'function') {
+      system.importRuntimeState(runtimeState && typeof runtimeState === 'object' ? runtimeState : {});
+    }
+  }
+
   #wireRuntimeSystems() {
     this.intentRouter.register('REQUEST_LAYER_RESET', (intent) => {
       this.eventBus.publish({
@@ -314,12 +1047,22 @@ class GameEngine {
       });
 
       return this.layerResetService.preview(intent.payload.layerId);
-    });
+    }, { preview: (intent) => this.layerResetService.preview(intent.payload.layerId) });
 
+    const routinePreview = { preview: (intent) => this.routineSystem.previewIntent(intent.type, intent.payload) };
+    this.intentRouter.register('ROUTINE_START', (intent) => this.routineSystem.handleIntent(intent.type, intent.payload), routinePreview);
+    this.intentRouter.register('ROUTINE_STOP', (intent) => this.routineSystem.handleIntent(intent.type, intent.payload), routinePreview);
+    this.intentRouter.register('ROUTINE_TOGGLE', (intent) => this.routineSystem.handleIntent(intent.type, intent.payload), routinePreview);
 
-    this.intentRouter.register('ROUTINE_START', (intent) => this.routineSystem.handleIntent(intent.type, intent.payload));
-    this.intentRouter.register('ROUTINE_STOP', (intent) => this.routineSystem.handleIntent(intent.type, intent.payload));
-    this.intentRouter.register('ROUTINE_TOGGLE', (intent) => this.routineSystem.handleIntent(intent.type, intent.payload));
+    this.intentRouter.register('PAUSE_GAME', () => this.#applyTimeControl('pause'), {
+      preview: () => this.#previewTimeControl('pause', { paused: true }),
+    });
+    this.intentRouter.register('RESUME_GAME', () => this.#applyTimeControl('resume'), {
+      preview: () => this.#previewTimeControl('resume', { paused: false }),
+    });
+    this.intentRouter.register('SET_TIME_SCALE', (intent) => this.#applyTimeControl('setTimeScale', intent.payload.timeScale), {
+      preview: (intent) => this.#previewTimeControl('setTimeScale', { timeScale: intent.payload.timeScale }),
+    });
 
     const token = this.eventBus.subscribe(
       'LAYER_RESET_REQUESTED',
@@ -334,8 +1077,269 @@ class GameEngine {
     this.runtimeSubscriptionTokens.push(token);
   }
 
+  #previewOutcome(intent, outcome, wroteState) {
+    if (wroteState) {
+      return {
+        ok: false,
+        code: 'PREVIEW_WROTE_STATE',
+        reason: `Previewing ${intent.type} wrote state; preview steps must be read-only.`,
+      };
+    }
+    if (outcome.blocked.length > 0) {
+      return {
+        ok: false,
+        code: 'PREVIEW_PUBLISHED_EVENT',
+        reason: `Previewing ${intent.type} published ${outcome.blocked.join(', ')}; preview steps must be read-only.`,
+      };
+    }
+    return outcome.result;
+  }
+
+  #applyTimeControl(methodName, ...args) {
+    if (typeof this.timeSystem[methodName] !== 'function') {
+      return {
+        ok: false,
+        code: 'TIME_CONTROL_UNSUPPORTED',
+        reason: `Injected TimeSystem does not implement ${methodName}().`,
+      };
+    }
+
+    this.timeSystem[methodName](...args);
+    return { ok: true, code: 'TIME_CONTROLS_UPDATED', ...this.getTimeControls() };
+  }
+
+  #previewTimeControl(methodName, change) {
+    if (typeof this.timeSystem[methodName] !== 'function') {
+      return {
+        ok: false,
+        code: 'TIME_CONTROL_UNSUPPORTED',
+        reason: `Injected TimeSystem does not implement ${methodName}().`,
+      };
+    }
+
+    return { ok: true, code: 'TIME_CONTROLS_UPDATED', ...this.getTimeControls(), ...change };
+  }
+
+  /**
+   * System plugins run after the engine's own work in each phase, in SystemPluginRegistry order.
+   * Events they publish from event-dispatch onwards are delivered in the next tick's dispatch phase.
+   */
+  #runSystemPluginHooks(summary) {
+    const hookName = SYSTEM_PLUGIN_PHASE_HOOKS[this.currentPhase];
+    for (const { plugin, context } of this.systemPlugins) {
+      if (typeof plugin[hookName] !== 'function') {
+        continue;
+      }
+
+      const result = this.#profiled('plugins', plugin.id, () =>
+        plugin[hookName](context, { phase: this.currentPhase, summary })
+      );
+      if (result !== undefined) {
+        summary.systemPlugins[plugin.id] = { ...summary.systemPlugins[plugin.id], [this.currentPhase]: result };
+      }
+    }
+  }
+
+  #initializeSystemPlugins() {
+    this.systemPlugins = this.systemPluginRegistry
+      .getOrderedPlugins()
+      .map((plugin) => ({ plugin, context: this.#buildSystemPluginContext(plugin.id) }));
+
+    for (const { plugin, context } of this.systemPlugins) {
+      for (const [eventType, entry] of Object.entries(plugin.events || {})) {
+        this.#requireCatalogExtension(this.eventBus, 'EventBus', plugin.id).registerCatalogEntry(
+          eventType,
+          { producers: [plugin.id], ...entry },
+          `SystemPlugin:${plugin.id}`
+        );
+      }
+
+      for (const [intentType, declaration] of Object.entries(plugin.intents || {})) {
+        this.#requireCatalogExtension(this.intentRouter, 'IntentRouter', plugin.id).registerCatalogEntry(
+          intentType,
+          { routingTarget: plugin.id, ...declaration },
+          `SystemPlugin:${plugin.id}`
+        );
+        this.intentRouter.register(intentType, (intent) => declaration.handle(intent, context), {
+          preview: typeof declaration.preview === 'function' ? (intent) => declaration.preview(intent, context) : undefined,
+        });
+      }
+
+      // Registered in plugin order, so before/after constraints also order the middleware chain.
+      if (typeof plugin.intentMiddleware === 'function') {
+        if (typeof this.intentRouter.use !== 'function') {
+          throw new Error(`"SystemPlugin:${plugin.id}" declares intentMiddleware but the injected IntentRouter cannot use() it.`);
+        }
+        const middlewareId = this.intentRouter.use(
+          (intent, next, middlewareContext) => plugin.intentMiddleware(intent, next, middlewareContext, context),
+          { id: `SystemPlugin:${plugin.id}` }
+        );
+        this.systemPluginMiddlewareIds.push(middlewareId);
+      }
+    }
+
+    for (const { plugin, context } of this.systemPlugins) {
+      if (typeof plugin.init === 'function') {
+        plugin.init(context);
+      }
+    }
+  }
+
+  #requireCatalogExtension(system, systemName, owner) {
+    if (typeof system.registerCatalogEntry !== 'function') {
+      throw new Error(`"${owner}" declares catalog entries but the injected ${systemName} cannot register them.`);
+    }
+
+    return system;
+  }
+
+  // Layer plugins declare catalogs at LayerRegistry.register(); their intents are delivered to the target layer's onIntent().
+  #registerLayerCatalogs() {
+    for (const { type, intents, events } of this.layerRegistry.getCatalogDeclarations()) {
+      const owner = `Layer:${type}`;
+      for (const [eventType, entry] of Object.entries(events)) {
+        this.#requireCatalogExtension(this.eventBus, 'EventBus', owner).registerCatalogEntry(
+          eventType,
+          { producers: [type], ...entry },
+          owner
+        );
+      }
+      for (const [intentType, entry] of Object.entries(intents)) {
+        this.#requireCatalogExtension(this.intentRouter, 'IntentRouter', owner).registerCatalogEntry(
+          intentType,
+          { routingTarget: type, ...entry },
+          owner
+        );
+        this.intentRouter.register(intentType, (intent) => this.#routeLayerIntent(type, intent), {
+          preview: (intent) => this.#routeLayerIntent(type, intent, true),
+        });
+      }
+    }
+  }
+
+  // Game-definition catalogs are JSON: validators are compiled from payloadSchema. Intents that route to a
+  // layer type reach its onIntent(); any other routingTarget needs a handler from intentRouter.register().
+  #registerDefinitionCatalogs(definition) {
+    const catalogs = definition.catalogs || {};
+    for (const [eventType, entry] of Object.entries(catalogs.events || {})) {
+      this.#requireCatalogExtension(this.eventBus, 'EventBus', 'definition').registerCatalogEntry(eventType, entry, 'definition');
+    }
+    for (const [intentType, entry] of Object.entries(catalogs.intents || {})) {
+      this.#requireCatalogExtension(this.intentRouter, 'IntentRouter', 'definition').registerCatalogEntry(intentType, entry, 'definition');
+      if (this.layerRegistry.has(entry.routingTarget)) {
+        this.intentRouter.register(intentType, (intent) => this.#routeLayerIntent(entry.routingTarget, intent), {
+          preview: (intent) => this.#routeLayerIntent(entry.routingTarget, intent, true),
+        });
+      }
+    }
+  }
+
+  // A colliding reload leaves the previous definition's catalog entries in place.
+  #replaceDefinitionCatalogs(nextDefinition) {
+    const unregister = () => {
+      for (const system of [this.eventBus, this.intentRouter]) {
+        if (system.catalog && typeof system.catalog.unregisterOwner === 'function') {
+          system.catalog.unregisterOwner('definition');
+        }
+      }
+    };
+
+    unregister();
+    try {
+      this.#registerDefinitionCatalogs(nextDefinition);
+    } catch (error) {
+      unregister();
+      this.#registerDefinitionCatalogs(this.definition);
+      throw error;
+    }
+  }
+
+  // Previews call the layer's optional previewIntent(); a layer without one previews as undefined.
+  // A payload naming no usable layer is rejected like an unsupported time control, not thrown mid-tick.
+  #routeLayerIntent(layerType, intent, preview = false) {
+    const layerId = intent.payload.layerId;
+    const candidates = this.layerInstances.filter((instance) => instance.type === layerType);
+    const target =
+      layerId === undefined && candidates.length === 1 ? candidates[0] : candidates.find((instance) => instance.id === layerId);
+    if (!target || typeof target.onIntent !== 'function') {
+      const label = layerId === undefined ? `a single ${layerType} layer` : `${layerType} layer "${layerId}"`;
+      return {
+        ok: false,
+        code: 'INTENT_TARGET_NOT_FOUND',
+        reason: `Intent ${intent.type} needs ${label} with onIntent() to handle it.`,
+      };
+    }
+
+    if (preview) {
+      return typeof target.previewIntent === 'function' ? target.previewIntent(intent) : undefined;
+    }
+    return target.onIntent(intent);
+  }
+
+  #buildSystemPluginContext(pluginId) {
+    const derivedRoot = `plugins.${pluginId}`;
+    const derivedPath = (pathSuffix) => {
+      if (pathSuffix === undefined || pathSuffix === null || pathSuffix === '') {
+        return derivedRoot;
+      }
+      if (typeof pathSuffix !== 'string') {
+        throw new Error('System plugin derived path suffix must be a string when provided.');
+      }
+      return `${derivedRoot}.${pathSuffix}`;
+    };
+
+    return {
+      pluginId,
+      getDefinition: () => this.definition,
+      state: {
+        get: (path) => this.stateStore.get(path),
+        snapshot: () => this.stateStore.snapshot(),
+      },
+      derived: {
+        get: (pathSuffix) => this.stateStore.get(`derived.${derivedPath(pathSuffix)}`),
+        set: (pathSuffix, value) => this.stateStore.setDerived(derivedPath(pathSuffix), value),
+      },
+      eventBus: {
+        publish: (event) => this.eventBus.publish({ source: pluginId, ...event }),
+        subscribe: (eventType, handler, options) => {
+          const token = this.eventBus.subscribe(eventType, handler, `SystemPlugin:${pluginId}`, options);
+          this.systemPluginSubscriptionTokens.push(token);
+          return token;
+        },
+        unsubscribe: (token) => this.eventBus.unsubscribe(token),
+      },
+      enqueueIntent: (intent) => {
+        this.intentQueue.push({ source: pluginId, ...intent });
+      },
+      random: this.#buildRandomContext(),
+      timers: this.#buildTimerContext(),
+    };
+  }
+
+  #destroySystemPlugins() {
+    for (const token of this.systemPluginSubscriptionTokens) {
+      this.eventBus.unsubscribe(token);
+    }
+    this.systemPluginSubscriptionTokens = [];
+    for (const middlewareId of this.systemPluginMiddlewareIds) {
+      this.intentRouter.removeMiddleware(middlewareId);
+    }
+    this.systemPluginMiddlewareIds = [];
+
+    for (const { plugin, context } of this.systemPlugins.slice().reverse()) {
+      if (typeof plugin.destroy === 'function') {
+        plugin.destroy(context);
+      }
+    }
+    this.systemPlugins = [];
+  }
+
   #wireLayerEventSubscriptions() {
-    const eventTypes = Object.entries(EVENT_CATALOG)
+    // The bus's merged catalog includes layer-plugin and definition events declared before layers are wired.
+    const catalogEntries = this.eventBus.catalog
+      ? this.eventBus.catalog.list().map(({ type, entry }) => [type, entry])
+      : Object.entries(EVENT_CATALOG);
+    const eventTypes = catalogEntries
       .filter(([, catalogEntry]) => Array.isArray(catalogEntry.consumers))
       .map(([eventType, catalogEntry]) => ({ eventType, consumers: catalogEntry.consumers }));
 
@@ -376,7 +1380,7 @@ class GameEngine {
       layerType: layerDefinition.type,
       eventBus: {
         publish: (event) => this.eventBus.publish(event),
-        subscribe: (eventType, handler, scope) => this.eventBus.subscribe(eventType, handler, scope),
+        subscribe: (eventType, handler, scope, options) => this.eventBus.subscribe(eventType, handler, scope, options),
         unsubscribe: (token) => this.eventBus.unsubscribe(token),
       },
       state: {
@@ -390,9 +1394,36 @@ class GameEngine {
       multiplierCompiler: this.multiplierCompiler,
       characteristicSystem: this.characteristicSystem,
       layerResetService: this.layerResetService,
+      numeric: this.numeric,
+      random: this.#buildRandomContext(),
+      timers: this.#buildTimerContext(),
     };
   }
 
+  // Resolved per call so layer and plugin contexts keep working after reloadDefinition() swaps services.
+  #buildRandomContext() {
+    return {
+      next: (stream) => this.randomService.next(stream),
+      nextInt: (stream, min, max) => this.randomService.nextInt(stream, min, max),
+      pick: (stream, items) => this.randomService.pick(stream, items),
+      weighted: (stream, entries) => this.randomService.weighted(stream, entries),
+    };
+  }
+
+  #buildTimerContext() {
+    return {
+      schedule: (spec) => this.timerSystem.schedule(spec),
+      cancel: (id) => this.timerSystem.cancel(id),
+      get: (id) => this.timerSystem.get(id),
+    };
+  }
+
+  // Engine tick whose layer-update phase runs timers next: this tick until timers have run, then the next one.
+  #nextTimerTick() {
+    const timersRan =
+      this.currentPhase !== null && this.phaseCursor >= ENGINE_PHASE_SEQUENCE.indexOf(ENGINE_PHASES.LAYER_UPDATE);
+    return timersRan ? this.tickIndex + 1 : this.tickIndex;
+  }
 
   #isUnlockedRef(nodeRef, unlockSummary) {
     return this.#getUnlockStatusRef(nodeRef, unlockSummary).unlocked;
@@ -457,6 +1488,27 @@ class GameEngine {
     this.phaseCursor = nextIndex;
     this.currentPhase = phase;
     this.eventBus.allowedPhase = phase;
+    if (this.profiler) {
+      this.profiler.enterPhase(phase);
+    }
+  }
+
+  // Injected EventBus implementations without withCause() simply publish untraced events.
+  #withEventCause(causeId, fn) {
+    return typeof this.eventBus.withCause === 'function' ? this.eventBus.withCause(causeId, fn) : fn();
+  }
+
+  #profiled(category, key, fn) {
+    return this.profiler ? this.profiler.measure(category, key, fn) : fn();
+  }
+
+  // Injected StateStore/EventBus implementations without setProfiler() simply go uncounted.
+  #attachProfiler(profiler) {
+    for (const system of [this.stateStore, this.eventBus]) {
+      if (system && typeof system.setProfiler === 'function') {
+        system.setProfiler(profiler);
+      }
+    }
   }
 
   #exitPhaseLoop() {
@@ -466,6 +1518,52 @@ class GameEngine {
 
     this.currentPhase = null;
     this.eventBus.allowedPhase = null;
+    this.eventBus.currentTick = null;
+  }
+
+  #captureHistoryState() {
+    return {
+      canonical: this.stateStore.snapshot().canonical,
+      runtime: {
+        routines: this.#exportRuntimeStateOf(this.routineSystem),
+        unlocks: this.#exportRuntimeStateOf(this.unlockEvaluator),
+        intentQueue: JSON.parse(JSON.stringify(this.intentQueue)),
+      },
+    };
+  }
+
+  #clearHistory() {
+    if (this.history) {
+      this.history.clear();
+    }
+  }
+
+  #requireHistoryEntry(operation, tick) {
+    this.#assertInitialized();
+    this.#assertOutsideTick(operation);
+    this.#assertNotRecording(operation);
+    if (!this.history) {
+      throw new Error(`GameEngine.${operation}() requires tick history; pass the history option or call enableHistory().`);
+    }
+
+    const entry = this.history.get(tick);
+    if (!entry) {
+      const range = this.history.size > 0 ? `${this.history.oldestTick}..${this.history.newestTick}` : 'none';
+      throw new Error(`GameEngine.${operation}(): tick ${tick} is not in history (recorded ticks: ${range}).`);
+    }
+    return entry;
+  }
+
+  #assertNotRecording(operation) {
+    if (this.replayRecorder) {
+      throw new Error(`GameEngine.${operation}() cannot run while recording a replay; call stopRecording() first.`);
+    }
+  }
+
+  #assertOutsideTick(operation) {
+    if (this.currentPhase !== null) {
+      throw new Error(`GameEngine.${operation}() cannot run while a tick is in progress.`);
+    }
   }
 
   #assertInitialized() {
@@ -1,3 +1,18 @@
+/**
+ * @typedef {object} LayerRandomContext
+ * @property {(stream: string) => number} next float in [0, 1)
+ * @property {(stream: string, min: number, max: number) => number} nextInt inclusive bounds
+ * @property {<T>(stream: string, items: T[]) => T} pick
+ * @property {<T>(stream: string, entries: Array<{ weight: number, value: T }>) => T} weighted
+ */
+
+/**
+ * @typedef {object} LayerTimerContext
+ * @property {(spec: import('../../systems/timers/TimerSystem').TimerSpec) => string} schedule returns the timer id
+ * @property {(id: string) => boolean} cancel
+ * @property {(id: string) => Record<string, unknown> | null} get
+ */
+
 /**
  * @typedef {object} LayerTickContext
  * @property {import('./EventBusContract').EventBusContract} eventBus
@@ -5,6 +20,9 @@
  * @property {import('./IntentRouterContract').IntentRouterContract} intentRouter
  * @property {import('./UnlockEvaluatorContract').UnlockEvaluatorContract} unlockEvaluator
  * @property {import('./ModifierResolverContract').ModifierResolverContract} modifierResolver
+ * @property {import('./NumericBackendContract').NumericBackendContract} numeric arithmetic for resource amounts (`systems.numericBackend`)
+ * @property {LayerRandomContext} random deterministic named RNG streams (positions live in canonical `rng`)
+ * @property {LayerTimerContext} timers delayed/repeating events (countdowns live in canonical `timers`)
  */
 
 /**
@@ -16,6 +34,10 @@
  * @property {(event: import('./EventBusContract').RuntimeEvent, context: LayerTickContext) => void} onEvent
  * @property {(context: LayerTickContext) => Record<string, unknown>} getViewModel
  * @property {(context: LayerTickContext) => void} destroy
+ * @property {(intent: import('./IntentRouterContract').RuntimeIntent) => unknown} [onIntent] handles intents this
+ *   layer type cataloged (LayerRegistry.register catalogs or definition `catalogs.intents` routed to the type)
+ * @property {(intent: import('./IntentRouterContract').RuntimeIntent) => unknown} [previewIntent] read-only dry run of
+ *   onIntent() for GameEngine.previewIntent()
  */
 
 const REQUIRED_LAYER_METHODS = Object.freeze(['init', 'update', 'onEvent', 'getViewModel', 'destroy']);
@@ -1,11 +1,25 @@
 /**
  * @typedef {object} RuntimeEvent
+ * @property {string} [id] assigned by publish (`evt_<n>`)
  * @property {string} type
  * @property {Record<string, unknown>} [payload]
  * @property {number} [ts]
  * @property {string} [source]
  * @property {string|null} [phase]
  * @property {Record<string, unknown>} [meta]
+ * @property {number|null} [tick] engine tick index at publish time
+ * @property {string|null} [causedBy] id of the event or intent being handled when this was published
+ */
+
+/**
+ * @typedef {object} EventTraceRecord
+ * @property {string} id
+ * @property {'event'|'intent'} kind
+ * @property {string} type
+ * @property {string} source
+ * @property {number|null} tick
+ * @property {string|null} phase
+ * @property {string|null} causedBy
  */
 
 /**
@@ -20,10 +34,17 @@
 /**
  * @typedef {object} EventBusContract
  * @property {(event: RuntimeEvent) => void} publish
- * @property {(eventType: string, handler: (event: RuntimeEvent) => void, scope?: unknown) => string} subscribe
+ * @property {(eventType: string, handler: (event: RuntimeEvent) => void, scope?: unknown, options?: { priority?: number }) => string} subscribe
+ *   `eventType` may be exact, a trailing-`*` prefix pattern or `*`; higher priority runs first
  * @property {(token: string) => boolean} unsubscribe
  * @property {() => number} dispatchQueued
  * @property {() => EventBusDispatchReport} getLastDispatchReport
+ * @property {(intent: { type: string, source?: string }) => string} [traceIntent]
+ * @property {<T>(causeId: string|null, fn: () => T) => T} [withCause]
+ * @property {() => string|null} [resolveStateChangeCause]
+ * @property {(id: string) => EventTraceRecord[]} [getTrace]
+ * @property {<T>(fn: () => T) => { result: T, blocked: string[] }} [withPublishingBlocked]
+ *   dry runs: events published inside `fn` are dropped, and their types reported
  */
 
 const EVENT_BUS_CONTRACT = Object.freeze({
@@ -12,17 +12,31 @@
  * @property {string} [reason]
  * @property {string} [routingTarget]
  * @property {unknown} [result]
+ * @property {string} [middleware] id of the middleware that rejected the intent
+ * @property {boolean} [previewed] preview() only: whether the handler's preview step produced `result`
+ */
+
+/**
+ * @typedef {object} IntentMiddlewareContext
+ * @property {Record<string, unknown>} entry catalog entry of the intent being routed
+ * @property {string} routingTarget
+ * @property {boolean} preview true while IntentRouter.preview() runs the chain; record nothing then
+ * @property {(code: string, reason?: string) => IntentRouteResult} reject short-circuit with an UPPER_SNAKE_CASE code
  */
 
 /**
  * @typedef {object} IntentRouterContract
- * @property {(intentType: string, handler: (intent: RuntimeIntent, entry: unknown) => unknown) => void} register
+ * @property {(intentType: string, handler: (intent: RuntimeIntent, entry: unknown) => unknown, options?: { preview?: (intent: RuntimeIntent, entry: unknown) => unknown }) => void} register
  * @property {(intent: RuntimeIntent) => IntentRouteResult} route
+ * @property {(middleware: Function, options?: { id?: string, priority?: number, types?: string[] }) => string} [use]
+ * @property {(id: string) => boolean} [removeMiddleware]
+ * @property {(intent: RuntimeIntent) => IntentRouteResult} [preview] dry-run route() without mutating state
  */
 
 const INTENT_ROUTER_CONTRACT = Object.freeze({
   name: 'IntentRouterContract',
   requiredMethods: ['register', 'route'],
+  optionalMethods: ['use', 'removeMiddleware', 'preview'],
 });
 
 module.exports = {
@@ -0,0 +1,26 @@
+/**
+ * Arithmetic for resource amounts, multipliers and unlock thresholds. Values are whatever the
+ * backend stores in canonical state; they must be JSON-safe so saves and state hashes stay exact.
+ *
+ * @typedef {object} NumericBackendContract
+ * @property {string} id recorded in save metadata
+ * @property {(value: unknown) => boolean} isValue finite amount this backend reads as-is
+ * @property {(value: unknown) => unknown | null} parse lenient conversion (numbers, numeric strings); null when unreadable
+ * @property {(left: unknown, right: unknown) => unknown} add
+ * @property {(left: unknown, right: unknown) => unknown} sub
+ * @property {(left: unknown, right: unknown) => unknown} mul
+ * @property {(left: unknown, right: unknown) => unknown} div
+ * @property {(value: unknown) => unknown} neg
+ * @property {(value: unknown, exponent: number) => unknown} pow
+ * @property {(left: unknown, right: unknown) => -1 | 0 | 1} cmp
+ * @property {(value: unknown) => number} toNumber nearest JS number (may be ±Infinity) for display and ratios
+ */
+
+const NUMERIC_BACKEND_CONTRACT = Object.freeze({
+  name: 'NumericBackendContract',
+  requiredMethods: ['isValue', 'parse', 'add', 'sub', 'mul', 'div', 'neg', 'pow', 'cmp', 'toNumber'],
+});
+
+module.exports = {
+  NUMERIC_BACKEND_CONTRACT,
+};
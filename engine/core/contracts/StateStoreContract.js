@@ -12,11 +12,24 @@
  * @property {(nextState: Record<string, unknown>) => void} replaceCanonical
  * @property {(path: string, value: unknown) => void} setDerived
  * @property {() => StateSnapshot} snapshot
+ * @property {(path: string, handler: (change: import('../../systems/state-store/StateStore').StateChange) => void) => string} [watch]
+ *   optional; GameEngine calls `flushWatchers()` at the end of each tick when the store provides it
+ * @property {(token: string) => boolean} [unwatch]
+ * @property {() => number} [flushWatchers]
+ * @property {<T>(fn: (store: StateStoreContract) => T, options?: Record<string, unknown>) => T} [transaction]
+ *   optional; all-or-nothing writes, rolled back when `fn` throws or an invariant fails
+ * @property {(options?: Record<string, unknown>) => void} [begin]
+ * @property {() => void} [commit]
+ * @property {() => void} [rollback]
+ * @property {(normalizer: ((path: string, value: unknown) => unknown) | null) => void} [setWriteNormalizer]
+ *   optional; ResourceRegistry is installed here when the definition declares resources (by GameEngine, or by
+ *   createRuntimeSystems for a store it constructs)
  */
 
 const STATE_STORE_CONTRACT = Object.freeze({
   name: 'StateStoreContract',
   requiredMethods: ['get', 'set', 'patch', 'replaceCanonical', 'setDerived', 'snapshot'],
+  optionalMethods: ['watch', 'unwatch', 'flushWatchers', 'transaction', 'begin', 'commit', 'rollback', 'setWriteNormalizer'],
 });
 
 module.exports = {
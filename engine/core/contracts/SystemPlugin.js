@@ -0,0 +1,114 @@
+/**
+ * @typedef {object} SystemPluginContext
+ * @property {string} pluginId
+ * @property {() => Record<string, unknown>} getDefinition
+ * @property {{ get: (path: string) => unknown, snapshot: () => Record<string, unknown> }} state read-only canonical + derived reads
+ * @property {{ get: (pathSuffix?: string) => unknown, set: (pathSuffix: string, value: unknown) => void }} derived
+ *   writes are confined to `derived.plugins.<pluginId>`
+ * @property {{ publish: Function, subscribe: Function, unsubscribe: Function }} eventBus
+ * @property {(intent: import('./IntentRouterContract').RuntimeIntent) => void} enqueueIntent routed in the next input phase
+ * @property {import('./BaseLayer').LayerRandomContext} random same named RNG streams as layers
+ * @property {import('./BaseLayer').LayerTimerContext} timers same scheduled events as layers
+ */
+
+/**
+ * @typedef {object} SystemPluginTick
+ * @property {string} phase
+ * @property {Record<string, unknown>} summary the tick summary built so far
+ */
+
+/**
+ * @typedef {object} SystemPluginIntentDeclaration
+ * @property {(payload: unknown) => string | null} validatePayload
+ * @property {Record<string, string>} [payloadSchema]
+ * @property {string} [routingTarget] defaults to the plugin id
+ * @property {string} [lockCheckPolicy]
+ * @property {(intent: import('./IntentRouterContract').RuntimeIntent, context: SystemPluginContext) => unknown} handle
+ * @property {(intent: import('./IntentRouterContract').RuntimeIntent, context: SystemPluginContext) => unknown} [preview]
+ *   read-only dry run of handle() for GameEngine.previewIntent()
+ */
+
+/**
+ * @typedef {object} SystemPluginContract
+ * @property {string} id
+ * @property {string[]} [before] plugin ids whose hooks must run after this plugin's
+ * @property {string[]} [after] plugin ids whose hooks must run before this plugin's
+ * @property {Record<string, SystemPluginIntentDeclaration>} [intents]
+ * @property {Record<string, Record<string, unknown>>} [events] event catalog entries (validatePayload, phaseConstraints, ...)
+ * @property {(intent: import('./IntentRouterContract').RuntimeIntent, next: Function, middlewareContext: import('./IntentRouterContract').IntentMiddlewareContext, context: SystemPluginContext) => import('./IntentRouterContract').IntentRouteResult} [intentMiddleware]
+ *   wraps every routed intent after payload validation; see IntentRouter.use()
+ * @property {(context: SystemPluginContext) => void} [init]
+ * @property {(context: SystemPluginContext, tick: SystemPluginTick) => unknown} [onInput]
+ * @property {(context: SystemPluginContext, tick: SystemPluginTick) => unknown} [onTime]
+ * @property {(context: SystemPluginContext, tick: SystemPluginTick) => unknown} [onLayerUpdate]
+ * @property {(context: SystemPluginContext, tick: SystemPluginTick) => unknown} [onEventDispatch]
+ * @property {(context: SystemPluginContext, tick: SystemPluginTick) => unknown} [onUnlockEvaluation]
+ * @property {(context: SystemPluginContext, tick: SystemPluginTick) => unknown} [onRender]
+ * @property {(context: SystemPluginContext) => void} [destroy]
+ */
+
+const SYSTEM_PLUGIN_PHASE_HOOKS = Object.freeze({
+  input: 'onInput',
+  time: 'onTime',
+  'layer-update': 'onLayerUpdate',
+  'event-dispatch': 'onEventDispatch',
+  'unlock-evaluation': 'onUnlockEvaluation',
+  render: 'onRender',
+});
+
+const OPTIONAL_SYSTEM_PLUGIN_METHODS = Object.freeze(['init', 'intentMiddleware', ...Object.values(SYSTEM_PLUGIN_PHASE_HOOKS), 'destroy']);
+
+const SYSTEM_PLUGIN_CONTRACT = Object.freeze({
+  name: 'SystemPluginContract',
+  optionalMethods: OPTIONAL_SYSTEM_PLUGIN_METHODS,
+});
+
+const SYSTEM_PLUGIN_ID_PATTERN = /^[A-Za-z][A-Za-z0-9_-]*$/;
+
+/**
+ * @param {unknown} plugin
+ */
+function assertValidSystemPlugin(plugin) {
+  if (!plugin || typeof plugin !== 'object') {
+    throw new Error('System plugin must be an object.');
+  }
+
+  if (typeof plugin.id !== 'string' || !SYSTEM_PLUGIN_ID_PATTERN.test(plugin.id)) {
+    throw new Error(`System plugin id must match ${SYSTEM_PLUGIN_ID_PATTERN}. Received: ${plugin.id}`);
+  }
+
+  for (const methodName of OPTIONAL_SYSTEM_PLUGIN_METHODS) {
+    if (plugin[methodName] !== undefined && typeof plugin[methodName] !== 'function') {
+      throw new Error(`System plugin "${plugin.id}" ${methodName} must be a function when provided.`);
+    }
+  }
+
+  for (const constraint of ['before', 'after']) {
+    const value = plugin[constraint];
+    if (value !== undefined && (!Array.isArray(value) || value.some((entry) => typeof entry !== 'string'))) {
+      throw new Error(`System plugin "${plugin.id}" ${constraint} must be an array of plugin ids when provided.`);
+    }
+  }
+
+  for (const declaration of ['intents', 'events']) {
+    const value = plugin[declaration];
+    if (value !== undefined && (value === null || typeof value !== 'object' || Array.isArray(value))) {
+      throw new Error(`System plugin "${plugin.id}" ${declaration} must be an object keyed by type when provided.`);
+    }
+  }
+
+  for (const [intentType, declaration] of Object.entries(plugin.intents || {})) {
+    if (!declaration || typeof declaration.handle !== 'function') {
+      throw new Error(`System plugin "${plugin.id}" intent ${intentType} must declare a handle() function.`);
+    }
+    if (declaration.preview !== undefined && typeof declaration.preview !== 'function') {
+      throw new Error(`System plugin "${plugin.id}" intent ${intentType} preview must be a function when provided.`);
+    }
+  }
+}
+
+module.exports = {
+  SYSTEM_PLUGIN_CONTRACT,
+  SYSTEM_PLUGIN_PHASE_HOOKS,
+  assertValidSystemPlugin,
+};
@@ -1,5 +1,6 @@
 const { GameEngine } = require('./core/GameEngine');
 const { LayerRegistry } = require('./plugins/LayerRegistry');
+const { SystemPluginRegistry } = require('./plugins/SystemPluginRegistry');
 const {
   parseGameDefinition,
   validateGameDefinitionSchema,
@@ -9,10 +10,17 @@ const {
 const { AuthoringFacade } = require('./authoring/AuthoringFacade');
 const { progressAuthoringMetadata } = require('./authoring/progressAuthoringMetadata');
 const { compileGameDefinition } = require('./authoring/compile/compileGameDefinition');
+const { SaveManager } = require('./systems/save/SaveManager');
+const {
+  FileSystemStorageAdapter,
+  KeyValueStorageAdapter,
+  MemoryStorageAdapter,
+} = require('./systems/save/storageAdapters');
 
 module.exports = {
   GameEngine,
   LayerRegistry,
+  SystemPluginRegistry,
   parseGameDefinition,
   validateGameDefinitionSchema,
   validateReferences,
@@ -20,4 +28,8 @@ module.exports = {
   AuthoringFacade,
   progressAuthoringMetadata,
   compileGameDefinition,
+  SaveManager,
+  MemoryStorageAdapter,
+  KeyValueStorageAdapter,
+  FileSystemStorageAdapter,
 };
@@ -3,9 +3,18 @@ const { assertValidBaseLayerInstance } = require('../core/contracts/BaseLayer');
 class LayerRegistry {
   constructor() {
     this.factoriesByType = new Map();
+    this.catalogsByType = new Map();
   }
 
-  register(type, factory) {
+  /**
+   * @param {string} type
+   * @param {Function} factory
+   * @param {{ intents?: Record<string, Record<string, unknown>>, events?: Record<string, Record<string, unknown>> }} [catalogs]
+   *   intent/event catalog entries this layer type adds; GameEngine registers them at initialize().
+   *   Intents default to `routingTarget: <type>` and are delivered to the instance's onIntent(),
+   *   events default to `producers: [<type>]`.
+   */
+  register(type, factory, catalogs = {}) {
     if (typeof type !== 'string' || type.trim().length === 0) {
       throw new Error('LayerRegistry.register(type, factory): type must be a non-empty string.');
     }
@@ -18,7 +27,27 @@ class LayerRegistry {
       throw new Error(`LayerRegistry.register("${type}"): duplicate registration is not allowed.`);
     }
 
+    for (const declaration of ['intents', 'events']) {
+      const value = catalogs[declaration];
+      if (value !== undefined && (value === null || typeof value !== 'object' || Array.isArray(value))) {
+        throw new Error(`LayerRegistry.register("${type}"): ${declaration} must be an object keyed by type when provided.`);
+      }
+    }
+
     this.factoriesByType.set(type, factory);
+    this.catalogsByType.set(type, { intents: catalogs.intents || {}, events: catalogs.events || {} });
+  }
+
+  /**
+   * Catalog declarations per registered layer type, in registration order.
+   * @returns {Array<{ type: string, intents: Record<string, object>, events: Record<string, object> }>}
+   */
+  getCatalogDeclarations() {
+    return Array.from(this.catalogsByType, ([type, catalogs]) => ({ type, ...catalogs }));
+  }
+
+  has(type) {
+    return this.factoriesByType.has(type);
   }
 
   createLayer(runtimeDefinition, context) {
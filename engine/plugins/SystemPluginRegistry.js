@@ -0,0 +1,72 @@
+const { assertValidSystemPlugin } = require('../core/contracts/SystemPlugin');
+
+class SystemPluginRegistry {
+  constructor() {
+    this.pluginsById = new Map();
+  }
+
+  register(plugin) {
+    assertValidSystemPlugin(plugin);
+
+    if (this.pluginsById.has(plugin.id)) {
+      throw new Error(`SystemPluginRegistry.register("${plugin.id}"): duplicate registration is not allowed.`);
+    }
+
+    this.pluginsById.set(plugin.id, plugin);
+  }
+
+  has(pluginId) {
+    return this.pluginsById.has(pluginId);
+  }
+
+  /**
+   * Deterministic hook order: `before`/`after` constraints are honored and otherwise plugins keep
+   * registration order (stable topological sort). Unknown ids and cycles are configuration errors.
+   * @returns {import('../core/contracts/SystemPlugin').SystemPluginContract[]}
+   */
+  getOrderedPlugins() {
+    const ids = Array.from(this.pluginsById.keys());
+    const dependencies = new Map(ids.map((id) => [id, new Set()]));
+
+    for (const plugin of this.pluginsById.values()) {
+      for (const afterId of plugin.after || []) {
+        this.#assertKnownConstraint(plugin.id, 'after', afterId);
+        dependencies.get(plugin.id).add(afterId);
+      }
+      for (const beforeId of plugin.before || []) {
+        this.#assertKnownConstraint(plugin.id, 'before', beforeId);
+        dependencies.get(beforeId).add(plugin.id);
+      }
+    }
+
+    const ordered = [];
+    const placed = new Set();
+    while (ordered.length < ids.length) {
+      const nextId = ids.find(
+        (id) => !placed.has(id) && Array.from(dependencies.get(id)).every((dependencyId) => placed.has(dependencyId))
+      );
+      if (nextId === undefined) {
+        const blocked = ids.filter((id) => !placed.has(id));
+        throw new Error(`SystemPluginRegistry ordering cycle between: ${blocked.join(', ')}.`);
+      }
+
+      placed.add(nextId);
+      ordered.push(this.pluginsById.get(nextId));
+    }
+
+    return ordered;
+  }
+
+  #assertKnownConstraint(pluginId, constraint, targetId) {
+    if (targetId === pluginId) {
+      throw new Error(`System plugin "${pluginId}" cannot list itself in ${constraint}.`);
+    }
+    if (!this.pluginsById.has(targetId)) {
+      throw new Error(`System plugin "${pluginId}" ${constraint} references unregistered plugin "${targetId}".`);
+    }
+  }
+}
+
+module.exports = {
+  SystemPluginRegistry,
+};
@@ -0,0 +1,97 @@
+const { EVENT_CATALOG, createEventCatalogEntry } = require('./eventCatalog');
+const { INTENT_CATALOG, createIntentCatalogEntry } = require('./intentCatalog');
+
+const BUILT_IN_OWNER = 'engine';
+
+/**
+ * Merged intent or event catalog: the frozen built-in entries plus entries that system plugins,
+ * layer plugins and game definitions register at init time. Every type has exactly one owner, so
+ * a second registration of a type is a collision that names both parties instead of shadowing.
+ */
+class CatalogRegistry {
+  /**
+   * @param {{ kind: 'intent' | 'event', builtIn: Record<string, object>, createEntry: (type: string, entry: object) => object }} options
+   */
+  constructor(options) {
+    this.kind = options.kind;
+    this.createEntry = options.createEntry;
+    this.entries = new Map();
+    for (const [type, entry] of Object.entries(options.builtIn)) {
+      this.entries.set(type, { owner: BUILT_IN_OWNER, entry });
+    }
+  }
+
+  /**
+   * @param {string} type
+   * @param {Record<string, unknown>} entry validated and frozen by the kind's createEntry()
+   * @param {string} owner who declared it, e.g. `SystemPlugin:stats`, `Layer:gachaLayer`, `definition`
+   * @returns {object} the frozen catalog entry
+   */
+  register(type, entry, owner) {
+    const existing = this.entries.get(type);
+    if (existing) {
+      throw new Error(`CatalogRegistry.register: ${this.kind} type ${type} is already cataloged by ${existing.owner}; ${owner} cannot redeclare it.`);
+    }
+
+    const created = this.createEntry(type, entry);
+    this.entries.set(type, { owner, entry: created });
+    return created;
+  }
+
+  /**
+   * Drop every entry `owner` registered (definition catalogs on reloadDefinition()).
+   * @param {string} owner
+   * @returns {string[]} removed types
+   */
+  unregisterOwner(owner) {
+    if (owner === BUILT_IN_OWNER) {
+      throw new Error(`CatalogRegistry.unregisterOwner: built-in ${this.kind} entries cannot be unregistered.`);
+    }
+
+    const removed = [];
+    for (const [type, record] of this.entries) {
+      if (record.owner === owner) {
+        this.entries.delete(type);
+        removed.push(type);
+      }
+    }
+    return removed;
+  }
+
+  has(type) {
+    return this.entries.has(type);
+  }
+
+  get(type) {
+    const record = this.entries.get(type);
+    return record ? record.entry : null;
+  }
+
+  getOwner(type) {
+    const record = this.entries.get(type);
+    return record ? record.owner : null;
+  }
+
+  /**
+   * Built-in entries first, then registrations in order.
+   * @returns {Array<{ type: string, owner: string, entry: object }>}
+   */
+  list() {
+    return Array.from(this.entries, ([type, record]) => ({ type, owner: record.owner, entry: record.entry }));
+  }
+}
+
+function createIntentCatalogRegistry() {
+  return new CatalogRegistry({ kind: 'intent', builtIn: INTENT_CATALOG, createEntry: createIntentCatalogEntry });
+}
+
+function createEventCatalogRegistry() {
+  return new CatalogRegistry({ kind: 'event', builtIn: EVENT_CATALOG, createEntry: createEventCatalogEntry });
+}
+
+module.exports = {
+  BUILT_IN_OWNER,
+  CatalogRegistry,
+  createEventCatalogRegistry,
+  createIntentCatalogRegistry,
+};
@@ -1,3 +1,5 @@
+const { createPayloadValidator } = require('./payloadSchema');
+
 const PHASE_CONSTRAINTS = Object.freeze({
   INPUT: 'input',
   TIME: 'time',
@@ -178,8 +180,45 @@ function getEventCatalogEntry(eventType) {
   return EVENT_CATALOG[eventType] || null;
 }
 
+/**
+ * Validate and freeze an event catalog entry contributed at init time (system plugins, layer plugins, game definitions).
+ * @param {string} eventType
+ * @param {Record<string, unknown>} entry
+ */
+function createEventCatalogEntry(eventType, entry) {
+  if (typeof eventType !== 'string' || eventType.length === 0) {
+    throw new Error('Event catalog type must be a non-empty string.');
+  }
+  if (!isPlainObject(entry) || (typeof entry.validatePayload !== 'function' && !isPlainObject(entry.payloadSchema))) {
+    throw new Error(`Event catalog entry ${eventType} must declare validatePayload(payload) or a payloadSchema.`);
+  }
+
+  const knownPhases = Object.values(PHASE_CONSTRAINTS);
+  const phaseConstraints = entry.phaseConstraints;
+  if (
+    !Array.isArray(phaseConstraints) ||
+    phaseConstraints.length === 0 ||
+    phaseConstraints.some((phase) => !knownPhases.includes(phase))
+  ) {
+    throw new Error(`Event catalog entry ${eventType} phaseConstraints must list phases from: ${knownPhases.join(', ')}.`);
+  }
+
+  const toStringList = (value) => Object.freeze(Array.isArray(value) ? value.filter((item) => typeof item === 'string') : []);
+
+  return Object.freeze({
+    payloadSchema: Object.freeze({ ...(isPlainObject(entry.payloadSchema) ? entry.payloadSchema : {}) }),
+    // Declarative entries (game definitions) get a validator compiled from payloadSchema.
+    validatePayload:
+      typeof entry.validatePayload === 'function' ? entry.validatePayload : createPayloadValidator(entry.payloadSchema),
+    producers: toStringList(entry.producers),
+    consumers: toStringList(entry.consumers),
+    phaseConstraints: Object.freeze(phaseConstraints.slice()),
+  });
+}
+
 module.exports = {
   EVENT_CATALOG,
   PHASE_CONSTRAINTS,
+  createEventCatalogEntry,
   getEventCatalogEntry,
 };
@@ -1,3 +1,5 @@
+const { createPayloadValidator } = require('./payloadSchema');
+
 const LOCK_CHECK_POLICIES = Object.freeze({
   NONE: 'none',
   REJECT_IF_TARGET_LOCKED: 'reject-if-target-locked',
@@ -213,14 +215,98 @@ const INTENT_CATALOG = Object.freeze({
     routingTarget: 'minigameLayer',
     lockCheckPolicy: LOCK_CHECK_POLICIES.REJECT_IF_TARGET_LOCKED,
   }),
+  PAUSE_GAME: Object.freeze({
+    payloadSchema: Object.freeze({}),
+    validatePayload(payload) {
+      if (!isPlainObject(payload)) {
+        return 'payload must be an object';
+      }
+      return null;
+    },
+    routingTarget: 'TimeSystem',
+    lockCheckPolicy: LOCK_CHECK_POLICIES.NONE,
+  }),
+  RESUME_GAME: Object.freeze({
+    payloadSchema: Object.freeze({}),
+    validatePayload(payload) {
+      if (!isPlainObject(payload)) {
+        return 'payload must be an object';
+      }
+      return null;
+    },
+    routingTarget: 'TimeSystem',
+    lockCheckPolicy: LOCK_CHECK_POLICIES.NONE,
+  }),
+  SET_TIME_SCALE: Object.freeze({
+    payloadSchema: Object.freeze({
+      timeScale: 'number',
+    }),
+    validatePayload(payload) {
+      if (!isPlainObject(payload)) {
+        return 'payload must be an object';
+      }
+      if (typeof payload.timeScale !== 'number' || !Number.isFinite(payload.timeScale) || payload.timeScale < 0) {
+        return 'payload.timeScale must be a finite, non-negative number';
+      }
+      return null;
+    },
+    routingTarget: 'TimeSystem',
+    lockCheckPolicy: LOCK_CHECK_POLICIES.NONE,
+  }),
 });
 
 function getIntentCatalogEntry(intentType) {
   return INTENT_CATALOG[intentType] || null;
 }
 
+/**
+ * Validate and freeze an intent catalog entry contributed at init time (system plugins, layer plugins, game definitions).
+ * @param {string} intentType
+ * @param {Record<string, unknown>} entry
+ * @param {{ routingTarget?: string }} [defaults]
+ */
+function createIntentCatalogEntry(intentType, entry, defaults = {}) {
+  if (typeof intentType !== 'string' || intentType.length === 0) {
+    throw new Error('Intent catalog type must be a non-empty string.');
+  }
+  if (!isPlainObject(entry) || (typeof entry.validatePayload !== 'function' && !isPlainObject(entry.payloadSchema))) {
+    throw new Error(`Intent catalog entry ${intentType} must declare validatePayload(payload) or a payloadSchema.`);
+  }
+
+  const lockCheckPolicy = entry.lockCheckPolicy === undefined ? LOCK_CHECK_POLICIES.NONE : entry.lockCheckPolicy;
+  if (!Object.values(LOCK_CHECK_POLICIES).includes(lockCheckPolicy)) {
+    throw new Error(`Intent catalog entry ${intentType} has unknown lockCheckPolicy "${lockCheckPolicy}".`);
+  }
+
+  const routingTarget = entry.routingTarget === undefined ? defaults.routingTarget : entry.routingTarget;
+  if (typeof routingTarget !== 'string' || routingTarget.length === 0) {
+    throw new Error(`Intent catalog entry ${intentType} must declare a routingTarget.`);
+  }
+
+  // Owner-tracked actors: who emits the intent (UI surfaces, plugins) and who handles it (routingTarget by default).
+  const readActors = (field, fallback) => {
+    const value = entry[field] === undefined ? fallback : entry[field];
+    if (!Array.isArray(value) || value.some((actor) => typeof actor !== 'string')) {
+      throw new Error(`Intent catalog entry ${intentType} ${field} must be an array of strings.`);
+    }
+    return Object.freeze(value.slice());
+  };
+
+  return Object.freeze({
+    payloadSchema: Object.freeze({ ...(isPlainObject(entry.payloadSchema) ? entry.payloadSchema : {}) }),
+    // Declarative entries (game definitions) get a validator compiled from payloadSchema.
+    validatePayload:
+      typeof entry.validatePayload === 'function' ? entry.validatePayload : createPayloadValidator(entry.payloadSchema),
+    routingTarget,
+    lockCheckPolicy,
+    producers: readActors('producers', []),
+    consumers: readActors('consumers', [routingTarget]),
+  });
+}
+
 module.exports = {
   INTENT_CATALOG,
   LOCK_CHECK_POLICIES,
+  createIntentCatalogEntry,
   getIntentCatalogEntry,
 };
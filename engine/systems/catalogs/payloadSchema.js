@@ -0,0 +1,70 @@
+const PAYLOAD_FIELD_TYPES = Object.freeze(['string', 'number', 'boolean', 'object']);
+const FIELD_TYPE_PATTERN = /^([a-z]+)(\[\])?(\?)?$/;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Parse a payloadSchema field type such as `string`, `number?` or `string[]?`.
+ * @param {unknown} fieldType
+ * @returns {{ base: string, array: boolean, optional: boolean } | null} null when not a known type
+ */
+function parsePayloadFieldType(fieldType) {
+  const match = typeof fieldType === 'string' ? FIELD_TYPE_PATTERN.exec(fieldType) : null;
+  if (!match || !PAYLOAD_FIELD_TYPES.includes(match[1])) {
+    return null;
+  }
+  return { base: match[1], array: match[2] !== undefined, optional: match[3] !== undefined };
+}
+
+const VALUE_CHECKS = Object.freeze({
+  string: { test: (value) => typeof value === 'string' && value.length > 0, noun: 'a non-empty string', plural: 'strings' },
+  number: { test: (value) => Number.isFinite(value), noun: 'a finite number', plural: 'finite numbers' },
+  boolean: { test: (value) => typeof value === 'boolean', noun: 'a boolean', plural: 'booleans' },
+  object: { test: isPlainObject, noun: 'an object', plural: 'objects' },
+});
+
+/**
+ * Build a deterministic validatePayload(payload) from a declarative payloadSchema, for catalog
+ * entries declared in JSON (game definitions) rather than code. Extra payload keys are allowed,
+ * as in the built-in validators.
+ * @param {Record<string, string>} payloadSchema
+ * @returns {(payload: unknown) => string | null}
+ */
+function createPayloadValidator(payloadSchema) {
+  const fields = Object.entries(payloadSchema).map(([key, fieldType]) => {
+    const parsed = parsePayloadFieldType(fieldType);
+    if (!parsed) {
+      throw new Error(`payloadSchema.${key} has unknown type "${fieldType}". Expected one of: ${PAYLOAD_FIELD_TYPES.join(', ')} (optionally with [] and/or ?).`);
+    }
+    return { key, ...parsed };
+  });
+
+  return (payload) => {
+    if (!isPlainObject(payload)) {
+      return 'payload must be an object';
+    }
+
+    for (const field of fields) {
+      const value = payload[field.key];
+      if (value === undefined && field.optional) {
+        continue;
+      }
+
+      const check = VALUE_CHECKS[field.base];
+      const valid = field.array ? Array.isArray(value) && value.every((item) => check.test(item)) : check.test(value);
+      if (!valid) {
+        const expected = field.array ? `an array of ${check.plural}` : check.noun;
+        return `payload.${field.key} must be ${expected}${field.optional ? ' when provided' : ''}`;
+      }
+    }
+    return null;
+  };
+}
+
+module.exports = {
+  PAYLOAD_FIELD_TYPES,
+  createPayloadValidator,
+  parsePayloadFieldType,
+};
@@ -9,6 +9,12 @@ const { UnlockEvaluator } = require('./unlocks/UnlockEvaluator');
 const { RoutineSystem } = require('./routines/RoutineSystem');
 const { CharacteristicSystem } = require('./stats/CharacteristicSystem');
 const { SaveSystem } = require('./save/SaveSystem');
+const { SaveStringCodec } = require('./save/SaveStringCodec');
+const { SaveReconciler } = require('./save/SaveReconciler');
+const { RandomService, RNG_STATE_PATH } = require('./random/RandomService');
+const { TimerSystem, TIMERS_STATE_PATH } = require('./timers/TimerSystem');
+const { resolveNumericBackend } = require('./numeric/NumericBackend');
+const { ResourceRegistry } = require('./resources/ResourceRegistry');
 const { DEFAULT_COMPATIBILITY_POLICY } = require('../validation/schema/schemaVersionPolicy');
 const { UIComposer } = require('../ui/UIComposer');
 
@@ -18,6 +24,9 @@ const { UIComposer } = require('../ui/UIComposer');
 /** @typedef {import('../core/contracts/UnlockEvaluatorContract').UnlockEvaluatorContract} UnlockEvaluatorContract */
 /** @typedef {import('../core/contracts/ModifierResolverContract').ModifierResolverContract} ModifierResolverContract */
 
+// Canonical paths owned by engine services: preserved by layer resets and never quarantined by save reconciliation.
+const ENGINE_OWNED_PATHS = Object.freeze([RNG_STATE_PATH, TIMERS_STATE_PATH]);
+
 function createRuntimeSystems(options = {}) {
   const strictValidation = options.devModeStrict !== false;
   const definition = options.definition || { state: {}, layers: [] };
@@ -33,23 +42,66 @@ function createRuntimeSystems(options = {}) {
       strictValidation,
       maxEventsPerTick: options.maxEventsPerTick,
       maxDispatchCyclesPerTick: options.maxDispatchCyclesPerTick,
+      traceCapacity: options.eventTraceCapacity,
     });
   /** @type {StateStoreContract} */
   const stateStore = options.stateStore || new StateStore(definition.state || {});
+  // The canonical root node changes identity on every canonical write, so it doubles as a version.
+  if (typeof eventBus.setStateVersionProbe === 'function' && 'canonicalState' in stateStore) {
+    eventBus.setStateVersionProbe(() => stateStore.canonicalState);
+  }
   const timeSystem =
     options.timeSystem ||
     new TimeSystem({
       tickRate: options.tickRate,
       now: options.now,
+      mode: options.timeStepMode,
+      maxStepsPerFrame: options.maxStepsPerFrame,
+    });
+  const definitionSystems = (definition && definition.systems) || {};
+  const randomService =
+    options.randomService ||
+    new RandomService({
+      stateStore,
+      seed: options.rngSeed !== undefined ? options.rngSeed : definitionSystems.rngSeed,
     });
+  const timerSystem =
+    options.timerSystem ||
+    new TimerSystem({
+      stateStore,
+      eventBus,
+      getNextUpdateTick: options.getNextTimerTick,
+    });
+  const numeric = resolveNumericBackend(
+    options.numericBackend !== undefined ? options.numericBackend : definitionSystems.numericBackend
+  );
   /** @type {ModifierResolverContract} */
-  const modifierResolver = options.modifierResolver || new ModifierResolver({ definition });
-  const multiplierCompiler = options.multiplierCompiler || new MultiplierCompiler({ stateStore });
+  const modifierResolver = options.modifierResolver || new ModifierResolver({ definition, numeric });
+  const multiplierCompiler = options.multiplierCompiler || new MultiplierCompiler({ stateStore, numeric });
+  const resourceRegistry =
+    options.resourceRegistry || new ResourceRegistry({ definition, numeric, multiplierCompiler });
+  const writeNormalizer = resourceRegistry.hasDeclarations()
+    ? (path, value) => resourceRegistry.normalizeWrite(path, value)
+    : null;
+  // An injected store may be live (reloadDefinition): its owner installs writeNormalizer and creates
+  // engine-owned state once the swap commits.
+  if (!options.stateStore) {
+    if (typeof stateStore.setWriteNormalizer === 'function') {
+      stateStore.setWriteNormalizer(writeNormalizer);
+    }
+    if (!options.randomService) {
+      randomService.ensureState();
+    }
+    if (!options.timerSystem) {
+      timerSystem.ensureState();
+    }
+  }
   const characteristicSystem =
     options.characteristicSystem ||
     new CharacteristicSystem({
       definition,
       stateStore,
+      numeric,
     });
   const uiComposer = options.uiComposer || new UIComposer();
   const saveSystem =
@@ -57,7 +109,12 @@ function createRuntimeSystems(options = {}) {
     new SaveSystem({
       schemaVersion,
       compatibilityPolicy: schemaVersionPolicy,
+      migrations: options.saveMigrations,
     });
+  const gameId = definition && definition.meta && definition.meta.gameId;
+  const hasGameId = typeof gameId === 'string' && gameId.length > 0;
+  const saveStringCodec = options.saveStringCodec || (hasGameId ? new SaveStringCodec({ saveSystem, gameId }) : null);
+  const saveReconciler = options.saveReconciler || new SaveReconciler({ definition, engineOwnedPaths: ENGINE_OWNED_PATHS });
 
   const hasInjectedNodeLockResolver = typeof options.isNodeLocked === 'function';
   if (!options.intentRouter && strictValidation && !hasInjectedNodeLockResolver) {
@@ -82,6 +139,7 @@ function createRuntimeSystems(options = {}) {
       definition,
       stateStore,
       eventBus,
+      engineOwnedPaths: ENGINE_OWNED_PATHS,
     });
 
   /** @type {UnlockEvaluatorContract} */
@@ -91,6 +149,7 @@ function createRuntimeSystems(options = {}) {
       definition,
       stateStore,
       eventBus,
+      numeric,
     });
 
   const routineSystem =
@@ -102,6 +161,8 @@ function createRuntimeSystems(options = {}) {
       multiplierCompiler,
       characteristicSystem,
       eventBus,
+      numeric,
+      resourceRegistry,
     });
 
   return {
@@ -116,6 +177,13 @@ function createRuntimeSystems(options = {}) {
     unlockEvaluator,
     routineSystem,
     saveSystem,
+    saveStringCodec,
+    saveReconciler,
+    randomService,
+    timerSystem,
+    numeric,
+    resourceRegistry,
+    writeNormalizer,
     uiComposer,
   };
 }
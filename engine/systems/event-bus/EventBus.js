@@ -1,7 +1,11 @@
-const { getEventCatalogEntry } = require('../catalogs/eventCatalog');
+const { createEventCatalogRegistry } = require('../catalogs/CatalogRegistry');
+
+const WILDCARD = '*';
+const DEFAULT_TRACE_CAPACITY = 1000;
 
 /** @typedef {import('../../core/contracts/EventBusContract').EventBusContract} EventBusContract */
 /** @typedef {import('../../core/contracts/EventBusContract').RuntimeEvent} RuntimeEvent */
+/** @typedef {import('../../core/contracts/EventBusContract').EventTraceRecord} EventTraceRecord */
 
 /** @implements {EventBusContract} */
 class EventBus {
@@ -10,9 +14,28 @@ class EventBus {
     this.allowedPhase = options.allowedPhase || null;
     this.maxEventsPerTick = this.#normalizeMaxEventsPerTick(options.maxEventsPerTick);
     this.maxDispatchCyclesPerTick = this.#normalizeMaxDispatchCyclesPerTick(options.maxDispatchCyclesPerTick);
+    this.traceCapacity = this.#normalizeTraceCapacity(options.traceCapacity);
+    // Set by GameEngine for the duration of each tick, like allowedPhase.
+    this.currentTick = null;
     this.queue = [];
+    // eventType or pattern -> (token -> subscriber), plus token -> subscriber for O(1) unsubscribe.
     this.subscribers = new Map();
+    this.subscribersByToken = new Map();
+    // Priority-ordered subscriber snapshot, rebuilt at the next cycle start after any churn.
+    this.dispatchSnapshot = null;
+    /** @type {import('../catalogs/CatalogRegistry').CatalogRegistry} built-in + registered event entries */
+    this.catalog = options.catalog || createEventCatalogRegistry();
     this.nextToken = 1;
+    this.nextEventId = 1;
+    this.nextIntentId = 1;
+    // Causality: frames for the intents/events being handled, and a bounded id -> trace record log.
+    this.causeStack = [];
+    this.traceRecords = new Map();
+    this.stateVersionProbe = null;
+    this.lastStateChange = null;
+    // Types dropped by withPublishingBlocked(); null while publishing is allowed.
+    this.blockedPublishes = null;
+    this.profiler = null;
     this.lastDispatchReport = {
       cyclesProcessed: 0,
       eventsProcessed: 0,
@@ -23,47 +46,226 @@ class EventBus {
   }
 
   publish(event) {
+    if (this.blockedPublishes) {
+      this.blockedPublishes.push(String(event && event.type));
+      return;
+    }
+
     const normalized = this.#normalizeEvent(event);
 
     if (this.strictValidation) {
       this.#validateAgainstCatalog(normalized);
     }
 
+    const frame = this.causeStack[this.causeStack.length - 1];
+    if (frame && this.stateVersionProbe && this.stateVersionProbe() !== frame.versionBefore) {
+      frame.announcedBy = normalized.id;
+    }
+    this.#recordTrace({
+      id: normalized.id,
+      kind: 'event',
+      type: normalized.type,
+      source: normalized.source,
+      tick: normalized.tick,
+      phase: normalized.phase,
+      causedBy: normalized.causedBy,
+    });
+
     // Queue-only publish invariant:
     // publish() never invokes subscribers directly and never mutates dispatch order.
     // Every event is appended and delivered by a later dispatchQueued() cycle.
     this.queue.push(normalized);
   }
 
-  subscribe(eventType, handler, scope) {
+  /**
+   * Run `fn` with publishing blocked: anything it publishes is dropped before it gets an id, a trace
+   * record or a queue slot. GameEngine.previewIntent() runs preview steps this way so a dry run can
+   * never queue a real event.
+   * @template T
+   * @param {() => T} fn
+   * @returns {{ result: T, blocked: string[] }} `blocked` lists the dropped event types in order
+   */
+  withPublishingBlocked(fn) {
+    const outer = this.blockedPublishes;
+    const blocked = [];
+    this.blockedPublishes = blocked;
+    try {
+      return { result: fn(), blocked };
+    } finally {
+      this.blockedPublishes = outer;
+      if (outer) {
+        outer.push(...blocked);
+      }
+    }
+  }
+
+  /**
+   * Extend this bus's event catalog with a type no other owner has cataloged.
+   * @param {string} eventType
+   * @param {Record<string, unknown>} entry see createEventCatalogEntry()
+   * @param {string} [owner] reported when another owner later collides with this type
+   */
+  registerCatalogEntry(eventType, entry, owner = 'runtime') {
+    return this.catalog.register(eventType, entry, owner);
+  }
+
+  /**
+   * Give an intent a trace id so events published while it is routed (inside withCause) link to it.
+   * @param {{ type: string, source?: string }} intent
+   * @returns {string}
+   */
+  traceIntent(intent) {
+    const id = `intent_${this.nextIntentId++}`;
+    this.#recordTrace({
+      id,
+      kind: 'intent',
+      type: intent.type,
+      source: intent.source || 'unknown',
+      tick: this.currentTick,
+      phase: this.allowedPhase,
+      causedBy: null,
+    });
+    return id;
+  }
+
+  /**
+   * Run `fn` with `causeId` (an event or intent id, or null) as the `causedBy` of every event it
+   * publishes. Dispatch wraps each handler this way; GameEngine wraps intent routing.
+   * @template T
+   * @param {string | null} causeId
+   * @param {() => T} fn
+   * @returns {T}
+   */
+  withCause(causeId, fn) {
+    const frame = {
+      causeId,
+      versionBefore: this.stateVersionProbe ? this.stateVersionProbe() : undefined,
+      announcedBy: null,
+    };
+    this.causeStack.push(frame);
+    try {
+      return fn();
+    } finally {
+      this.causeStack.pop();
+      if (this.stateVersionProbe && causeId !== null) {
+        const versionAfter = this.stateVersionProbe();
+        // A nested cause that already claimed this exact change keeps it.
+        const claimed = this.lastStateChange !== null && this.lastStateChange.version === versionAfter;
+        if (versionAfter !== frame.versionBefore && !claimed) {
+          // An event published after the write (LAYER_RESET_EXECUTED) announces it and is the closer cause.
+          this.lastStateChange = { causeId: frame.announcedBy || causeId, version: versionAfter };
+        }
+      }
+    }
+  }
+
+  /**
+   * Install a probe returning a value that changes whenever canonical state does (the store's
+   * root node). It lets systems that react to state rather than events, such as unlock
+   * evaluation, attribute what they publish via resolveStateChangeCause().
+   * @param {(() => unknown) | null} probe
+   */
+  setStateVersionProbe(probe) {
+    this.stateVersionProbe = probe || null;
+    this.lastStateChange = null;
+  }
+
+  /**
+   * Id of the intent or event whose handling produced the current canonical state, or null when
+   * state has changed since outside any traced cause (routine production, loads) or no probe is set.
+   * @returns {string | null}
+   */
+  resolveStateChangeCause() {
+    if (!this.stateVersionProbe || !this.lastStateChange) {
+      return null;
+    }
+    return this.stateVersionProbe() === this.lastStateChange.version ? this.lastStateChange.causeId : null;
+  }
+
+  /**
+   * Causal chain ending at `id`, root first: e.g. intent REQUEST_LAYER_RESET, then
+   * LAYER_RESET_REQUESTED, LAYER_RESET_EXECUTED and UNLOCKED. The chain stops early at causes
+   * that were evicted from the bounded trace log; unknown ids return an empty array.
+   * @param {string} id event or intent id
+   * @returns {EventTraceRecord[]}
+   */
+  getTrace(id) {
+    const chain = [];
+    let record = this.traceRecords.get(id);
+    while (record) {
+      chain.unshift(record);
+      record = record.causedBy === null ? null : this.traceRecords.get(record.causedBy);
+    }
+    return chain;
+  }
+
+  /**
+   * Attach (or detach with null) a TickProfiler that times handlers per subscriber scope.
+   * @param {import('../perf/TickProfiler').TickProfiler | null} profiler
+   */
+  setProfiler(profiler) {
+    this.profiler = profiler || null;
+  }
+
+  /**
+   * Subscribe to an exact event type, a prefix pattern (`ROUTINE_*`) or every event (`*`).
+   * Higher `priority` runs first; equal priorities run in subscription order, so delivery
+   * order is a pure function of the subscribe/unsubscribe sequence.
+   * @param {string} eventType
+   * @param {(event: RuntimeEvent) => void} handler
+   * @param {unknown} [scope] profiler attribution label
+   * @param {{ priority?: number }} [options]
+   * @returns {string} token for unsubscribe()
+   */
+  subscribe(eventType, handler, scope, options = {}) {
     if (typeof eventType !== 'string' || eventType.length === 0) {
       throw new Error('eventType must be a non-empty string');
     }
+    const wildcardIndex = eventType.indexOf(WILDCARD);
+    if (wildcardIndex !== -1 && wildcardIndex !== eventType.length - 1) {
+      throw new Error(`eventType wildcard must be a single trailing "${WILDCARD}": ${eventType}`);
+    }
     if (typeof handler !== 'function') {
       throw new Error('handler must be a function');
     }
+    const priority = options.priority === undefined ? 0 : options.priority;
+    if (!Number.isFinite(priority)) {
+      throw new Error('priority must be a finite number when provided.');
+    }
+
+    const sequence = this.nextToken++;
+    const subscriber = {
+      token: `sub_${sequence}`,
+      eventType,
+      prefix: wildcardIndex === -1 ? null : eventType.slice(0, -1),
+      handler,
+      scope: scope || null,
+      priority,
+      sequence,
+    };
 
-    const token = `sub_${this.nextToken++}`;
-    const list = this.subscribers.get(eventType) || [];
-    list.push({ token, handler, scope: scope || null });
-    this.subscribers.set(eventType, list);
-    return token;
+    const group = this.subscribers.get(eventType) || new Map();
+    group.set(subscriber.token, subscriber);
+    this.subscribers.set(eventType, group);
+    this.subscribersByToken.set(subscriber.token, subscriber);
+    this.dispatchSnapshot = null;
+    return subscriber.token;
   }
 
   unsubscribe(token) {
-    for (const [eventType, subscribers] of this.subscribers.entries()) {
-      const filtered = subscribers.filter((subscriber) => subscriber.token !== token);
-      if (filtered.length !== subscribers.length) {
-        if (filtered.length === 0) {
-          this.subscribers.delete(eventType);
-        } else {
-          this.subscribers.set(eventType, filtered);
-        }
-        return true;
-      }
+    const subscriber = this.subscribersByToken.get(token);
+    if (!subscriber) {
+      return false;
     }
 
-    return false;
+    this.subscribersByToken.delete(token);
+    const group = this.subscribers.get(subscriber.eventType);
+    group.delete(token);
+    if (group.size === 0) {
+      this.subscribers.delete(subscriber.eventType);
+    }
+    this.dispatchSnapshot = null;
+    return true;
   }
 
   dispatchQueued() {
@@ -81,10 +283,8 @@ class EventBus {
       const dispatchQueue = this.queue;
       this.queue = [];
 
-      const snapshot = new Map();
-      for (const [eventType, subscribers] of this.subscribers.entries()) {
-        snapshot.set(eventType, subscribers.slice());
-      }
+      // Snapshot invariant: subscribe/unsubscribe during this cycle only affect later cycles.
+      const snapshot = this.#takeDispatchSnapshot();
 
       for (const event of dispatchQueue) {
         processedEvents += 1;
@@ -94,9 +294,14 @@ class EventBus {
           );
         }
 
-        const handlers = snapshot.get(event.type) || [];
+        const handlers = this.#resolveHandlers(snapshot, event.type);
         for (const subscriber of handlers) {
-          subscriber.handler(event);
+          const deliver = () => this.withCause(event.id, () => subscriber.handler(event));
+          if (this.profiler) {
+            this.profiler.measure('subscribers', subscriber.scope || 'unscoped', deliver);
+          } else {
+            deliver();
+          }
           delivered += 1;
         }
       }
@@ -119,6 +324,46 @@ class EventBus {
     return { ...this.lastDispatchReport };
   }
 
+  #takeDispatchSnapshot() {
+    if (!this.dispatchSnapshot) {
+      const ordered = Array.from(this.subscribersByToken.values()).sort(
+        (left, right) => right.priority - left.priority || left.sequence - right.sequence
+      );
+      this.dispatchSnapshot = { ordered, handlersByType: new Map() };
+    }
+    return this.dispatchSnapshot;
+  }
+
+  #resolveHandlers(snapshot, eventType) {
+    let handlers = snapshot.handlersByType.get(eventType);
+    if (!handlers) {
+      handlers = snapshot.ordered.filter((subscriber) =>
+        subscriber.prefix === null ? subscriber.eventType === eventType : eventType.startsWith(subscriber.prefix)
+      );
+      snapshot.handlersByType.set(eventType, handlers);
+    }
+    return handlers;
+  }
+
+  #recordTrace(record) {
+    this.traceRecords.set(record.id, Object.freeze(record));
+    if (this.traceRecords.size > this.traceCapacity) {
+      this.traceRecords.delete(this.traceRecords.keys().next().value);
+    }
+  }
+
+  #normalizeTraceCapacity(value) {
+    if (value === undefined || value === null) {
+      return DEFAULT_TRACE_CAPACITY;
+    }
+
+    if (!Number.isInteger(value) || value <= 0) {
+      throw new Error('traceCapacity must be a positive integer when provided.');
+    }
+
+    return value;
+  }
+
   #normalizeMaxEventsPerTick(value) {
     if (value === undefined || value === null) {
       return 10000;
@@ -153,19 +398,22 @@ class EventBus {
 
     /** @type {RuntimeEvent} */
     const normalizedEvent = {
+      id: `evt_${this.nextEventId++}`,
       type: event.type,
       payload: event.payload || {},
       ts: event.ts || 0,
       source: event.source || 'unknown',
       phase: event.phase || this.allowedPhase || null,
       meta: event.meta || {},
+      tick: Number.isInteger(event.tick) ? event.tick : this.currentTick,
+      causedBy: event.causedBy || (this.causeStack.length > 0 ? this.causeStack[this.causeStack.length - 1].causeId : null),
     };
 
     return normalizedEvent;
   }
 
   #validateAgainstCatalog(event) {
-    const entry = getEventCatalogEntry(event.type);
+    const entry = this.catalog.get(event.type);
     if (!entry) {
       throw new Error(`Event catalog missing entry for type: ${event.type}`);
     }
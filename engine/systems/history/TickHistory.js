@@ -0,0 +1,91 @@
+/**
+ * @typedef {object} TickHistoryEntry
+ * @property {number} tick engine tick index this entry starts
+ * @property {number} dt dt the tick ran with
+ * @property {{ canonical: Record<string, unknown>, runtime: { routines: unknown, unlocks: unknown, intentQueue: Record<string, unknown>[] } }} state
+ *   engine state before the tick; `runtime.intentQueue` holds exactly the intents the tick routed
+ */
+
+/**
+ * Fixed-capacity ring buffer of consecutive tick entries, oldest evicted first.
+ */
+class TickHistory {
+  constructor(options = {}) {
+    this.capacity = options.capacity === undefined ? 600 : options.capacity;
+    if (!Number.isInteger(this.capacity) || this.capacity <= 0) {
+      throw new Error('TickHistory capacity must be a positive integer when provided.');
+    }
+
+    this.slots = new Array(this.capacity);
+    this.start = 0;
+    this.size = 0;
+  }
+
+  get oldestTick() {
+    return this.size > 0 ? this.slots[this.start].tick : null;
+  }
+
+  get newestTick() {
+    return this.size > 0 ? this.slots[(this.start + this.size - 1) % this.capacity].tick : null;
+  }
+
+  /**
+   * Append the entry for the tick after newestTick; a non-consecutive tick starts a new history.
+   * @param {TickHistoryEntry} entry
+   */
+  record(entry) {
+    if (this.size > 0 && entry.tick !== this.newestTick + 1) {
+      this.clear();
+    }
+
+    if (this.size < this.capacity) {
+      this.slots[(this.start + this.size) % this.capacity] = entry;
+      this.size += 1;
+      return;
+    }
+
+    this.slots[this.start] = entry;
+    this.start = (this.start + 1) % this.capacity;
+  }
+
+  /**
+   * @param {number} tick
+   * @returns {TickHistoryEntry | null}
+   */
+  get(tick) {
+    if (this.size === 0 || !Number.isInteger(tick) || tick < this.oldestTick || tick > this.newestTick) {
+      return null;
+    }
+    return this.slots[(this.start + tick - this.oldestTick) % this.capacity];
+  }
+
+  /**
+   * Forget `tick` and everything after it (the future of a rewound timeline).
+   * @param {number} tick
+   */
+  truncateFrom(tick) {
+    if (this.size === 0 || tick > this.newestTick) {
+      return;
+    }
+    if (tick <= this.oldestTick) {
+      this.clear();
+      return;
+    }
+
+    const keep = tick - this.oldestTick;
+    for (let index = keep; index < this.size; index += 1) {
+      this.slots[(this.start + index) % this.capacity] = undefined;
+    }
+    this.size = keep;
+  }
+
+  clear() {
+    this.slots = new Array(this.capacity);
+    this.start = 0;
+    this.size = 0;
+  }
+}
+
+module.exports = {
+  TickHistory,
+};
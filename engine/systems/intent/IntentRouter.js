@@ -1,40 +1,164 @@
-const { getIntentCatalogEntry, LOCK_CHECK_POLICIES } = require('../catalogs/intentCatalog');
+const { LOCK_CHECK_POLICIES } = require('../catalogs/intentCatalog');
+const { createIntentCatalogRegistry } = require('../catalogs/CatalogRegistry');
+
+const REJECTION_CODE_PATTERN = /^[A-Z][A-Z0-9_]*$/;
 
 /** @typedef {import('../../core/contracts/IntentRouterContract').IntentRouterContract} IntentRouterContract */
+/** @typedef {import('../../core/contracts/IntentRouterContract').RuntimeIntent} RuntimeIntent */
+/** @typedef {import('../../core/contracts/IntentRouterContract').IntentRouteResult} IntentRouteResult */
+/** @typedef {import('../../core/contracts/IntentRouterContract').IntentMiddlewareContext} IntentMiddlewareContext */
 
 /** @implements {IntentRouterContract} */
 class IntentRouter {
   constructor(options = {}) {
     this.strictValidation = options.strictValidation !== false;
     this.handlers = new Map();
+    this.previews = new Map();
+    /** @type {import('../catalogs/CatalogRegistry').CatalogRegistry} built-in + registered intent entries */
+    this.catalog = options.catalog || createIntentCatalogRegistry();
     this.isNodeLocked = options.isNodeLocked || (() => false);
+    // Kept sorted by priority (highest first), then registration order.
+    this.middleware = [];
+    this.middlewareSequence = 0;
+  }
+
+  /**
+   * Extend this router's intent catalog with a type no other owner has cataloged.
+   * @param {string} intentType
+   * @param {Record<string, unknown>} entry see createIntentCatalogEntry()
+   * @param {string} [owner] reported when another owner later collides with this type
+   */
+  registerCatalogEntry(intentType, entry, owner = 'runtime') {
+    return this.catalog.register(intentType, entry, owner);
   }
 
-  register(intentType, handler) {
+  /**
+   * @param {string} intentType
+   * @param {(intent: RuntimeIntent, entry: Record<string, unknown>) => unknown} handler
+   * @param {{ preview?: (intent: RuntimeIntent, entry: Record<string, unknown>) => unknown }} [options]
+   *   `preview` is the handler's read-only dry run: it returns what the handler would return, without writing
+   *   state or publishing events
+   */
+  register(intentType, handler, options = {}) {
     if (typeof intentType !== 'string' || intentType.length === 0) {
       throw new Error('intentType must be a non-empty string');
     }
     if (typeof handler !== 'function') {
       throw new Error('handler must be a function');
     }
+    if (options.preview !== undefined && typeof options.preview !== 'function') {
+      throw new Error('preview must be a function when provided');
+    }
 
     this.handlers.set(intentType, handler);
+    if (options.preview) {
+      this.previews.set(intentType, options.preview);
+    } else {
+      this.previews.delete(intentType);
+    }
+  }
+
+  /**
+   * Add a middleware to every route() and preview() call. Middleware runs after catalog lookup and payload
+   * validation, and before the lock check and handler, so it only ever sees well-formed intents.
+   * It must be synchronous and return either `next()`'s result (optionally after inspecting it),
+   * `next(transformedIntent)`'s result (re-validated against the catalog), or `context.reject(code, reason)`.
+   * @param {(intent: RuntimeIntent, next: (intent?: RuntimeIntent) => IntentRouteResult, context: IntentMiddlewareContext) => IntentRouteResult} middleware
+   * @param {{ id?: string, priority?: number, types?: string[] }} [options] higher priority runs first;
+   *   `types` limits the middleware to those intent types
+   * @returns {string} middleware id, for removeMiddleware()
+   */
+  use(middleware, options = {}) {
+    if (typeof middleware !== 'function') {
+      throw new Error('IntentRouter.use(middleware): middleware must be a function.');
+    }
+    const priority = options.priority === undefined ? 0 : options.priority;
+    if (!Number.isFinite(priority)) {
+      throw new Error(`IntentRouter.use(middleware): priority must be a finite number. Received: ${options.priority}`);
+    }
+    if (options.types !== undefined && (!Array.isArray(options.types) || options.types.some((type) => typeof type !== 'string'))) {
+      throw new Error('IntentRouter.use(middleware): types must be an array of intent types when provided.');
+    }
+
+    const sequence = this.middlewareSequence;
+    const id = options.id === undefined ? `middleware_${sequence}` : options.id;
+    if (typeof id !== 'string' || id.length === 0) {
+      throw new Error('IntentRouter.use(middleware): id must be a non-empty string when provided.');
+    }
+    if (this.middleware.some((registered) => registered.id === id)) {
+      throw new Error(`IntentRouter.use(middleware): middleware "${id}" is already registered.`);
+    }
+
+    this.middlewareSequence += 1;
+    this.middleware.push({ id, priority, sequence, types: options.types ? new Set(options.types) : null, handle: middleware });
+    this.middleware.sort((left, right) => right.priority - left.priority || left.sequence - right.sequence);
+    return id;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {boolean} false when no such middleware is registered
+   */
+  removeMiddleware(id) {
+    const index = this.middleware.findIndex((registered) => registered.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    this.middleware.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Middleware ids in the order route() runs them.
+   * @returns {string[]}
+   */
+  listMiddleware() {
+    return this.middleware.map((registered) => registered.id);
   }
 
   route(intent) {
     const normalized = this.#normalizeIntent(intent);
-    const entry = getIntentCatalogEntry(normalized.type);
+    const resolved = this.#resolve(normalized);
+    if (!resolved.entry) {
+      return resolved;
+    }
+
+    // Snapshot: middleware added or removed while routing applies from the next route() call.
+    return this.#runMiddleware(this.middleware.slice(), 0, normalized, resolved.entry, false);
+  }
+
+  /**
+   * Dry-run route(): the same catalog, payload, middleware and lock checks with the same result codes,
+   * but the handler's registered preview step runs instead of the handler. Middleware sees
+   * `context.preview === true` and must not record anything for previews. `previewed` is false when
+   * the handler has no preview step; the intent would still be routed.
+   * @param {RuntimeIntent} intent
+   * @returns {IntentRouteResult & { previewed?: boolean }}
+   */
+  preview(intent) {
+    const normalized = this.#normalizeIntent(intent);
+    const resolved = this.#resolve(normalized);
+    if (!resolved.entry) {
+      return resolved;
+    }
+
+    return this.#runMiddleware(this.middleware.slice(), 0, normalized, resolved.entry, true);
+  }
+
+  #resolve(intent) {
+    const entry = this.catalog.get(intent.type);
 
     if (!entry) {
       return {
         ok: false,
         code: 'INTENT_CATALOG_MISSING',
-        reason: `Intent catalog missing entry for type ${normalized.type}`,
+        reason: `Intent catalog missing entry for type ${intent.type}`,
       };
     }
 
     if (this.strictValidation) {
-      const payloadError = entry.validatePayload(normalized.payload);
+      const payloadError = entry.validatePayload(intent.payload);
       if (payloadError) {
         return {
           ok: false,
@@ -44,8 +168,61 @@ class IntentRouter {
       }
     }
 
+    return { entry };
+  }
+
+  #runMiddleware(chain, start, intent, entry, preview) {
+    let index = start;
+    while (index < chain.length && chain[index].types && !chain[index].types.has(intent.type)) {
+      index += 1;
+    }
+    if (index === chain.length) {
+      return this.#dispatch(intent, entry, preview);
+    }
+
+    const middleware = chain[index];
+    let nextCalled = false;
+    const next = (transformed) => {
+      if (nextCalled) {
+        throw new Error(`IntentRouter middleware "${middleware.id}" called next() more than once.`);
+      }
+      nextCalled = true;
+      if (transformed === undefined) {
+        return this.#runMiddleware(chain, index + 1, intent, entry, preview);
+      }
+
+      const normalized = this.#normalizeIntent(transformed);
+      const resolved = this.#resolve(normalized);
+      return resolved.entry ? this.#runMiddleware(chain, index + 1, normalized, resolved.entry, preview) : resolved;
+    };
+    const context = {
+      entry,
+      routingTarget: entry.routingTarget,
+      preview,
+      reject: (code, reason) => {
+        if (typeof code !== 'string' || !REJECTION_CODE_PATTERN.test(code)) {
+          throw new Error(`IntentRouter middleware "${middleware.id}" rejection code must match ${REJECTION_CODE_PATTERN}. Received: ${code}`);
+        }
+        return {
+          ok: false,
+          code,
+          reason: reason === undefined ? `Rejected by intent middleware ${middleware.id}` : String(reason),
+          routingTarget: entry.routingTarget,
+          middleware: middleware.id,
+        };
+      },
+    };
+
+    const result = middleware.handle(intent, next, context);
+    if (!result || typeof result !== 'object' || typeof result.ok !== 'boolean' || typeof result.code !== 'string') {
+      throw new Error(`IntentRouter middleware "${middleware.id}" must return next()'s result or context.reject(code, reason).`);
+    }
+    return result;
+  }
+
+  #dispatch(intent, entry, preview) {
     if (entry.lockCheckPolicy === LOCK_CHECK_POLICIES.REJECT_IF_TARGET_LOCKED) {
-      const targetRef = normalized.payload.targetRef;
+      const targetRef = intent.payload.targetRef;
       if (targetRef && this.isNodeLocked(targetRef)) {
         return {
           ok: false,
@@ -56,17 +233,28 @@ class IntentRouter {
       }
     }
 
-    const handler = this.handlers.get(normalized.type);
+    const handler = this.handlers.get(intent.type);
     if (!handler) {
       return {
         ok: false,
         code: 'INTENT_HANDLER_MISSING',
-        reason: `No handler registered for intent ${normalized.type}`,
+        reason: `No handler registered for intent ${intent.type}`,
+        routingTarget: entry.routingTarget,
+      };
+    }
+
+    if (preview) {
+      const previewStep = this.previews.get(intent.type);
+      return {
+        ok: true,
+        code: 'INTENT_ROUTED',
         routingTarget: entry.routingTarget,
+        result: previewStep ? previewStep(intent, entry) : undefined,
+        previewed: Boolean(previewStep),
       };
     }
 
-    const result = handler(normalized, entry);
+    const result = handler(intent, entry);
     return {
       ok: true,
       code: 'INTENT_ROUTED',
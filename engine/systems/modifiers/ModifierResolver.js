@@ -1,5 +1,6 @@
 const { normalizeNodeRef } = require('../unlocks/nodeRef');
 const { applySoftcap } = require('./applySoftcap');
+const { NUMBER_BACKEND } = require('../numeric/NumericBackend');
 
 /** @typedef {import('../../core/contracts/ModifierResolverContract').ModifierResolverContract} ModifierResolverContract */
 
@@ -7,11 +8,12 @@ const { applySoftcap } = require('./applySoftcap');
 class ModifierResolver {
   constructor(options = {}) {
     this.definition = options.definition || { layers: [] };
+    this.numeric = options.numeric || NUMBER_BACKEND;
     this.softcapsByTargetAndKey = this.#indexSoftcaps(this.definition);
   }
 
   resolve(targetRef, key, baseValue) {
-    if (!Number.isFinite(baseValue)) {
+    if (!this.numeric.isValue(baseValue)) {
       throw new Error('baseValue must be a finite number');
     }
 
@@ -20,7 +22,7 @@ class ModifierResolver {
 
     let result = baseValue;
     for (const softcap of softcaps) {
-      result = applySoftcap(result, softcap);
+      result = applySoftcap(result, softcap, this.numeric);
     }
 
     return result;
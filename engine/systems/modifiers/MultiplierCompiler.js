@@ -1,3 +1,5 @@
+const { NUMBER_BACKEND } = require('../numeric/NumericBackend');
+
 function isPlainObject(value) {
   return value !== null && typeof value === 'object' && !Array.isArray(value);
 }
@@ -6,6 +8,7 @@ class MultiplierCompiler {
   constructor(options = {}) {
     this.stateStore = options.stateStore || null;
     this.derivedPath = options.derivedPath || 'multipliers';
+    this.numeric = options.numeric || NUMBER_BACKEND;
     this.snapshot = { layers: {} };
   }
 
@@ -43,7 +46,7 @@ class MultiplierCompiler {
     }
 
     const value = byLayer[key];
-    return Number.isFinite(value) ? value : 1;
+    return this.numeric.isValue(value) ? value : 1;
   }
 
   #compileLayer(layerState) {
@@ -71,16 +74,16 @@ class MultiplierCompiler {
       let additiveTotal = 0;
 
       for (const entry of entries) {
-        const value = Number(entry);
-        if (Number.isFinite(value)) {
-          additiveTotal += value;
+        const value = this.numeric.parse(entry);
+        if (value !== null) {
+          additiveTotal = this.numeric.add(additiveTotal, value);
         }
       }
 
-      total *= 1 + additiveTotal;
+      total = this.numeric.mul(total, this.numeric.add(1, additiveTotal));
     }
 
-    return Number.isFinite(total) && total >= 0 ? total : 1;
+    return this.numeric.isValue(total) && this.numeric.cmp(total, 0) >= 0 ? total : 1;
   }
 }
 
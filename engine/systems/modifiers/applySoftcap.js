@@ -1,24 +1,31 @@
+const { NUMBER_BACKEND } = require('../numeric/NumericBackend');
+
 const SUPPORTED_SOFTCAP_MODES = Object.freeze(['power']);
 
-function applySoftcap(value, softcap) {
-  if (!Number.isFinite(value)) {
+/**
+ * @param {unknown} value amount in the `numeric` backend
+ * @param {{ softcapAt: number | string, mode: string, power?: number }} softcap
+ * @param {import('../../core/contracts/NumericBackendContract').NumericBackendContract} [numeric]
+ */
+function applySoftcap(value, softcap, numeric = NUMBER_BACKEND) {
+  if (!numeric.isValue(value)) {
     throw new Error('value must be a finite number');
   }
   if (!softcap || typeof softcap !== 'object') {
     throw new Error('softcap must be an object');
   }
 
-  const softcapAt = softcap.softcapAt;
+  const softcapAt = numeric.parse(softcap.softcapAt);
   const mode = softcap.mode;
 
-  if (!Number.isFinite(softcapAt) || softcapAt <= 0) {
+  if (softcapAt === null || numeric.cmp(softcapAt, 0) <= 0) {
     throw new Error('softcap.softcapAt must be a finite positive number');
   }
   if (!SUPPORTED_SOFTCAP_MODES.includes(mode)) {
     throw new Error(`Unsupported softcap mode "${mode}".`);
   }
 
-  if (value <= softcapAt) {
+  if (numeric.cmp(value, softcapAt) <= 0) {
     return value;
   }
 
@@ -28,8 +35,8 @@ function applySoftcap(value, softcap) {
       throw new Error('softcap.power must be a finite number in range (0, 1) for power mode.');
     }
 
-    const scaledOverage = Math.pow(value / softcapAt, power);
-    return softcapAt * scaledOverage;
+    const scaledOverage = numeric.pow(numeric.div(value, softcapAt), power);
+    return numeric.mul(softcapAt, scaledOverage);
   }
 
   return value;
@@ -0,0 +1,241 @@
+const { NUMERIC_BACKEND_CONTRACT } = require('../../core/contracts/NumericBackendContract');
+
+/** @typedef {import('../../core/contracts/NumericBackendContract').NumericBackendContract} NumericBackendContract */
+
+const DECIMAL_PATTERN = /^(-?\d+(?:\.\d+)?)(?:[eE]([+-]?\d+))?$/;
+// Decimal mantissas keep this many significant digits, the most a double round-trips exactly, so
+// float noise from add/mul/pow is rounded away instead of compounding (11 × 2 stays "2.2e1").
+const SIGNIFICANT_DIGITS = 15;
+// Beyond this exponent gap the smaller addend is below double precision of the larger one.
+const MAX_SIGNIFICANT_EXPONENT_GAP = 17;
+
+/**
+ * Plain JS numbers. Every operation is the native operator, so games that never leave double
+ * range compute exactly what they did before numeric backends existed.
+ * @type {NumericBackendContract}
+ */
+const NUMBER_BACKEND = Object.freeze({
+  id: 'number',
+  isValue: (value) => Number.isFinite(value),
+  parse(value) {
+    const parsed = typeof value === 'number' ? value : Number(value);
+    return Number.isFinite(parsed) ? parsed : null;
+  },
+  add: (left, right) => left + right,
+  sub: (left, right) => left - right,
+  mul: (left, right) => left * right,
+  div: (left, right) => left / right,
+  neg: (value) => -value,
+  pow: (value, exponent) => Math.pow(value, exponent),
+  cmp: (left, right) => (left < right ? -1 : left > right ? 1 : 0),
+  toNumber: (value) => value,
+});
+
+// Exactly rounded powers of ten (string parsing is correctly rounded on every engine).
+function pow10(exponent) {
+  return Number(`1e${exponent}`);
+}
+
+function normalize(mantissa, exponent) {
+  if (mantissa === 0) {
+    return { mantissa: 0, exponent: 0 };
+  }
+  if (!Number.isFinite(mantissa)) {
+    throw new Error(`Decimal arithmetic produced a non-finite mantissa (${mantissa}).`);
+  }
+
+  // toExponential shifts the decimal digits themselves (no division), and rounds any carry into the exponent.
+  const [digits, shift] = mantissa.toExponential(SIGNIFICANT_DIGITS - 1).split('e');
+  const nextMantissa = Number(digits);
+  const nextExponent = exponent + Number(shift);
+
+  if (!Number.isSafeInteger(nextExponent)) {
+    throw new Error(`Decimal exponent ${nextExponent} is out of range.`);
+  }
+  return { mantissa: nextMantissa, exponent: nextExponent };
+}
+
+function readDecimal(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? normalize(value, 0) : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const match = DECIMAL_PATTERN.exec(value);
+  if (!match) {
+    return null;
+  }
+  const exponent = match[2] === undefined ? 0 : Number(match[2]);
+  const mantissa = Number(match[1]);
+  if (!Number.isSafeInteger(exponent) || !Number.isFinite(mantissa)) {
+    return null;
+  }
+  return normalize(mantissa, exponent);
+}
+
+function requireDecimal(value, operation) {
+  const decimal = readDecimal(value);
+  if (!decimal) {
+    throw new Error(`DECIMAL_BACKEND.${operation} received a non-numeric value: ${JSON.stringify(value)}`);
+  }
+  return decimal;
+}
+
+// Canonical text form `<mantissa>e<exponent>` with 1 <= |mantissa| < 10, or `0`.
+function formatDecimal(decimal) {
+  return decimal.mantissa === 0 ? '0' : `${decimal.mantissa}e${decimal.exponent}`;
+}
+
+function addDecimals(left, right) {
+  if (left.mantissa === 0) {
+    return right;
+  }
+  if (right.mantissa === 0) {
+    return left;
+  }
+
+  const [larger, smaller] = left.exponent >= right.exponent ? [left, right] : [right, left];
+  const gap = larger.exponent - smaller.exponent;
+  if (gap > MAX_SIGNIFICANT_EXPONENT_GAP) {
+    return larger;
+  }
+  return normalize(larger.mantissa + smaller.mantissa / pow10(gap), larger.exponent);
+}
+
+function compareDecimals(left, right) {
+  const leftSign = Math.sign(left.mantissa);
+  const rightSign = Math.sign(right.mantissa);
+  if (leftSign !== rightSign) {
+    return leftSign < rightSign ? -1 : 1;
+  }
+  if (leftSign === 0) {
+    return 0;
+  }
+
+  let order = 0;
+  if (left.exponent !== right.exponent) {
+    order = left.exponent < right.exponent ? -1 : 1;
+  } else if (left.mantissa !== right.mantissa) {
+    order = Math.abs(left.mantissa) < Math.abs(right.mantissa) ? -1 : 1;
+  }
+  return leftSign > 0 ? order : -order;
+}
+
+/**
+ * Mantissa/exponent decimals stored as canonical strings (`"1.5e400"`), so values stay
+ * JSON-safe, frozen-friendly and hash identically wherever they are saved or replayed. Plain
+ * numbers are accepted anywhere a value is read; results are always strings. Mantissas are rounded
+ * to 15 significant digits, so exact integers and short decimals stay exact; `pow` works through
+ * log10 and is approximate beyond that precision.
+ * @type {NumericBackendContract}
+ */
+const DECIMAL_BACKEND = Object.freeze({
+  id: 'decimal',
+  isValue: (value) => readDecimal(value) !== null,
+  parse(value) {
+    const decimal = readDecimal(value);
+    return decimal ? formatDecimal(decimal) : null;
+  },
+  add: (left, right) => formatDecimal(addDecimals(requireDecimal(left, 'add'), requireDecimal(right, 'add'))),
+  sub(left, right) {
+    const subtrahend = requireDecimal(right, 'sub');
+    return formatDecimal(addDecimals(requireDecimal(left, 'sub'), { ...subtrahend, mantissa: -subtrahend.mantissa }));
+  },
+  mul(left, right) {
+    const a = requireDecimal(left, 'mul');
+    const b = requireDecimal(right, 'mul');
+    return formatDecimal(normalize(a.mantissa * b.mantissa, a.exponent + b.exponent));
+  },
+  div(left, right) {
+    const a = requireDecimal(left, 'div');
+    const b = requireDecimal(right, 'div');
+    if (b.mantissa === 0) {
+      throw new Error('DECIMAL_BACKEND.div cannot divide by zero.');
+    }
+    return formatDecimal(normalize(a.mantissa / b.mantissa, a.exponent - b.exponent));
+  },
+  neg(value) {
+    const decimal = requireDecimal(value, 'neg');
+    return formatDecimal({ ...decimal, mantissa: decimal.mantissa === 0 ? 0 : -decimal.mantissa });
+  },
+  pow(value, exponent) {
+    if (!Number.isFinite(exponent)) {
+      throw new Error('DECIMAL_BACKEND.pow exponent must be a finite number.');
+    }
+    const base = requireDecimal(value, 'pow');
+    if (exponent === 0) {
+      return '1e0';
+    }
+    if (base.mantissa === 0) {
+      if (exponent < 0) {
+        throw new Error('DECIMAL_BACKEND.pow cannot raise zero to a negative power.');
+      }
+      return '0';
+    }
+    if (base.mantissa < 0 && !Number.isInteger(exponent)) {
+      throw new Error('DECIMAL_BACKEND.pow cannot raise a negative value to a fractional power.');
+    }
+
+    const log10 = exponent * (Math.log10(Math.abs(base.mantissa)) + base.exponent);
+    const resultExponent = Math.floor(log10);
+    const sign = base.mantissa < 0 && Math.abs(exponent) % 2 === 1 ? -1 : 1;
+    return formatDecimal(normalize(sign * Math.pow(10, log10 - resultExponent), resultExponent));
+  },
+  cmp: (left, right) => compareDecimals(requireDecimal(left, 'cmp'), requireDecimal(right, 'cmp')),
+  toNumber(value) {
+    const decimal = requireDecimal(value, 'toNumber');
+    return Number(`${decimal.mantissa}e${decimal.exponent}`);
+  },
+});
+
+/**
+ * True for finite numbers and decimal-notation strings (`"1e400"`, `"-2.5"`), the threshold
+ * literals definitions may use.
+ * @param {unknown} value
+ */
+function isNumericLiteral(value) {
+  return typeof value === 'number' ? Number.isFinite(value) : readDecimal(value) !== null;
+}
+
+const BUILT_IN_BACKENDS = Object.freeze({
+  [NUMBER_BACKEND.id]: NUMBER_BACKEND,
+  [DECIMAL_BACKEND.id]: DECIMAL_BACKEND,
+});
+
+/**
+ * Resolve a backend id (`number`, `decimal`) or a custom backend object. Defaults to `number`.
+ * @param {string | NumericBackendContract | undefined} backend
+ * @returns {NumericBackendContract}
+ */
+function resolveNumericBackend(backend) {
+  if (backend === undefined || backend === null) {
+    return NUMBER_BACKEND;
+  }
+  if (typeof backend === 'string') {
+    if (!Object.prototype.hasOwnProperty.call(BUILT_IN_BACKENDS, backend)) {
+      throw new Error(
+        `Unknown numeric backend "${backend}". Expected one of: ${Object.keys(BUILT_IN_BACKENDS).join(', ')}.`
+      );
+    }
+    return BUILT_IN_BACKENDS[backend];
+  }
+
+  if (typeof backend !== 'object' || typeof backend.id !== 'string' || backend.id.length === 0) {
+    throw new Error('A custom numeric backend must be an object with a non-empty string id.');
+  }
+  const missing = NUMERIC_BACKEND_CONTRACT.requiredMethods.filter((method) => typeof backend[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Numeric backend "${backend.id}" is missing methods: ${missing.join(', ')}.`);
+  }
+  return backend;
+}
+
+module.exports = {
+  NUMBER_BACKEND,
+  DECIMAL_BACKEND,
+  NUMERIC_BACKEND_IDS: Object.keys(BUILT_IN_BACKENDS),
+  isNumericLiteral,
+  resolveNumericBackend,
+};
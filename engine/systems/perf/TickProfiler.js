@@ -0,0 +1,221 @@
+const TIMED_CATEGORIES = Object.freeze(['systems', 'layers', 'subscribers', 'plugins']);
+const COUNTERS = Object.freeze(['stateReads', 'stateWrites', 'snapshots']);
+
+function defaultNow() {
+  return typeof performance !== 'undefined' && typeof performance.now === 'function' ? performance.now() : Date.now();
+}
+
+function createSample() {
+  const sample = { totalMs: 0, phases: {}, counters: {} };
+  for (const category of TIMED_CATEGORIES) {
+    sample[category] = {};
+  }
+  for (const counter of COUNTERS) {
+    sample.counters[counter] = 0;
+  }
+  return sample;
+}
+
+function createStat() {
+  return { lastMs: 0, avgMs: 0, maxMs: 0 };
+}
+
+/**
+ * @typedef {object} TickPerfSample
+ * @property {number} totalMs wall time of the whole tick
+ * @property {Record<string, number>} phases wall ms per engine phase (including system plugin hooks)
+ * @property {Record<string, { ms: number, calls: number }>} systems engine system updates in layer-update
+ * @property {Record<string, { ms: number, calls: number }>} layers layer `update` (plus onLayerUpdate) by layer id
+ * @property {Record<string, { ms: number, calls: number }>} subscribers EventBus handler time by subscriber scope
+ * @property {Record<string, { ms: number, calls: number }>} plugins system plugin hook time by plugin id
+ * @property {{ stateReads: number, stateWrites: number, snapshots: number }} counters
+ */
+
+/**
+ * Opt-in wall-clock profiler for GameEngine ticks.
+ *
+ * Keeps the last `windowSize` tick samples and aggregates them on demand. Measurements are wall
+ * time, so they are diagnostics only and never feed back into simulation state.
+ */
+class TickProfiler {
+  constructor(options = {}) {
+    this.now = typeof options.now === 'function' ? options.now : defaultNow;
+    this.windowSize = options.windowSize === undefined ? 60 : options.windowSize;
+    if (!Number.isInteger(this.windowSize) || this.windowSize <= 0) {
+      throw new Error('TickProfiler windowSize must be a positive integer when provided.');
+    }
+
+    this.samples = [];
+    this.ticksProfiled = 0;
+    this.current = null;
+    this.tickStartedAt = 0;
+    this.openPhase = null;
+    this.phaseStartedAt = 0;
+  }
+
+  beginTick() {
+    this.current = createSample();
+    this.openPhase = null;
+    this.tickStartedAt = this.now();
+  }
+
+  /**
+   * Close the running phase (if any) and start timing `phase`.
+   * @param {string} phase
+   */
+  enterPhase(phase) {
+    if (!this.current) {
+      return;
+    }
+
+    const at = this.now();
+    this.#closePhase(at);
+    this.openPhase = phase;
+    this.phaseStartedAt = at;
+  }
+
+  /**
+   * @returns {TickPerfSample | null} the finished sample, or null when no tick was open
+   */
+  endTick() {
+    if (!this.current) {
+      return null;
+    }
+
+    const at = this.now();
+    this.#closePhase(at);
+    const sample = this.current;
+    sample.totalMs = at - this.tickStartedAt;
+    this.current = null;
+
+    this.samples.push(sample);
+    if (this.samples.length > this.windowSize) {
+      this.samples.shift();
+    }
+    this.ticksProfiled += 1;
+    return sample;
+  }
+
+  /**
+   * Time `fn` under `category`/`key` when a tick is open; always returns fn's result.
+   * @template T
+   * @param {'systems' | 'layers' | 'subscribers' | 'plugins'} category
+   * @param {string} key
+   * @param {() => T} fn
+   * @returns {T}
+   */
+  measure(category, key, fn) {
+    if (!this.current) {
+      return fn();
+    }
+
+    const startedAt = this.now();
+    try {
+      return fn();
+    } finally {
+      const bucket = this.current ? this.current[category] : null;
+      if (bucket) {
+        const entry = bucket[key] || (bucket[key] = { ms: 0, calls: 0 });
+        entry.ms += this.now() - startedAt;
+        entry.calls += 1;
+      }
+    }
+  }
+
+  /**
+   * @param {'stateReads' | 'stateWrites' | 'snapshots'} counter
+   */
+  count(counter) {
+    if (this.current) {
+      this.current.counters[counter] += 1;
+    }
+  }
+
+  /**
+   * Rolling stats over the retained window. Per-key stats treat ticks where a key did not run as 0 ms.
+   */
+  getReport() {
+    const report = {
+      ticksProfiled: this.ticksProfiled,
+      window: this.samples.length,
+      windowSize: this.windowSize,
+      totalMs: createStat(),
+      phases: {},
+      counters: {},
+    };
+    for (const category of TIMED_CATEGORIES) {
+      report[category] = {};
+    }
+    for (const counter of COUNTERS) {
+      report.counters[counter] = { last: 0, avg: 0, max: 0 };
+    }
+    if (this.samples.length === 0) {
+      return report;
+    }
+
+    this.samples.forEach((sample, index) => {
+      const isLast = index === this.samples.length - 1;
+      this.#accumulate(report.totalMs, sample.totalMs, isLast);
+      for (const [phase, ms] of Object.entries(sample.phases)) {
+        this.#accumulate(report.phases[phase] || (report.phases[phase] = createStat()), ms, isLast);
+      }
+      for (const category of TIMED_CATEGORIES) {
+        for (const [key, entry] of Object.entries(sample[category])) {
+          const stat = report[category][key] || (report[category][key] = { ...createStat(), calls: 0 });
+          this.#accumulate(stat, entry.ms, isLast);
+          stat.calls += entry.calls;
+        }
+      }
+      for (const counter of COUNTERS) {
+        const stat = report.counters[counter];
+        const value = sample.counters[counter];
+        stat.avg += value;
+        stat.max = Math.max(stat.max, value);
+        if (isLast) {
+          stat.last = value;
+        }
+      }
+    });
+
+    const divisor = this.samples.length;
+    const finalize = (stat) => {
+      stat.avgMs /= divisor;
+    };
+    finalize(report.totalMs);
+    Object.values(report.phases).forEach(finalize);
+    for (const category of TIMED_CATEGORIES) {
+      Object.values(report[category]).forEach(finalize);
+    }
+    for (const counter of COUNTERS) {
+      report.counters[counter].avg /= divisor;
+    }
+
+    return report;
+  }
+
+  reset() {
+    this.samples = [];
+    this.ticksProfiled = 0;
+    this.current = null;
+    this.openPhase = null;
+  }
+
+  #accumulate(stat, ms, isLast) {
+    stat.avgMs += ms;
+    stat.maxMs = Math.max(stat.maxMs, ms);
+    if (isLast) {
+      stat.lastMs = ms;
+    }
+  }
+
+  #closePhase(at) {
+    if (this.openPhase !== null) {
+      this.current.phases[this.openPhase] = (this.current.phases[this.openPhase] || 0) + (at - this.phaseStartedAt);
+      this.openPhase = null;
+    }
+  }
+}
+
+module.exports = {
+  TickProfiler,
+};
@@ -0,0 +1,189 @@
+const RNG_STATE_PATH = 'rng';
+const STREAM_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+const UINT32_RANGE = 0x100000000;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function fnv1a32(text) {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < text.length; index += 1) {
+    hash ^= text.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// MurmurHash3 finalizer: full avalanche over 32 bits.
+function fmix32(value) {
+  let hash = value >>> 0;
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
+
+function normalizeSeed(seed, label) {
+  if (!Number.isInteger(seed) || seed < 0 || seed >= UINT32_RANGE) {
+    throw new Error(`${label} must be an integer in [0, 2^32). Received: ${seed}`);
+  }
+  return seed;
+}
+
+/**
+ * Engine-owned deterministic randomness with named streams.
+ *
+ * Streams are counter-based: draw N of stream S is a pure hash of (seed, S, N), so the only state is
+ * the seed and one integer position per stream, both kept in canonical state under `rng`. Saves,
+ * rewinds and replays therefore reproduce every draw, and streams never disturb each other: adding
+ * a `gacha` draw does not shift the `events` sequence.
+ */
+class RandomService {
+  constructor(options = {}) {
+    this.stateStore = options.stateStore;
+    this.statePath = RNG_STATE_PATH;
+    this.defaultSeed = normalizeSeed(options.seed === undefined ? 0 : options.seed, 'RandomService seed');
+
+    if (!this.stateStore) {
+      throw new Error('RandomService requires stateStore.');
+    }
+  }
+
+  /**
+   * Create `rng` canonical state when missing (fresh games, older saves, full resets).
+   * Existing seeds and positions are left untouched. The constructor never writes: the owner calls
+   * this once the store it will draw from is committed (GameEngine after initialize, load or reload).
+   */
+  ensureState() {
+    const current = this.stateStore.get(this.statePath);
+    if (isPlainObject(current) && Number.isInteger(current.seed) && isPlainObject(current.streams)) {
+      return;
+    }
+
+    this.stateStore.set(this.statePath, {
+      seed: isPlainObject(current) && Number.isInteger(current.seed) ? current.seed : this.defaultSeed,
+      streams: isPlainObject(current) && isPlainObject(current.streams) ? current.streams : {},
+    });
+  }
+
+  getSeed() {
+    return this.#readState().seed;
+  }
+
+  /**
+   * Reseed every stream and rewind all positions to zero.
+   * @param {number} seed
+   */
+  setSeed(seed) {
+    this.stateStore.set(this.statePath, { seed: normalizeSeed(seed, 'RandomService.setSeed seed'), streams: {} });
+  }
+
+  /**
+   * @param {string} streamName
+   * @returns {number} number of draws taken from the stream so far
+   */
+  getPosition(streamName) {
+    this.#assertStreamName(streamName);
+    const position = this.#readState().streams[streamName];
+    return Number.isInteger(position) ? position : 0;
+  }
+
+  /**
+   * @param {string} streamName
+   * @returns {number} float in [0, 1)
+   */
+  next(streamName) {
+    return this.#nextUint32(streamName) / UINT32_RANGE;
+  }
+
+  /**
+   * @param {string} streamName
+   * @param {number} min inclusive
+   * @param {number} max inclusive
+   */
+  nextInt(streamName, min, max) {
+    if (!Number.isInteger(min) || !Number.isInteger(max) || max < min) {
+      throw new Error(`RandomService.nextInt requires integer bounds with min <= max. Received: ${min}, ${max}`);
+    }
+    return min + Math.floor(this.next(streamName) * (max - min + 1));
+  }
+
+  /**
+   * @template T
+   * @param {string} streamName
+   * @param {T[]} items
+   * @returns {T}
+   */
+  pick(streamName, items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error('RandomService.pick requires a non-empty array.');
+    }
+    return items[this.nextInt(streamName, 0, items.length - 1)];
+  }
+
+  /**
+   * @template T
+   * @param {string} streamName
+   * @param {Array<{ weight: number, value: T }>} entries
+   * @returns {T}
+   */
+  weighted(streamName, entries) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new Error('RandomService.weighted requires a non-empty array of { weight, value } entries.');
+    }
+
+    let total = 0;
+    for (const entry of entries) {
+      if (!entry || !Number.isFinite(entry.weight) || entry.weight < 0) {
+        throw new Error('RandomService.weighted entry weights must be finite, non-negative numbers.');
+      }
+      total += entry.weight;
+    }
+    if (total <= 0) {
+      throw new Error('RandomService.weighted requires at least one positive weight.');
+    }
+
+    let roll = this.next(streamName) * total;
+    for (const entry of entries) {
+      if (roll < entry.weight) {
+        return entry.value;
+      }
+      roll -= entry.weight;
+    }
+    return entries[entries.length - 1].value;
+  }
+
+  #nextUint32(streamName) {
+    this.#assertStreamName(streamName);
+    const state = this.#readState();
+    const position = Number.isInteger(state.streams[streamName]) ? state.streams[streamName] : 0;
+
+    const streamKey = fmix32(state.seed ^ fnv1a32(streamName));
+    const value = fmix32(streamKey ^ fmix32(Math.imul(position + 1, 0x9e3779b9) + streamKey));
+
+    this.stateStore.set(`${this.statePath}.streams.${streamName}`, position + 1);
+    return value;
+  }
+
+  #readState() {
+    const current = this.stateStore.get(this.statePath);
+    if (!isPlainObject(current) || !Number.isInteger(current.seed) || !isPlainObject(current.streams)) {
+      throw new Error(`RandomService state at "${this.statePath}" is missing or malformed; call ensureState() after replacing canonical state.`);
+    }
+    return current;
+  }
+
+  #assertStreamName(streamName) {
+    if (typeof streamName !== 'string' || !STREAM_NAME_PATTERN.test(streamName)) {
+      throw new Error(`RandomService stream name must match ${STREAM_NAME_PATTERN}. Received: ${streamName}`);
+    }
+  }
+}
+
+module.exports = {
+  RNG_STATE_PATH,
+  RandomService,
+};
@@ -0,0 +1,154 @@
+const { AUTHORING_REPORT_DEFAULTS, hashDeterministicPayload } = require('../../authoring/authoring-types');
+
+const REPLAY_LOG_FORMAT = 'IRL1';
+
+function cloneJson(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Same stable hash SimulationRunner reports use, applied to canonical state.
+ * @param {Record<string, unknown>} canonical
+ * @returns {string}
+ */
+function hashReplayState(canonical) {
+  return hashDeterministicPayload(canonical, AUTHORING_REPORT_DEFAULTS.hashAlgorithm).hash;
+}
+
+/**
+ * @typedef {object} ReplayLog
+ * @property {string} format `IRL1`
+ * @property {string} gameId
+ * @property {string} definitionHash hash of the parsed definition the session ran
+ * @property {string} hashAlgorithm
+ * @property {number} hashEvery a state hash is stored after every `hashEvery`-th tick
+ * @property {number} tickCount
+ * @property {Record<string, unknown>} start GameEngine.exportSave() payload at recording start
+ * @property {Array<[number, number]>} dts run-length encoded `[dt, repeat]` pairs
+ * @property {Array<[number, Record<string, unknown>]>} intents `[tickIndex, intent]`; routed in that tick's input phase
+ * @property {string[]} hashes canonical state hashes in tick order
+ */
+
+/**
+ * Accumulates a ReplayLog while GameEngine records a live session.
+ *
+ * Only externally enqueued intents are recorded: intents that system plugins enqueue are
+ * reproduced by the replay itself.
+ */
+class ReplayRecorder {
+  constructor(options = {}) {
+    this.hashEvery = options.hashEvery === undefined ? 1 : options.hashEvery;
+    if (!Number.isInteger(this.hashEvery) || this.hashEvery <= 0) {
+      throw new Error('ReplayRecorder hashEvery must be a positive integer when provided.');
+    }
+    if (!options.start || typeof options.start !== 'object') {
+      throw new Error('ReplayRecorder requires a start save payload.');
+    }
+
+    this.log = {
+      format: REPLAY_LOG_FORMAT,
+      gameId: options.gameId,
+      definitionHash: options.definitionHash,
+      hashAlgorithm: AUTHORING_REPORT_DEFAULTS.hashAlgorithm,
+      hashEvery: this.hashEvery,
+      tickCount: 0,
+      start: cloneJson(options.start),
+      dts: [],
+      intents: [],
+      hashes: [],
+    };
+  }
+
+  /**
+   * @param {Record<string, unknown>} intent routed in the next input phase
+   * @param {boolean} [duringTick] enqueued while a tick runs: the input phase already drained, so
+   *   the intent is routed in the tick after the one being recorded
+   */
+  recordIntent(intent, duringTick = false) {
+    const tick = duringTick ? this.log.tickCount + 1 : this.log.tickCount;
+    this.log.intents.push([tick, cloneJson(intent)]);
+  }
+
+  /**
+   * @param {number} dt
+   * @param {() => Record<string, unknown>} readCanonical only called on ticks that store a hash
+   */
+  recordTick(dt, readCanonical) {
+    const lastRun = this.log.dts[this.log.dts.length - 1];
+    if (lastRun && lastRun[0] === dt) {
+      lastRun[1] += 1;
+    } else {
+      this.log.dts.push([dt, 1]);
+    }
+
+    this.log.tickCount += 1;
+    if (this.log.tickCount % this.hashEvery === 0) {
+      this.log.hashes.push(hashReplayState(readCanonical()));
+    }
+  }
+
+  /**
+   * @returns {ReplayLog}
+   */
+  finish() {
+    return cloneJson(this.log);
+  }
+}
+
+/**
+ * Validate a ReplayLog and expand it into one entry per tick.
+ * @param {ReplayLog} log
+ * @returns {Array<{ tick: number, dt: number, intents: Record<string, unknown>[], expectedHash: string | null }>}
+ */
+function expandReplayLog(log) {
+  if (!log || typeof log !== 'object' || log.format !== REPLAY_LOG_FORMAT) {
+    throw new Error(`Replay log must be an object with format "${REPLAY_LOG_FORMAT}".`);
+  }
+  if (!Array.isArray(log.dts) || !Array.isArray(log.intents) || !Array.isArray(log.hashes)) {
+    throw new Error('Replay log requires dts, intents and hashes arrays.');
+  }
+  if (!Number.isInteger(log.hashEvery) || log.hashEvery <= 0) {
+    throw new Error('Replay log hashEvery must be a positive integer.');
+  }
+
+  const ticks = [];
+  for (const run of log.dts) {
+    if (!Array.isArray(run) || !Number.isFinite(run[0]) || run[0] < 0 || !Number.isInteger(run[1]) || run[1] <= 0) {
+      throw new Error('Replay log dts entries must be [dt, repeat] pairs with dt >= 0 and repeat >= 1.');
+    }
+    for (let repeat = 0; repeat < run[1]; repeat += 1) {
+      const tick = ticks.length;
+      const hashIndex = (tick + 1) / log.hashEvery - 1;
+      ticks.push({
+        tick,
+        dt: run[0],
+        intents: [],
+        expectedHash: Number.isInteger(hashIndex) && hashIndex < log.hashes.length ? log.hashes[hashIndex] : null,
+      });
+    }
+  }
+
+  if (ticks.length !== log.tickCount) {
+    throw new Error(`Replay log tickCount ${log.tickCount} does not match its ${ticks.length} recorded dts.`);
+  }
+
+  for (const entry of log.intents) {
+    const tickIndex = Array.isArray(entry) ? entry[0] : undefined;
+    if (!Number.isInteger(tickIndex) || tickIndex < 0 || tickIndex > ticks.length || !entry[1] || typeof entry[1] !== 'object') {
+      throw new Error('Replay log intents entries must be [tickIndex, intent] pairs within the recorded ticks.');
+    }
+    // Intents enqueued after the last recorded tick never ran; they are not replayed.
+    if (tickIndex < ticks.length) {
+      ticks[tickIndex].intents.push(entry[1]);
+    }
+  }
+
+  return ticks;
+}
+
+module.exports = {
+  REPLAY_LOG_FORMAT,
+  ReplayRecorder,
+  expandReplayLog,
+  hashReplayState,
+};
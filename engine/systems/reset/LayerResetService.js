@@ -44,6 +44,8 @@ class LayerResetService {
     this.definition = options.definition || { layers: [], state: {} };
     this.stateStore = options.stateStore;
     this.eventBus = options.eventBus;
+    // Engine-owned canonical paths (e.g. RNG stream positions) survive every reset.
+    this.engineOwnedPaths = Array.isArray(options.engineOwnedPaths) ? options.engineOwnedPaths : [];
   }
 
   preview(layerId) {
@@ -68,14 +70,19 @@ class LayerResetService {
     const currentCanonical = currentSnapshot.canonical;
     const baseCanonical = deepClone(this.definition.state || {});
 
-    for (const keepPath of keepPaths) {
+    for (const keepPath of [...this.engineOwnedPaths, ...keepPaths]) {
       const preservedValue = getPath(currentCanonical, keepPath);
       if (preservedValue !== undefined) {
         setPath(baseCanonical, keepPath, preservedValue);
       }
     }
 
-    this.stateStore.replaceCanonical(baseCanonical);
+    // A reset either lands completely or not at all: a failing store invariant rolls it back.
+    if (typeof this.stateStore.transaction === 'function') {
+      this.stateStore.transaction((store) => store.replaceCanonical(baseCanonical));
+    } else {
+      this.stateStore.replaceCanonical(baseCanonical);
+    }
 
     if (this.eventBus) {
       this.eventBus.publish({
@@ -0,0 +1,207 @@
+const { NUMBER_BACKEND } = require('../numeric/NumericBackend');
+
+const RESOURCES_STATE_PATH = 'resources';
+const ROUNDING_MODES = Object.freeze(['floor', 'round', 'ceil']);
+const OVERFLOW_POLICIES = Object.freeze(['clamp', 'reject']);
+// Rounding only changes values whose fraction a double can still represent.
+const MAX_ROUNDABLE = Number.MAX_SAFE_INTEGER;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * @typedef {object} ResourceDeclaration
+ * @property {string} id canonical value lives at `resources.<id>`
+ * @property {string} name display name (defaults to the id)
+ * @property {unknown} min floor, 0 unless declared
+ * @property {unknown | null} max cap before scaling; null when uncapped
+ * @property {{ layerId: string, multiplierKeys: string[] } | null} maxScaling compiled `mul.*` multipliers that raise the cap
+ * @property {'floor' | 'round' | 'ceil' | null} rounding set for integer resources
+ * @property {'clamp' | 'reject'} overflow what a write outside [min, max] does
+ */
+
+/**
+ * Definition-level resource declarations (`definition.resources`) enforced on every canonical
+ * write through StateStore.setWriteNormalizer(): integer resources are rounded, then values
+ * outside [min, effective max] are clamped or rejected per the overflow policy. Undeclared
+ * paths pass through untouched, so definitions without declarations behave as before.
+ */
+class ResourceRegistry {
+  constructor(options = {}) {
+    this.numeric = options.numeric || NUMBER_BACKEND;
+    this.multiplierCompiler = options.multiplierCompiler || null;
+    this.byId = new Map();
+
+    const definition = options.definition || {};
+    const declarations = Array.isArray(definition.resources) ? definition.resources : [];
+    for (const declaration of declarations) {
+      this.byId.set(declaration.id, this.#normalizeDeclaration(declaration));
+    }
+  }
+
+  hasDeclarations() {
+    return this.byId.size > 0;
+  }
+
+  /**
+   * @returns {ResourceDeclaration[]} in definition order
+   */
+  list() {
+    return Array.from(this.byId.values());
+  }
+
+  /**
+   * @param {string} id
+   * @returns {ResourceDeclaration | null}
+   */
+  get(id) {
+    return this.byId.get(id) || null;
+  }
+
+  /**
+   * @param {string} path canonical state path such as `resources.gold`
+   * @returns {ResourceDeclaration | null}
+   */
+  getForPath(path) {
+    const parts = typeof path === 'string' ? path.split('.') : [];
+    return parts.length === 2 && parts[0] === RESOURCES_STATE_PATH ? this.get(parts[1]) : null;
+  }
+
+  /**
+   * Current bounds; `max` includes the cap multipliers compiled this tick.
+   * @param {string} id
+   * @returns {{ min: unknown, max: unknown | null }}
+   */
+  getBounds(id) {
+    const declaration = this.byId.get(id);
+    if (!declaration) {
+      throw new Error(`ResourceRegistry: unknown resource "${id}".`);
+    }
+
+    let max = declaration.max;
+    if (max !== null && declaration.maxScaling && this.multiplierCompiler) {
+      for (const key of declaration.maxScaling.multiplierKeys) {
+        max = this.numeric.mul(max, this.multiplierCompiler.getValue(declaration.maxScaling.layerId, key));
+      }
+    }
+    return { min: declaration.min, max };
+  }
+
+  /**
+   * Clamp into the current bounds regardless of overflow policy; for systems such as routines
+   * that fill a resource up to its cap. Undeclared paths are returned unchanged.
+   * @param {string} path
+   * @param {unknown} value
+   */
+  clampToBounds(path, value) {
+    const declaration = this.getForPath(path);
+    if (!declaration) {
+      return value;
+    }
+
+    const { min, max } = this.getBounds(declaration.id);
+    if (this.numeric.cmp(value, min) < 0) {
+      return min;
+    }
+    if (max !== null && this.numeric.cmp(value, max) > 0) {
+      return max;
+    }
+    return value;
+  }
+
+  /**
+   * StateStore write normalizer: applies declarations to any write at, above or into
+   * `resources` (`''` is a whole-canonical replacement). Returns `value` itself when nothing changes.
+   * @param {string} path
+   * @param {unknown} value
+   */
+  normalizeWrite(path, value) {
+    if (path === '') {
+      if (!isPlainObject(value) || !isPlainObject(value[RESOURCES_STATE_PATH])) {
+        return value;
+      }
+      const resources = this.#normalizeResourceMap(value[RESOURCES_STATE_PATH]);
+      return resources === value[RESOURCES_STATE_PATH] ? value : { ...value, [RESOURCES_STATE_PATH]: resources };
+    }
+
+    if (path === RESOURCES_STATE_PATH) {
+      return isPlainObject(value) ? this.#normalizeResourceMap(value) : value;
+    }
+
+    const declaration = this.getForPath(path);
+    return declaration ? this.#normalizeAmount(declaration, value) : value;
+  }
+
+  #normalizeResourceMap(resources) {
+    let normalized = resources;
+    for (const declaration of this.byId.values()) {
+      if (!(declaration.id in resources)) {
+        continue;
+      }
+
+      const amount = this.#normalizeAmount(declaration, resources[declaration.id]);
+      if (amount !== resources[declaration.id]) {
+        normalized = normalized === resources ? { ...resources } : normalized;
+        normalized[declaration.id] = amount;
+      }
+    }
+    return normalized;
+  }
+
+  #normalizeAmount(declaration, value) {
+    if (!this.numeric.isValue(value)) {
+      throw new Error(`Resource "${declaration.id}" must hold a number; received ${JSON.stringify(value)}.`);
+    }
+
+    let amount = value;
+    if (declaration.rounding) {
+      const approximate = this.numeric.toNumber(amount);
+      if (Math.abs(approximate) <= MAX_ROUNDABLE) {
+        const rounded = Math[declaration.rounding](approximate);
+        amount = rounded === approximate ? amount : this.numeric.parse(rounded);
+      }
+    }
+
+    const { min, max } = this.getBounds(declaration.id);
+    if (this.numeric.cmp(amount, min) < 0) {
+      return this.#applyOverflow(declaration, amount, min, `is below min ${min}`);
+    }
+    if (max !== null && this.numeric.cmp(amount, max) > 0) {
+      return this.#applyOverflow(declaration, amount, max, `exceeds max ${max}`);
+    }
+    return amount;
+  }
+
+  #applyOverflow(declaration, amount, bound, description) {
+    if (declaration.overflow === 'reject') {
+      throw new Error(`Resource "${declaration.id}" write of ${amount} ${description} (overflow policy "reject").`);
+    }
+    return bound;
+  }
+
+  #normalizeDeclaration(declaration) {
+    const parseBound = (value, fallback) => (value === undefined || value === null ? fallback : this.numeric.parse(value));
+    return Object.freeze({
+      id: declaration.id,
+      name: typeof declaration.name === 'string' ? declaration.name : declaration.id,
+      min: parseBound(declaration.min, this.numeric.parse(0)),
+      max: parseBound(declaration.max, null),
+      maxScaling: isPlainObject(declaration.maxScaling)
+        ? Object.freeze({
+            layerId: declaration.maxScaling.layerId,
+            multiplierKeys: Object.freeze(declaration.maxScaling.multiplierKeys.slice()),
+          })
+        : null,
+      rounding: declaration.integer === true ? declaration.rounding || 'floor' : null,
+      overflow: declaration.overflow || 'clamp',
+    });
+  }
+}
+
+module.exports = {
+  RESOURCES_STATE_PATH,
+  ROUNDING_MODES,
+  OVERFLOW_POLICIES,
+  ResourceRegistry,
+};
@@ -1,3 +1,5 @@
+const { NUMBER_BACKEND } = require('../numeric/NumericBackend');
+
 function isPlainObject(value) {
   return value !== null && typeof value === 'object' && !Array.isArray(value);
 }
@@ -25,6 +27,8 @@ class RoutineSystem {
     this.multiplierCompiler = options.multiplierCompiler || null;
     this.characteristicSystem = options.characteristicSystem || null;
     this.eventBus = options.eventBus || null;
+    this.numeric = options.numeric || NUMBER_BACKEND;
+    this.resourceRegistry = options.resourceRegistry || null;
     this.index = this.#buildRoutineIndex(this.definition);
     this.activeByPool = new Map();
 
@@ -67,6 +71,53 @@ class RoutineSystem {
     throw new Error(`RoutineSystem does not support intent type "${intentType}".`);
   }
 
+  /**
+   * Read-only counterpart of handleIntent(): the result it would return, plus what starting would
+   * cost. `preempts` names the routine a start would stop to free its pool; `canRun` is false when
+   * requires/consumes are unmet, so the started routine would stop on its first update with
+   * `auto-stop-prereq-failed`. Payloads handleIntent() would throw on are rejected instead, with
+   * `ROUTINE_PAYLOAD_INVALID` or `ROUTINE_NOT_FOUND`.
+   * @param {string} intentType
+   * @param {Record<string, unknown>} [payload]
+   */
+  previewIntent(intentType, payload = {}) {
+    if (!isPlainObject(payload)) {
+      return { ok: false, code: 'ROUTINE_PAYLOAD_INVALID', reason: 'RoutineSystem intent payload must be an object.' };
+    }
+    if (intentType !== 'ROUTINE_START' && intentType !== 'ROUTINE_STOP' && intentType !== 'ROUTINE_TOGGLE') {
+      throw new Error(`RoutineSystem does not support intent type "${intentType}".`);
+    }
+
+    const { layerId, routineId } = payload;
+    for (const [field, value] of [['layerId', layerId], ['routineId', routineId]]) {
+      if (typeof value !== 'string' || value.length === 0) {
+        return {
+          ok: false,
+          code: 'ROUTINE_PAYLOAD_INVALID',
+          reason: `RoutineSystem intent payload.${field} must be a non-empty string.`,
+        };
+      }
+    }
+    const byRoutineId = this.index.get(layerId);
+    if (!byRoutineId || !byRoutineId.has(routineId)) {
+      return { ok: false, code: 'ROUTINE_NOT_FOUND', reason: `Unknown routine: ${layerId}/${routineId}` };
+    }
+
+    const entry = byRoutineId.get(routineId);
+    const starts =
+      intentType === 'ROUTINE_START' || (intentType === 'ROUTINE_TOGGLE' && !this.#isRoutineActive(layerId, routineId));
+    if (!starts) {
+      return { ok: true, code: 'ROUTINE_STOPPED', layerId, routineId };
+    }
+
+    const activeInPool = this.activeByPool.get(this.#getPoolStatePath(entry.layerId, entry.slot.poolId)) || null;
+    const preempted =
+      activeInPool && (activeInPool.layerId !== layerId || activeInPool.routineId !== routineId)
+        ? `${activeInPool.layerId}/${activeInPool.routineId}`
+        : null;
+    return { ok: true, code: 'ROUTINE_STARTED', layerId, routineId, preempts: preempted, canRun: this.#canRemainActive(entry) };
+  }
+
   update(dtSeconds) {
     if (!Number.isFinite(dtSeconds) || dtSeconds < 0) {
       throw new Error(`RoutineSystem.update requires finite, non-negative dtSeconds. Received: ${dtSeconds}`);
@@ -94,7 +145,7 @@ class RoutineSystem {
       }
 
       this.#applyResourceDeltaList(entry.produces || [], dtSeconds, multipliers.produceMultiplier);
-      this.#applyResourceDeltaList(entry.consumes || [], dtSeconds, -multipliers.consumeMultiplier);
+      this.#applyResourceDeltaList(entry.consumes || [], dtSeconds, this.numeric.neg(multipliers.consumeMultiplier));
       applied.push({
         layerId: entry.layerId,
         routineId: entry.id,
@@ -109,6 +160,54 @@ class RoutineSystem {
     };
   }
 
+  /**
+   * Runtime-only pool occupancy for engine saves. Canonical routine flags live in StateStore;
+   * this map is the authority for preemption and must be restored alongside them.
+   */
+  exportRuntimeState() {
+    return {
+      activeByPool: Array.from(this.activeByPool.entries()).map(([poolPath, active]) => ({
+        poolPath,
+        layerId: active.layerId,
+        routineId: active.routineId,
+      })),
+    };
+  }
+
+  /**
+   * Restore pool occupancy. When the saved map is missing (older saves), occupancy is rebuilt
+   * from canonical `layers.*.routines.*.active` flags in deterministic definition order.
+   * @param {{ activeByPool?: Array<{ poolPath: string, layerId: string, routineId: string }> }} [runtimeState]
+   */
+  importRuntimeState(runtimeState = {}) {
+    if (!isPlainObject(runtimeState)) {
+      throw new Error('RoutineSystem.importRuntimeState requires runtimeState to be an object.');
+    }
+
+    this.activeByPool = new Map();
+
+    if (!Array.isArray(runtimeState.activeByPool)) {
+      for (const entry of this.#getDeterministicActiveEntries()) {
+        this.activeByPool.set(this.#getPoolStatePath(entry.layerId, entry.slot.poolId), {
+          layerId: entry.layerId,
+          routineId: entry.id,
+        });
+      }
+      return;
+    }
+
+    for (const active of runtimeState.activeByPool) {
+      const entry = this.#requireIndexedRoutine(active.layerId, active.routineId);
+      const poolPath = this.#getPoolStatePath(entry.layerId, entry.slot.poolId);
+      if (active.poolPath !== poolPath) {
+        throw new Error(
+          `RoutineSystem.importRuntimeState pool mismatch for ${active.layerId}/${active.routineId}: expected "${poolPath}".`
+        );
+      }
+      this.activeByPool.set(poolPath, { layerId: entry.layerId, routineId: entry.id });
+    }
+  }
+
   #canAffordConsumes(entry, dtSeconds, consumeMultiplier) {
     const consumes = Array.isArray(entry.consumes) ? entry.consumes : [];
     for (const consumeEntry of consumes) {
@@ -121,12 +220,15 @@ class RoutineSystem {
       }
 
       const currentValue = this.stateStore.get(consumeEntry.path);
-      if (!Number.isFinite(currentValue)) {
+      if (!this.numeric.isValue(currentValue)) {
         return false;
       }
 
-      const required = perSecond * dtSeconds * consumeMultiplier;
-      if (!Number.isFinite(required) || currentValue - required < 0) {
+      const required = this.numeric.mul(perSecond * dtSeconds, consumeMultiplier);
+      if (
+        !this.numeric.isValue(required) ||
+        this.numeric.cmp(this.numeric.sub(currentValue, required), this.#floorFor(consumeEntry.path)) < 0
+      ) {
         return false;
       }
     }
@@ -181,10 +283,10 @@ class RoutineSystem {
 
     for (const need of [...requires, ...consumes]) {
       const currentValue = this.stateStore.get(need.path);
-      if (!Number.isFinite(currentValue)) {
+      if (!this.numeric.isValue(currentValue)) {
         return false;
       }
-      if (currentValue <= 0) {
+      if (this.numeric.cmp(currentValue, this.#floorFor(need.path)) <= 0) {
         return false;
       }
     }
@@ -204,7 +306,7 @@ class RoutineSystem {
     return {
       speedMultiplier,
       yieldMultiplier,
-      produceMultiplier: speedMultiplier * yieldMultiplier,
+      produceMultiplier: this.numeric.mul(speedMultiplier, yieldMultiplier),
       consumeMultiplier: speedMultiplier,
     };
   }
@@ -213,8 +315,8 @@ class RoutineSystem {
     let total = 1;
     for (const key of keys) {
       const resolved = this.#resolveSingleMultiplier(targetRef, layerId, key);
-      if (Number.isFinite(resolved) && resolved >= 0) {
-        total *= resolved;
+      if (this.numeric.isValue(resolved) && this.numeric.cmp(resolved, 0) >= 0) {
+        total = this.numeric.mul(total, resolved);
       }
     }
     return total;
@@ -239,14 +341,28 @@ class RoutineSystem {
       }
 
       const currentValue = this.stateStore.get(deltaEntry.path);
-      if (!Number.isFinite(currentValue)) {
+      if (!this.numeric.isValue(currentValue)) {
         continue;
       }
 
-      const delta = perSecond * dtSeconds * signAdjustedMultiplier;
-      const nextValue = currentValue + delta;
-      this.stateStore.set(deltaEntry.path, nextValue < 0 ? 0 : nextValue);
+      const delta = this.numeric.mul(perSecond * dtSeconds, signAdjustedMultiplier);
+      const nextValue = this.numeric.add(currentValue, delta);
+      this.stateStore.set(deltaEntry.path, this.#clampResource(deltaEntry.path, nextValue));
+    }
+  }
+
+  // Declared resources use their registry bounds (routines fill up to a cap rather than being
+  // rejected by it); undeclared paths keep the historical floor of 0.
+  #floorFor(path) {
+    const declaration = this.resourceRegistry && this.resourceRegistry.getForPath(path);
+    return declaration ? declaration.min : 0;
+  }
+
+  #clampResource(path, value) {
+    if (this.resourceRegistry && this.resourceRegistry.getForPath(path)) {
+      return this.resourceRegistry.clampToBounds(path, value);
     }
+    return this.numeric.cmp(value, 0) < 0 ? this.numeric.parse(0) : value;
   }
 
   #getDeterministicActiveEntries() {
@@ -0,0 +1,281 @@
+const SLOT_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const SLOT_KEY_PREFIX = 'slot:';
+const BACKUP_KEY_MARKER = ':backup:';
+
+function normalizePositiveInteger(value, label) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new Error(`SaveManager ${label} must be a positive integer when provided.`);
+  }
+  return value;
+}
+
+function normalizeNonNegativeInteger(value, fallback, label) {
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`SaveManager ${label} must be a non-negative integer when provided.`);
+  }
+  return value;
+}
+
+/**
+ * @typedef {object} SaveSlotLoadResult
+ * @property {string} slotId
+ * @property {string} source `primary` or `backup-<n>`
+ * @property {number} revision
+ * @property {Record<string, unknown>} payload
+ * @property {Array<{ source: string, reason: string }>} skipped newer records that failed to load
+ */
+
+/**
+ * Named save slots, rolling autosave and backup rotation over a pluggable storage adapter.
+ *
+ * Each slot keeps its primary record plus up to `maxBackups` older records. Loading validates the
+ * record through SaveSystem.validate() (including migrations) and falls back to the newest backup
+ * that still loads, so one corrupted write never costs the player their progress.
+ *
+ * `saveSystem` is a SaveSystem or a function returning the current one, for owners that replace it.
+ */
+class SaveManager {
+  constructor(options = {}) {
+    this.storage = options.storage;
+    this.resolveSaveSystem = typeof options.saveSystem === 'function' ? options.saveSystem : () => options.saveSystem;
+    this.capture = typeof options.capture === 'function' ? options.capture : null;
+    this.maxBackups = normalizeNonNegativeInteger(options.maxBackups, 2, 'maxBackups');
+
+    const autosave = options.autosave || {};
+    this.autosaveSlotId = autosave.slotId || 'autosave';
+    this.autosaveEveryTicks = normalizePositiveInteger(autosave.everyTicks, 'autosave.everyTicks');
+    this.autosaveEveryMs = normalizePositiveInteger(autosave.everyMs, 'autosave.everyMs');
+    this.ticksSinceAutosave = 0;
+    this.msSinceAutosave = 0;
+
+    if (!this.storage || typeof this.storage.getItem !== 'function' || typeof this.storage.keys !== 'function') {
+      throw new Error('SaveManager requires a storage adapter.');
+    }
+    if (!options.saveSystem) {
+      throw new Error('SaveManager requires saveSystem.');
+    }
+    this.#assertSlotId(this.autosaveSlotId);
+  }
+
+  get saveSystem() {
+    const saveSystem = this.resolveSaveSystem();
+    if (!saveSystem) {
+      throw new Error('SaveManager saveSystem resolved to nothing; is the engine initialized?');
+    }
+    return saveSystem;
+  }
+
+  /**
+   * Convenience wiring for a running GameEngine: captures full engine saves (exportSave). The
+   * engine's SaveSystem is looked up on every use, since reloadDefinition() replaces it.
+   * @param {import('../../core/GameEngine').GameEngine} engine
+   * @param {Record<string, unknown>} [options]
+   */
+  static forEngine(engine, options = {}) {
+    return new SaveManager({
+      ...options,
+      saveSystem: () => engine.saveSystem,
+      capture: (metadata) => engine.exportSave(metadata),
+    });
+  }
+
+  /**
+   * Write a payload (or a fresh capture) to a slot, rotating the previous record into backups.
+   * @param {string} slotId
+   * @param {Record<string, unknown>} [payload]
+   */
+  save(slotId, payload) {
+    this.#assertSlotId(slotId);
+    const nextPayload = payload === undefined ? this.#capture({ slotId }) : payload;
+    this.saveSystem.validate(nextPayload);
+
+    const previous = this.#readRecord(this.#slotKey(slotId));
+    const revision = previous && Number.isInteger(previous.revision) ? previous.revision + 1 : 1;
+    this.#rotateBackups(slotId);
+    this.storage.setItem(this.#slotKey(slotId), JSON.stringify({ slotId, revision, payload: nextPayload }));
+
+    return { slotId, revision };
+  }
+
+  /**
+   * Load the newest valid record of a slot: the primary first, then backups newest to oldest.
+   * @param {string} slotId
+   * @returns {SaveSlotLoadResult | null}
+   */
+  load(slotId) {
+    return this.restore(slotId, () => {});
+  }
+
+  /**
+   * Like load(), but also runs `apply(payload)` (e.g. engine.importSave) and treats a throw there
+   * as a bad record, falling back to the next backup. Returns null when no record applies.
+   * @param {string} slotId
+   * @param {(payload: Record<string, unknown>) => void} apply
+   * @returns {SaveSlotLoadResult | null}
+   */
+  restore(slotId, apply) {
+    this.#assertSlotId(slotId);
+    if (typeof apply !== 'function') {
+      throw new Error('SaveManager.restore requires an apply callback.');
+    }
+
+    const skipped = [];
+    for (const candidate of this.#candidateKeys(slotId)) {
+      const raw = this.storage.getItem(candidate.key);
+      if (raw === null) {
+        continue;
+      }
+
+      try {
+        const record = JSON.parse(raw);
+        if (!record || typeof record !== 'object' || !record.payload || typeof record.payload !== 'object') {
+          throw new Error('record is missing payload');
+        }
+        this.saveSystem.validate(record.payload);
+        apply(record.payload);
+        return { slotId, source: candidate.source, revision: record.revision, payload: record.payload, skipped };
+      } catch (error) {
+        skipped.push({ source: candidate.source, reason: error.message });
+      }
+    }
+
+    if (skipped.length > 0) {
+      const reasons = skipped.map((entry) => `${entry.source}: ${entry.reason}`).join('; ');
+      throw new Error(`SaveManager could not load slot "${slotId}": ${reasons}`);
+    }
+
+    return null;
+  }
+
+  listSlots() {
+    const slots = [];
+    for (const key of this.storage.keys()) {
+      if (!key.startsWith(SLOT_KEY_PREFIX) || key.includes(BACKUP_KEY_MARKER)) {
+        continue;
+      }
+
+      const slotId = key.slice(SLOT_KEY_PREFIX.length);
+      const record = this.#readRecord(key);
+      slots.push({
+        slotId,
+        revision: record && Number.isInteger(record.revision) ? record.revision : null,
+        backups: this.#countBackups(slotId),
+        isAutosave: slotId === this.autosaveSlotId,
+      });
+    }
+    return slots;
+  }
+
+  deleteSlot(slotId) {
+    this.#assertSlotId(slotId);
+    for (const candidate of this.#candidateKeys(slotId)) {
+      this.storage.removeItem(candidate.key);
+    }
+  }
+
+  /**
+   * Feed each tick summary; autosaves when either the tick or the game-time threshold is reached.
+   * @param {{ dt?: number }} tickSummary
+   * @returns {{ slotId: string, revision: number } | null}
+   */
+  onTick(tickSummary = {}) {
+    if (this.autosaveEveryTicks === null && this.autosaveEveryMs === null) {
+      return null;
+    }
+
+    this.ticksSinceAutosave += 1;
+    this.msSinceAutosave += Number.isFinite(tickSummary.dt) && tickSummary.dt > 0 ? tickSummary.dt : 0;
+
+    const tickDue = this.autosaveEveryTicks !== null && this.ticksSinceAutosave >= this.autosaveEveryTicks;
+    const timeDue = this.autosaveEveryMs !== null && this.msSinceAutosave >= this.autosaveEveryMs;
+    if (!tickDue && !timeDue) {
+      return null;
+    }
+
+    this.ticksSinceAutosave = 0;
+    this.msSinceAutosave = 0;
+    return this.save(this.autosaveSlotId, this.#capture({ slotId: this.autosaveSlotId, autosave: true }));
+  }
+
+  #capture(metadata) {
+    if (!this.capture) {
+      throw new Error('SaveManager needs a capture callback (or an explicit payload) to save.');
+    }
+    return this.capture(metadata);
+  }
+
+  #rotateBackups(slotId) {
+    if (this.maxBackups === 0) {
+      return;
+    }
+
+    this.storage.removeItem(this.#backupKey(slotId, this.maxBackups));
+    for (let index = this.maxBackups - 1; index >= 1; index -= 1) {
+      const value = this.storage.getItem(this.#backupKey(slotId, index));
+      if (value !== null) {
+        this.storage.setItem(this.#backupKey(slotId, index + 1), value);
+        this.storage.removeItem(this.#backupKey(slotId, index));
+      }
+    }
+
+    const primary = this.storage.getItem(this.#slotKey(slotId));
+    if (primary !== null) {
+      this.storage.setItem(this.#backupKey(slotId, 1), primary);
+    }
+  }
+
+  #candidateKeys(slotId) {
+    const candidates = [{ key: this.#slotKey(slotId), source: 'primary' }];
+    const backupKeys = this.storage
+      .keys()
+      .filter((key) => key.startsWith(`${this.#slotKey(slotId)}${BACKUP_KEY_MARKER}`))
+      .map((key) => Number(key.slice(`${this.#slotKey(slotId)}${BACKUP_KEY_MARKER}`.length)))
+      .filter((index) => Number.isInteger(index) && index > 0)
+      .sort((left, right) => left - right);
+
+    for (const index of backupKeys) {
+      candidates.push({ key: this.#backupKey(slotId, index), source: `backup-${index}` });
+    }
+    return candidates;
+  }
+
+  #countBackups(slotId) {
+    return this.#candidateKeys(slotId).length - 1;
+  }
+
+  #readRecord(key) {
+    const raw = this.storage.getItem(key);
+    if (raw === null) {
+      return null;
+    }
+    try {
+      return JSON.parse(raw);
+    } catch (_error) {
+      return null;
+    }
+  }
+
+  #slotKey(slotId) {
+    return `${SLOT_KEY_PREFIX}${slotId}`;
+  }
+
+  #backupKey(slotId, index) {
+    return `${SLOT_KEY_PREFIX}${slotId}${BACKUP_KEY_MARKER}${index}`;
+  }
+
+  #assertSlotId(slotId) {
+    if (typeof slotId !== 'string' || !SLOT_ID_PATTERN.test(slotId)) {
+      throw new Error(`SaveManager slotId must match ${SLOT_ID_PATTERN}. Received: ${slotId}`);
+    }
+  }
+}
+
+module.exports = {
+  SaveManager,
+};
@@ -0,0 +1,359 @@
+const { formatNodeRef } = require('../unlocks/nodeRef');
+
+const ROUTINE_INTENT_TYPES = Object.freeze(['ROUTINE_START', 'ROUTINE_STOP', 'ROUTINE_TOGGLE']);
+
+const ORPHAN_POLICIES = Object.freeze({
+  DROP: 'drop',
+  QUARANTINE: 'quarantine',
+});
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepClone(value) {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map((entry) => deepClone(entry));
+  }
+
+  const cloned = {};
+  for (const [key, entry] of Object.entries(value)) {
+    cloned[key] = deepClone(entry);
+  }
+  return cloned;
+}
+
+function readPath(root, parts) {
+  let current = root;
+  for (const part of parts) {
+    if (!isPlainObject(current) || !(part in current)) {
+      return undefined;
+    }
+    current = current[part];
+  }
+  return current;
+}
+
+/**
+ * @typedef {object} SaveReconciliationReport
+ * @property {'drop' | 'quarantine'} orphanPolicy
+ * @property {Array<{ path: string, value: unknown }>} seeded declared paths missing from the save, filled with defaults
+ * @property {Array<{ path: string, savedValue: unknown, value: unknown }>} reset object/scalar shape conflicts replaced by defaults
+ * @property {Array<{ path: string, value: unknown, action: 'dropped' | 'quarantined' }>} orphaned
+ * @property {Array<{ layerId: string, routineId: string, reason: string }>} routinesStopped
+ * @property {string[]} unlockLatchesDropped latched refs that no longer exist in the layer tree
+ * @property {Array<Record<string, unknown>>} intentsDropped pending routine intents aimed at removed routines
+ * @property {Record<string, unknown>} quarantine orphaned values keyed by path (empty under the drop policy)
+ * @property {boolean} changed
+ */
+
+/**
+ * Reconciles a saved engine snapshot against the current game definition before it is applied.
+ *
+ * Declared shape comes from `definition.state`: missing paths are seeded with their defaults and
+ * undeclared paths are orphans. An empty object in `definition.state` is an open map whose keys are
+ * never orphaned. Under `layers.*`, runtime-owned state is judged against the layer tree instead:
+ * state of known layers is kept, while unknown layers, routines and slot pools are orphaned and any
+ * routine that no longer exists (or moved to another pool) is stopped.
+ */
+class SaveReconciler {
+  constructor(options = {}) {
+    this.definition = options.definition || { state: {}, layers: [] };
+    // Top-level canonical keys written by engine services (not the definition); always kept as saved.
+    this.engineOwnedPaths = new Set(Array.isArray(options.engineOwnedPaths) ? options.engineOwnedPaths : []);
+    this.index = this.#buildIndex(this.definition);
+  }
+
+  /**
+   * Pure: returns reconciled copies and never mutates the input snapshot.
+   * @param {{ canonical: Record<string, unknown>, runtime?: Record<string, unknown> }} snapshot
+   * @param {{ orphanPolicy?: 'drop' | 'quarantine' }} [options]
+   * @returns {{ canonical: Record<string, unknown>, runtime: Record<string, unknown>, report: SaveReconciliationReport }}
+   */
+  reconcile(snapshot, options = {}) {
+    if (!snapshot || !isPlainObject(snapshot.canonical)) {
+      throw new Error('SaveReconciler.reconcile requires snapshot.canonical to be an object.');
+    }
+
+    const orphanPolicy = options.orphanPolicy === undefined ? ORPHAN_POLICIES.QUARANTINE : options.orphanPolicy;
+    if (!Object.values(ORPHAN_POLICIES).includes(orphanPolicy)) {
+      throw new Error(`SaveReconciler orphanPolicy must be one of: ${Object.values(ORPHAN_POLICIES).join(', ')}.`);
+    }
+
+    const report = {
+      orphanPolicy,
+      seeded: [],
+      reset: [],
+      orphaned: [],
+      routinesStopped: [],
+      unlockLatchesDropped: [],
+      intentsDropped: [],
+      quarantine: {},
+      changed: false,
+    };
+
+    const defaults = isPlainObject(this.definition.state) ? this.definition.state : {};
+    const canonical = this.#reconcileNode(defaults, snapshot.canonical, [], report);
+    const runtime = isPlainObject(snapshot.runtime) ? deepClone(snapshot.runtime) : {};
+
+    this.#stopRemovedRoutines(canonical, runtime, report);
+    this.#dropRemovedUnlockLatches(runtime, report);
+    this.#dropStaleRoutineIntents(runtime, report);
+
+    report.changed =
+      report.seeded.length > 0 ||
+      report.reset.length > 0 ||
+      report.orphaned.length > 0 ||
+      report.routinesStopped.length > 0 ||
+      report.unlockLatchesDropped.length > 0 ||
+      report.intentsDropped.length > 0;
+
+    return { canonical, runtime, report };
+  }
+
+  #reconcileNode(defaults, saved, parts, report) {
+    const result = {};
+
+    for (const [key, defaultValue] of Object.entries(defaults)) {
+      const childParts = [...parts, key];
+      const savedValue = saved[key];
+
+      if (savedValue === undefined) {
+        result[key] = deepClone(defaultValue);
+        report.seeded.push({ path: childParts.join('.'), value: deepClone(defaultValue) });
+      } else if (isPlainObject(defaultValue) !== isPlainObject(savedValue)) {
+        result[key] = deepClone(defaultValue);
+        report.reset.push({ path: childParts.join('.'), savedValue: deepClone(savedValue), value: deepClone(defaultValue) });
+      } else if (isPlainObject(defaultValue)) {
+        result[key] = this.#reconcileNode(defaultValue, savedValue, childParts, report);
+      } else {
+        result[key] = deepClone(savedValue);
+      }
+    }
+
+    const isOpenMap = parts.length > 0 && Object.keys(defaults).length === 0;
+    for (const [key, savedValue] of Object.entries(saved)) {
+      if (key in defaults) {
+        continue;
+      }
+
+      const childParts = [...parts, key];
+      const classification = this.#classifyUndeclaredPath(childParts);
+      if (classification === 'container' && isPlainObject(savedValue)) {
+        result[key] = this.#reconcileNode({}, savedValue, childParts, report);
+      } else if (classification === 'keep' || (classification === 'unowned' && isOpenMap)) {
+        result[key] = deepClone(savedValue);
+      } else {
+        this.#recordOrphan(childParts.join('.'), savedValue, report);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * `container` recurses (its children are judged individually), `keep` copies the subtree,
+   * `orphan` removes it, and `unowned` is only kept inside an open map.
+   */
+  #classifyUndeclaredPath(parts) {
+    if (parts.length === 1 && this.engineOwnedPaths.has(parts[0])) {
+      return 'keep';
+    }
+    if (parts[0] !== 'layers') {
+      return 'unowned';
+    }
+    if (parts.length === 1) {
+      return 'container';
+    }
+
+    const layer = this.index.layers.get(parts[1]);
+    if (!layer) {
+      return 'orphan';
+    }
+    if (parts.length === 2) {
+      return 'container';
+    }
+    if (parts[2] !== 'routines' && parts[2] !== 'routinePools') {
+      return 'keep';
+    }
+    if (parts.length === 3) {
+      return 'container';
+    }
+    if (parts.length === 4) {
+      const known = parts[2] === 'routines' ? layer.routines.has(parts[3]) : layer.poolIds.has(parts[3]);
+      return known ? 'keep' : 'orphan';
+    }
+    return 'keep';
+  }
+
+  #recordOrphan(path, value, report) {
+    const quarantined = report.orphanPolicy === ORPHAN_POLICIES.QUARANTINE;
+    report.orphaned.push({ path, value: deepClone(value), action: quarantined ? 'quarantined' : 'dropped' });
+    if (quarantined) {
+      report.quarantine[path] = deepClone(value);
+    }
+
+    // Orphaning a whole layer or a single routine also stops whatever was running there.
+    const parts = path.split('.');
+    let orphanedRoutines = null;
+    if (parts[0] === 'layers' && parts.length === 2 && isPlainObject(value)) {
+      orphanedRoutines = value.routines;
+    } else if (parts[0] === 'layers' && parts.length === 4 && parts[2] === 'routines') {
+      orphanedRoutines = { [parts[3]]: value };
+    }
+
+    for (const [routineId, routineState] of Object.entries(isPlainObject(orphanedRoutines) ? orphanedRoutines : {})) {
+      if (isPlainObject(routineState) && routineState.active === true) {
+        this.#recordStoppedRoutine(parts[1], routineId, 'routine-removed', report);
+      }
+    }
+  }
+
+  #stopRemovedRoutines(canonical, runtime, report) {
+    for (const [layerId, layer] of this.index.layers) {
+      for (const poolId of layer.poolIds) {
+        const pool = readPath(canonical, ['layers', layerId, 'routinePools', poolId]);
+        if (!isPlainObject(pool) || typeof pool.activeRoutine !== 'string') {
+          continue;
+        }
+
+        const [activeLayerId, activeRoutineId] = pool.activeRoutine.split('/');
+        if (!this.#isRoutineInPool(activeLayerId, activeRoutineId, this.#poolStatePath(layerId, poolId))) {
+          pool.activeRoutine = null;
+          this.#deactivateRoutine(canonical, activeLayerId, activeRoutineId);
+          this.#recordStoppedRoutine(activeLayerId, activeRoutineId, this.#stopReason(activeLayerId, activeRoutineId), report);
+        }
+      }
+    }
+
+    const routines = isPlainObject(runtime.routines) ? runtime.routines : null;
+    if (!routines || !Array.isArray(routines.activeByPool)) {
+      return;
+    }
+
+    routines.activeByPool = routines.activeByPool.filter((active) => {
+      if (active && this.#isRoutineInPool(active.layerId, active.routineId, active.poolPath)) {
+        return true;
+      }
+
+      const layerId = active && active.layerId;
+      const routineId = active && active.routineId;
+      this.#deactivateRoutine(canonical, layerId, routineId);
+      this.#recordStoppedRoutine(layerId, routineId, this.#stopReason(layerId, routineId), report);
+      return false;
+    });
+  }
+
+  #isRoutineInPool(layerId, routineId, poolPath) {
+    const layer = this.index.layers.get(layerId);
+    const routine = layer ? layer.routines.get(routineId) : undefined;
+    return Boolean(routine) && this.#poolStatePath(layerId, routine.poolId) === poolPath;
+  }
+
+  #stopReason(layerId, routineId) {
+    const layer = this.index.layers.get(layerId);
+    return layer && layer.routines.has(routineId) ? 'routine-pool-changed' : 'routine-removed';
+  }
+
+  #deactivateRoutine(canonical, layerId, routineId) {
+    const layer = this.index.layers.get(layerId);
+    if (!layer || !layer.routines.has(routineId)) {
+      return;
+    }
+
+    const routineState = readPath(canonical, ['layers', layerId, 'routines', routineId]);
+    if (isPlainObject(routineState) && routineState.active === true) {
+      routineState.active = false;
+      routineState.lastStopReason = 'save-reconciled';
+    }
+  }
+
+  #recordStoppedRoutine(layerId, routineId, reason, report) {
+    const alreadyRecorded = report.routinesStopped.some(
+      (entry) => entry.layerId === layerId && entry.routineId === routineId
+    );
+    if (!alreadyRecorded) {
+      report.routinesStopped.push({ layerId, routineId, reason });
+    }
+  }
+
+  #dropRemovedUnlockLatches(runtime, report) {
+    const unlocks = isPlainObject(runtime.unlocks) ? runtime.unlocks : null;
+    if (!unlocks || !Array.isArray(unlocks.unlockedRefs)) {
+      return;
+    }
+
+    unlocks.unlockedRefs = unlocks.unlockedRefs.filter((ref) => {
+      if (this.index.nodeRefs.has(ref)) {
+        return true;
+      }
+      report.unlockLatchesDropped.push(ref);
+      return false;
+    });
+  }
+
+  #dropStaleRoutineIntents(runtime, report) {
+    if (!Array.isArray(runtime.intentQueue)) {
+      return;
+    }
+
+    runtime.intentQueue = runtime.intentQueue.filter((intent) => {
+      if (!intent || !ROUTINE_INTENT_TYPES.includes(intent.type) || !isPlainObject(intent.payload)) {
+        return true;
+      }
+
+      const layer = this.index.layers.get(intent.payload.layerId);
+      if (layer && layer.routines.has(intent.payload.routineId)) {
+        return true;
+      }
+      report.intentsDropped.push(intent);
+      return false;
+    });
+  }
+
+  #poolStatePath(layerId, poolId) {
+    return `layers.${layerId}.routinePools.${poolId}.activeRoutine`;
+  }
+
+  #buildIndex(definition) {
+    const layers = new Map();
+    const nodeRefs = new Set();
+
+    for (const layer of Array.isArray(definition.layers) ? definition.layers : []) {
+      if (!layer || typeof layer.id !== 'string') {
+        continue;
+      }
+
+      const slotPools =
+        layer.routineSystem && isPlainObject(layer.routineSystem.slotPools) ? layer.routineSystem.slotPools : {};
+      const entry = { routines: new Map(), poolIds: new Set(Object.keys(slotPools)) };
+      layers.set(layer.id, entry);
+      nodeRefs.add(formatNodeRef({ layer: layer.id }));
+
+      for (const sublayer of Array.isArray(layer.sublayers) ? layer.sublayers : []) {
+        nodeRefs.add(formatNodeRef({ layer: layer.id, sublayer: sublayer.id }));
+        for (const section of Array.isArray(sublayer.sections) ? sublayer.sections : []) {
+          nodeRefs.add(formatNodeRef({ layer: layer.id, sublayer: sublayer.id, section: section.id }));
+          for (const element of Array.isArray(section.elements) ? section.elements : []) {
+            nodeRefs.add(
+              formatNodeRef({ layer: layer.id, sublayer: sublayer.id, section: section.id, element: element.id })
+            );
+            if (element && element.type === 'routine' && typeof element.id === 'string') {
+              entry.routines.set(element.id, { poolId: element.slot && element.slot.poolId });
+            }
+          }
+        }
+      }
+    }
+
+    return { layers, nodeRefs };
+  }
+}
+
+module.exports = {
+  ORPHAN_POLICIES,
+  SaveReconciler,
+};
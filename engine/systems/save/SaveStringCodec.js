@@ -0,0 +1,173 @@
+const {
+  crc32Hex,
+  fromBase64Url,
+  lzwCompress,
+  lzwDecompress,
+  toBase64Url,
+  utf8Decode,
+  utf8Encode,
+} = require('./saveStringEncoding');
+
+const SAVE_STRING_FORMAT = 'IGS1';
+const SAVE_STRING_SEPARATOR = ':';
+
+const SAVE_STRING_ERROR_CODES = Object.freeze({
+  EMPTY: 'SAVE_STRING_EMPTY',
+  FORMAT_UNKNOWN: 'SAVE_STRING_FORMAT_UNKNOWN',
+  MALFORMED: 'SAVE_STRING_MALFORMED',
+  TRUNCATED: 'SAVE_STRING_TRUNCATED',
+  CHECKSUM_MISMATCH: 'SAVE_STRING_CHECKSUM_MISMATCH',
+  GAME_MISMATCH: 'SAVE_STRING_GAME_MISMATCH',
+  CORRUPT: 'SAVE_STRING_CORRUPT',
+});
+
+class SaveStringError extends Error {
+  /**
+   * @param {string} code one of SAVE_STRING_ERROR_CODES
+   * @param {string} message
+   */
+  constructor(code, message) {
+    super(`[${code}] ${message}`);
+    this.name = 'SaveStringError';
+    this.code = code;
+  }
+}
+
+/**
+ * Copy/paste-friendly save strings on top of SaveSystem payloads.
+ *
+ * Layout: `IGS1:<schemaVersion>:<gameId base64url>:<json byte length>:<data length>:<crc32>:<data base64url>`
+ * where data is LZW-compressed JSON of the SaveSystem payload and the CRC-32 covers every field before it,
+ * so edited headers, edited data and truncation are all detected before any JSON parsing.
+ */
+class SaveStringCodec {
+  constructor(options = {}) {
+    this.saveSystem = options.saveSystem;
+    this.gameId = options.gameId;
+
+    if (!this.saveSystem) {
+      throw new Error('SaveStringCodec requires saveSystem.');
+    }
+    if (typeof this.gameId !== 'string' || this.gameId.length === 0) {
+      throw new Error('SaveStringCodec requires a non-empty gameId.');
+    }
+  }
+
+  /**
+   * @param {Record<string, unknown>} payload SaveSystem.serialize() output
+   * @returns {string}
+   */
+  encode(payload) {
+    if (!payload || typeof payload !== 'object' || typeof payload.schemaVersion !== 'string') {
+      throw new Error('SaveStringCodec.encode requires a SaveSystem payload with schemaVersion.');
+    }
+
+    const jsonBytes = utf8Encode(JSON.stringify(payload));
+    const data = toBase64Url(lzwCompress(jsonBytes));
+    const header = [
+      SAVE_STRING_FORMAT,
+      payload.schemaVersion,
+      toBase64Url(utf8Encode(this.gameId)),
+      String(jsonBytes.length),
+      String(data.length),
+    ].join(SAVE_STRING_SEPARATOR);
+    const checksum = crc32Hex(utf8Encode(`${header}${SAVE_STRING_SEPARATOR}${data}`));
+
+    return [header, checksum, data].join(SAVE_STRING_SEPARATOR);
+  }
+
+  /**
+   * Verify, decompress and hand the payload to SaveSystem.deserialize() (which applies migrations).
+   * @param {string} text
+   */
+  decode(text) {
+    const payload = this.decodePayload(text);
+    return this.saveSystem.deserialize(payload);
+  }
+
+  /**
+   * Verify and decompress without migrating.
+   * @param {string} text
+   * @returns {Record<string, unknown>}
+   */
+  decodePayload(text) {
+    const trimmed = typeof text === 'string' ? text.replace(/\s+/g, '') : '';
+    if (trimmed.length === 0) {
+      throw new SaveStringError(SAVE_STRING_ERROR_CODES.EMPTY, 'Save string is empty.');
+    }
+
+    const parts = trimmed.split(SAVE_STRING_SEPARATOR);
+    if (parts[0] !== SAVE_STRING_FORMAT) {
+      throw new SaveStringError(
+        SAVE_STRING_ERROR_CODES.FORMAT_UNKNOWN,
+        `Unrecognized save string format "${parts[0].slice(0, 8)}"; expected ${SAVE_STRING_FORMAT}.`
+      );
+    }
+    if (parts.length < 7) {
+      throw new SaveStringError(SAVE_STRING_ERROR_CODES.TRUNCATED, 'Save string is missing header fields.');
+    }
+    if (parts.length > 7) {
+      throw new SaveStringError(SAVE_STRING_ERROR_CODES.MALFORMED, 'Save string has unexpected extra fields.');
+    }
+
+    const [, schemaVersion, encodedGameId, jsonLengthText, dataLengthText, checksum, data] = parts;
+    const jsonLength = Number(jsonLengthText);
+    const dataLength = Number(dataLengthText);
+    if (!Number.isInteger(jsonLength) || jsonLength < 0 || !Number.isInteger(dataLength) || dataLength < 0) {
+      throw new SaveStringError(SAVE_STRING_ERROR_CODES.MALFORMED, 'Save string header lengths are not valid integers.');
+    }
+    if (data.length < dataLength) {
+      throw new SaveStringError(
+        SAVE_STRING_ERROR_CODES.TRUNCATED,
+        `Save string data is truncated (${data.length} of ${dataLength} characters).`
+      );
+    }
+
+    const header = parts.slice(0, 5).join(SAVE_STRING_SEPARATOR);
+    if (crc32Hex(utf8Encode(`${header}${SAVE_STRING_SEPARATOR}${data}`)) !== checksum) {
+      throw new SaveStringError(
+        SAVE_STRING_ERROR_CODES.CHECKSUM_MISMATCH,
+        'Save string checksum does not match; it was edited or damaged while copying.'
+      );
+    }
+
+    const gameIdBytes = fromBase64Url(encodedGameId);
+    const saveGameId = gameIdBytes ? this.#decodeUtf8OrNull(gameIdBytes) : null;
+    if (saveGameId !== this.gameId) {
+      throw new SaveStringError(
+        SAVE_STRING_ERROR_CODES.GAME_MISMATCH,
+        `Save string belongs to game "${saveGameId}", not "${this.gameId}".`
+      );
+    }
+
+    const compressed = fromBase64Url(data);
+    const jsonBytes = compressed ? lzwDecompress(compressed, jsonLength) : null;
+    const json = jsonBytes ? this.#decodeUtf8OrNull(jsonBytes) : null;
+    let payload = null;
+    try {
+      payload = json === null ? null : JSON.parse(json);
+    } catch (_error) {
+      payload = null;
+    }
+
+    if (!payload || typeof payload !== 'object' || payload.schemaVersion !== schemaVersion) {
+      throw new SaveStringError(SAVE_STRING_ERROR_CODES.CORRUPT, 'Save string data could not be decoded.');
+    }
+
+    return payload;
+  }
+
+  #decodeUtf8OrNull(bytes) {
+    try {
+      return utf8Decode(bytes);
+    } catch (_error) {
+      return null;
+    }
+  }
+}
+
+module.exports = {
+  SAVE_STRING_ERROR_CODES,
+  SaveStringCodec,
+  SaveStringError,
+};
@@ -1,5 +1,6 @@
 const {
   compareSchemaVersions,
+  parseSchemaVersion,
   validateSchemaVersion,
   DEFAULT_COMPATIBILITY_POLICY,
 } = require('../../validation/schema/schemaVersionPolicy');
@@ -12,15 +13,78 @@ function clone(value) {
   return JSON.parse(JSON.stringify(value));
 }
 
+function normalizeVersionKey(version) {
+  const parsed = parseSchemaVersion(version);
+  return parsed ? `${parsed.major}.${parsed.minor}.${parsed.patch}` : null;
+}
+
+// Patch releases never change the save shape, so versions on the same major.minor line share saves.
+function isSamePatchLine(left, right) {
+  const a = parseSchemaVersion(left);
+  const b = parseSchemaVersion(right);
+  return Boolean(a && b) && a.major === b.major && a.minor === b.minor;
+}
+
+/**
+ * @typedef {object} SaveMigrationStep
+ * @property {string} from
+ * @property {string} to
+ * @property {(payload: { schemaVersion: string, snapshot: Record<string, unknown>, metadata: Record<string, unknown> }) => { snapshot: Record<string, unknown>, metadata?: Record<string, unknown> }} migrate
+ */
+
 class SaveSystem {
   constructor(options = {}) {
     this.compatibilityPolicy = options.compatibilityPolicy || DEFAULT_COMPATIBILITY_POLICY;
     this.schemaVersion = options.schemaVersion;
+    this.migrationsByFrom = new Map();
+    this.lastMigrationReport = { from: null, to: null, steps: [] };
 
     const schemaIssues = validateSchemaVersion(this.schemaVersion, this.compatibilityPolicy);
     if (schemaIssues.length > 0) {
       throw new Error(`SaveSystem requires a compatible schemaVersion. ${schemaIssues[0].message}`);
     }
+
+    const migrations = Array.isArray(options.migrations) ? options.migrations : [];
+    for (const step of migrations) {
+      this.registerMigration(step);
+    }
+  }
+
+  /**
+   * Register one forward migration step. Content registers 1.0→1.1, 1.1→1.2, ... and the save
+   * system walks them in order. Versions that differ only in patch need no step: a save at 1.0.3
+   * uses the 1.0.0 step, and a 1.1.0 save loads as-is into a 1.1.1 game.
+   * @param {SaveMigrationStep} step
+   */
+  registerMigration(step) {
+    if (!isPlainObject(step)) {
+      throw new Error('SaveSystem.registerMigration requires a step object.');
+    }
+
+    const fromKey = normalizeVersionKey(step.from);
+    const toKey = normalizeVersionKey(step.to);
+    if (!fromKey || !toKey) {
+      throw new Error('SaveSystem.registerMigration requires from/to in <major>.<minor>[.<patch>] format.');
+    }
+    if (compareSchemaVersions(fromKey, toKey) >= 0) {
+      throw new Error(`SaveSystem.registerMigration step ${step.from} -> ${step.to} must move to a newer schemaVersion.`);
+    }
+    if (typeof step.migrate !== 'function') {
+      throw new Error(`SaveSystem.registerMigration step ${step.from} -> ${step.to} requires a migrate function.`);
+    }
+    if (this.migrationsByFrom.has(fromKey)) {
+      throw new Error(`SaveSystem.registerMigration: duplicate migration registered from schemaVersion ${step.from}.`);
+    }
+
+    this.migrationsByFrom.set(fromKey, { from: fromKey, to: toKey, migrate: step.migrate });
+  }
+
+  getLastMigrationReport() {
+    return {
+      from: this.lastMigrationReport.from,
+      to: this.lastMigrationReport.to,
+      steps: this.lastMigrationReport.steps.map((step) => ({ ...step })),
+    };
   }
 
   serialize(stateSnapshot, metadata = {}) {
@@ -49,9 +113,24 @@ class SaveSystem {
       schemaVersion: migrated.schemaVersion,
       snapshot: clone(migrated.snapshot),
       metadata: clone(migrated.metadata || {}),
+      migrationsApplied: this.getLastMigrationReport().steps,
     };
   }
 
+  /**
+   * Throw exactly when deserialize() would, without replacing the last migration report. Lets
+   * callers vet a payload before storing it while the report keeps describing the last real load.
+   * @param {Record<string, unknown>} payload
+   */
+  validate(payload) {
+    const report = this.lastMigrationReport;
+    try {
+      this.deserialize(payload);
+    } finally {
+      this.lastMigrationReport = report;
+    }
+  }
+
   migrate(payload, targetSchemaVersion) {
     if (!isPlainObject(payload)) {
       throw new Error('SaveSystem.migrate requires payload to be a plain object.');
@@ -62,8 +141,10 @@ class SaveSystem {
       throw new Error(`SaveSystem.migrate target schemaVersion is invalid. ${targetIssues[0].message}`);
     }
 
+    // Older majors are only accepted when content registered a migration starting on that patch line.
+    const hasRegisteredStart = this.#findStep(normalizeVersionKey(payload.schemaVersion)) !== null;
     const payloadVersionIssues = validateSchemaVersion(payload.schemaVersion, this.compatibilityPolicy);
-    if (payloadVersionIssues.length > 0) {
+    if (payloadVersionIssues.length > 0 && !hasRegisteredStart) {
       throw new Error(`SaveSystem.migrate payload schemaVersion is incompatible. ${payloadVersionIssues[0].message}`);
     }
 
@@ -72,7 +153,9 @@ class SaveSystem {
       throw new Error('SaveSystem.migrate could not compare schema versions.');
     }
 
-    if (comparison === 0) {
+    this.lastMigrationReport = { from: payload.schemaVersion, to: targetSchemaVersion, steps: [] };
+
+    if (comparison === 0 || isSamePatchLine(payload.schemaVersion, targetSchemaVersion)) {
       return {
         schemaVersion: targetSchemaVersion,
         snapshot: clone(payload.snapshot),
@@ -80,9 +163,91 @@ class SaveSystem {
       };
     }
 
-    throw new Error(
-      `SaveSystem.migrate has no migration path from schemaVersion ${payload.schemaVersion} to ${targetSchemaVersion}.`
-    );
+    if (comparison > 0) {
+      throw new Error(
+        `SaveSystem.migrate cannot downgrade schemaVersion ${payload.schemaVersion} to ${targetSchemaVersion}.`
+      );
+    }
+
+    const steps = this.#resolveMigrationPath(payload.schemaVersion, targetSchemaVersion);
+    let current = {
+      schemaVersion: payload.schemaVersion,
+      snapshot: clone(payload.snapshot),
+      metadata: clone(payload.metadata || {}),
+    };
+
+    for (const step of steps) {
+      const result = step.migrate(clone(current));
+      this.#assertMigrationResult(step, result);
+      current = {
+        schemaVersion: step.to,
+        snapshot: clone(result.snapshot),
+        metadata: clone(result.metadata === undefined ? current.metadata : result.metadata),
+      };
+      this.lastMigrationReport.steps.push({ from: step.from, to: step.to });
+    }
+
+    return {
+      schemaVersion: targetSchemaVersion,
+      snapshot: current.snapshot,
+      metadata: current.metadata,
+    };
+  }
+
+  #resolveMigrationPath(fromVersion, targetSchemaVersion) {
+    const targetKey = normalizeVersionKey(targetSchemaVersion);
+    const steps = [];
+    let cursor = normalizeVersionKey(fromVersion);
+
+    while (compareSchemaVersions(cursor, targetKey) < 0 && !isSamePatchLine(cursor, targetKey)) {
+      const step = this.#findStep(cursor);
+      if (!step || (compareSchemaVersions(step.to, targetKey) > 0 && !isSamePatchLine(step.to, targetKey))) {
+        throw new Error(
+          `SaveSystem.migrate has no migration path from schemaVersion ${fromVersion} to ${targetSchemaVersion}` +
+            ` (missing step from ${cursor}).`
+        );
+      }
+
+      steps.push(step);
+      cursor = step.to;
+    }
+
+    return steps;
+  }
+
+  /**
+   * The step registered from `cursor`, or else the newest step registered from an earlier patch
+   * of the same major.minor line.
+   */
+  #findStep(cursor) {
+    if (this.migrationsByFrom.has(cursor)) {
+      return this.migrationsByFrom.get(cursor);
+    }
+
+    let best = null;
+    for (const step of this.migrationsByFrom.values()) {
+      if (
+        isSamePatchLine(step.from, cursor) &&
+        compareSchemaVersions(step.from, cursor) < 0 &&
+        (!best || compareSchemaVersions(step.from, best.from) > 0)
+      ) {
+        best = step;
+      }
+    }
+    return best;
+  }
+
+  #assertMigrationResult(step, result) {
+    const label = `SaveSystem.migrate step ${step.from} -> ${step.to}`;
+    if (!isPlainObject(result)) {
+      throw new Error(`${label} must return a payload object.`);
+    }
+    if (!isPlainObject(result.snapshot)) {
+      throw new Error(`${label} returned an invalid payload: snapshot must be a plain object.`);
+    }
+    if (result.metadata !== undefined && !isPlainObject(result.metadata)) {
+      throw new Error(`${label} returned an invalid payload: metadata must be a plain object when provided.`);
+    }
   }
 }
 
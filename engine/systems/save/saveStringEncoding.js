@@ -0,0 +1,230 @@
+// Portable byte helpers for save strings. Pure JS so encoded saves are identical in Node and browsers.
+
+const BASE64URL_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+const BASE64URL_LOOKUP = new Map(Array.from(BASE64URL_ALPHABET).map((char, index) => [char, index]));
+
+const LZW_MIN_CODE_BITS = 9;
+const LZW_MAX_CODE_BITS = 16;
+const LZW_FIRST_FREE_CODE = 256;
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let index = 0; index < 256; index += 1) {
+    let value = index;
+    for (let bit = 0; bit < 8; bit += 1) {
+      value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+    }
+    table[index] = value >>> 0;
+  }
+  return table;
+})();
+
+function utf8Encode(text) {
+  return new TextEncoder().encode(text);
+}
+
+function utf8Decode(bytes) {
+  return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string} 8-char lowercase hex CRC-32
+ */
+function crc32Hex(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return ((crc ^ 0xffffffff) >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string} unpadded base64url
+ */
+function toBase64Url(bytes) {
+  let output = '';
+  for (let index = 0; index < bytes.length; index += 3) {
+    const chunk = (bytes[index] << 16) | ((bytes[index + 1] || 0) << 8) | (bytes[index + 2] || 0);
+    const remaining = bytes.length - index;
+    output += BASE64URL_ALPHABET[(chunk >> 18) & 63];
+    output += BASE64URL_ALPHABET[(chunk >> 12) & 63];
+    if (remaining > 1) {
+      output += BASE64URL_ALPHABET[(chunk >> 6) & 63];
+    }
+    if (remaining > 2) {
+      output += BASE64URL_ALPHABET[chunk & 63];
+    }
+  }
+  return output;
+}
+
+/**
+ * @param {string} text
+ * @returns {Uint8Array | null} null when text is not valid unpadded base64url
+ */
+function fromBase64Url(text) {
+  if (text.length % 4 === 1) {
+    return null;
+  }
+
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  for (const char of text) {
+    const value = BASE64URL_LOOKUP.get(char);
+    if (value === undefined) {
+      return null;
+    }
+    buffer = (buffer << 6) | value;
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >> bits) & 0xff);
+    }
+  }
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * LZW with variable-width codes (9-16 bits); the dictionary resets when full.
+ * @param {Uint8Array} input
+ * @returns {Uint8Array}
+ */
+function lzwCompress(input) {
+  const output = [];
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let codeBits = LZW_MIN_CODE_BITS;
+  let nextCode = LZW_FIRST_FREE_CODE;
+  let dictionary = new Map();
+
+  const writeCode = (code) => {
+    bitBuffer = bitBuffer * (1 << codeBits) + code;
+    bitCount += codeBits;
+    while (bitCount >= 8) {
+      bitCount -= 8;
+      const divisor = 2 ** bitCount;
+      output.push(Math.floor(bitBuffer / divisor) & 0xff);
+      bitBuffer %= divisor;
+    }
+  };
+
+  let prefix = -1;
+  for (const byte of input) {
+    if (prefix === -1) {
+      prefix = byte;
+      continue;
+    }
+
+    const key = prefix * 256 + byte;
+    const existing = dictionary.get(key);
+    if (existing !== undefined) {
+      prefix = existing;
+      continue;
+    }
+
+    writeCode(prefix);
+    if (nextCode === 1 << LZW_MAX_CODE_BITS) {
+      dictionary = new Map();
+      nextCode = LZW_FIRST_FREE_CODE;
+      codeBits = LZW_MIN_CODE_BITS;
+    } else {
+      dictionary.set(key, nextCode);
+      nextCode += 1;
+      if (nextCode > 1 << codeBits && codeBits < LZW_MAX_CODE_BITS) {
+        codeBits += 1;
+      }
+    }
+    prefix = byte;
+  }
+
+  if (prefix !== -1) {
+    writeCode(prefix);
+  }
+  if (bitCount > 0) {
+    output.push((bitBuffer * 2 ** (8 - bitCount)) & 0xff);
+  }
+
+  return Uint8Array.from(output);
+}
+
+/**
+ * @param {Uint8Array} input
+ * @param {number} expectedLength decoded byte length recorded at encode time
+ * @returns {Uint8Array | null} null when the stream is malformed
+ */
+function lzwDecompress(input, expectedLength) {
+  const output = [];
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let inputIndex = 0;
+  let codeBits = LZW_MIN_CODE_BITS;
+  let nextCode = LZW_FIRST_FREE_CODE;
+  let dictionary = [];
+  let previous = null;
+
+  const readCode = () => {
+    while (bitCount < codeBits) {
+      if (inputIndex >= input.length) {
+        return -1;
+      }
+      bitBuffer = bitBuffer * 256 + input[inputIndex];
+      inputIndex += 1;
+      bitCount += 8;
+    }
+    bitCount -= codeBits;
+    const divisor = 2 ** bitCount;
+    const code = Math.floor(bitBuffer / divisor);
+    bitBuffer %= divisor;
+    return code;
+  };
+
+  const entryFor = (code) => (code < LZW_FIRST_FREE_CODE ? [code] : dictionary[code - LZW_FIRST_FREE_CODE]);
+
+  while (output.length < expectedLength) {
+    const code = readCode();
+    if (code < 0) {
+      return null;
+    }
+
+    let entry = entryFor(code);
+    if (!entry) {
+      if (previous === null || code !== nextCode) {
+        return null;
+      }
+      entry = [...previous, previous[0]];
+    }
+    output.push(...entry);
+
+    if (previous !== null) {
+      // The decoder adds each entry one code later than the encoder, hence `nextCode + 1` below.
+      dictionary.push([...previous, entry[0]]);
+      nextCode += 1;
+      if (nextCode === 1 << LZW_MAX_CODE_BITS) {
+        dictionary = [];
+        nextCode = LZW_FIRST_FREE_CODE;
+        codeBits = LZW_MIN_CODE_BITS;
+        previous = null;
+        continue;
+      }
+      if (nextCode + 1 > 1 << codeBits && codeBits < LZW_MAX_CODE_BITS) {
+        codeBits += 1;
+      }
+    }
+    previous = entry;
+  }
+
+  return output.length === expectedLength ? Uint8Array.from(output) : null;
+}
+
+module.exports = {
+  crc32Hex,
+  fromBase64Url,
+  lzwCompress,
+  lzwDecompress,
+  toBase64Url,
+  utf8Decode,
+  utf8Encode,
+};
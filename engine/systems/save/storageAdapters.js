@@ -0,0 +1,156 @@
+/**
+ * @typedef {object} SaveStorageAdapter
+ * @property {(key: string) => string | null} getItem
+ * @property {(key: string, value: string) => void} setItem
+ * @property {(key: string) => void} removeItem
+ * @property {() => string[]} keys
+ */
+
+function assertKey(key) {
+  if (typeof key !== 'string' || key.length === 0) {
+    throw new Error('Storage key must be a non-empty string.');
+  }
+}
+
+function assertValue(value) {
+  if (typeof value !== 'string') {
+    throw new Error('Storage value must be a string.');
+  }
+}
+
+/** @implements {SaveStorageAdapter} */
+class MemoryStorageAdapter {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  getItem(key) {
+    assertKey(key);
+    return this.entries.has(key) ? this.entries.get(key) : null;
+  }
+
+  setItem(key, value) {
+    assertKey(key);
+    assertValue(value);
+    this.entries.set(key, value);
+  }
+
+  removeItem(key) {
+    assertKey(key);
+    this.entries.delete(key);
+  }
+
+  keys() {
+    return Array.from(this.entries.keys()).sort((left, right) => left.localeCompare(right));
+  }
+}
+
+/**
+ * Wraps any localStorage-shaped object (`getItem`, `setItem`, `removeItem`, `key(i)`, `length`).
+ * Keys are namespaced with `prefix` so several games can share one browser origin.
+ * @implements {SaveStorageAdapter}
+ */
+class KeyValueStorageAdapter {
+  constructor(options = {}) {
+    this.storage = options.storage;
+    this.prefix = typeof options.prefix === 'string' ? options.prefix : '';
+
+    const storage = this.storage;
+    if (!storage || typeof storage.getItem !== 'function' || typeof storage.setItem !== 'function') {
+      throw new Error('KeyValueStorageAdapter requires a localStorage-shaped storage object.');
+    }
+    if (typeof storage.removeItem !== 'function' || typeof storage.key !== 'function') {
+      throw new Error('KeyValueStorageAdapter storage must implement removeItem() and key().');
+    }
+  }
+
+  getItem(key) {
+    assertKey(key);
+    const value = this.storage.getItem(`${this.prefix}${key}`);
+    return value === undefined ? null : value;
+  }
+
+  setItem(key, value) {
+    assertKey(key);
+    assertValue(value);
+    this.storage.setItem(`${this.prefix}${key}`, value);
+  }
+
+  removeItem(key) {
+    assertKey(key);
+    this.storage.removeItem(`${this.prefix}${key}`);
+  }
+
+  keys() {
+    const keys = [];
+    for (let index = 0; index < this.storage.length; index += 1) {
+      const key = this.storage.key(index);
+      if (typeof key === 'string' && key.startsWith(this.prefix)) {
+        keys.push(key.slice(this.prefix.length));
+      }
+    }
+    return keys.sort((left, right) => left.localeCompare(right));
+  }
+}
+
+/**
+ * Node filesystem adapter: one file per key inside `directory`.
+ * Writes go to a temp file and are renamed into place so a crash never leaves a half-written save.
+ * @implements {SaveStorageAdapter}
+ */
+class FileSystemStorageAdapter {
+  constructor(options = {}) {
+    if (typeof options.directory !== 'string' || options.directory.length === 0) {
+      throw new Error('FileSystemStorageAdapter requires a directory.');
+    }
+
+    // Required lazily so browser bundles that only use memory/localStorage adapters never touch fs.
+    this.fs = require('fs');
+    this.path = require('path');
+    this.directory = options.directory;
+    this.extension = '.save';
+    this.fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  getItem(key) {
+    const filePath = this.#filePath(key);
+    if (!this.fs.existsSync(filePath)) {
+      return null;
+    }
+    return this.fs.readFileSync(filePath, 'utf8');
+  }
+
+  setItem(key, value) {
+    assertValue(value);
+    const filePath = this.#filePath(key);
+    const tempPath = `${filePath}.tmp`;
+    this.fs.writeFileSync(tempPath, value, 'utf8');
+    this.fs.renameSync(tempPath, filePath);
+  }
+
+  removeItem(key) {
+    const filePath = this.#filePath(key);
+    if (this.fs.existsSync(filePath)) {
+      this.fs.unlinkSync(filePath);
+    }
+  }
+
+  keys() {
+    return this.fs
+      .readdirSync(this.directory)
+      .filter((fileName) => fileName.endsWith(this.extension))
+      .map((fileName) => decodeURIComponent(fileName.slice(0, -this.extension.length)))
+      .sort((left, right) => left.localeCompare(right));
+  }
+
+  #filePath(key) {
+    assertKey(key);
+    return this.path.join(this.directory, `${encodeURIComponent(key)}${this.extension}`);
+  }
+}
+
+module.exports = {
+  FileSystemStorageAdapter,
+  KeyValueStorageAdapter,
+  MemoryStorageAdapter,
+};
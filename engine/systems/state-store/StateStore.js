@@ -4,32 +4,32 @@ function isPlainObject(value) {
   return value !== null && typeof value === 'object' && !Array.isArray(value);
 }
 
-function deepClone(value) {
-  if (value === null || typeof value !== 'object') {
+// Every node the store hands out is frozen and tracked here, so it can be shared without copying.
+const sharedNodes = new WeakSet();
+
+function freezeNode(node) {
+  Object.freeze(node);
+  sharedNodes.add(node);
+  return node;
+}
+
+/**
+ * Frozen copy of `value`; nodes that already belong to a store are reused as they are.
+ */
+function toImmutable(value) {
+  if (value === null || typeof value !== 'object' || sharedNodes.has(value)) {
     return value;
   }
 
   if (Array.isArray(value)) {
-    return value.map((item) => deepClone(item));
+    return freezeNode(value.map((item) => toImmutable(item)));
   }
 
   const result = {};
   for (const [key, entryValue] of Object.entries(value)) {
-    result[key] = deepClone(entryValue);
-  }
-  return result;
-}
-
-function deepFreeze(value) {
-  if (value === null || typeof value !== 'object') {
-    return value;
-  }
-
-  Object.freeze(value);
-  for (const nested of Object.values(value)) {
-    deepFreeze(nested);
+    result[key] = toImmutable(entryValue);
   }
-  return value;
+  return freezeNode(result);
 }
 
 function splitPath(path) {
@@ -53,23 +53,26 @@ function readPath(root, path) {
   return current;
 }
 
-function writePath(root, path, value) {
-  const parts = splitPath(path);
-  let current = root;
+/**
+ * Path copying: returns a new root that shares every subtree off the written path. Returns
+ * `node` itself when the write leaves it unchanged.
+ */
+function assocPath(node, parts, value, index = 0) {
+  const base = isPlainObject(node) ? node : {};
+  const part = parts[index];
+  const nextValue = index === parts.length - 1 ? value : assocPath(base[part], parts, value, index + 1);
 
-  for (let index = 0; index < parts.length - 1; index += 1) {
-    const part = parts[index];
-    const next = current[part];
-    if (!isPlainObject(next)) {
-      current[part] = {};
-    }
-    current = current[part];
+  if (base === node && part in base && base[part] === nextValue) {
+    return node;
   }
+  return freezeNode({ ...base, [part]: nextValue });
+}
 
-  current[parts[parts.length - 1]] = value;
+function writePath(root, path, value) {
+  return assocPath(root, splitPath(path), toImmutable(value));
 }
 
-function patchPath(root, path, partial) {
+function mergePatch(root, path, partial) {
   if (!isPlainObject(partial)) {
     throw new Error('partial must be a plain object');
   }
@@ -79,23 +82,213 @@ function patchPath(root, path, partial) {
     throw new Error(`Cannot patch non-object value at path "${path}".`);
   }
 
-  const next = { ...(current || {}), ...deepClone(partial) };
-  writePath(root, path, next);
+  return { ...(current || {}), ...partial };
+}
+
+function isDeepEqual(left, right) {
+  if (left === right) {
+    return true;
+  }
+  if (left === null || right === null || typeof left !== 'object' || typeof right !== 'object') {
+    return false;
+  }
+  if (Array.isArray(left) !== Array.isArray(right)) {
+    return false;
+  }
+
+  const leftKeys = Object.keys(left);
+  if (leftKeys.length !== Object.keys(right).length) {
+    return false;
+  }
+  return leftKeys.every((key) => Object.prototype.hasOwnProperty.call(right, key) && isDeepEqual(left[key], right[key]));
+}
+
+// '' marks a whole-canonical replacement, which touches every canonical (non-derived) path.
+const CANONICAL_ROOT = '';
+
+function isDerivedPath(path) {
+  return path === 'derived' || path.startsWith('derived.');
+}
+
+function pathsOverlap(changedPath, watchedPath) {
+  if (changedPath === CANONICAL_ROOT) {
+    return !isDerivedPath(watchedPath);
+  }
+  return changedPath === watchedPath || changedPath.startsWith(`${watchedPath}.`) || watchedPath.startsWith(`${changedPath}.`);
+}
+
+const STATE_INVARIANT_VIOLATION = 'STATE_INVARIANT_VIOLATION';
+
+/**
+ * Thrown by StateStore.commit()/transaction() after rolling back a transaction whose resulting
+ * canonical state failed an invariant.
+ */
+class StateInvariantError extends Error {
+  /**
+   * @param {string} invariantId
+   * @param {string} reason
+   */
+  constructor(invariantId, reason) {
+    super(`[${STATE_INVARIANT_VIOLATION}] StateStore invariant "${invariantId}" failed: ${reason}`);
+    this.name = 'StateInvariantError';
+    this.code = STATE_INVARIANT_VIOLATION;
+    this.invariantId = invariantId;
+    this.reason = reason;
+  }
 }
 
-/** @implements {StateStoreContract} */
+/**
+ * Returns true when `canonical` is valid, or false / a reason string when it is not.
+ * @typedef {(canonical: Record<string, unknown>) => boolean | string} StateInvariant
+ */
+
+/**
+ * @typedef {object} StateChange
+ * @property {string} path the watched path or prefix
+ * @property {unknown} oldValue frozen value at the previous notification (or at watch() time)
+ * @property {unknown} newValue frozen current value
+ * @property {string[]} changedPaths written paths at, under or above the watched path since then
+ */
+
+/**
+ * Canonical and derived state are persistent trees of frozen nodes. Writes copy only the nodes
+ * along the written path, so snapshot() is O(1) and subtrees a tick did not touch keep their
+ * identity: `previous.canonical.layers === next.canonical.layers` means nothing under `layers`
+ * changed.
+ * @implements {StateStoreContract}
+ */
 class StateStore {
   constructor(initialState = {}) {
-    this.canonicalState = deepClone(initialState);
-    this.derivedState = {};
+    this.canonicalState = toImmutable(initialState);
+    this.derivedState = freezeNode({});
+    this.lastSnapshot = null;
+    this.writeNormalizer = null;
+    this.profiler = null;
+    this.watchers = new Map();
+    this.nextWatchToken = 1;
+    this.changedPaths = new Set();
+    this.notifying = false;
+    this.invariants = new Map();
+    this.transactions = [];
+  }
+
+  /**
+   * Attach (or detach with null) a TickProfiler that counts reads, writes and snapshots.
+   * @param {import('../perf/TickProfiler').TickProfiler | null} profiler
+   */
+  setProfiler(profiler) {
+    this.profiler = profiler || null;
+  }
+
+  /**
+   * Install (or remove with null) a canonical write normalizer such as ResourceRegistry:
+   * `normalizer(path, value)` returns the value to store (`path` is '' for replaceCanonical) and
+   * may throw to reject the write. Current canonical state is normalized immediately.
+   * @param {((path: string, value: unknown) => unknown) | null} normalizer
+   */
+  setWriteNormalizer(normalizer) {
+    this.writeNormalizer = normalizer || null;
+    if (this.writeNormalizer) {
+      this.canonicalState = toImmutable(this.writeNormalizer(CANONICAL_ROOT, this.canonicalState));
+    }
   }
 
   /**
    * Canonical-vs-derived policy:
    * - Canonical state is mutable through set/patch.
    * - Derived state is read-only to general callers and can only be replaced via setDerived().
+   * Returned objects and arrays are frozen store nodes: copy them before editing.
    */
   get(path) {
+    if (this.profiler) {
+      this.profiler.count('stateReads');
+    }
+
+    return this.#read(path);
+  }
+
+  /**
+   * Watch a path or prefix (`resources`, `layers.idle.routines`, `derived.unlocks`). Writes are
+   * batched and delivered by flushWatchers(), which GameEngine calls once at the end of every tick:
+   * the handler runs at most once per flush, only when the watched value actually changed.
+   * Delivered values are frozen store nodes and the store rejects writes while handlers run.
+   * @param {string} path
+   * @param {(change: StateChange) => void} handler
+   * @returns {string} token for unwatch()
+   */
+  watch(path, handler) {
+    if (typeof path !== 'string' || path.trim().length === 0) {
+      throw new Error('StateStore.watch path must be a non-empty string');
+    }
+    if (typeof handler !== 'function') {
+      throw new Error('StateStore.watch handler must be a function');
+    }
+
+    const token = `watch_${this.nextWatchToken++}`;
+    this.watchers.set(token, { path, handler, lastValue: this.#read(path) });
+    return token;
+  }
+
+  unwatch(token) {
+    const removed = this.watchers.delete(token);
+    if (this.watchers.size === 0) {
+      this.changedPaths.clear();
+    }
+    return removed;
+  }
+
+  /**
+   * Deliver batched changes to watchers. Returns the number of handlers notified.
+   */
+  flushWatchers() {
+    if (this.transactions.length > 0) {
+      throw new Error('StateStore.flushWatchers cannot run inside an open transaction.');
+    }
+    if (this.changedPaths.size === 0) {
+      return 0;
+    }
+
+    const changed = Array.from(this.changedPaths).sort();
+    this.changedPaths.clear();
+
+    const deliveries = [];
+    for (const [token, watcher] of this.watchers.entries()) {
+      const overlapping = changed.filter((changedPath) => pathsOverlap(changedPath, watcher.path));
+      if (overlapping.length === 0) {
+        continue;
+      }
+
+      const newValue = this.#read(watcher.path);
+      if (isDeepEqual(watcher.lastValue, newValue)) {
+        continue;
+      }
+
+      const changedPaths = Array.from(
+        new Set(overlapping.map((changedPath) => (changedPath === CANONICAL_ROOT ? watcher.path : changedPath)))
+      );
+      deliveries.push({
+        token,
+        watcher,
+        change: Object.freeze({ path: watcher.path, oldValue: watcher.lastValue, newValue, changedPaths: Object.freeze(changedPaths) }),
+      });
+      watcher.lastValue = newValue;
+    }
+
+    this.notifying = true;
+    try {
+      for (const { token, watcher, change } of deliveries) {
+        if (this.watchers.has(token)) {
+          watcher.handler(change);
+        }
+      }
+    } finally {
+      this.notifying = false;
+    }
+
+    return deliveries.length;
+  }
+
+  #read(path) {
     if (path.startsWith('derived.')) {
       return readPath(this.derivedState, path.slice('derived.'.length));
     }
@@ -109,12 +302,16 @@ class StateStore {
 
   set(path, value) {
     this.#assertCanonicalWritePath(path);
-    writePath(this.canonicalState, path, deepClone(value));
+    const normalized = this.#normalizeWrite(path, value);
+    this.#recordWrite(path);
+    this.canonicalState = writePath(this.canonicalState, path, normalized);
   }
 
   patch(path, partial) {
     this.#assertCanonicalWritePath(path);
-    patchPath(this.canonicalState, path, partial);
+    const normalized = this.#normalizeWrite(path, mergePatch(this.canonicalState, path, partial));
+    this.#recordWrite(path);
+    this.canonicalState = writePath(this.canonicalState, path, normalized);
   }
 
   replaceCanonical(nextState) {
@@ -122,7 +319,9 @@ class StateStore {
       throw new Error('nextState must be a plain object');
     }
 
-    this.canonicalState = deepClone(nextState);
+    const normalized = this.#normalizeWrite(CANONICAL_ROOT, nextState);
+    this.#recordWrite(CANONICAL_ROOT);
+    this.canonicalState = toImmutable(normalized);
   }
 
   setDerived(path, value) {
@@ -130,14 +329,149 @@ class StateStore {
       throw new Error('path must be a non-empty string');
     }
 
-    writePath(this.derivedState, path, deepClone(value));
+    this.#recordWrite(`derived.${path}`);
+    this.derivedState = writePath(this.derivedState, path, value);
+  }
+
+  /**
+   * Register an invariant checked against canonical state whenever an outermost transaction
+   * commits, e.g. `(state) => state.resources.gold >= 0 || 'gold went negative'`.
+   * @param {string} id
+   * @param {StateInvariant} check
+   */
+  addInvariant(id, check) {
+    if (typeof id !== 'string' || id.trim().length === 0) {
+      throw new Error('StateStore.addInvariant id must be a non-empty string');
+    }
+    if (typeof check !== 'function') {
+      throw new Error('StateStore.addInvariant check must be a function');
+    }
+    if (this.invariants.has(id)) {
+      throw new Error(`StateStore.addInvariant: invariant "${id}" is already registered.`);
+    }
+    this.invariants.set(id, check);
+  }
+
+  removeInvariant(id) {
+    return this.invariants.delete(id);
+  }
+
+  /**
+   * Open a transaction. Writes apply immediately (reads inside the transaction see them);
+   * rollback() restores canonical and derived state as they were at begin(). Transactions nest:
+   * an inner rollback only discards the inner writes, and invariants run on the outermost commit.
+   * @param {{ invariants?: Record<string, StateInvariant> }} [options] checked in addition to the
+   *   registered invariants when this transaction's writes commit
+   */
+  begin(options = {}) {
+    const invariants = Object.entries(options.invariants || {});
+    for (const [id, check] of invariants) {
+      if (typeof check !== 'function') {
+        throw new Error(`StateStore.begin invariant "${id}" must be a function`);
+      }
+    }
+
+    this.transactions.push({ canonical: this.canonicalState, derived: this.derivedState, invariants });
   }
 
+  /**
+   * Close the innermost transaction. On the outermost commit every invariant is checked; the
+   * first failure rolls the whole transaction back and throws a StateInvariantError.
+   */
+  commit() {
+    const frame = this.#popTransaction('commit');
+    if (this.transactions.length > 0) {
+      this.transactions[this.transactions.length - 1].invariants.push(...frame.invariants);
+      return;
+    }
+
+    for (const [id, check] of [...this.invariants.entries(), ...frame.invariants]) {
+      const result = check(this.canonicalState);
+      if (result !== true) {
+        this.#restore(frame);
+        throw new StateInvariantError(id, typeof result === 'string' ? result : 'check returned false');
+      }
+    }
+  }
+
+  /**
+   * Discard every write since the innermost begin().
+   */
+  rollback() {
+    this.#restore(this.#popTransaction('rollback'));
+  }
+
+  /**
+   * Run `fn` in a transaction: commit when it returns, roll back when it (or an invariant) throws.
+   * @template T
+   * @param {(store: StateStore) => T} fn
+   * @param {{ invariants?: Record<string, StateInvariant> }} [options]
+   * @returns {T}
+   */
+  transaction(fn, options = {}) {
+    if (typeof fn !== 'function') {
+      throw new Error('StateStore.transaction requires a function');
+    }
+
+    this.begin(options);
+    let result;
+    try {
+      result = fn(this);
+    } catch (error) {
+      this.rollback();
+      throw error;
+    }
+    this.commit();
+    return result;
+  }
+
+  isInTransaction() {
+    return this.transactions.length > 0;
+  }
+
+  /**
+   * O(1): the current roots in a frozen wrapper. Consecutive calls without writes in between
+   * return the same object.
+   */
   snapshot() {
-    return deepFreeze({
-      canonical: deepClone(this.canonicalState),
-      derived: deepClone(this.derivedState),
-    });
+    if (this.profiler) {
+      this.profiler.count('snapshots');
+    }
+
+    const last = this.lastSnapshot;
+    if (!last || last.canonical !== this.canonicalState || last.derived !== this.derivedState) {
+      this.lastSnapshot = Object.freeze({ canonical: this.canonicalState, derived: this.derivedState });
+    }
+    return this.lastSnapshot;
+  }
+
+  #normalizeWrite(path, value) {
+    return this.writeNormalizer ? this.writeNormalizer(path, value) : value;
+  }
+
+  #popTransaction(operation) {
+    if (this.transactions.length === 0) {
+      throw new Error(`StateStore.${operation} called without an open transaction.`);
+    }
+    return this.transactions.pop();
+  }
+
+  // Watchers still see the rolled-back paths as changed; flushWatchers() skips unchanged values.
+  #restore(frame) {
+    this.canonicalState = frame.canonical;
+    this.derivedState = frame.derived;
+  }
+
+  #recordWrite(path) {
+    if (this.notifying) {
+      throw new Error('StateStore watch handlers are read-only: enqueue an intent instead of writing state.');
+    }
+    if (this.profiler) {
+      this.profiler.count('stateWrites');
+    }
+    if (this.watchers.size > 0) {
+      this.changedPaths.add(path);
+    }
   }
 
   #assertCanonicalWritePath(path) {
@@ -148,5 +482,7 @@ class StateStore {
 }
 
 module.exports = {
+  STATE_INVARIANT_VIOLATION,
+  StateInvariantError,
   StateStore,
 };
@@ -1,8 +1,11 @@
+const { NUMBER_BACKEND } = require('../numeric/NumericBackend');
+
 class CharacteristicSystem {
   constructor(options = {}) {
     this.definition = options.definition || { layers: [] };
     this.stateStore = options.stateStore;
     this.derivedPath = options.derivedPath || 'characteristics';
+    this.numeric = options.numeric || NUMBER_BACKEND;
     this.index = this.#buildIndex(this.definition);
     this.snapshot = { byLayer: {} };
 
@@ -21,14 +24,14 @@ class CharacteristicSystem {
         const xp = this.stateStore.get(stat.xpPath);
         const level = this.stateStore.get(stat.levelPath);
 
-        let nextXp = Number.isFinite(xp) ? xp : 0;
+        let nextXp = this.numeric.isValue(xp) ? xp : 0;
         let nextLevel = Number.isInteger(level) && level >= 0 ? level : 0;
         const levelBefore = nextLevel;
         const xpBefore = nextXp;
 
         let requiredXp = this.#xpRequiredForNextLevel(stat.curve, nextLevel);
-        while (nextXp >= requiredXp && requiredXp > 0) {
-          nextXp -= requiredXp;
+        while (this.numeric.cmp(nextXp, requiredXp) >= 0 && requiredXp > 0) {
+          nextXp = this.numeric.sub(nextXp, requiredXp);
           nextLevel += 1;
           requiredXp = this.#xpRequiredForNextLevel(stat.curve, nextLevel);
         }
@@ -1,30 +1,193 @@
+const TIME_STEP_MODES = Object.freeze({
+  VARIABLE: 'variable',
+  FIXED: 'fixed',
+});
+
 class TimeSystem {
   constructor(options = {}) {
     this.tickRate = Number.isFinite(options.tickRate) && options.tickRate > 0 ? options.tickRate : 60;
     this.tickDurationMs = 1000 / this.tickRate;
     this.now = typeof options.now === 'function' ? options.now : () => Date.now();
+    this.mode = this.#normalizeMode(options.mode);
+    this.maxStepsPerFrame = this.#normalizeMaxStepsPerFrame(options.maxStepsPerFrame);
+    this.timeScale = this.#normalizeTimeScale(options.timeScale === undefined ? 1 : options.timeScale);
+    this.paused = Boolean(options.paused);
     this.lastNow = null;
+    this.accumulatorMs = 0;
   }
 
+  /**
+   * Variable mode returns clock elapsed time; fixed mode returns exactly one tickDurationMs step (frame
+   * pacing is owned by beginFrame()). Both are scaled by the time controls, so paused ticks advance 0ms.
+   */
   getDeltaTime() {
+    if (this.mode === TIME_STEP_MODES.FIXED) {
+      return this.#scale(this.tickDurationMs);
+    }
+
     const current = this.now();
 
     if (this.lastNow === null) {
       this.lastNow = current;
-      return this.tickDurationMs;
+      return this.#scale(this.tickDurationMs);
     }
 
     const elapsed = current - this.lastNow;
     this.lastNow = current;
 
     if (!Number.isFinite(elapsed) || elapsed < 0) {
-      return this.tickDurationMs;
+      return this.#scale(this.tickDurationMs);
+    }
+
+    return this.#scale(elapsed);
+  }
+
+  /**
+   * Paused time still advances the clock baseline, so resuming never replays the paused gap.
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    this.paused = false;
+  }
+
+  /**
+   * Game-speed multiplier applied to clock elapsed time (0 freezes, 1 is real time, 2/10 fast-forward).
+   * @param {number} timeScale
+   */
+  setTimeScale(timeScale) {
+    this.timeScale = this.#normalizeTimeScale(timeScale);
+  }
+
+  getTimeControls() {
+    return {
+      paused: this.paused,
+      timeScale: this.timeScale,
+    };
+  }
+
+  /**
+   * Fixed-step accumulator: read the clock once per rendered frame and report how many
+   * tickDurationMs steps of real time the engine should run. The time scale applies to each step's
+   * getDeltaTime() rather than to the step count, so fast-forward never hits maxStepsPerFrame on its own;
+   * paused frames accrue nothing. At most maxStepsPerFrame steps are granted; backlog beyond that is
+   * dropped (reported as droppedMs, in game time) and the sub-step remainder carries forward.
+   *
+   * @returns {{ steps: number, droppedMs: number, alpha: number }}
+   */
+  beginFrame() {
+    if (this.mode !== TIME_STEP_MODES.FIXED) {
+      throw new Error('TimeSystem.beginFrame() is only available in fixed time-step mode.');
+    }
+
+    const current = this.now();
+    let elapsed = this.tickDurationMs;
+    if (this.lastNow !== null) {
+      elapsed = current - this.lastNow;
+      if (!Number.isFinite(elapsed) || elapsed < 0) {
+        elapsed = 0;
+      }
+    }
+    this.lastNow = current;
+    this.accumulatorMs += this.paused ? 0 : elapsed;
+
+    let steps = Math.floor(this.accumulatorMs / this.tickDurationMs);
+    let droppedMs = 0;
+    if (steps > this.maxStepsPerFrame) {
+      droppedMs = (steps - this.maxStepsPerFrame) * this.tickDurationMs;
+      steps = this.maxStepsPerFrame;
+    }
+    this.accumulatorMs = Math.max(0, this.accumulatorMs - (steps * this.tickDurationMs + droppedMs));
+
+    return {
+      steps,
+      droppedMs: this.#scale(droppedMs),
+      alpha: this.getInterpolationAlpha(),
+    };
+  }
+
+  /**
+   * Fraction of a tick carried in the accumulator, for renderers interpolating between ticks.
+   * Always 0 in variable mode.
+   */
+  getInterpolationAlpha() {
+    if (this.mode !== TIME_STEP_MODES.FIXED) {
+      return 0;
+    }
+
+    return Math.min(1, Math.max(0, this.accumulatorMs / this.tickDurationMs));
+  }
+
+  exportRuntimeState() {
+    return {
+      lastNow: this.lastNow,
+      accumulatorMs: this.accumulatorMs,
+      paused: this.paused,
+      timeScale: this.timeScale,
+    };
+  }
+
+  /**
+   * Restoring lastNow keeps the saved clock baseline; callers resuming after real downtime should run
+   * GameEngine.catchUp(), which resets the baseline, instead of letting the gap become one huge delta.
+   */
+  importRuntimeState(runtimeState = {}) {
+    this.lastNow = Number.isFinite(runtimeState.lastNow) ? runtimeState.lastNow : null;
+    this.accumulatorMs =
+      Number.isFinite(runtimeState.accumulatorMs) && runtimeState.accumulatorMs >= 0 ? runtimeState.accumulatorMs : 0;
+    this.paused = Boolean(runtimeState.paused);
+    this.timeScale = this.#normalizeTimeScale(runtimeState.timeScale === undefined ? 1 : runtimeState.timeScale);
+  }
+
+  /**
+   * Forget the last clock reading so the next getDeltaTime() starts a fresh baseline.
+   * Used after offline catch-up so the simulated gap is not replayed as one live delta.
+   */
+  resetBaseline() {
+    this.lastNow = null;
+    this.accumulatorMs = 0;
+  }
+
+  #scale(elapsedMs) {
+    return this.paused ? 0 : elapsedMs * this.timeScale;
+  }
+
+  #normalizeTimeScale(value) {
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`TimeSystem timeScale must be a finite, non-negative number. Received: ${value}`);
+    }
+
+    return value;
+  }
+
+  #normalizeMode(value) {
+    if (value === undefined || value === null) {
+      return TIME_STEP_MODES.VARIABLE;
+    }
+
+    if (!Object.values(TIME_STEP_MODES).includes(value)) {
+      throw new Error(`TimeSystem mode must be one of: ${Object.values(TIME_STEP_MODES).join(', ')}.`);
+    }
+
+    return value;
+  }
+
+  #normalizeMaxStepsPerFrame(value) {
+    if (value === undefined || value === null) {
+      return 5;
+    }
+
+    if (!Number.isInteger(value) || value <= 0) {
+      throw new Error('maxStepsPerFrame must be a positive integer when provided.');
     }
 
-    return elapsed;
+    return value;
   }
 }
 
 module.exports = {
+  TIME_STEP_MODES,
   TimeSystem,
 };
@@ -0,0 +1,241 @@
+const TIMERS_STATE_PATH = 'timers';
+const TIMER_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isPositiveFinite(value) {
+  return Number.isFinite(value) && value > 0;
+}
+
+/**
+ * @typedef {object} TimerSpec
+ * @property {string} [id] defaults to `timer_<n>`; scheduling an existing id replaces that timer
+ * @property {{ type: string, payload?: Record<string, unknown> }} event published when the timer fires
+ * @property {number} [delayMs] fire after this much game time (the `dt` ticks advance by)
+ * @property {number} [atTick] fire during this engine tick (past ticks fire on the next update)
+ * @property {number} [intervalMs] repeat every interval after the first firing (with delayMs)
+ * @property {number} [intervalTicks] repeat every N ticks after the first firing (with atTick)
+ * @property {number} [times] total firings of a repeating timer; unlimited when omitted
+ */
+
+/**
+ * Engine-owned scheduled events. Timers are countdowns kept in canonical state under `timers`,
+ * so they survive saves, rewinds and layer resets, and offline catch-up (which runs full ticks)
+ * fires them exactly as live play would. GameEngine calls update(dt) at the start of the
+ * layer-update phase; fired events are published then and dispatched the same tick, so their
+ * catalog entries must allow the `layer-update` phase (under a strict bus, `schedule()` checks
+ * this and the payload up front). Within one update, time-based firings come first in due
+ * order, then tick-based ones; ties go to the earlier-scheduled timer.
+ */
+class TimerSystem {
+  constructor(options = {}) {
+    this.stateStore = options.stateStore;
+    this.eventBus = options.eventBus;
+    // Engine tick the next update() will run for; lets atTick convert to a countdown.
+    this.getNextUpdateTick = typeof options.getNextUpdateTick === 'function' ? options.getNextUpdateTick : () => 0;
+    this.statePath = TIMERS_STATE_PATH;
+
+    if (!this.stateStore || !this.eventBus) {
+      throw new Error('TimerSystem requires stateStore and eventBus.');
+    }
+  }
+
+  /**
+   * Create `timers` canonical state when missing (fresh games, older saves). Existing timers are kept.
+   * Like RandomService, construction never writes; the owner calls this once its store is committed.
+   */
+  ensureState() {
+    const current = this.stateStore.get(this.statePath);
+    if (isPlainObject(current) && Number.isInteger(current.nextSeq) && isPlainObject(current.entries)) {
+      return;
+    }
+
+    this.stateStore.set(this.statePath, { nextSeq: 1, entries: {} });
+  }
+
+  /**
+   * @param {TimerSpec} spec
+   * @returns {string} timer id
+   */
+  schedule(spec) {
+    const entry = this.#buildEntry(spec);
+    const state = this.#readState();
+    const id = spec.id === undefined ? `timer_${state.nextSeq}` : spec.id;
+    this.stateStore.set(this.statePath, {
+      nextSeq: state.nextSeq + 1,
+      entries: { ...state.entries, [id]: { ...entry, seq: state.nextSeq } },
+    });
+    return id;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {boolean} false when no such timer is pending
+   */
+  cancel(id) {
+    const state = this.#readState();
+    if (!Object.prototype.hasOwnProperty.call(state.entries, id)) {
+      return false;
+    }
+
+    const entries = { ...state.entries };
+    delete entries[id];
+    this.stateStore.set(this.statePath, { ...state, entries });
+    return true;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Record<string, unknown> | null} the stored (frozen) timer entry
+   */
+  get(id) {
+    const entries = this.#readState().entries;
+    return Object.prototype.hasOwnProperty.call(entries, id) ? entries[id] : null;
+  }
+
+  /**
+   * Pending timer ids in scheduling order.
+   * @returns {string[]}
+   */
+  list() {
+    const entries = this.#readState().entries;
+    return Object.keys(entries).sort((left, right) => entries[left].seq - entries[right].seq);
+  }
+
+  /**
+   * Advance every timer by one tick of `dtMs` game time and publish the events that come due.
+   * A repeating time-based timer fires once per elapsed interval, so long chunks do not drop firings.
+   * @param {number} dtMs
+   * @returns {{ fired: Array<{ timerId: string, type: string }> }}
+   */
+  update(dtMs) {
+    const state = this.#readState();
+    const ids = Object.keys(state.entries);
+    if (ids.length === 0) {
+      return { fired: [] };
+    }
+
+    const entries = {};
+    const firings = [];
+    for (const id of ids) {
+      const entry = { ...state.entries[id] };
+      if (entry.clock === 'ms') {
+        entry.remaining -= dtMs;
+        while (entry.remaining <= 0 && entry.timesLeft !== 0) {
+          firings.push({ id, entry: state.entries[id], order: 0, due: entry.remaining });
+          entry.timesLeft = entry.timesLeft === null ? null : entry.timesLeft - 1;
+          entry.remaining += entry.interval === null ? 0 : entry.interval;
+        }
+      } else if (entry.remaining <= 0) {
+        firings.push({ id, entry: state.entries[id], order: 1, due: 0 });
+        entry.timesLeft = entry.timesLeft === null ? null : entry.timesLeft - 1;
+        entry.remaining = entry.interval === null ? 0 : entry.interval - 1;
+      } else {
+        entry.remaining -= 1;
+      }
+
+      if (entry.timesLeft !== 0) {
+        entries[id] = entry;
+      }
+    }
+
+    this.stateStore.set(this.statePath, { ...state, entries });
+
+    firings.sort((left, right) => left.order - right.order || left.due - right.due || left.entry.seq - right.entry.seq);
+    for (const firing of firings) {
+      this.eventBus.publish({
+        type: firing.entry.event.type,
+        payload: firing.entry.event.payload,
+        source: 'TimerSystem',
+        meta: { timerId: firing.id },
+      });
+    }
+
+    return { fired: firings.map((firing) => ({ timerId: firing.id, type: firing.entry.event.type })) };
+  }
+
+  #buildEntry(spec) {
+    if (!isPlainObject(spec)) {
+      throw new Error('TimerSystem.schedule requires a timer spec object.');
+    }
+    if (spec.id !== undefined && (typeof spec.id !== 'string' || !TIMER_ID_PATTERN.test(spec.id))) {
+      throw new Error(`TimerSystem.schedule id must match ${TIMER_ID_PATTERN}. Received: ${spec.id}`);
+    }
+    if (!isPlainObject(spec.event) || typeof spec.event.type !== 'string' || spec.event.type.length === 0) {
+      throw new Error('TimerSystem.schedule event must be an object with a non-empty string type.');
+    }
+    if (spec.event.payload !== undefined && !isPlainObject(spec.event.payload)) {
+      throw new Error('TimerSystem.schedule event.payload must be a plain object when provided.');
+    }
+    this.#assertCataloged(spec.event.type, spec.event.payload || {});
+
+    const byTime = spec.delayMs !== undefined;
+    if (byTime === (spec.atTick !== undefined)) {
+      throw new Error('TimerSystem.schedule requires exactly one of delayMs or atTick.');
+    }
+    if (byTime && (!Number.isFinite(spec.delayMs) || spec.delayMs < 0)) {
+      throw new Error(`TimerSystem.schedule delayMs must be a finite, non-negative number. Received: ${spec.delayMs}`);
+    }
+    if (!byTime && !Number.isInteger(spec.atTick)) {
+      throw new Error(`TimerSystem.schedule atTick must be an integer. Received: ${spec.atTick}`);
+    }
+
+    const intervalKey = byTime ? 'intervalMs' : 'intervalTicks';
+    const strayKey = byTime ? 'intervalTicks' : 'intervalMs';
+    if (spec[strayKey] !== undefined) {
+      throw new Error(`TimerSystem.schedule ${strayKey} cannot repeat a timer scheduled with ${byTime ? 'delayMs' : 'atTick'}.`);
+    }
+    const interval = spec[intervalKey] === undefined ? null : spec[intervalKey];
+    if (interval !== null && (byTime ? !isPositiveFinite(interval) : !Number.isInteger(interval) || interval <= 0)) {
+      throw new Error(`TimerSystem.schedule ${intervalKey} must be ${byTime ? 'a positive number' : 'a positive integer'}.`);
+    }
+    if (spec.times !== undefined && (interval === null || !Number.isInteger(spec.times) || spec.times <= 0)) {
+      throw new Error('TimerSystem.schedule times must be a positive integer and requires an interval.');
+    }
+
+    return {
+      event: { type: spec.event.type, payload: spec.event.payload || {} },
+      clock: byTime ? 'ms' : 'tick',
+      // ms: game time left; tick: updates to skip before firing.
+      remaining: byTime ? spec.delayMs : spec.atTick - this.getNextUpdateTick(),
+      interval,
+      timesLeft: interval === null ? 1 : spec.times === undefined ? null : spec.times,
+    };
+  }
+
+  // A strict bus would reject the event inside update(), after the firing already consumed the timer.
+  #assertCataloged(type, payload) {
+    if (!this.eventBus.strictValidation || !this.eventBus.catalog) {
+      return;
+    }
+
+    const entry = this.eventBus.catalog.get(type);
+    if (!entry) {
+      throw new Error(`TimerSystem.schedule event type ${type} has no event catalog entry.`);
+    }
+    const payloadError = entry.validatePayload(payload);
+    if (payloadError) {
+      throw new Error(`TimerSystem.schedule event ${type} has an invalid payload: ${payloadError}`);
+    }
+    if (!entry.phaseConstraints.includes('layer-update')) {
+      throw new Error(
+        `TimerSystem.schedule event ${type} must allow the layer-update phase; allowed: ${entry.phaseConstraints.join(', ')}`
+      );
+    }
+  }
+
+  #readState() {
+    const current = this.stateStore.get(this.statePath);
+    if (!isPlainObject(current) || !Number.isInteger(current.nextSeq) || !isPlainObject(current.entries)) {
+      throw new Error(`TimerSystem state at "${this.statePath}" is missing or malformed; call ensureState() after replacing canonical state.`);
+    }
+    return current;
+  }
+}
+
+module.exports = {
+  TIMERS_STATE_PATH,
+  TimerSystem,
+};
@@ -1,5 +1,6 @@
 const { formatNodeRef } = require('./nodeRef');
 const { parseUnlockCondition, evaluateUnlockProgress, evaluateUnlockTransition } = require('./unlockCondition');
+const { NUMBER_BACKEND } = require('../numeric/NumericBackend');
 
 /** @typedef {import('../../core/contracts/UnlockEvaluatorContract').UnlockEvaluatorContract} UnlockEvaluatorContract */
 
@@ -9,6 +10,7 @@ class UnlockEvaluator {
     this.definition = options.definition || { layers: [] };
     this.stateStore = options.stateStore;
     this.eventBus = options.eventBus;
+    this.numeric = options.numeric || NUMBER_BACKEND;
     this.targets = this.#collectTargets(this.definition);
     this.unlockedByRef = new Map(this.targets.map((target) => [target.ref, false]));
   }
@@ -27,12 +29,13 @@ class UnlockEvaluator {
         ast: target.ast,
         state,
         phase,
+        numeric: this.numeric,
       });
 
       this.unlockedByRef.set(target.ref, transition.unlocked);
       unlocked[target.ref] = transition.unlocked;
 
-      const progress = evaluateUnlockProgress(target.ast, state);
+      const progress = evaluateUnlockProgress(target.ast, state, this.numeric);
       statusByRef[target.ref] = {
         unlocked: transition.unlocked,
         progress,
@@ -76,12 +79,33 @@ class UnlockEvaluator {
     const progressByRef = {};
 
     for (const target of this.targets) {
-      progressByRef[target.ref] = evaluateUnlockProgress(target.ast, state);
+      progressByRef[target.ref] = evaluateUnlockProgress(target.ast, state, this.numeric);
     }
 
     return progressByRef;
   }
 
+  /**
+   * One-way unlock latches (ADR 0004) for engine saves.
+   * @returns {{ unlockedRefs: string[] }}
+   */
+  exportRuntimeState() {
+    return {
+      unlockedRefs: this.targets.filter((target) => this.unlockedByRef.get(target.ref) === true).map((target) => target.ref),
+    };
+  }
+
+  /**
+   * Restore latches so previously unlocked nodes never re-fire UNLOCKED. Refs that no longer exist are ignored.
+   * @param {{ unlockedRefs?: string[] }} [runtimeState]
+   */
+  importRuntimeState(runtimeState = {}) {
+    const unlockedRefs = new Set(Array.isArray(runtimeState.unlockedRefs) ? runtimeState.unlockedRefs : []);
+    for (const target of this.targets) {
+      this.unlockedByRef.set(target.ref, unlockedRefs.has(target.ref));
+    }
+  }
+
   #collectTargets(definition) {
     const targets = [];
     const layers = Array.isArray(definition.layers) ? definition.layers : [];
@@ -1,3 +1,7 @@
+const { NUMBER_BACKEND, isNumericLiteral } = require('../numeric/NumericBackend');
+
+/** @typedef {import('../../core/contracts/NumericBackendContract').NumericBackendContract} NumericBackendContract */
+
 /**
  * @param {unknown} value
  * @returns {value is Record<string, unknown>}
@@ -122,15 +126,23 @@ function parseUnlockCondition(rawCondition) {
   }
 
   if (operator === 'resourceGte') {
-    if (!isObject(payload) || typeof payload.path !== 'string' || typeof payload.value !== 'number') {
-      return { ok: false, code: 'UNLOCK_RESOURCE_GTE_SHAPE', message: 'resourceGte expects { path: string, value: number }.' };
+    if (!isObject(payload) || typeof payload.path !== 'string' || !isNumericLiteral(payload.value)) {
+      return {
+        ok: false,
+        code: 'UNLOCK_RESOURCE_GTE_SHAPE',
+        message: 'resourceGte expects { path: string, value: number | numeric string }.',
+      };
     }
     return { ok: true, value: { type: 'resourceGte', path: payload.path, value: payload.value } };
   }
 
   if (operator === 'compare') {
-    if (!isObject(payload) || typeof payload.path !== 'string' || typeof payload.op !== 'string' || typeof payload.value !== 'number') {
-      return { ok: false, code: 'UNLOCK_COMPARE_SHAPE', message: 'compare expects { path: string, op: string, value: number }.' };
+    if (!isObject(payload) || typeof payload.path !== 'string' || typeof payload.op !== 'string' || !isNumericLiteral(payload.value)) {
+      return {
+        ok: false,
+        code: 'UNLOCK_COMPARE_SHAPE',
+        message: 'compare expects { path: string, op: string, value: number | numeric string }.',
+      };
     }
     if (!COMPARISON_OPS.has(payload.op)) {
       return { ok: false, code: 'UNLOCK_COMPARE_OP', message: `Unsupported compare op "${payload.op}".` };
@@ -174,31 +186,50 @@ function parseUnlockCondition(rawCondition) {
 }
 
 /**
+ * Read the numeric value at `ast.path` and the node threshold, both in the `numeric` backend.
  * @param {any} ast
  * @param {Record<string, unknown>} state
+ * @param {NumericBackendContract} numeric
+ * @returns {{ current: unknown, target: unknown } | null} null when either side is not a number
  */
-function evaluateUnlockCondition(ast, state) {
+function readNumericOperands(ast, state, numeric) {
+  const read = readPath(state, ast.path);
+  if (!read.exists || !numeric.isValue(read.value)) {
+    return null;
+  }
+  const target = numeric.parse(ast.value);
+  return target === null ? null : { current: read.value, target };
+}
+
+/**
+ * Resource and compare thresholds go through `numeric`, so decimal-backed state unlocks exactly.
+ * @param {any} ast
+ * @param {Record<string, unknown>} state
+ * @param {NumericBackendContract} [numeric]
+ */
+function evaluateUnlockCondition(ast, state, numeric = NUMBER_BACKEND) {
   if (ast.type === 'always') {
     return ast.value;
   }
 
   if (ast.type === 'resourceGte') {
-    const read = readPath(state, ast.path);
-    return read.exists && typeof read.value === 'number' && read.value >= ast.value;
+    const operands = readNumericOperands(ast, state, numeric);
+    return operands !== null && numeric.cmp(operands.current, operands.target) >= 0;
   }
 
   if (ast.type === 'compare') {
-    const read = readPath(state, ast.path);
-    if (!read.exists || typeof read.value !== 'number') {
+    const operands = readNumericOperands(ast, state, numeric);
+    if (!operands) {
       return false;
     }
 
-    if (ast.op === 'gt') return read.value > ast.value;
-    if (ast.op === 'gte') return read.value >= ast.value;
-    if (ast.op === 'lt') return read.value < ast.value;
-    if (ast.op === 'lte') return read.value <= ast.value;
-    if (ast.op === 'eq') return read.value === ast.value;
-    return read.value !== ast.value;
+    const order = numeric.cmp(operands.current, operands.target);
+    if (ast.op === 'gt') return order > 0;
+    if (ast.op === 'gte') return order >= 0;
+    if (ast.op === 'lt') return order < 0;
+    if (ast.op === 'lte') return order <= 0;
+    if (ast.op === 'eq') return order === 0;
+    return order !== 0;
   }
 
   if (ast.type === 'flag') {
@@ -207,15 +238,15 @@ function evaluateUnlockCondition(ast, state) {
   }
 
   if (ast.type === 'all') {
-    return ast.children.every((child) => evaluateUnlockCondition(child, state));
+    return ast.children.every((child) => evaluateUnlockCondition(child, state, numeric));
   }
 
   if (ast.type === 'any') {
-    return ast.children.some((child) => evaluateUnlockCondition(child, state));
+    return ast.children.some((child) => evaluateUnlockCondition(child, state, numeric));
   }
 
   if (ast.type === 'not') {
-    return !evaluateUnlockCondition(ast.child, state);
+    return !evaluateUnlockCondition(ast.child, state, numeric);
   }
 
   return false;
@@ -240,48 +271,50 @@ function evaluateUnlockCondition(ast, state) {
  *
  * @param {any} ast
  * @param {Record<string, unknown>} state
+ * @param {NumericBackendContract} [numeric]
  * @returns {number}
  */
-function evaluateUnlockProgress(ast, state) {
+function evaluateUnlockProgress(ast, state, numeric = NUMBER_BACKEND) {
   if (ast.type === 'always') {
     return ast.value ? 1 : 0;
   }
 
   if (ast.type === 'resourceGte') {
-    const read = readPath(state, ast.path);
-    if (!read.exists || typeof read.value !== 'number') {
+    const operands = readNumericOperands(ast, state, numeric);
+    if (!operands) {
       return 0;
     }
 
-    if (ast.value <= 0) {
-      return read.value >= ast.value ? 1 : 0;
+    if (numeric.cmp(operands.target, 0) <= 0) {
+      return numeric.cmp(operands.current, operands.target) >= 0 ? 1 : 0;
     }
 
-    return clampProgress(read.value / ast.value);
+    return clampProgress(numeric.toNumber(numeric.div(operands.current, operands.target)));
   }
 
   if (ast.type === 'compare') {
-    const read = readPath(state, ast.path);
-    if (!read.exists || typeof read.value !== 'number') {
+    const operands = readNumericOperands(ast, state, numeric);
+    if (!operands) {
       return 0;
     }
 
     if (ast.op === 'eq' || ast.op === 'neq') {
-      return evaluateUnlockCondition(ast, state) ? 1 : 0;
+      return evaluateUnlockCondition(ast, state, numeric) ? 1 : 0;
     }
 
+    // Threshold curves only need ratios, so they run on the nearest JS numbers.
     if (ast.op === 'gt' || ast.op === 'gte') {
       return estimateThresholdProgress({
-        current: read.value,
-        target: ast.value,
+        current: numeric.toNumber(operands.current),
+        target: numeric.toNumber(operands.target),
         direction: 'at-least',
         strict: ast.op === 'gt',
       });
     }
 
     return estimateThresholdProgress({
-      current: read.value,
-      target: ast.value,
+      current: numeric.toNumber(operands.current),
+      target: numeric.toNumber(operands.target),
       direction: 'at-most',
       strict: ast.op === 'lt',
     });
@@ -293,29 +326,29 @@ function evaluateUnlockProgress(ast, state) {
   }
 
   if (ast.type === 'all') {
-    const total = ast.children.reduce((sum, child) => sum + evaluateUnlockProgress(child, state), 0);
+    const total = ast.children.reduce((sum, child) => sum + evaluateUnlockProgress(child, state, numeric), 0);
     return clampProgress(total / ast.children.length);
   }
 
   if (ast.type === 'any') {
     return ast.children.reduce((best, child) => {
-      const childProgress = evaluateUnlockProgress(child, state);
+      const childProgress = evaluateUnlockProgress(child, state, numeric);
       return childProgress > best ? childProgress : best;
     }, 0);
   }
 
   if (ast.type === 'not') {
-    if (evaluateUnlockCondition(ast, state)) {
+    if (evaluateUnlockCondition(ast, state, numeric)) {
       return 1;
     }
-    return clampProgress(1 - evaluateUnlockProgress(ast.child, state));
+    return clampProgress(1 - evaluateUnlockProgress(ast.child, state, numeric));
   }
 
   return 0;
 }
 
 /**
- * @param {{ wasUnlocked: boolean, ast: any, state: Record<string, unknown>, phase: string }} input
+ * @param {{ wasUnlocked: boolean, ast: any, state: Record<string, unknown>, phase: string, numeric?: NumericBackendContract }} input
  */
 function evaluateUnlockTransition(input) {
   if (input.phase !== 'end-of-tick') {
@@ -326,7 +359,7 @@ function evaluateUnlockTransition(input) {
     return { unlocked: true, transitioned: false };
   }
 
-  const nowUnlocked = evaluateUnlockCondition(input.ast, input.state);
+  const nowUnlocked = evaluateUnlockCondition(input.ast, input.state, input.numeric);
   return {
     unlocked: nowUnlocked,
     transitioned: nowUnlocked,
@@ -172,8 +172,46 @@ function validateReferences(definition) {
   const layers = definition.layers;
   const rootState = isObject(definition.state) ? definition.state : {};
   const index = buildNodeIndex(layers);
+  // Once a definition declares resources, every write under state.resources must target one.
+  const declaredResourceIds = Array.isArray(definition.resources)
+    ? new Set(definition.resources.filter((resource) => isObject(resource)).map((resource) => resource.id))
+    : null;
+
+  const validateResourceWritePath = (statePath, jsonPath, writer) => {
+    const parts = statePath.split('.');
+    if (!declaredResourceIds || parts[0] !== 'resources' || parts.length < 2 || declaredResourceIds.has(parts[1])) {
+      return;
+    }
+    issues.push({
+      code: 'REF_RESOURCE_UNDECLARED',
+      path: jsonPath,
+      message: `${writer} writes undeclared resource "${parts[1]}".`,
+      hint: `Declare { "id": "${parts[1]}" } in definition.resources or write to a declared resource.`,
+    });
+  };
+
+  if (declaredResourceIds && isObject(rootState.resources)) {
+    Object.keys(rootState.resources).forEach((resourceId) => {
+      validateResourceWritePath(`resources.${resourceId}`, `/state/resources/${resourceId}`, 'Initial state');
+    });
+  }
 
-  const validateRoutinePathArray = (routineId, entries, arrayPath) => {
+  if (Array.isArray(definition.resources)) {
+    const layerIds = new Set(layers.filter((layer) => isObject(layer)).map((layer) => layer.id));
+    definition.resources.forEach((resource, resourceIdx) => {
+      const scaling = isObject(resource) && isObject(resource.maxScaling) ? resource.maxScaling : null;
+      if (scaling && typeof scaling.layerId === 'string' && !layerIds.has(scaling.layerId)) {
+        issues.push({
+          code: 'REF_RESOURCE_SCALING_LAYER_MISSING',
+          path: `/resources/${resourceIdx}/maxScaling/layerId`,
+          message: `Resource "${resource.id}" maxScaling references unknown layer "${scaling.layerId}".`,
+          hint: 'Use the id of the layer whose compiled multipliers raise this cap.',
+        });
+      }
+    });
+  }
+
+  const validateRoutinePathArray = (routineId, entries, arrayPath, writes = false) => {
     if (!Array.isArray(entries)) {
       return;
     }
@@ -183,6 +221,10 @@ function validateReferences(definition) {
         return;
       }
 
+      if (writes) {
+        validateResourceWritePath(entry.path, `${arrayPath}/${entryIdx}/path`, `Routine "${routineId}"`);
+      }
+
       if (!hasStatePath(rootState, entry.path)) {
         issues.push({
           code: 'REF_ROUTINE_PATH_MISSING',
@@ -348,8 +390,8 @@ function validateReferences(definition) {
               }
             }
 
-            validateRoutinePathArray(routineId, element.produces, `${routinePath}/produces`);
-            validateRoutinePathArray(routineId, element.consumes, `${routinePath}/consumes`);
+            validateRoutinePathArray(routineId, element.produces, `${routinePath}/produces`, true);
+            validateRoutinePathArray(routineId, element.consumes, `${routinePath}/consumes`, true);
             validateRoutinePathArray(routineId, element.requires, `${routinePath}/requires`);
 
             if (isObject(element.effects) && isObject(element.effects.setFlag) && typeof element.effects.setFlag.path === 'string') {
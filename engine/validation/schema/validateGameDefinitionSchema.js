@@ -1,5 +1,10 @@
 const { compareSchemaVersions, validateSchemaVersion } = require('./schemaVersionPolicy');
 const { parseUnlockCondition } = require('../../systems/unlocks/unlockCondition');
+const { NUMERIC_BACKEND_IDS, DECIMAL_BACKEND, isNumericLiteral } = require('../../systems/numeric/NumericBackend');
+const { ROUNDING_MODES, OVERFLOW_POLICIES } = require('../../systems/resources/ResourceRegistry');
+const { EVENT_CATALOG, PHASE_CONSTRAINTS } = require('../../systems/catalogs/eventCatalog');
+const { INTENT_CATALOG, LOCK_CHECK_POLICIES } = require('../../systems/catalogs/intentCatalog');
+const { PAYLOAD_FIELD_TYPES, parsePayloadFieldType } = require('../../systems/catalogs/payloadSchema');
 
 const LAYER_TYPES = new Set(['progressLayer']);
 const SUBLAYER_TYPES = new Set(['progress', 'buyable', 'upgrade']);
@@ -7,6 +12,13 @@ const ELEMENT_TYPES = new Set(['progressBar', 'buyable', 'upgrade', 'routine']);
 const SOFTCAP_MODES = new Set(['power']);
 const ROUTINE_KEYS = new Set(['id', 'type', 'slot', 'mode', 'produces', 'consumes', 'requires', 'scaling', 'effects', 'unlock']);
 const ROUTINE_SCALING_KEYS = new Set(['yieldMultiplierKeys', 'speedMultiplierKeys']);
+const RESOURCE_KEYS = new Set(['id', 'name', 'min', 'max', 'maxScaling', 'integer', 'rounding', 'overflow']);
+const RESOURCE_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const CATALOG_TYPE_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+const CATALOG_SECTIONS = Object.freeze({
+  intents: { builtIn: INTENT_CATALOG, keys: new Set(['payloadSchema', 'routingTarget', 'lockCheckPolicy', 'producers', 'consumers']) },
+  events: { builtIn: EVENT_CATALOG, keys: new Set(['payloadSchema', 'producers', 'consumers', 'phaseConstraints']) },
+});
 
 /**
  * @param {unknown} value
@@ -69,6 +81,139 @@ function validateIdsUnique(list, path, issues) {
   });
 }
 
+function validateResourceDeclarations(resources, issues) {
+  if (!Array.isArray(resources)) {
+    issue(issues, '/resources', 'RESOURCES_TYPE', 'resources must be an array of resource declarations.', 'Use [{ "id": "gold", "max": 1000 }].');
+    return;
+  }
+
+  validateIdsUnique(resources, '/resources', issues);
+  resources.forEach((resource, resourceIdx) => {
+    const resourcePath = `/resources/${resourceIdx}`;
+    if (!isObject(resource)) {
+      issue(issues, resourcePath, 'RESOURCE_TYPE', 'Resource declaration must be an object.', 'Replace with { id, name, min, max }.');
+      return;
+    }
+
+    const resourceId = typeof resource.id === 'string' && resource.id.trim() !== '' ? resource.id : `<index:${resourceIdx}>`;
+    Object.keys(resource).forEach((key) => {
+      if (!RESOURCE_KEYS.has(key)) {
+        issue(issues, `${resourcePath}/${key}`, 'RESOURCE_UNKNOWN_FIELD', `Resource "${resourceId}" contains unknown field "${key}".`, `Remove ${key} or add schema support for it.`);
+      }
+    });
+
+    if (typeof resource.id === 'string' && !RESOURCE_ID_PATTERN.test(resource.id)) {
+      issue(issues, `${resourcePath}/id`, 'RESOURCE_ID_INVALID', `Resource id "${resource.id}" must match ${RESOURCE_ID_PATTERN}.`, 'Resource ids become the key under state.resources, so they cannot contain dots.');
+    }
+    if (resource.name !== undefined && typeof resource.name !== 'string') {
+      issue(issues, `${resourcePath}/name`, 'RESOURCE_NAME_TYPE', `Resource "${resourceId}" name must be a string.`, 'Use a display name such as "Gold".');
+    }
+
+    ['min', 'max'].forEach((field) => {
+      if (resource[field] !== undefined && !isNumericLiteral(resource[field])) {
+        issue(issues, `${resourcePath}/${field}`, 'RESOURCE_BOUND_TYPE', `Resource "${resourceId}" ${field} must be a number or numeric string.`, 'Use a number, or a string such as "1e400" for decimal-backed games.');
+      }
+    });
+    if (isNumericLiteral(resource.min) && isNumericLiteral(resource.max) && DECIMAL_BACKEND.cmp(resource.min, resource.max) > 0) {
+      issue(issues, `${resourcePath}/max`, 'RESOURCE_BOUNDS_ORDER', `Resource "${resourceId}" max must not be below min.`, 'Raise max or lower min.');
+    }
+
+    if (resource.maxScaling !== undefined) {
+      const scaling = resource.maxScaling;
+      if (
+        !isObject(scaling) ||
+        typeof scaling.layerId !== 'string' ||
+        !Array.isArray(scaling.multiplierKeys) ||
+        !scaling.multiplierKeys.every((key) => typeof key === 'string' && key.startsWith('mul.'))
+      ) {
+        issue(issues, `${resourcePath}/maxScaling`, 'RESOURCE_MAX_SCALING_SHAPE', `Resource "${resourceId}" maxScaling expects { layerId: string, multiplierKeys: ["mul.*"] }.`, 'List compiled layer multipliers that raise the cap, e.g. { "layerId": "idle", "multiplierKeys": ["mul.storage"] }.');
+      } else if (resource.max === undefined) {
+        issue(issues, `${resourcePath}/maxScaling`, 'RESOURCE_MAX_SCALING_REQUIRES_MAX', `Resource "${resourceId}" maxScaling requires a base max.`, 'Declare max; maxScaling multiplies it.');
+      }
+    }
+
+    if (resource.integer !== undefined && typeof resource.integer !== 'boolean') {
+      issue(issues, `${resourcePath}/integer`, 'RESOURCE_INTEGER_TYPE', `Resource "${resourceId}" integer must be a boolean.`, 'Use true for whole-unit resources.');
+    }
+    if (resource.rounding !== undefined && !ROUNDING_MODES.includes(resource.rounding)) {
+      issue(issues, `${resourcePath}/rounding`, 'RESOURCE_ROUNDING_ENUM', `Resource rounding must be one of: ${ROUNDING_MODES.join(', ')}.`, 'Rounding applies to integer resources; floor is the default.');
+    }
+    if (resource.overflow !== undefined && !OVERFLOW_POLICIES.includes(resource.overflow)) {
+      issue(issues, `${resourcePath}/overflow`, 'RESOURCE_OVERFLOW_ENUM', `Resource overflow must be one of: ${OVERFLOW_POLICIES.join(', ')}.`, 'clamp (default) stores the nearest bound; reject throws on out-of-range writes.');
+    }
+  });
+}
+
+function validateCatalogDeclarations(catalogs, issues) {
+  if (!isObject(catalogs)) {
+    issue(issues, '/catalogs', 'CATALOGS_TYPE', 'catalogs must be an object with optional intents and events maps.', 'Use { "intents": { "CLAIM_BONUS": { ... } }, "events": { ... } }.');
+    return;
+  }
+
+  Object.entries(catalogs).forEach(([section, declarations]) => {
+    const sectionPath = `/catalogs/${section}`;
+    const policy = CATALOG_SECTIONS[section];
+    if (!policy) {
+      issue(issues, sectionPath, 'CATALOGS_UNKNOWN_FIELD', `catalogs contains unknown field "${section}".`, 'Only intents and events catalogs can be declared.');
+      return;
+    }
+    if (!isObject(declarations)) {
+      issue(issues, sectionPath, 'CATALOG_SECTION_TYPE', `catalogs.${section} must be an object keyed by type.`, 'Key each entry by its type name, e.g. { "CLAIM_BONUS": { "payloadSchema": {}, ... } }.');
+      return;
+    }
+
+    Object.entries(declarations).forEach(([type, entry]) => {
+      const entryPath = `${sectionPath}/${type}`;
+      if (!CATALOG_TYPE_PATTERN.test(type)) {
+        issue(issues, entryPath, 'CATALOG_TYPE_NAME_INVALID', `Catalog type "${type}" must match ${CATALOG_TYPE_PATTERN}.`, 'Use UPPER_SNAKE_CASE like the built-in types.');
+      }
+      if (Object.prototype.hasOwnProperty.call(policy.builtIn, type)) {
+        issue(issues, entryPath, 'CATALOG_TYPE_BUILTIN_COLLISION', `Catalog type "${type}" is already a built-in ${section.slice(0, -1)}.`, 'Pick a game-specific name; built-in entries cannot be redeclared.');
+      }
+      if (!isObject(entry)) {
+        issue(issues, entryPath, 'CATALOG_ENTRY_TYPE', `Catalog entry "${type}" must be an object.`, 'Declare at least a payloadSchema.');
+        return;
+      }
+
+      Object.keys(entry).forEach((key) => {
+        if (!policy.keys.has(key)) {
+          issue(issues, `${entryPath}/${key}`, 'CATALOG_ENTRY_UNKNOWN_FIELD', `Catalog entry "${type}" contains unknown field "${key}".`, `Allowed fields: ${Array.from(policy.keys).join(', ')}.`);
+        }
+      });
+
+      const payloadSchema = entry.payloadSchema;
+      if (!isObject(payloadSchema) || Object.values(payloadSchema).some((fieldType) => !parsePayloadFieldType(fieldType))) {
+        issue(issues, `${entryPath}/payloadSchema`, 'CATALOG_PAYLOAD_SCHEMA_INVALID', `Catalog entry "${type}" payloadSchema must map payload keys to field types.`, `Field types: ${PAYLOAD_FIELD_TYPES.join(', ')}, optionally suffixed with [] (array) and ? (optional), e.g. { "amount": "number", "note": "string?" }.`);
+      }
+
+      const validateActors = (kind, hint) => {
+        ['producers', 'consumers'].forEach((field) => {
+          if (entry[field] !== undefined && (!Array.isArray(entry[field]) || entry[field].some((actor) => typeof actor !== 'string'))) {
+            issue(issues, `${entryPath}/${field}`, 'CATALOG_ACTORS_TYPE', `${kind} "${type}" ${field} must be an array of strings.`, hint);
+          }
+        });
+      };
+
+      if (section === 'intents') {
+        if (typeof entry.routingTarget !== 'string' || entry.routingTarget.trim() === '') {
+          issue(issues, `${entryPath}/routingTarget`, 'CATALOG_ROUTING_TARGET_REQUIRED', `Intent "${type}" must declare a routingTarget.`, 'Name the layer type or system that handles it, e.g. "gachaLayer".');
+        }
+        if (entry.lockCheckPolicy !== undefined && !Object.values(LOCK_CHECK_POLICIES).includes(entry.lockCheckPolicy)) {
+          issue(issues, `${entryPath}/lockCheckPolicy`, 'CATALOG_LOCK_POLICY_ENUM', `Intent lockCheckPolicy must be one of: ${Object.values(LOCK_CHECK_POLICIES).join(', ')}.`, 'Omit it for "none".');
+        }
+        validateActors('Intent', 'List layer types or system names; consumers default to the routingTarget.');
+        return;
+      }
+
+      const phases = Object.values(PHASE_CONSTRAINTS);
+      if (!Array.isArray(entry.phaseConstraints) || entry.phaseConstraints.length === 0 || entry.phaseConstraints.some((phase) => !phases.includes(phase))) {
+        issue(issues, `${entryPath}/phaseConstraints`, 'CATALOG_PHASES_INVALID', `Event "${type}" phaseConstraints must be a non-empty list of engine phases.`, `Phases: ${phases.join(', ')}.`);
+      }
+      validateActors('Event', 'List layer types or system names; consumers that are layer types receive the event in onEvent().');
+    });
+  });
+}
+
 function validateRoutineElement(element, elementPath, elementIdx, issues) {
   const routineId = typeof element.id === 'string' && element.id.trim() !== '' ? element.id : `<index:${elementIdx}>`;
 
@@ -231,12 +376,37 @@ function validateGameDefinitionSchema(definition) {
     );
   } else if (!isObject(systems)) {
     issue(issues, '/systems', 'SYSTEMS_REQUIRED', 'systems must be an object.', 'Declare systems as an object of engine-level system configuration.');
+  } else if (systems.rngSeed !== undefined && (!Number.isInteger(systems.rngSeed) || systems.rngSeed < 0 || systems.rngSeed > 0xffffffff)) {
+    issue(
+      issues,
+      '/systems/rngSeed',
+      'SYSTEMS_RNG_SEED_INVALID',
+      'systems.rngSeed must be an integer between 0 and 4294967295.',
+      'Use a fixed unsigned 32-bit seed, e.g. { "rngSeed": 12345 }, or omit it to seed with 0.'
+    );
+  }
+  if (isObject(systems) && systems.numericBackend !== undefined && !NUMERIC_BACKEND_IDS.includes(systems.numericBackend)) {
+    issue(
+      issues,
+      '/systems/numericBackend',
+      'SYSTEMS_NUMERIC_BACKEND_INVALID',
+      `systems.numericBackend must be one of: ${NUMERIC_BACKEND_IDS.join(', ')}.`,
+      'Use "decimal" for resources that outgrow 1e308, or omit it to keep plain JS numbers.'
+    );
   }
 
   if (!isObject(state)) {
     issue(issues, '/state', 'STATE_REQUIRED', 'state must be an object.', 'Provide canonical state root object.');
   }
 
+  if (definition.resources !== undefined) {
+    validateResourceDeclarations(definition.resources, issues);
+  }
+
+  if (definition.catalogs !== undefined) {
+    validateCatalogDeclarations(definition.catalogs, issues);
+  }
+
   if (!Array.isArray(layers)) {
     issue(issues, '/layers', 'LAYERS_REQUIRED', 'layers must be an array.', 'Provide at least one layer definition.');
     return issues;
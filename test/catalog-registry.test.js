@@ -0,0 +1,231 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const { GameEngine } = require('../engine/core/GameEngine');
+const { LayerRegistry } = require('../engine/plugins/LayerRegistry');
+const { createIntentCatalogRegistry } = require('../engine/systems/catalogs/CatalogRegistry');
+const { createPayloadValidator } = require('../engine/systems/catalogs/payloadSchema');
+const { parseGameDefinition } = require('../engine/validation/parser/parseGameDefinition');
+
+function loadFixture(name) {
+  return JSON.parse(
+    fs.readFileSync(path.join(__dirname, '..', 'engine', 'validation', 'fixtures', name), 'utf8')
+  );
+}
+
+function createEngine(definition, options = {}) {
+  const engine = new GameEngine({ timeSystem: { getDeltaTime: () => 100 }, ...options });
+  engine.initialize(definition);
+  return engine;
+}
+
+function withCatalogs(catalogs) {
+  return { ...loadFixture('valid-definition.json'), catalogs };
+}
+
+function runRegistryCase() {
+  const registry = createIntentCatalogRegistry();
+  assert.strictEqual(registry.getOwner('START_JOB'), 'engine', 'built-ins are owned by the engine');
+
+  registry.register('CLAIM_BONUS', { payloadSchema: { amount: 'number' }, routingTarget: 'bonus' }, 'SystemPlugin:bonus');
+  assert.strictEqual(registry.get('CLAIM_BONUS').validatePayload({ amount: 'x' }), 'payload.amount must be a finite number');
+  assert.deepStrictEqual(
+    registry.list().filter(({ owner }) => owner !== 'engine').map(({ type, owner }) => [type, owner]),
+    [['CLAIM_BONUS', 'SystemPlugin:bonus']]
+  );
+
+  assert.throws(
+    () => registry.register('START_JOB', { validatePayload: () => null, routingTarget: 'x' }, 'definition'),
+    /intent type START_JOB is already cataloged by engine; definition cannot redeclare it\./
+  );
+  assert.throws(
+    () => registry.register('CLAIM_BONUS', { validatePayload: () => null, routingTarget: 'x' }, 'Layer:bonusLayer'),
+    /already cataloged by SystemPlugin:bonus; Layer:bonusLayer cannot redeclare it/
+  );
+  assert.throws(() => registry.unregisterOwner('engine'), /built-in intent entries cannot be unregistered/);
+
+  registry.register('SPEND_BONUS', { payloadSchema: {}, routingTarget: 'bonus', producers: ['shopUi'] }, 'SystemPlugin:bonus');
+  assert.deepStrictEqual(
+    [registry.get('SPEND_BONUS').producers, registry.get('SPEND_BONUS').consumers],
+    [['shopUi'], ['bonus']],
+    'declared producers are kept and consumers default to the routingTarget'
+  );
+  assert.deepStrictEqual(registry.get('CLAIM_BONUS').producers, []);
+  assert.throws(
+    () => registry.register('BAD_ACTORS', { payloadSchema: {}, routingTarget: 'bonus', consumers: 'bonus' }, 'SystemPlugin:bonus'),
+    /Intent catalog entry BAD_ACTORS consumers must be an array of strings\./
+  );
+
+  registry.unregisterOwner('SystemPlugin:bonus');
+  assert.strictEqual(registry.has('CLAIM_BONUS'), false, 'owner entries can be withdrawn');
+}
+
+function runPayloadSchemaCase() {
+  const validate = createPayloadValidator({ layerId: 'string', amount: 'number?', tags: 'string[]?', flags: 'object' });
+  assert.strictEqual(validate({ layerId: 'idle', flags: {}, extra: true }), null, 'optional and extra keys are accepted');
+  assert.strictEqual(validate({ layerId: '', flags: {} }), 'payload.layerId must be a non-empty string');
+  assert.strictEqual(validate({ layerId: 'idle', flags: {}, amount: NaN }), 'payload.amount must be a finite number when provided');
+  assert.strictEqual(validate({ layerId: 'idle', flags: {}, tags: ['a', 1] }), 'payload.tags must be an array of strings when provided');
+  assert.strictEqual(validate(null), 'payload must be an object');
+  assert.throws(() => createPayloadValidator({ amount: 'bigint' }), /payloadSchema\.amount has unknown type "bigint"/);
+}
+
+function runDefinitionCatalogCase() {
+  const definition = withCatalogs({
+    intents: {
+      GRANT_GOLD: { payloadSchema: { amount: 'number' }, routingTarget: 'GoldService', producers: ['shopPanel'], consumers: ['GoldService', 'AuditLog'] },
+    },
+    events: {
+      GOLD_GRANTED: { payloadSchema: { amount: 'number' }, phaseConstraints: ['input', 'event-dispatch'], producers: ['GoldService'] },
+    },
+  });
+  const engine = createEngine(definition);
+  assert.strictEqual(engine.intentRouter.catalog.getOwner('GRANT_GOLD'), 'definition');
+  assert.deepStrictEqual(engine.intentRouter.catalog.get('GRANT_GOLD').consumers, ['GoldService', 'AuditLog']);
+  assert.deepStrictEqual(engine.intentRouter.catalog.get('GRANT_GOLD').producers, ['shopPanel']);
+  assert.strictEqual(engine.eventBus.catalog.getOwner('GOLD_GRANTED'), 'definition');
+
+  const seen = [];
+  engine.eventBus.subscribe('GOLD_GRANTED', (event) => seen.push(event.payload.amount), 'test');
+  engine.intentRouter.register('GRANT_GOLD', (intent) => {
+    engine.eventBus.publish({ type: 'GOLD_GRANTED', payload: { amount: intent.payload.amount }, source: 'GoldService' });
+  });
+
+  const rejected = engine.intentRouter.route({ type: 'GRANT_GOLD', payload: { amount: 'lots' } });
+  assert.strictEqual(rejected.code, 'INTENT_PAYLOAD_INVALID', 'compiled payloadSchema is enforced');
+  assert.strictEqual(rejected.reason, 'payload.amount must be a finite number');
+
+  engine.enqueueIntent({ type: 'GRANT_GOLD', payload: { amount: 5 } });
+  engine.tick();
+  assert.deepStrictEqual(seen, [5], 'definition event passes strict publish validation and dispatches');
+
+  assert.throws(
+    () => engine.eventBus.publish({ type: 'GOLD_GRANTED', payload: {}, source: 'GoldService' }),
+    /payload\.amount must be a finite number/
+  );
+
+  engine.reloadDefinition(withCatalogs({ intents: { GRANT_XP: { payloadSchema: {}, routingTarget: 'XpService' } } }));
+  assert.strictEqual(engine.intentRouter.catalog.has('GRANT_GOLD'), false, 'reload drops the previous definition entries');
+  assert.strictEqual(engine.eventBus.catalog.has('GOLD_GRANTED'), false);
+  assert.strictEqual(engine.intentRouter.catalog.getOwner('GRANT_XP'), 'definition');
+
+  engine.intentRouter.registerCatalogEntry('PLUGIN_ONLY', { payloadSchema: {}, routingTarget: 'x' }, 'SystemPlugin:other');
+  assert.throws(
+    () => engine.reloadDefinition(withCatalogs({ intents: { PLUGIN_ONLY: { payloadSchema: {}, routingTarget: 'x' } } })),
+    /intent type PLUGIN_ONLY is already cataloged by SystemPlugin:other; definition cannot redeclare it\./
+  );
+  assert.strictEqual(engine.intentRouter.catalog.getOwner('GRANT_XP'), 'definition', 'a failed reload keeps the previous definition entries');
+  engine.destroy();
+}
+
+function runLayerPluginCatalogCase() {
+  const handled = [];
+  const consumed = [];
+
+  // Built-in progressLayer instances extended with a layer-plugin catalog; custom layer types
+  // are not instantiable from definitions yet.
+  class BonusLayerRegistry extends LayerRegistry {
+    register(type, factory) {
+      const decorated = (args) => {
+        const layer = factory(args);
+        layer.onIntent = (intent) => {
+          handled.push([layer.id, intent.payload.amount]);
+          args.context.eventBus.publish({ type: 'BONUS_CLAIMED', payload: { amount: intent.payload.amount } });
+          return intent.payload.amount;
+        };
+        const onEvent = layer.onEvent.bind(layer);
+        layer.onEvent = (event) => {
+          if (event.type === 'BONUS_CLAIMED') {
+            consumed.push(event.payload.amount);
+            return;
+          }
+          onEvent(event);
+        };
+        return layer;
+      };
+      super.register(type, decorated, {
+        intents: { CLAIM_BONUS: { payloadSchema: { layerId: 'string?', amount: 'number' } } },
+        events: {
+          BONUS_CLAIMED: {
+            payloadSchema: { amount: 'number' },
+            consumers: [type],
+            phaseConstraints: ['input', 'event-dispatch'],
+          },
+        },
+      });
+    }
+  }
+
+  const engine = createEngine(loadFixture('valid-definition.json'), { layerRegistry: new BonusLayerRegistry() });
+  assert.strictEqual(engine.intentRouter.catalog.getOwner('CLAIM_BONUS'), 'Layer:progressLayer');
+  assert.strictEqual(engine.intentRouter.catalog.get('CLAIM_BONUS').routingTarget, 'progressLayer', 'routingTarget defaults to the layer type');
+  assert.deepStrictEqual(engine.eventBus.catalog.get('BONUS_CLAIMED').producers, ['progressLayer']);
+
+  const routed = engine.intentRouter.route({ type: 'CLAIM_BONUS', payload: { layerId: 'idle', amount: 3 } });
+  assert.strictEqual(routed.ok, true);
+  assert.strictEqual(routed.result, 3, 'onIntent result is returned by the router');
+
+  engine.enqueueIntent({ type: 'CLAIM_BONUS', payload: { amount: 4 } });
+  engine.tick();
+  assert.deepStrictEqual(handled, [['idle', 3], ['idle', 4]], 'layerId is optional with a single instance of the type');
+  assert.deepStrictEqual(consumed, [3, 4], 'layer types listed as consumers receive the event in onEvent()');
+
+  const missing = { ok: false, code: 'INTENT_TARGET_NOT_FOUND', reason: 'Intent CLAIM_BONUS needs progressLayer layer "missing" with onIntent() to handle it.' };
+  assert.deepStrictEqual(engine.intentRouter.route({ type: 'CLAIM_BONUS', payload: { layerId: 'missing', amount: 1 } }).result, missing);
+  assert.deepStrictEqual(engine.previewIntent({ type: 'CLAIM_BONUS', payload: { layerId: 'missing', amount: 1 } }).result, missing);
+  engine.enqueueIntent({ type: 'CLAIM_BONUS', payload: { layerId: 'missing', amount: 1 } });
+  engine.enqueueIntent({ type: 'CLAIM_BONUS', payload: { amount: 5 } });
+  assert.deepStrictEqual(
+    engine.tick().intentsRouted.map((routed) => routed.result),
+    [missing, 5],
+    'an unknown layer is reported in the tick summary instead of aborting the input phase'
+  );
+
+  assert.throws(
+    () => createEngine(withCatalogs({ events: { BONUS_CLAIMED: { payloadSchema: {}, phaseConstraints: ['input'] } } }), {
+      layerRegistry: new BonusLayerRegistry(),
+    }),
+    /event type BONUS_CLAIMED is already cataloged by Layer:progressLayer; definition cannot redeclare it\./
+  );
+  engine.destroy();
+}
+
+function runValidationCase() {
+  const codesFor = (catalogs) => {
+    try {
+      parseGameDefinition(withCatalogs(catalogs));
+      return [];
+    } catch (error) {
+      return error.issues.map((issue) => issue.code);
+    }
+  };
+
+  assert.deepStrictEqual(codesFor({ intents: { GRANT_GOLD: { payloadSchema: { amount: 'number?' }, routingTarget: 'GoldService' } } }), []);
+  assert.deepStrictEqual(codesFor([]), ['CATALOGS_TYPE']);
+  assert.deepStrictEqual(codesFor({ actions: {} }), ['CATALOGS_UNKNOWN_FIELD']);
+  assert.deepStrictEqual(codesFor({ intents: { START_JOB: { payloadSchema: {}, routingTarget: 'x' } } }), ['CATALOG_TYPE_BUILTIN_COLLISION']);
+  assert.deepStrictEqual(codesFor({ intents: { grantGold: { payloadSchema: {}, routingTarget: 'x' } } }), ['CATALOG_TYPE_NAME_INVALID']);
+  assert.deepStrictEqual(codesFor({ intents: { GRANT: { payloadSchema: { n: 'int' }, routingTarget: 'x' } } }), ['CATALOG_PAYLOAD_SCHEMA_INVALID']);
+  assert.deepStrictEqual(codesFor({ intents: { GRANT: { payloadSchema: {} } } }), ['CATALOG_ROUTING_TARGET_REQUIRED']);
+  assert.deepStrictEqual(
+    codesFor({ intents: { GRANT: { payloadSchema: {}, routingTarget: 'x', lockCheckPolicy: 'always', handler: 'x' } } }),
+    ['CATALOG_ENTRY_UNKNOWN_FIELD', 'CATALOG_LOCK_POLICY_ENUM']
+  );
+  assert.deepStrictEqual(codesFor({ intents: { GRANT: { payloadSchema: {}, routingTarget: 'x', producers: [1] } } }), ['CATALOG_ACTORS_TYPE']);
+  assert.deepStrictEqual(
+    codesFor({ events: { GRANTED: { payloadSchema: {}, phaseConstraints: ['later'], consumers: 'idle' } } }),
+    ['CATALOG_PHASES_INVALID', 'CATALOG_ACTORS_TYPE']
+  );
+}
+
+function run() {
+  runRegistryCase();
+  runPayloadSchemaCase();
+  runDefinitionCatalogCase();
+  runLayerPluginCatalogCase();
+  runValidationCase();
+  console.log('catalog-registry.test.js: ok');
+}
+
+run();
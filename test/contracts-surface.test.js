@@ -9,6 +9,10 @@ const CONTRACT_MODULES = [
     modulePath: 'engine/core/contracts/BaseLayer.js',
     exports: ['BASE_LAYER_CONTRACT', 'REQUIRED_LAYER_METHODS', 'assertValidBaseLayerInstance'],
   },
+  {
+    modulePath: 'engine/core/contracts/SystemPlugin.js',
+    exports: ['SYSTEM_PLUGIN_CONTRACT', 'SYSTEM_PLUGIN_PHASE_HOOKS', 'assertValidSystemPlugin'],
+  },
   {
     modulePath: 'engine/core/contracts/EventBusContract.js',
     exports: ['EVENT_BUS_CONTRACT'],
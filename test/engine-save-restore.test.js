@@ -0,0 +1,204 @@
+const assert = require('assert');
+
+const { GameEngine } = require('../engine/core/GameEngine');
+
+function buildSaveDefinition() {
+  return {
+    meta: { schemaVersion: '1.2.0', gameId: 'engine-save-restore' },
+    systems: { tickMs: 1000 },
+    state: {
+      resources: { wood: 0, fish: 0 },
+      layers: {
+        idle: {
+          routines: {
+            woodcut: { active: false },
+            fishing: { active: false },
+          },
+          routinePools: {
+            workers: { total: 1, used: 0, activeRoutine: null },
+          },
+        },
+      },
+    },
+    layers: [
+      {
+        id: 'idle',
+        type: 'progressLayer',
+        unlock: { always: true },
+        routineSystem: {
+          slotPools: {
+            workers: {
+              totalPath: 'layers.idle.routinePools.workers.total',
+              usedPath: 'layers.idle.routinePools.workers.used',
+              activeRoutineIdPath: 'layers.idle.routinePools.workers.activeRoutine',
+            },
+          },
+        },
+        sublayers: [
+          {
+            id: 'main',
+            type: 'progress',
+            sections: [
+              {
+                id: 'jobs',
+                elements: [
+                  {
+                    id: 'woodcut',
+                    type: 'routine',
+                    mode: 'manual',
+                    slot: { poolId: 'workers' },
+                    produces: [{ path: 'resources.wood', perSecond: 1 }],
+                  },
+                  {
+                    id: 'fishing',
+                    type: 'routine',
+                    mode: 'manual',
+                    slot: { poolId: 'workers' },
+                    produces: [{ path: 'resources.fish', perSecond: 1 }],
+                  },
+                  {
+                    id: 'lumberyard',
+                    type: 'upgrade',
+                    unlock: { resourceGte: { path: 'resources.wood', value: 2 } },
+                  },
+                ],
+              },
+            ],
+          },
+        ],
+      },
+    ],
+  };
+}
+
+const LUMBERYARD_REF = 'layer:idle/sublayer:main/section:jobs/element:lumberyard';
+
+function createEngine(nowRef) {
+  const engine = new GameEngine({ devModeStrict: false, tickRate: 1, now: () => nowRef.value });
+  engine.initialize(buildSaveDefinition());
+  return engine;
+}
+
+function runFullRoundTripCase() {
+  const clock = { value: 0 };
+  const source = createEngine(clock);
+  source.enqueueIntent({ type: 'ROUTINE_START', payload: { layerId: 'idle', routineId: 'woodcut' } });
+  source.tick();
+  clock.value = 1000;
+  const unlockTick = source.tick();
+  assert.deepStrictEqual(unlockTick.unlocks.transitions, [LUMBERYARD_REF]);
+
+  source.enqueueIntent({ type: 'ROUTINE_STOP', payload: { layerId: 'idle', routineId: 'woodcut' } });
+  source.setTimeScale(2);
+  const payload = source.exportSave({ slot: 'manual-1' });
+
+  assert.strictEqual(payload.schemaVersion, '1.2.0');
+  assert.deepStrictEqual(payload.metadata, { slot: 'manual-1', gameId: 'engine-save-restore' });
+  assert.deepStrictEqual(payload.snapshot.runtime.routines.activeByPool, [
+    { poolPath: 'layers.idle.routinePools.workers.activeRoutine', layerId: 'idle', routineId: 'woodcut' },
+  ]);
+  assert.ok(payload.snapshot.runtime.unlocks.unlockedRefs.includes(LUMBERYARD_REF));
+  assert.strictEqual(payload.snapshot.runtime.time.lastNow, 1000);
+  assert.strictEqual(payload.snapshot.runtime.intentQueue.length, 2);
+  assert.strictEqual(JSON.stringify(payload), JSON.stringify(source.exportSave({ slot: 'manual-1' })));
+
+  const target = createEngine({ value: 1000 });
+  const restored = target.importSave(JSON.parse(JSON.stringify(payload)));
+  assert.deepStrictEqual(restored.metadata, { slot: 'manual-1', gameId: 'engine-save-restore' });
+  assert.deepStrictEqual(target.stateStore.snapshot().canonical, source.stateStore.snapshot().canonical);
+  assert.strictEqual(target.stateStore.get('derived.unlocks').unlocked[LUMBERYARD_REF], true);
+
+  target.stateStore.set('resources.wood', 0);
+  const resumedTick = target.tick();
+  assert.deepStrictEqual(resumedTick.unlocks.transitions, [], 'restored unlock latches must not re-fire UNLOCKED');
+  assert.strictEqual(resumedTick.unlocks.unlocked[LUMBERYARD_REF], true, 'restored unlocks stay one-way');
+  assert.deepStrictEqual(
+    resumedTick.intentsRouted.map((routed) => routed.result.code),
+    ['ROUTINE_STOPPED', 'TIME_CONTROLS_UPDATED'],
+    'pending intents should survive the save and route on the next tick'
+  );
+  assert.strictEqual(resumedTick.dt, 0, 'time baseline should be restored rather than re-seeded');
+  assert.strictEqual(target.stateStore.get('layers.idle.routinePools.workers.activeRoutine'), null);
+}
+
+function runPoolOccupancyRestoreCase() {
+  const source = createEngine({ value: 0 });
+  source.enqueueIntent({ type: 'ROUTINE_START', payload: { layerId: 'idle', routineId: 'woodcut' } });
+  source.tick();
+  const payload = source.exportSave();
+
+  const target = createEngine({ value: 0 });
+  target.importSave(payload);
+  target.enqueueIntent({ type: 'ROUTINE_START', payload: { layerId: 'idle', routineId: 'fishing' } });
+  target.tick();
+
+  assert.strictEqual(
+    target.stateStore.get('layers.idle.routines.woodcut.active'),
+    false,
+    'restored pool occupancy must let a new start preempt the saved routine'
+  );
+  assert.strictEqual(target.stateStore.get('layers.idle.routines.woodcut.lastStopReason'), 'pool-preempted');
+  assert.strictEqual(target.stateStore.get('layers.idle.routinePools.workers.activeRoutine'), 'idle/fishing');
+}
+
+function runLegacySnapshotCase() {
+  const source = createEngine({ value: 0 });
+  source.enqueueIntent({ type: 'ROUTINE_START', payload: { layerId: 'idle', routineId: 'woodcut' } });
+  source.tick();
+  const legacyPayload = source.saveSystem.serialize(source.stateStore.snapshot());
+
+  const target = createEngine({ value: 0 });
+  target.importSave(legacyPayload);
+  assert.deepStrictEqual(target.routineSystem.exportRuntimeState().activeByPool, [
+    { poolPath: 'layers.idle.routinePools.workers.activeRoutine', layerId: 'idle', routineId: 'woodcut' },
+  ]);
+}
+
+function runMigratedImportCase() {
+  const engine = new GameEngine({
+    devModeStrict: false,
+    timeSystem: { getDeltaTime: () => 0 },
+    saveMigrations: [
+      {
+        from: '1.1.0',
+        to: '1.2.0',
+        migrate(payload) {
+          payload.snapshot.canonical.resources.fish = 0;
+          return payload;
+        },
+      },
+    ],
+  });
+  engine.initialize(buildSaveDefinition());
+
+  const payload = engine.exportSave();
+  payload.schemaVersion = '1.1.0';
+  delete payload.snapshot.canonical.resources.fish;
+
+  const restored = engine.importSave(payload);
+  assert.deepStrictEqual(restored.migrationsApplied, [{ from: '1.1.0', to: '1.2.0' }]);
+  assert.strictEqual(engine.stateStore.get('resources.fish'), 0);
+}
+
+function runGuardrailCase() {
+  const engine = createEngine({ value: 0 });
+  const payload = engine.exportSave();
+
+  assert.throws(
+    () => engine.importSave({ ...payload, metadata: { gameId: 'another-game' } }),
+    /gameId mismatch/
+  );
+  assert.throws(() => engine.importSave({ ...payload, snapshot: { derived: {} } }), /snapshot.canonical/);
+  assert.throws(() => new GameEngine().exportSave(), /must be initialized/);
+}
+
+function run() {
+  runFullRoundTripCase();
+  runPoolOccupancyRestoreCase();
+  runLegacySnapshotCase();
+  runMigratedImportCase();
+  runGuardrailCase();
+  console.log('engine-save-restore tests passed');
+}
+
+run();
@@ -0,0 +1,82 @@
+const assert = require('assert');
+
+const { EventBus } = require('../engine/systems/event-bus/EventBus');
+
+function runWildcardCase() {
+  const bus = new EventBus({ strictValidation: false });
+  const trace = [];
+  bus.subscribe('*', (event) => trace.push(`all:${event.type}`));
+  bus.subscribe('ROUTINE_*', (event) => trace.push(`routine:${event.type}`));
+  bus.subscribe('ROUTINE_STARTED', (event) => trace.push(`exact:${event.type}`));
+
+  bus.publish({ type: 'ROUTINE_STARTED' });
+  bus.publish({ type: 'ROUTINE_STOPPED' });
+  bus.publish({ type: 'LAYER_RESET_EXECUTED' });
+  assert.strictEqual(bus.dispatchQueued(), 6);
+  assert.deepStrictEqual(trace, [
+    'all:ROUTINE_STARTED',
+    'routine:ROUTINE_STARTED',
+    'exact:ROUTINE_STARTED',
+    'all:ROUTINE_STOPPED',
+    'routine:ROUTINE_STOPPED',
+    'all:LAYER_RESET_EXECUTED',
+  ]);
+
+  assert.throws(() => bus.subscribe('ROUTINE_*_DONE', () => {}), /single trailing "\*"/);
+  assert.throws(() => bus.subscribe('PING', () => {}, null, { priority: Infinity }), /priority must be a finite number/);
+}
+
+function runPriorityCase() {
+  const bus = new EventBus({ strictValidation: false });
+  const trace = [];
+  bus.subscribe('PING', () => trace.push('default-a'));
+  bus.subscribe('*', () => trace.push('low-wildcard'), null, { priority: -5 });
+  bus.subscribe('PING', () => trace.push('high'), null, { priority: 10 });
+  bus.subscribe('PI*', () => trace.push('default-prefix'));
+  bus.subscribe('PING', () => trace.push('high-later'), null, { priority: 10 });
+
+  bus.publish({ type: 'PING' });
+  bus.dispatchQueued();
+  assert.deepStrictEqual(trace, ['high', 'high-later', 'default-a', 'default-prefix', 'low-wildcard']);
+}
+
+function runTokenIndexAndSnapshotCase() {
+  const bus = new EventBus({ strictValidation: false });
+  const trace = [];
+  const tokens = [];
+  for (let index = 0; index < 3; index += 1) {
+    tokens.push(bus.subscribe(index === 1 ? 'TICK_*' : 'TICK_DONE', () => trace.push(`h${index}`)));
+  }
+  // Subscription churn inside a handler only takes effect next cycle.
+  bus.subscribe(
+    'TICK_DONE',
+    (event) => {
+      trace.push(`first:${event.payload.round}`);
+      if (event.payload.round === 1) {
+        bus.unsubscribe(tokens[2]);
+        bus.subscribe('*', () => trace.push('late'), null, { priority: 5 });
+        bus.publish({ type: 'TICK_DONE', payload: { round: 2 } });
+      }
+    },
+    null,
+    { priority: 1 }
+  );
+
+  bus.publish({ type: 'TICK_DONE', payload: { round: 1 } });
+  bus.dispatchQueued();
+  assert.deepStrictEqual(trace, ['first:1', 'h0', 'h1', 'h2', 'late', 'first:2', 'h0', 'h1']);
+
+  assert.strictEqual(bus.unsubscribe(tokens[2]), false, 'tokens unsubscribe once');
+  assert.strictEqual(bus.unsubscribe(tokens[1]), true);
+  assert.strictEqual(bus.subscribers.has('TICK_*'), false, 'empty pattern groups are dropped');
+  assert.strictEqual(bus.unsubscribe('sub_unknown'), false);
+}
+
+function run() {
+  runWildcardCase();
+  runPriorityCase();
+  runTokenIndexAndSnapshotCase();
+  console.log('event bus subscription tests passed');
+}
+
+run();
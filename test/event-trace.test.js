@@ -0,0 +1,104 @@
+const assert = require('assert');
+
+const { GameEngine } = require('../engine/core/GameEngine');
+const { EventBus } = require('../engine/systems/event-bus/EventBus');
+
+function buildDefinition() {
+  return {
+    meta: { schemaVersion: '1.2.0', gameId: 'event-trace' },
+    systems: { tickMs: 1000 },
+    state: { resources: { gold: 0 }, layers: { idle: {} } },
+    layers: [
+      {
+        id: 'idle',
+        type: 'progressLayer',
+        unlock: { always: true },
+        sublayers: [
+          {
+            id: 'fresh',
+            type: 'progress',
+            unlock: { compare: { path: 'resources.gold', op: 'lt', value: 5 } },
+            sections: [],
+          },
+        ],
+      },
+    ],
+  };
+}
+
+function runResetCascadeCase() {
+  const engine = new GameEngine({ devModeStrict: false, timeSystem: { getDeltaTime: () => 1000 } });
+  engine.initialize(buildDefinition());
+  engine.stateStore.set('resources.gold', 10);
+  const events = [];
+  engine.eventBus.subscribe('*', (event) => events.push(event));
+
+  engine.tick();
+  engine.enqueueIntent({ type: 'REQUEST_LAYER_RESET', payload: { layerId: 'idle' }, source: 'ui' });
+  engine.tick();
+  engine.tick();
+  assert.deepStrictEqual([events[0].type, events[0].tick], ['UNLOCKED', 0]);
+  assert.strictEqual(events[0].causedBy, null, 'state written outside any intent or event has no cause');
+
+  const unlocked = events[events.length - 1];
+  assert.deepStrictEqual(
+    [unlocked.type, unlocked.tick, unlocked.phase, unlocked.payload.targetRef],
+    ['UNLOCKED', 1, 'unlock-evaluation', 'layer:idle/sublayer:fresh']
+  );
+
+  const trace = engine.getEventTrace(unlocked.id);
+  assert.deepStrictEqual(
+    trace.map((record) => `${record.kind}:${record.type}@${record.tick}/${record.phase}`),
+    [
+      'intent:REQUEST_LAYER_RESET@1/input',
+      'event:LAYER_RESET_REQUESTED@1/input',
+      'event:LAYER_RESET_EXECUTED@1/event-dispatch',
+      'event:UNLOCKED@1/unlock-evaluation',
+    ]
+  );
+  assert.strictEqual(trace[0].source, 'ui');
+  for (let index = 1; index < trace.length; index += 1) {
+    assert.strictEqual(trace[index].causedBy, trace[index - 1].id, 'each record links to its predecessor');
+  }
+  assert.ok(Object.isFrozen(trace[0]));
+  assert.deepStrictEqual(engine.getEventTrace('evt_missing'), []);
+}
+
+function runBusCausalityCase() {
+  let version = 0;
+  const bus = new EventBus({ strictValidation: false, traceCapacity: 3 });
+  bus.setStateVersionProbe(() => version);
+
+  bus.subscribe('A', (event) => {
+    bus.publish({ type: 'B', payload: { from: event.id } });
+  });
+  bus.subscribe('B', () => {
+    version += 1;
+  });
+  bus.publish({ type: 'A' });
+  bus.publish({ type: 'C', causedBy: 'intent_external' });
+  bus.dispatchQueued();
+
+  assert.deepStrictEqual(
+    bus.getTrace('evt_3').map((record) => record.type),
+    ['A', 'B'],
+    'handlers publish with the delivered event as cause'
+  );
+  assert.strictEqual(bus.getTrace('evt_2')[0].causedBy, 'intent_external', 'explicit causedBy wins');
+  assert.strictEqual(bus.resolveStateChangeCause(), 'evt_3', 'the handler that wrote state owns the change');
+
+  version += 1;
+  assert.strictEqual(bus.resolveStateChangeCause(), null, 'later untraced writes clear the attribution');
+
+  bus.publish({ type: 'D' });
+  assert.deepStrictEqual(bus.getTrace('evt_1'), [], 'the trace log is bounded by traceCapacity');
+  assert.throws(() => new EventBus({ traceCapacity: 0 }), /traceCapacity must be a positive integer/);
+}
+
+function run() {
+  runResetCascadeCase();
+  runBusCausalityCase();
+  console.log('event trace tests passed');
+}
+
+run();
@@ -0,0 +1,168 @@
+const assert = require('assert');
+
+const { GameEngine } = require('../engine/core/GameEngine');
+
+function buildCatchUpDefinition() {
+  return {
+    meta: { schemaVersion: '1.2.0', gameId: 'offline-catch-up' },
+    systems: { tickMs: 1000 },
+    state: {
+      resources: { wood: 0, energy: 3 },
+      layers: {
+        idle: {
+          routines: {
+            woodcut: { active: false },
+          },
+          routinePools: {
+            workers: { total: 1, used: 0, activeRoutine: null },
+          },
+        },
+      },
+    },
+    layers: [
+      {
+        id: 'idle',
+        type: 'progressLayer',
+        unlock: { always: true },
+        routineSystem: {
+          slotPools: {
+            workers: {
+              totalPath: 'layers.idle.routinePools.workers.total',
+              usedPath: 'layers.idle.routinePools.workers.used',
+              activeRoutineIdPath: 'layers.idle.routinePools.workers.activeRoutine',
+            },
+          },
+        },
+        sublayers: [
+          {
+            id: 'main',
+            type: 'progress',
+            sections: [
+              {
+                id: 'jobs',
+                elements: [
+                  {
+                    id: 'woodcut',
+                    type: 'routine',
+                    mode: 'manual',
+                    slot: { poolId: 'workers' },
+                    produces: [{ path: 'resources.wood', perSecond: 2 }],
+                    consumes: [{ path: 'resources.energy', perSecond: 1 }],
+                  },
+                  {
+                    id: 'sawmill',
+                    type: 'upgrade',
+                    unlock: { resourceGte: { path: 'resources.wood', value: 4 } },
+                  },
+                ],
+              },
+            ],
+          },
+        ],
+      },
+    ],
+  };
+}
+
+function createStartedEngine(options = {}) {
+  const engine = new GameEngine({ devModeStrict: false, timeSystem: { getDeltaTime: () => 1000 }, ...options });
+  engine.initialize(buildCatchUpDefinition());
+  engine.enqueueIntent({ type: 'ROUTINE_START', payload: { layerId: 'idle', routineId: 'woodcut' } });
+  engine.tick();
+  return engine;
+}
+
+function runChunkedCatchUpCase() {
+  const engine = createStartedEngine();
+  assert.strictEqual(engine.stateStore.get('resources.wood'), 2);
+
+  const report = engine.catchUp(10000, { chunkMs: 1000 });
+
+  assert.strictEqual(report.ticks, 10);
+  assert.strictEqual(report.simulatedMs, 10000);
+  assert.strictEqual(report.cappedMs, 0);
+  assert.deepStrictEqual(report.resourceDeltas, {
+    energy: { start: 2, end: 0, delta: -2 },
+    wood: { start: 2, end: 6, delta: 4 },
+  });
+  assert.deepStrictEqual(
+    report.routinesStopped,
+    [{ routine: 'idle/woodcut', tick: 2 }],
+    'routine should auto-stop on the first chunk where energy is exhausted instead of overdrawing in one huge dt'
+  );
+  assert.deepStrictEqual(report.unlocksGained, [
+    { targetRef: 'layer:idle/sublayer:main/section:jobs/element:sawmill', tick: 0 },
+  ]);
+}
+
+function runMaxTicksCapCase() {
+  const engine = createStartedEngine();
+  const report = engine.catchUp(60000, { chunkMs: 1000, maxTicks: 5 });
+
+  assert.strictEqual(report.ticks, 5);
+  assert.strictEqual(report.simulatedMs, 5000);
+  assert.strictEqual(report.cappedMs, 55000);
+}
+
+function runPartialChunkAndBaselineResetCase() {
+  const marks = [0, 1000, 900000, 900050];
+  const engine = new GameEngine({ devModeStrict: false, tickRate: 1, now: () => marks.shift() });
+  engine.initialize(buildCatchUpDefinition());
+  engine.tick();
+  engine.tick();
+
+  const report = engine.catchUp(2500);
+  assert.strictEqual(report.chunkMs, 1000, 'chunk size should default to the TimeSystem tick duration');
+  assert.strictEqual(report.ticks, 3);
+  assert.strictEqual(report.simulatedMs, 2500);
+
+  const nextTick = engine.tick();
+  assert.strictEqual(nextTick.dt, 1000, 'first live tick after catch-up should start from a fresh time baseline');
+}
+
+function runPausedCatchUpCase() {
+  const engine = new GameEngine({ devModeStrict: false, tickRate: 1, now: () => 0 });
+  engine.initialize(buildCatchUpDefinition());
+  engine.pause();
+  engine.tick();
+  const before = engine.stateStore.snapshot();
+
+  const report = engine.catchUp(60000);
+  assert.strictEqual(report.paused, true);
+  assert.strictEqual(report.ticks, 0);
+  assert.strictEqual(report.simulatedMs, 0);
+  assert.strictEqual(report.cappedMs, 0, 'paused time is not capped away, it never elapsed');
+  assert.strictEqual(engine.stateStore.snapshot(), before, 'a paused catch-up leaves state untouched');
+}
+
+function runDeterministicCatchUpCase() {
+  const runA = createStartedEngine();
+  const runB = createStartedEngine();
+
+  const reportA = runA.catchUp(7000, { chunkMs: 500 });
+  const reportB = runB.catchUp(7000, { chunkMs: 500 });
+
+  assert.deepStrictEqual(reportA, reportB);
+  assert.deepStrictEqual(runA.stateStore.snapshot(), runB.stateStore.snapshot());
+}
+
+function runGuardrailCase() {
+  const engine = createStartedEngine();
+
+  assert.throws(() => engine.catchUp(-1), /non-negative elapsedMs/);
+  assert.throws(() => engine.catchUp(1000, { chunkMs: 0 }), /chunkMs/);
+  assert.throws(() => engine.catchUp(1000, { maxTicks: 1.5 }), /maxTicks/);
+  assert.throws(() => new GameEngine().catchUp(1000), /must be initialized/);
+}
+
+function run() {
+  runChunkedCatchUpCase();
+  runMaxTicksCapCase();
+  runPartialChunkAndBaselineResetCase();
+  runPausedCatchUpCase();
+  runDeterministicCatchUpCase();
+  runGuardrailCase();
+  console.log('game-engine-catch-up tests passed');
+}
+
+run();
@@ -376,6 +376,132 @@ function runDeterministicReplayCase() {
   assert.deepStrictEqual(runA, runB, 'same deterministic intent timeline must produce the same final state snapshot');
 }
 
+function runFixedTimeStepFrameRateIndependenceCase() {
+  const definition = {
+    meta: { schemaVersion: '1.2.0', gameId: 'fixed-step-parity' },
+    systems: { tickMs: 100 },
+    state: {
+      resources: { wood: 0 },
+      layers: {
+        idle: {
+          routines: { woodcut: { active: false } },
+          routinePools: { workers: { total: 1, used: 0, activeRoutine: null } },
+        },
+      },
+    },
+    layers: [
+      {
+        id: 'idle',
+        type: 'progressLayer',
+        unlock: { always: true },
+        routineSystem: {
+          slotPools: {
+            workers: {
+              totalPath: 'layers.idle.routinePools.workers.total',
+              usedPath: 'layers.idle.routinePools.workers.used',
+              activeRoutineIdPath: 'layers.idle.routinePools.workers.activeRoutine',
+            },
+          },
+        },
+        sublayers: [
+          {
+            id: 'main',
+            type: 'progress',
+            sections: [
+              {
+                id: 'jobs',
+                elements: [
+                  {
+                    id: 'woodcut',
+                    type: 'routine',
+                    mode: 'manual',
+                    slot: { poolId: 'workers' },
+                    produces: [{ path: 'resources.wood', perSecond: 3 }],
+                  },
+                ],
+              },
+            ],
+          },
+        ],
+      },
+    ],
+  };
+
+  function runAtFrameRate(fps) {
+    let nowMs = 0;
+    const engine = new GameEngine({
+      devModeStrict: false,
+      timeStepMode: 'fixed',
+      tickRate: 10,
+      maxStepsPerFrame: 10,
+      now: () => nowMs,
+    });
+    engine.initialize(definition);
+    engine.enqueueIntent({ type: 'ROUTINE_START', payload: { layerId: 'idle', routineId: 'woodcut' } });
+
+    let ticks = 0;
+    const dts = new Set();
+    for (let frame = 0; frame * (1000 / fps) <= 2050; frame += 1) {
+      nowMs = Math.round(frame * (1000 / fps));
+      const result = engine.runFrame();
+      ticks += result.steps;
+      for (const summary of result.summaries) {
+        dts.add(summary.dt);
+      }
+      assert.ok(result.alpha >= 0 && result.alpha < 1);
+    }
+
+    return { ticks, dts: Array.from(dts), snapshot: engine.stateStore.snapshot() };
+  }
+
+  const slowDevice = runAtFrameRate(30);
+  const fastDevice = runAtFrameRate(144);
+
+  assert.deepStrictEqual(slowDevice.dts, [100], 'fixed mode must only hand the engine exact tick durations');
+  assert.deepStrictEqual(fastDevice.dts, [100]);
+  assert.strictEqual(slowDevice.ticks, fastDevice.ticks);
+  assert.deepStrictEqual(slowDevice.snapshot, fastDevice.snapshot, 'same elapsed time must give same state at any frame rate');
+}
+
+function runTimeControlIntentCase() {
+  const validDefinition = loadFixture('valid-definition.json');
+  let nowMs = 0;
+  const engine = new GameEngine({ tickRate: 10, now: () => nowMs });
+  engine.initialize(validDefinition);
+  engine.tick();
+
+  const advance = () => {
+    nowMs += 100;
+    return engine.tick();
+  };
+
+  engine.pause();
+  const pausedTick = advance();
+  assert.deepStrictEqual(pausedTick.intentsRouted[0], {
+    ok: true,
+    code: 'INTENT_ROUTED',
+    routingTarget: 'TimeSystem',
+    result: { ok: true, code: 'TIME_CONTROLS_UPDATED', paused: true, timeScale: 1 },
+  });
+  assert.strictEqual(pausedTick.dt, 0, 'pause applies to the time phase of the same tick');
+
+  engine.setTimeScale(10);
+  engine.resume();
+  const fastTick = advance();
+  assert.strictEqual(fastTick.dt, 1000);
+  assert.deepStrictEqual(engine.getTimeControls(), { paused: false, timeScale: 10 });
+
+  engine.enqueueIntent({ type: 'SET_TIME_SCALE', payload: { timeScale: -2 } });
+  const rejected = advance();
+  assert.strictEqual(rejected.intentsRouted[0].code, 'INTENT_PAYLOAD_INVALID');
+  assert.strictEqual(rejected.dt, 1000);
+
+  const injected = new GameEngine({ devModeStrict: false, timeSystem: { getDeltaTime: () => 1 } });
+  injected.initialize(validDefinition);
+  injected.pause();
+  assert.strictEqual(injected.tick().intentsRouted[0].result.code, 'TIME_CONTROL_UNSUPPORTED');
+}
+
 function runRuntimeLockIntegrationCase() {
   const definition = {
     meta: { schemaVersion: '1.2.0', gameId: 'runtime-lock-integration' },
@@ -504,6 +630,8 @@ function run() {
   runQueueOnlyFifoAndSnapshotCase();
   runDispatchCycleDeferralGuardrailCase();
   runDeterministicReplayCase();
+  runFixedTimeStepFrameRateIndependenceCase();
+  runTimeControlIntentCase();
   runRuntimeLockIntegrationCase();
   console.log('game-engine-phase-loop tests passed');
 }
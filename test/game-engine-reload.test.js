@@ -0,0 +1,189 @@
+const assert = require('assert');
+
+const { GameEngine } = require('../engine/core/GameEngine');
+
+const WOODCUT_REF = 'layer:idle/sublayer:main/section:jobs/element:woodcut';
+const LUMBERYARD_REF = 'layer:idle/sublayer:main/section:jobs/element:lumberyard';
+
+function buildDefinition(options = {}) {
+  const woodPerSecond = options.woodPerSecond === undefined ? 1 : options.woodPerSecond;
+  const elements = [
+    {
+      id: 'woodcut',
+      type: 'routine',
+      mode: 'manual',
+      slot: { poolId: 'workers' },
+      produces: [{ path: 'resources.wood', perSecond: woodPerSecond }],
+    },
+    {
+      id: 'lumberyard',
+      type: 'upgrade',
+      unlock: { resourceGte: { path: 'resources.wood', value: 2 } },
+    },
+  ];
+  if (options.withoutWoodcut) {
+    elements.shift();
+  }
+
+  return {
+    meta: { schemaVersion: '1.2.0', gameId: 'engine-reload' },
+    systems: { tickMs: 1000 },
+    state: {
+      resources: { wood: 0, ...(options.extraResources || {}) },
+      layers: {
+        idle: {
+          routines: options.withoutWoodcut ? {} : { woodcut: { active: false } },
+          routinePools: { workers: { total: 1, used: 0, activeRoutine: null } },
+        },
+      },
+    },
+    layers: [
+      {
+        id: 'idle',
+        type: 'progressLayer',
+        title: options.title || 'Idle',
+        unlock: { always: true },
+        softcaps: options.withoutWoodcut
+          ? []
+          : [{ id: 'wood-cap', scope: WOODCUT_REF, key: 'gain.wood', softcapAt: options.softcapAt || 100, mode: 'power', power: 0.5 }],
+        routineSystem: {
+          slotPools: {
+            workers: {
+              totalPath: 'layers.idle.routinePools.workers.total',
+              usedPath: 'layers.idle.routinePools.workers.used',
+              activeRoutineIdPath: 'layers.idle.routinePools.workers.activeRoutine',
+            },
+          },
+        },
+        sublayers: [{ id: 'main', type: 'progress', sections: [{ id: 'jobs', elements }] }],
+      },
+    ],
+  };
+}
+
+function createRunningEngine() {
+  const engine = new GameEngine({ devModeStrict: false, timeSystem: { getDeltaTime: () => 1000 } });
+  engine.initialize(buildDefinition());
+  engine.enqueueIntent({ type: 'ROUTINE_START', payload: { layerId: 'idle', routineId: 'woodcut' } });
+  engine.tick();
+  engine.tick();
+  engine.tick();
+  return engine;
+}
+
+function runPreserveStateTweakCase() {
+  const engine = createRunningEngine();
+  const eventBus = engine.eventBus;
+  const observed = [];
+  eventBus.subscribe('UNLOCKED', (event) => observed.push(event.payload.targetRef), 'test-observer');
+  assert.strictEqual(engine.stateStore.get('resources.wood'), 3);
+  assert.strictEqual(engine.stateStore.get('derived.unlocks').unlocked[LUMBERYARD_REF], true);
+  assert.strictEqual(engine.modifierResolver.resolve(WOODCUT_REF, 'gain.wood', 400), 200);
+
+  const result = engine.reloadDefinition(buildDefinition({ woodPerSecond: 5, softcapAt: 25, title: 'Forest' }));
+  assert.strictEqual(result.preserveState, true);
+  assert.strictEqual(result.reconciliation.changed, false);
+
+  assert.strictEqual(engine.eventBus, eventBus, 'external EventBus subscribers survive the reload');
+  assert.strictEqual(engine.definition.layers[0].title, 'Forest');
+  assert.strictEqual(engine.layerInstances[0].getViewModel().title, 'Forest', 'layer instances are rebuilt');
+  assert.strictEqual(engine.modifierResolver.resolve(WOODCUT_REF, 'gain.wood', 400), 100, 'softcap index is rebuilt');
+  assert.strictEqual(engine.stateStore.get('resources.wood'), 3, 'canonical state is preserved');
+  assert.strictEqual(engine.stateStore.get('layers.idle.routines.woodcut.active'), true);
+
+  engine.stateStore.set('resources.wood', 0);
+  const tick = engine.tick();
+  assert.strictEqual(engine.stateStore.get('resources.wood'), 5, 'routine index uses the tweaked rate');
+  assert.deepStrictEqual(tick.unlocks.transitions, [], 'preserved unlock latches do not re-fire');
+  assert.deepStrictEqual(observed, []);
+  assert.strictEqual(tick.unlocks.unlocked[LUMBERYARD_REF], true);
+}
+
+function runStructuralChangeCase() {
+  const engine = createRunningEngine();
+  engine.enqueueIntent({ type: 'ROUTINE_STOP', payload: { layerId: 'idle', routineId: 'woodcut' } });
+
+  const result = engine.reloadDefinition(buildDefinition({ withoutWoodcut: true, extraResources: { stone: 7 } }));
+  const report = result.reconciliation;
+  assert.deepStrictEqual(report.seeded, [{ path: 'resources.stone', value: 7 }]);
+  assert.deepStrictEqual(report.routinesStopped, [{ layerId: 'idle', routineId: 'woodcut', reason: 'routine-removed' }]);
+  assert.deepStrictEqual(report.unlockLatchesDropped, [WOODCUT_REF]);
+  assert.strictEqual(engine.getLastReconciliationReport(), report);
+  assert.strictEqual(engine.stateStore.get('layers.idle.routinePools.workers.activeRoutine'), null);
+  assert.deepStrictEqual(Object.keys(engine.getQuarantinedState()), ['layers.idle.routines.woodcut']);
+
+  assert.deepStrictEqual(
+    report.intentsDropped,
+    [{ type: 'ROUTINE_STOP', payload: { layerId: 'idle', routineId: 'woodcut' } }],
+    'pending intents aimed at removed routines are dropped instead of failing the next tick'
+  );
+
+  engine.setTimeScale(1);
+  const tick = engine.tick();
+  assert.deepStrictEqual(tick.intentsRouted.map((routed) => routed.ok), [true]);
+  assert.strictEqual(engine.stateStore.get('resources.wood'), 3);
+}
+
+function runResetAndFailureCase() {
+  const engine = createRunningEngine();
+
+  const invalid = buildDefinition();
+  invalid.layers[0].sublayers = 'not-an-array';
+  assert.throws(() => engine.reloadDefinition(invalid), /validation failed/);
+  const unknownType = buildDefinition();
+  unknownType.layers[0].type = 'missingLayerType';
+  assert.throws(() => engine.reloadDefinition(unknownType), /LAYER_TYPE_ENUM/);
+  assert.strictEqual(engine.stateStore.get('resources.wood'), 3, 'a rejected reload leaves the engine untouched');
+  engine.tick();
+  assert.strictEqual(engine.stateStore.get('resources.wood'), 4);
+
+  const result = engine.reloadDefinition(buildDefinition(), { preserveState: false });
+  assert.deepStrictEqual(result, { preserveState: false, reconciliation: null });
+  assert.strictEqual(engine.stateStore.get('resources.wood'), 0);
+  assert.strictEqual(engine.stateStore.get('layers.idle.routines.woodcut.active'), false);
+  assert.deepStrictEqual(engine.routineSystem.exportRuntimeState().activeByPool, []);
+  assert.strictEqual(engine.stateStore.get('derived.unlocks').unlocked[LUMBERYARD_REF], false);
+
+  assert.throws(() => new GameEngine().reloadDefinition(buildDefinition()), /must be initialized/);
+}
+
+function runFailedReloadKeepsBoundsCase() {
+  const engine = createRunningEngine();
+  const layers = engine.layerInstances;
+  engine.intentRouter.registerCatalogEntry('PLUGIN_ONLY', { payloadSchema: {}, routingTarget: 'x' }, 'SystemPlugin:other');
+
+  const canonicalBefore = engine.stateStore.snapshot().canonical;
+  const colliding = {
+    ...buildDefinition(),
+    resources: [{ id: 'wood', max: 1 }],
+    catalogs: { intents: { PLUGIN_ONLY: { payloadSchema: {}, routingTarget: 'x' } } },
+  };
+  assert.throws(() => engine.reloadDefinition(colliding), /PLUGIN_ONLY is already cataloged/);
+  assert.strictEqual(engine.stateStore.get('resources.wood'), 3, 'the new bounds never touched live state');
+  assert.strictEqual(engine.layerInstances, layers);
+  assert.strictEqual(engine.stateStore.snapshot().canonical, canonicalBefore, 'building the new systems wrote nothing (rng, timers)');
+  engine.stateStore.set('resources.wood', 50);
+  assert.strictEqual(engine.stateStore.get('resources.wood'), 50, 'writes still follow the old (unbounded) definition');
+
+  const rejecting = { ...buildDefinition(), resources: [{ id: 'wood', max: 10, overflow: 'reject' }] };
+  assert.throws(() => engine.reloadDefinition(rejecting), /Resource "wood" write of 50 exceeds max 10/);
+  assert.strictEqual(engine.definition.resources, undefined, 'bounds the current state violates reject the reload up front');
+  engine.stateStore.set('resources.wood', 60);
+  assert.strictEqual(engine.stateStore.get('resources.wood'), 60);
+
+  engine.reloadDefinition({ ...buildDefinition(), resources: [{ id: 'wood', max: 10 }] });
+  assert.strictEqual(engine.stateStore.get('resources.wood'), 10, 'a committed reload applies the new bounds');
+  engine.stateStore.set('resources.wood', 40);
+  assert.strictEqual(engine.stateStore.get('resources.wood'), 10);
+  engine.destroy();
+}
+
+function run() {
+  runPreserveStateTweakCase();
+  runStructuralChangeCase();
+  runResetAndFailureCase();
+  runFailedReloadKeepsBoundsCase();
+  console.log('game-engine-reload tests passed');
+}
+
+run();
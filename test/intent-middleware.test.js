@@ -0,0 +1,213 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const { GameEngine } = require('../engine/core/GameEngine');
+const { IntentRouter } = require('../engine/systems/intent/IntentRouter');
+
+function loadFixture(name) {
+  return JSON.parse(
+    fs.readFileSync(path.join(__dirname, '..', 'engine', 'validation', 'fixtures', name), 'utf8')
+  );
+}
+
+function createShopRouter(options = {}) {
+  const router = new IntentRouter(options);
+  router.registerCatalogEntry('BUY', {
+    payloadSchema: { amount: 'number?', max: 'boolean?', targetRef: 'string?' },
+    routingTarget: 'shop',
+    lockCheckPolicy: 'reject-if-target-locked',
+  });
+  router.registerCatalogEntry('SELL', { payloadSchema: { amount: 'number' }, routingTarget: 'shop' });
+  const handled = [];
+  router.register('BUY', (intent) => {
+    handled.push(['BUY', intent.payload.amount]);
+    return intent.payload.amount;
+  });
+  router.register('SELL', (intent) => {
+    handled.push(['SELL', intent.payload.amount]);
+    return -intent.payload.amount;
+  });
+  return { router, handled };
+}
+
+function runOrderingCase() {
+  const { router } = createShopRouter();
+  const calls = [];
+  const tracer = (label) => (intent, next) => {
+    calls.push(label);
+    return next();
+  };
+
+  router.use(tracer('first'), { id: 'first' });
+  router.use(tracer('urgent'), { id: 'urgent', priority: 10 });
+  router.use(tracer('second'), { id: 'second' });
+  router.use(tracer('sell-only'), { id: 'sell-only', priority: 5, types: ['SELL'] });
+  assert.deepStrictEqual(router.listMiddleware(), ['urgent', 'sell-only', 'first', 'second'], 'priority first, then registration order');
+
+  router.route({ type: 'BUY', payload: { amount: 1 } });
+  assert.deepStrictEqual(calls, ['urgent', 'first', 'second'], 'types limits which intents a middleware sees');
+  calls.length = 0;
+  router.route({ type: 'SELL', payload: { amount: 1 } });
+  assert.deepStrictEqual(calls, ['urgent', 'sell-only', 'first', 'second']);
+
+  assert.strictEqual(router.removeMiddleware('sell-only'), true);
+  assert.strictEqual(router.removeMiddleware('sell-only'), false);
+  assert.deepStrictEqual(router.listMiddleware(), ['urgent', 'first', 'second']);
+  assert.strictEqual(router.use(tracer('anonymous')), 'middleware_4', 'ids default to a registration counter');
+}
+
+function runShortCircuitCase() {
+  const { router, handled } = createShopRouter();
+  const lastBuyAt = new Map();
+  let now = 0;
+  const audit = [];
+
+  router.use(
+    (intent, next) => {
+      const result = next();
+      audit.push(`${intent.type}:${result.code}`);
+      return result;
+    },
+    { id: 'audit', priority: 100 }
+  );
+  router.use(
+    (intent, next, context) => {
+      if (lastBuyAt.has(intent.type) && now - lastBuyAt.get(intent.type) < 1000) {
+        return context.reject('INTENT_COOLDOWN', `${intent.type} is cooling down`);
+      }
+      lastBuyAt.set(intent.type, now);
+      return next();
+    },
+    { id: 'cooldowns', types: ['BUY'] }
+  );
+  const downstream = [];
+  router.use((intent, next) => {
+    downstream.push(intent.payload.amount);
+    return next();
+  }, { id: 'downstream' });
+
+  assert.strictEqual(router.route({ type: 'BUY', payload: { amount: 2 } }).ok, true);
+  now = 500;
+  const rejected = router.route({ type: 'BUY', payload: { amount: 3 } });
+  assert.deepStrictEqual(rejected, {
+    ok: false,
+    code: 'INTENT_COOLDOWN',
+    reason: 'BUY is cooling down',
+    routingTarget: 'shop',
+    middleware: 'cooldowns',
+  });
+  assert.deepStrictEqual(downstream, [2], 'a rejection skips the rest of the chain');
+  assert.deepStrictEqual(handled, [['BUY', 2]], 'a rejected intent never reaches its handler');
+
+  const invalid = router.route({ type: 'BUY', payload: { amount: 'lots' } });
+  assert.strictEqual(invalid.code, 'INTENT_PAYLOAD_INVALID', 'middleware only sees validated intents');
+  assert.deepStrictEqual(audit, ['BUY:INTENT_ROUTED', 'BUY:INTENT_COOLDOWN'], 'wrapping middleware observes downstream results');
+}
+
+function runTransformCase() {
+  const { router, handled } = createShopRouter({ isNodeLocked: (ref) => ref === 'layer:locked' });
+  const seen = [];
+  router.use(
+    (intent, next) => (intent.payload.max ? next({ ...intent, payload: { ...intent.payload, max: false, amount: 10 } }) : next()),
+    { id: 'buy-max', types: ['BUY'] }
+  );
+  router.use((intent, next) => {
+    seen.push(intent.payload.amount);
+    return next();
+  }, { id: 'observer' });
+
+  assert.strictEqual(router.route({ type: 'BUY', payload: { max: true } }).result, 10);
+  assert.deepStrictEqual(seen, [10], 'later middleware sees the transformed intent');
+  assert.deepStrictEqual(handled, [['BUY', 10]]);
+
+  router.use((intent, next) => (intent.type === 'BUY' && intent.payload.amount === 7 ? next({ type: 'SELL', payload: {} }) : next()), {
+    id: 'bad-transform',
+    priority: 1,
+  });
+  const invalid = router.route({ type: 'BUY', payload: { amount: 7 } });
+  assert.strictEqual(invalid.code, 'INTENT_PAYLOAD_INVALID', 'transformed intents are re-validated against their catalog entry');
+  assert.strictEqual(invalid.reason, 'payload.amount must be a finite number');
+
+  const locked = router.route({ type: 'BUY', payload: { max: true, targetRef: 'layer:locked' } });
+  assert.strictEqual(locked.code, 'INTENT_TARGET_LOCKED', 'the lock check runs after middleware');
+}
+
+function runMisuseCase() {
+  const { router } = createShopRouter();
+  assert.throws(() => router.use('nope'), /middleware must be a function/);
+  assert.throws(() => router.use(() => null, { priority: Infinity }), /priority must be a finite number/);
+  assert.throws(() => router.use(() => null, { types: 'BUY' }), /types must be an array/);
+  router.use((intent, next) => next(), { id: 'dup' });
+  assert.throws(() => router.use((intent, next) => next(), { id: 'dup' }), /middleware "dup" is already registered/);
+  router.removeMiddleware('dup');
+
+  router.use(() => undefined, { id: 'forgetful' });
+  assert.throws(() => router.route({ type: 'BUY', payload: {} }), /middleware "forgetful" must return next\(\)'s result or context\.reject/);
+  router.removeMiddleware('forgetful');
+
+  router.use((intent, next) => {
+    next();
+    return next();
+  }, { id: 'twice' });
+  assert.throws(() => router.route({ type: 'BUY', payload: {} }), /middleware "twice" called next\(\) more than once/);
+  router.removeMiddleware('twice');
+
+  router.use((intent, next, context) => context.reject('cooldown'), { id: 'lowercase' });
+  assert.throws(() => router.route({ type: 'BUY', payload: {} }), /rejection code must match/);
+}
+
+function runSystemPluginCase() {
+  const engine = new GameEngine({ timeSystem: { getDeltaTime: () => 100 } });
+  const order = [];
+  engine.systemPluginRegistry.register({
+    id: 'audit',
+    after: ['cheats'],
+    init(context) {
+      context.derived.set('', { codes: [] });
+    },
+    intentMiddleware(intent, next, middlewareContext, context) {
+      order.push('audit');
+      const result = next();
+      context.derived.set('codes', [...context.derived.get('codes'), result.code]);
+      return result;
+    },
+  });
+  engine.systemPluginRegistry.register({
+    id: 'cheats',
+    intentMiddleware(intent, next, middlewareContext) {
+      order.push('cheats');
+      if (intent.type === 'SET_TIME_SCALE' && intent.payload.timeScale > 10) {
+        return middlewareContext.reject('CHEATS_DISABLED', 'Time scales above 10 are dev-only.');
+      }
+      return next();
+    },
+  });
+  engine.initialize(loadFixture('valid-definition.json'));
+  assert.deepStrictEqual(engine.intentRouter.listMiddleware(), ['SystemPlugin:cheats', 'SystemPlugin:audit'], 'plugin ordering orders middleware');
+
+  engine.enqueueIntent({ type: 'SET_TIME_SCALE', payload: { timeScale: 100 } });
+  engine.enqueueIntent({ type: 'SET_TIME_SCALE', payload: { timeScale: 2 } });
+  const summary = engine.tick();
+  assert.deepStrictEqual(
+    summary.intentsRouted.map((result) => [result.code, result.middleware]),
+    [['CHEATS_DISABLED', 'SystemPlugin:cheats'], ['INTENT_ROUTED', undefined]]
+  );
+  assert.deepStrictEqual(order, ['cheats', 'cheats', 'audit']);
+  assert.deepStrictEqual(engine.stateStore.get('derived.plugins.audit.codes'), ['INTENT_ROUTED']);
+
+  const router = engine.intentRouter;
+  engine.destroy();
+  assert.deepStrictEqual(router.listMiddleware(), [], 'destroy() removes plugin middleware');
+}
+
+function run() {
+  runOrderingCase();
+  runShortCircuitCase();
+  runTransformCase();
+  runMisuseCase();
+  runSystemPluginCase();
+  console.log('intent-middleware.test.js: ok');
+}
+
+run();
@@ -0,0 +1,208 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const { GameEngine } = require('../engine/core/GameEngine');
+
+function loadFixture(name) {
+  return JSON.parse(
+    fs.readFileSync(path.join(__dirname, '..', 'engine', 'validation', 'fixtures', name), 'utf8')
+  );
+}
+
+function createRoutineDefinition() {
+  const definition = loadFixture('valid-routine-schema-1.2.0.json');
+  const elements = definition.layers[0].sublayers[0].sections[0].elements;
+  const woodcut = elements[0];
+  definition.state.resources.ore = 0;
+  elements.push(
+    { ...woodcut, id: 'mine-routine', produces: [], consumes: [{ path: 'resources.ore', perSecond: 1 }] },
+    { ...woodcut, id: 'smelt-routine', unlock: { resourceGte: { path: 'resources.xp', value: 100 } } }
+  );
+  return definition;
+}
+
+function routineIntent(type, routineId) {
+  return {
+    type,
+    payload: {
+      layerId: 'idle',
+      routineId,
+      poolId: 'workerSlots',
+      targetRef: `layer:idle/sublayer:routines/section:jobs/element:${routineId}`,
+    },
+  };
+}
+
+function createEngine(definition, plugins = []) {
+  const engine = new GameEngine({ timeSystem: { getDeltaTime: () => 100 } });
+  for (const plugin of plugins) {
+    engine.systemPluginRegistry.register(plugin);
+  }
+  engine.initialize(definition);
+  engine.tick();
+  return engine;
+}
+
+function runRoutinePreviewCase() {
+  const engine = createEngine(createRoutineDefinition());
+  const before = engine.stateStore.snapshot();
+
+  const start = engine.previewIntent(routineIntent('ROUTINE_START', 'woodcut-routine'));
+  assert.deepStrictEqual(start, {
+    ok: true,
+    code: 'INTENT_ROUTED',
+    routingTarget: 'RoutineSystem',
+    result: { ok: true, code: 'ROUTINE_STARTED', layerId: 'idle', routineId: 'woodcut-routine', preempts: null, canRun: true },
+    previewed: true,
+  });
+  assert.strictEqual(engine.stateStore.snapshot(), before, 'previewing leaves state untouched');
+  assert.strictEqual(engine.stateStore.get('layers.idle.routines.woodcut-routine'), undefined);
+
+  engine.enqueueIntent(routineIntent('ROUTINE_START', 'woodcut-routine'));
+  engine.tick();
+
+  const preempting = engine.previewIntent(routineIntent('ROUTINE_TOGGLE', 'mine-routine'));
+  assert.deepStrictEqual(
+    preempting.result,
+    { ok: true, code: 'ROUTINE_STARTED', layerId: 'idle', routineId: 'mine-routine', preempts: 'idle/woodcut-routine', canRun: false },
+    'an occupied pool and unaffordable consumes are reported without starting anything'
+  );
+  engine.enqueueIntent(routineIntent('ROUTINE_TOGGLE', 'mine-routine'));
+  const routed = engine.tick().intentsRouted[0];
+  assert.strictEqual(routed.result.code, preempting.result.code, 'the preview returns the code routing does');
+  assert.strictEqual(
+    engine.stateStore.get('layers.idle.routines.mine-routine.lastStopReason'),
+    'auto-stop-prereq-failed',
+    'a start previewed with canRun: false stops on its first update'
+  );
+
+  const unknown = routineIntent('ROUTINE_START', 'woodcut-routine');
+  unknown.payload.routineId = 'nope-routine';
+  assert.deepStrictEqual(engine.previewIntent(unknown).result, {
+    ok: false,
+    code: 'ROUTINE_NOT_FOUND',
+    reason: 'Unknown routine: idle/nope-routine',
+  });
+  assert.deepStrictEqual(engine.routineSystem.previewIntent('ROUTINE_STOP', { layerId: 'idle', routineId: '' }), {
+    ok: false,
+    code: 'ROUTINE_PAYLOAD_INVALID',
+    reason: 'RoutineSystem intent payload.routineId must be a non-empty string.',
+  });
+  assert.deepStrictEqual(engine.routineSystem.previewIntent('ROUTINE_START', null), {
+    ok: false,
+    code: 'ROUTINE_PAYLOAD_INVALID',
+    reason: 'RoutineSystem intent payload must be an object.',
+  });
+
+  engine.enqueueIntent(routineIntent('ROUTINE_START', 'woodcut-routine'));
+  engine.tick();
+  assert.strictEqual(engine.previewIntent(routineIntent('ROUTINE_TOGGLE', 'woodcut-routine')).result.code, 'ROUTINE_STOPPED');
+  assert.strictEqual(engine.stateStore.get('layers.idle.routines.woodcut-routine.active'), true);
+
+  const locked = routineIntent('ROUTINE_START', 'smelt-routine');
+  assert.deepStrictEqual(engine.previewIntent(locked), engine.intentRouter.route(locked), 'lock rejections match route()');
+  assert.strictEqual(engine.previewIntent(locked).code, 'INTENT_TARGET_LOCKED');
+
+  const invalid = { type: 'ROUTINE_START', payload: { layerId: 'idle' } };
+  assert.strictEqual(engine.previewIntent(invalid).code, 'INTENT_PAYLOAD_INVALID');
+  assert.strictEqual(engine.previewIntent({ type: 'NOT_CATALOGED' }).code, 'INTENT_CATALOG_MISSING');
+  assert.strictEqual(engine.previewIntent({ type: 'START_JOB', payload: { targetRef: 'layer:idle', jobId: 'woodcut' } }).code, 'INTENT_HANDLER_MISSING');
+
+  assert.deepStrictEqual(engine.previewIntent({ type: 'REQUEST_LAYER_RESET', payload: { layerId: 'idle' } }).result, {
+    layerId: 'idle',
+    keepPaths: [],
+    hasKeepRules: false,
+  });
+  assert.deepStrictEqual(engine.previewIntent({ type: 'PAUSE_GAME', payload: {} }).result, {
+    ok: false,
+    code: 'TIME_CONTROL_UNSUPPORTED',
+    reason: 'Injected TimeSystem does not implement pause().',
+  });
+  assert.deepStrictEqual(engine.tick().intentsRouted, [], 'previews never enqueue intents');
+  engine.destroy();
+}
+
+function runPluginPreviewCase() {
+  const recorded = [];
+  const shop = {
+    id: 'shop',
+    intents: {
+      BUY_GOLD: {
+        payloadSchema: { amount: 'number' },
+        handle(intent, context) {
+          return { ok: true, code: 'GOLD_BOUGHT', amount: intent.payload.amount };
+        },
+        preview(intent, context) {
+          const xp = context.state.get('resources.xp');
+          return xp >= intent.payload.amount
+            ? { ok: true, code: 'GOLD_BOUGHT', amount: intent.payload.amount }
+            : { ok: false, code: 'INSUFFICIENT_XP', missing: intent.payload.amount - xp };
+        },
+      },
+      SELL_GOLD: {
+        payloadSchema: {},
+        handle: () => ({ ok: true }),
+      },
+    },
+    intentMiddleware(intent, next, middlewareContext) {
+      if (intent.type === 'BUY_GOLD' && intent.payload.amount > 100) {
+        return middlewareContext.reject('PURCHASE_LIMIT', 'At most 100 per purchase.');
+      }
+      const result = next();
+      if (!middlewareContext.preview) {
+        recorded.push(intent.type);
+      }
+      return result;
+    },
+  };
+  const engine = createEngine(loadFixture('valid-definition.json'), [shop]);
+
+  assert.deepStrictEqual(engine.previewIntent({ type: 'BUY_GOLD', payload: { amount: 5 } }).result, {
+    ok: false,
+    code: 'INSUFFICIENT_XP',
+    missing: 5,
+  });
+  const limited = engine.previewIntent({ type: 'BUY_GOLD', payload: { amount: 500 } });
+  assert.deepStrictEqual([limited.ok, limited.code, limited.middleware], [false, 'PURCHASE_LIMIT', 'SystemPlugin:shop'], 'middleware rejections apply to previews');
+  assert.strictEqual(engine.previewIntent({ type: 'SELL_GOLD', payload: {} }).previewed, false, 'handlers without a preview step still route');
+  assert.deepStrictEqual(recorded, [], 'middleware can skip bookkeeping for previews');
+
+  engine.intentRouter.register('SELL_GOLD', () => ({ ok: true }), {
+    preview: () => {
+      engine.stateStore.set('resources.gold', 999);
+      return { ok: true };
+    },
+  });
+  assert.deepStrictEqual(engine.previewIntent({ type: 'SELL_GOLD', payload: {} }), {
+    ok: false,
+    code: 'PREVIEW_WROTE_STATE',
+    reason: 'Previewing SELL_GOLD wrote state; preview steps must be read-only.',
+  });
+  assert.strictEqual(engine.stateStore.get('resources.gold'), 0, 'a writing preview step is rolled back');
+
+  const delivered = [];
+  engine.eventBus.subscribe('LAYER_RESET_REQUESTED', (event) => delivered.push(event.type), 'test');
+  engine.intentRouter.register('SELL_GOLD', () => ({ ok: true }), {
+    preview: () => {
+      engine.eventBus.publish({ type: 'LAYER_RESET_REQUESTED', payload: { layerId: 'idle' }, source: 'IntentRouter' });
+      return { ok: true };
+    },
+  });
+  assert.deepStrictEqual(engine.previewIntent({ type: 'SELL_GOLD', payload: {} }), {
+    ok: false,
+    code: 'PREVIEW_PUBLISHED_EVENT',
+    reason: 'Previewing SELL_GOLD published LAYER_RESET_REQUESTED; preview steps must be read-only.',
+  });
+  engine.tick();
+  assert.deepStrictEqual(delivered, [], 'events published by a preview step are never queued');
+  engine.destroy();
+}
+
+function run() {
+  runRoutinePreviewCase();
+  runPluginPreviewCase();
+  console.log('intent-preview.test.js: ok');
+}
+
+run();
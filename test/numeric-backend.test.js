@@ -0,0 +1,180 @@
+const assert = require('assert');
+
+const { GameEngine } = require('../engine/core/GameEngine');
+const {
+  DECIMAL_BACKEND,
+  NUMBER_BACKEND,
+  resolveNumericBackend,
+} = require('../engine/systems/numeric/NumericBackend');
+const { parseUnlockCondition, evaluateUnlockCondition, evaluateUnlockProgress } = require('../engine/systems/unlocks/unlockCondition');
+const { applySoftcap } = require('../engine/systems/modifiers/applySoftcap');
+
+const LUMBERYARD_REF = 'layer:idle/sublayer:main/section:jobs/element:lumberyard';
+
+function buildDefinition(numericBackend) {
+  return {
+    meta: { schemaVersion: '1.2.0', gameId: 'numeric-backend' },
+    systems: { tickMs: 1000, numericBackend },
+    state: {
+      resources: { wood: '1e300' },
+      layers: {
+        idle: {
+          multipliers: { 'mul.boost': { research: ['1e400'] } },
+          routines: { woodcut: { active: false } },
+          routinePools: { workers: { total: 1, used: 0, activeRoutine: null } },
+        },
+      },
+    },
+    layers: [
+      {
+        id: 'idle',
+        type: 'progressLayer',
+        unlock: { always: true },
+        routineSystem: {
+          slotPools: {
+            workers: {
+              totalPath: 'layers.idle.routinePools.workers.total',
+              usedPath: 'layers.idle.routinePools.workers.used',
+              activeRoutineIdPath: 'layers.idle.routinePools.workers.activeRoutine',
+            },
+          },
+        },
+        sublayers: [
+          {
+            id: 'main',
+            type: 'progress',
+            sections: [
+              {
+                id: 'jobs',
+                elements: [
+                  {
+                    id: 'woodcut',
+                    type: 'routine',
+                    mode: 'manual',
+                    slot: { poolId: 'workers' },
+                    produces: [{ path: 'resources.wood', perSecond: 2 }],
+                    scaling: { yieldMultiplierKeys: ['mul.boost'] },
+                  },
+                  {
+                    id: 'lumberyard',
+                    type: 'upgrade',
+                    unlock: { resourceGte: { path: 'resources.wood', value: '1e400' } },
+                  },
+                ],
+              },
+            ],
+          },
+        ],
+      },
+    ],
+  };
+}
+
+function createEngine(numericBackend = 'decimal') {
+  const engine = new GameEngine({ devModeStrict: false, timeSystem: { getDeltaTime: () => 1000 } });
+  engine.initialize(buildDefinition(numericBackend));
+  return engine;
+}
+
+function runDecimalArithmeticCase() {
+  const D = DECIMAL_BACKEND;
+  assert.strictEqual(D.add('1e400', '5e399'), '1.5e400');
+  assert.strictEqual(D.mul('2e300', '3e300'), '6e600');
+  assert.strictEqual(D.sub(3, 5), '-2e0');
+  assert.strictEqual(D.sub('1e400', '1e400'), '0');
+  assert.strictEqual(D.add('1e400', 1), '1e400', 'addends far below double precision are absorbed');
+  assert.strictEqual(D.div('1e400', '4e0'), '2.5e399');
+  assert.strictEqual(D.pow('1e400', 0.5), '1e200');
+  assert.strictEqual(D.parse('12.5'), '1.25e1', 'values are stored in one canonical text form');
+  assert.strictEqual(D.parse('abc'), null);
+  assert.deepStrictEqual([D.cmp('1e400', 1e308), D.cmp('-1e400', -5), D.cmp(0, '0')], [1, -1, 0]);
+  assert.strictEqual(D.toNumber('1.5e3'), 1500);
+  assert.strictEqual(D.toNumber('1e400'), Infinity);
+  let sum = '0';
+  for (let step = 0; step < 11; step += 1) {
+    sum = D.add(sum, 2);
+  }
+  assert.strictEqual(sum, '2.2e1', 'repeated small integer adds stay exact');
+  let tenths = '0';
+  for (let step = 0; step < 110; step += 1) {
+    tenths = D.add(tenths, '1e-1');
+  }
+  assert.strictEqual(tenths, '1.1e1', 'float noise is rounded away instead of compounding');
+  assert.deepStrictEqual([D.mul(3, 7), D.add(0.1, 0.2), D.sub(22, sum), D.parse(-0.000123)], ['2.1e1', '3e-1', '0', '-1.23e-4']);
+  assert.deepStrictEqual([D.pow(3, 4), D.pow(2, 10), D.pow('-2e0', 3)], ['8.1e1', '1.024e3', '-8e0'], 'small exact powers');
+  assert.strictEqual(D.toNumber(D.mul('2.2e1', 5)), 110);
+  assert.throws(() => D.add('lots', 1), /DECIMAL_BACKEND\.add received a non-numeric value/);
+  assert.throws(() => D.div(1, 0), /cannot divide by zero/);
+
+  assert.strictEqual(applySoftcap('1e400', { softcapAt: '1e100', mode: 'power', power: 0.5 }, D), '1e250');
+  assert.strictEqual(applySoftcap(400, { softcapAt: 100, mode: 'power', power: 0.5 }), 200, 'number backend stays the default');
+}
+
+function runBackendResolutionCase() {
+  assert.strictEqual(resolveNumericBackend(undefined), NUMBER_BACKEND);
+  assert.strictEqual(resolveNumericBackend('decimal'), DECIMAL_BACKEND);
+  assert.throws(() => resolveNumericBackend('bignum'), /Unknown numeric backend "bignum"/);
+  assert.throws(() => resolveNumericBackend({ id: 'partial', add: () => 0 }), /"partial" is missing methods: isValue, parse, sub/);
+
+  const custom = { ...NUMBER_BACKEND, id: 'custom' };
+  assert.strictEqual(resolveNumericBackend(custom), custom, 'complete custom backends plug in as-is');
+}
+
+function runUnlockConditionCase() {
+  const ast = parseUnlockCondition({ resourceGte: { path: 'resources.wood', value: '1e400' } }).value;
+  const state = { resources: { wood: '2e399' } };
+  assert.strictEqual(evaluateUnlockCondition(ast, state, DECIMAL_BACKEND), false);
+  assert.strictEqual(evaluateUnlockProgress(ast, state, DECIMAL_BACKEND), 0.2);
+  assert.strictEqual(evaluateUnlockCondition(ast, { resources: { wood: '1e400' } }, DECIMAL_BACKEND), true);
+
+  const compare = parseUnlockCondition({ compare: { path: 'resources.wood', op: 'lt', value: '1e-5' } }).value;
+  assert.strictEqual(evaluateUnlockCondition(compare, { resources: { wood: 0 } }, DECIMAL_BACKEND), true);
+  assert.strictEqual(parseUnlockCondition({ resourceGte: { path: 'resources.wood', value: 'many' } }).code, 'UNLOCK_RESOURCE_GTE_SHAPE');
+}
+
+function runEngineCase() {
+  const engine = createEngine();
+  assert.strictEqual(engine.numeric, DECIMAL_BACKEND);
+  engine.enqueueIntent({ type: 'ROUTINE_START', payload: { layerId: 'idle', routineId: 'woodcut' } });
+  engine.tick();
+  const summary = engine.tick();
+
+  const wood = engine.stateStore.get('resources.wood');
+  assert.strictEqual(typeof wood, 'string');
+  assert.strictEqual(DECIMAL_BACKEND.cmp(wood, '1e400') > 0, true, 'routines produce past 1e308 through multipliers');
+  assert.deepStrictEqual(engine.stateStore.get('derived.multipliers.layers.idle'), { 'mul.boost': '1e400' });
+  assert.ok(
+    engine.unlockEvaluator.unlockedByRef.get(LUMBERYARD_REF) && summary.unlocks.unlockedRefs.includes(LUMBERYARD_REF),
+    'decimal thresholds unlock'
+  );
+
+  const save = JSON.parse(JSON.stringify(engine.exportSave()));
+  assert.strictEqual(save.metadata.numericBackend, 'decimal');
+  const restored = createEngine();
+  restored.importSave(save);
+  assert.deepStrictEqual(restored.stateStore.snapshot().canonical, engine.stateStore.snapshot().canonical, 'decimal state survives SaveSystem');
+
+  const woodBeforeCatchUp = engine.stateStore.get('resources.wood');
+  const report = engine.catchUp(2000, { chunkMs: 1000 });
+  assert.deepStrictEqual(Object.keys(report.resourceDeltas), ['wood'], 'decimal resources are reported by catch-up');
+  assert.strictEqual(report.resourceDeltas.wood.start, woodBeforeCatchUp);
+  assert.strictEqual(
+    report.resourceDeltas.wood.delta,
+    DECIMAL_BACKEND.sub(report.resourceDeltas.wood.end, woodBeforeCatchUp),
+    'deltas are computed through the numeric backend'
+  );
+  assert.strictEqual(DECIMAL_BACKEND.cmp(report.resourceDeltas.wood.delta, 0) > 0, true);
+
+  assert.throws(() => createEngine('number').importSave(save), /numeric backend mismatch: save uses "decimal", engine runs "number"/);
+  assert.throws(() => createEngine('bignum'), /systems\.numericBackend must be one of: number, decimal/);
+}
+
+function run() {
+  runDecimalArithmeticCase();
+  runBackendResolutionCase();
+  runUnlockConditionCase();
+  runEngineCase();
+  console.log('numeric backend tests passed');
+}
+
+run();
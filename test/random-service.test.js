@@ -0,0 +1,175 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const { GameEngine } = require('../engine/core/GameEngine');
+const { LayerRegistry } = require('../engine/plugins/LayerRegistry');
+const { SystemPluginRegistry } = require('../engine/plugins/SystemPluginRegistry');
+const { SimulationRunner } = require('../engine/authoring/simulation/SimulationRunner');
+const { RandomService } = require('../engine/systems/random/RandomService');
+const { StateStore } = require('../engine/systems/state-store/StateStore');
+const { validateGameDefinitionSchema } = require('../engine/validation/schema/validateGameDefinitionSchema');
+
+function loadFixture(name) {
+  return JSON.parse(
+    fs.readFileSync(path.join(__dirname, '..', 'engine', 'validation', 'fixtures', name), 'utf8')
+  );
+}
+
+function createEngine(options = {}, definition = loadFixture('valid-definition.json')) {
+  const engine = new GameEngine({ timeSystem: { getDeltaTime: () => 100 }, ...options });
+  engine.initialize(definition);
+  return engine;
+}
+
+function draw(random, stream, count) {
+  return Array.from({ length: count }, () => random.next(stream));
+}
+
+function createRandom(seed) {
+  const random = new RandomService({ stateStore: new StateStore({}), seed });
+  random.ensureState();
+  return random;
+}
+
+function runDeterminismCase() {
+  const left = createRandom(42);
+  const right = createRandom(42);
+  const sequence = draw(left, 'gacha', 50);
+  assert.deepStrictEqual(draw(right, 'gacha', 50), sequence, 'same seed and stream reproduce the same draws');
+  assert.ok(sequence.every((value) => value >= 0 && value < 1), 'next() stays within [0, 1)');
+  assert.strictEqual(new Set(sequence).size, sequence.length, 'draws do not repeat within a short window');
+
+  const interleaved = createRandom(42);
+  const gacha = [];
+  for (let index = 0; index < 50; index += 1) {
+    interleaved.next('events');
+    gacha.push(interleaved.next('gacha'));
+  }
+  assert.deepStrictEqual(gacha, sequence, 'draws on another stream never shift a stream');
+  assert.strictEqual(interleaved.getPosition('gacha'), 50);
+  assert.strictEqual(interleaved.getPosition('events'), 50);
+  assert.strictEqual(interleaved.getPosition('unused'), 0);
+
+  const reseeded = createRandom(43);
+  assert.notDeepStrictEqual(draw(reseeded, 'gacha', 5), sequence.slice(0, 5), 'seed changes the sequence');
+
+  const helpers = createRandom(7);
+  for (let index = 0; index < 200; index += 1) {
+    const value = helpers.nextInt('dice', 1, 6);
+    assert.ok(Number.isInteger(value) && value >= 1 && value <= 6, 'nextInt bounds are inclusive');
+  }
+  assert.ok(['a', 'b', 'c'].includes(helpers.pick('loot', ['a', 'b', 'c'])));
+  assert.strictEqual(helpers.weighted('loot', [{ weight: 0, value: 'never' }, { weight: 1, value: 'always' }]), 'always');
+
+  assert.throws(() => helpers.next('bad stream'), /stream name must match/);
+  assert.throws(() => helpers.nextInt('dice', 3, 1), /min <= max/);
+  assert.throws(() => helpers.pick('loot', []), /non-empty array/);
+  assert.throws(() => helpers.weighted('loot', [{ weight: 0, value: 'x' }]), /at least one positive weight/);
+  assert.throws(() => new RandomService({ stateStore: new StateStore({}), seed: -1 }), /seed must be an integer/);
+
+  const store = new StateStore({});
+  const unprepared = new RandomService({ stateStore: store, seed: 1 });
+  assert.strictEqual(store.get('rng'), undefined, 'constructing never writes canonical state');
+  assert.throws(() => unprepared.next('gacha'), /call ensureState\(\) after replacing canonical state/);
+}
+
+function runEngineSeedingCase() {
+  const definition = loadFixture('valid-definition.json');
+  definition.systems.rngSeed = 99;
+
+  const fromDefinition = createEngine({}, definition);
+  assert.deepStrictEqual(fromDefinition.stateStore.get('rng'), { seed: 99, streams: {} }, 'definition seed lands in canonical state');
+
+  const fromOption = createEngine({ rngSeed: 5 }, definition);
+  assert.strictEqual(fromOption.randomService.getSeed(), 5, 'engine option overrides the definition seed');
+
+  const invalid = loadFixture('valid-definition.json');
+  invalid.systems.rngSeed = 1.5;
+  const issues = validateGameDefinitionSchema(invalid);
+  assert.ok(issues.some((entry) => entry.code === 'SYSTEMS_RNG_SEED_INVALID'), 'non-integer seeds are schema errors');
+}
+
+function runLayerContextCase() {
+  const contexts = [];
+  class CapturingLayerRegistry extends LayerRegistry {
+    createLayer(runtimeDefinition, context) {
+      contexts.push(context);
+      return super.createLayer(runtimeDefinition, context);
+    }
+  }
+
+  const engine = createEngine({ layerRegistry: new CapturingLayerRegistry(), rngSeed: 11 });
+  const reference = createRandom(11);
+  const [layerContext] = contexts;
+
+  assert.strictEqual(layerContext.random.next('events'), reference.next('events'), 'layer context draws from the engine streams');
+  assert.strictEqual(engine.stateStore.get('rng.streams.events'), 1, 'layer draws advance canonical stream positions');
+}
+
+function runSaveContinuityCase() {
+  const source = createEngine({ rngSeed: 21 });
+  source.randomService.next('gacha');
+  source.randomService.next('gacha');
+  const payload = source.exportSave();
+  const expected = draw(source.randomService, 'gacha', 3);
+
+  const target = createEngine({ rngSeed: 1 });
+  const result = target.importSave(payload);
+  assert.strictEqual(result.reconciliation.orphaned.length, 0, 'rng state is engine-owned, never orphaned');
+  assert.strictEqual(target.randomService.getSeed(), 21, 'the save seed wins over the engine seed');
+  assert.deepStrictEqual(draw(target.randomService, 'gacha', 3), expected, 'loading resumes the stream where the save left it');
+
+  const legacy = source.exportSave();
+  delete legacy.snapshot.canonical.rng;
+  target.importSave(legacy, { reconcile: false });
+  assert.deepStrictEqual(target.stateStore.get('rng'), { seed: 1, streams: {} }, 'saves without rng state are seeded fresh');
+}
+
+function runLayerResetCase() {
+  const engine = createEngine({ rngSeed: 3 });
+  engine.randomService.next('events');
+  engine.stateStore.set('resources.xp', 50);
+
+  engine.layerResetService.execute('idle');
+  assert.strictEqual(engine.stateStore.get('resources.xp'), 0);
+  assert.deepStrictEqual(engine.stateStore.get('rng'), { seed: 3, streams: { events: 1 } }, 'layer resets cannot rewind RNG streams');
+}
+
+function runSimulationCase() {
+  function simulate(seed) {
+    const draws = [];
+    const systemPluginRegistry = new SystemPluginRegistry();
+    systemPluginRegistry.register({
+      id: 'lootRolls',
+      onTime(context) {
+        draws.push(context.random.nextInt('loot', 1, 1000));
+      },
+    });
+
+    const report = new SimulationRunner().run({
+      definition: loadFixture('valid-definition.json'),
+      scenario: { dt: 100, ticks: 20, seed, engineOptions: { systemPluginRegistry } },
+    });
+    return { draws, finalRng: report.finalSnapshot.canonical.rng };
+  }
+
+  const first = simulate(1234);
+  const second = simulate(1234);
+  assert.strictEqual(first.draws.length, 20);
+  assert.deepStrictEqual(second.draws, first.draws, 'same scenario seed reproduces every draw');
+  assert.deepStrictEqual(first.finalRng, { seed: 1234, streams: { loot: 20 } });
+  assert.notDeepStrictEqual(simulate(4321).draws, first.draws, 'a different scenario seed changes the draws');
+}
+
+function run() {
+  runDeterminismCase();
+  runEngineSeedingCase();
+  runLayerContextCase();
+  runSaveContinuityCase();
+  runLayerResetCase();
+  runSimulationCase();
+  console.log('random service tests passed');
+}
+
+run();
@@ -0,0 +1,174 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const { GameEngine } = require('../engine/core/GameEngine');
+const { expandReplayLog, hashReplayState } = require('../engine/systems/replay/ReplayRecorder');
+
+function loadFixture(name) {
+  return JSON.parse(
+    fs.readFileSync(path.join(__dirname, '..', 'engine', 'validation', 'fixtures', name), 'utf8')
+  );
+}
+
+// Same "game build" on every engine: START_JOB pays out a random amount of gold, and a system
+// plugin enqueues its own bonus job every third tick.
+function createEngine({ dts = [], payout = (roll) => roll, rngSeed = 8 } = {}) {
+  const pendingDts = dts.slice();
+  const engine = new GameEngine({
+    rngSeed,
+    timeSystem: { getDeltaTime: () => (pendingDts.length > 0 ? pendingDts.shift() : 100) },
+  });
+  let renders = 0;
+  engine.systemPluginRegistry.register({
+    id: 'bonusJobs',
+    onRender(context) {
+      renders += 1;
+      if (renders % 3 === 0) {
+        context.enqueueIntent({ type: 'START_JOB', payload: { targetRef: 'layer:idle', jobId: 'bonus' } });
+      }
+    },
+  });
+  engine.initialize(loadFixture('valid-definition.json'));
+  engine.intentRouter.register('START_JOB', () => {
+    const gold = engine.stateStore.get('resources.gold');
+    engine.stateStore.set('resources.gold', gold + payout(engine.randomService.nextInt('loot', 1, 10), gold));
+    return { code: 'JOB_PAID' };
+  });
+  return engine;
+}
+
+function startJob(engine, jobId) {
+  engine.enqueueIntent({ type: 'START_JOB', payload: { targetRef: 'layer:idle', jobId } });
+}
+
+function recordSession(options = {}) {
+  const engine = createEngine({ dts: [100, 100, 100, 250, 100] });
+  engine.tick();
+  startJob(engine, 'before-recording');
+
+  engine.startRecording(options);
+  startJob(engine, 'first');
+  engine.tick();
+  engine.tick();
+  startJob(engine, 'second');
+  startJob(engine, 'third');
+  engine.tick();
+  engine.tick();
+  engine.catchUp(300);
+  startJob(engine, 'never-ticked');
+  const log = engine.stopRecording();
+
+  return { engine, log, finalHash: hashReplayState(engine.stateStore.snapshot().canonical) };
+}
+
+function runRecordingShapeCase() {
+  const { engine, log } = recordSession();
+
+  assert.strictEqual(log.format, 'IRL1');
+  assert.strictEqual(log.gameId, 'idle-valid');
+  assert.strictEqual(log.tickCount, 7);
+  assert.deepStrictEqual(log.dts, [[100, 2], [250, 1], [100, 4]], 'dt sequence is run-length encoded');
+  assert.deepStrictEqual(
+    log.intents.map(([tick, intent]) => [tick, intent.payload.jobId]),
+    [[0, 'first'], [2, 'second'], [2, 'third'], [7, 'never-ticked']],
+    'external intents are logged with the tick that routes them; plugin intents are not'
+  );
+  assert.strictEqual(log.hashes.length, 7, 'one state hash per tick by default');
+  assert.deepStrictEqual(
+    log.start.snapshot.runtime.intentQueue.map((intent) => intent.payload.jobId),
+    ['before-recording'],
+    'intents queued before recording travel in the start save'
+  );
+  assert.strictEqual(engine.isRecording(), false);
+
+  const sparse = recordSession({ hashEvery: 3 }).log;
+  assert.strictEqual(sparse.hashes.length, 2);
+  assert.deepStrictEqual(
+    expandReplayLog(sparse).map((entry) => entry.expectedHash !== null),
+    [false, false, true, false, false, true, false]
+  );
+}
+
+function runReplayCase() {
+  const { log, finalHash } = recordSession();
+
+  const replayer = createEngine({ rngSeed: 1 });
+  replayer.tick();
+  startJob(replayer, 'stale');
+  const result = replayer.replay(JSON.parse(JSON.stringify(log)));
+
+  assert.deepStrictEqual(
+    result,
+    { ok: true, ticksReplayed: 7, tickCount: 7, divergence: null, definitionMatches: true, finalHash },
+    'a fresh engine reproduces every tick hash from the serialized log'
+  );
+  assert.deepStrictEqual(replayer.intentQueue, [], 'the trailing unticked intent is not replayed');
+}
+
+function runMidTickEnqueueCase() {
+  const engine = createEngine();
+  engine.startRecording();
+  let enqueuedDuring = null;
+  engine.eventBus.subscribe('*', () => {
+    if (enqueuedDuring === null) {
+      enqueuedDuring = engine.tickIndex;
+      startJob(engine, 'from-subscriber');
+    }
+  });
+  engine.tick();
+  engine.tick();
+  engine.tick();
+  const log = engine.stopRecording();
+
+  assert.notStrictEqual(enqueuedDuring, null);
+  assert.deepStrictEqual(
+    log.intents.map(([tick, intent]) => [tick, intent.payload.jobId]),
+    [[enqueuedDuring + 1, 'from-subscriber']],
+    'an intent enqueued mid-tick is logged against the next tick, which routes it'
+  );
+  const result = createEngine().replay(log);
+  assert.strictEqual(result.ok, true);
+  assert.strictEqual(result.finalHash, hashReplayState(engine.stateStore.snapshot().canonical));
+}
+
+function runDivergenceCase() {
+  const { log } = recordSession();
+
+  // A "regression" that only changes behavior once gold has grown past its first payouts.
+  const regressed = createEngine({ payout: (roll, gold) => (gold > 10 ? roll + 1 : roll) });
+  const result = regressed.replay(log);
+
+  assert.strictEqual(result.ok, false);
+  assert.strictEqual(result.ticksReplayed, result.divergence.tick + 1, 'replay stops at the first diverging tick');
+  assert.strictEqual(result.divergence.expectedHash, log.hashes[result.divergence.tick]);
+  assert.notStrictEqual(result.divergence.actualHash, result.divergence.expectedHash);
+}
+
+function runGuardrailCase() {
+  const engine = createEngine();
+  assert.throws(() => engine.stopRecording(), /without an active recording/);
+
+  engine.startRecording();
+  assert.throws(() => engine.startRecording(), /already running/);
+  assert.throws(() => engine.importSave(engine.exportSave()), /cannot run while recording a replay/);
+  assert.throws(() => engine.replay({}), /cannot run while recording a replay/);
+  engine.stopRecording();
+
+  assert.throws(() => engine.replay({ format: 'nope' }), /format "IRL1"/);
+  assert.throws(() => engine.startRecording({ hashEvery: 0 }), /hashEvery must be a positive integer/);
+
+  const { log } = recordSession();
+  assert.throws(() => engine.replay({ ...log, tickCount: 99 }), /does not match its 7 recorded dts/);
+}
+
+function run() {
+  runRecordingShapeCase();
+  runReplayCase();
+  runMidTickEnqueueCase();
+  runDivergenceCase();
+  runGuardrailCase();
+  console.log('replay tests passed');
+}
+
+run();
@@ -0,0 +1,168 @@
+const assert = require('assert');
+
+const { GameEngine } = require('../engine/core/GameEngine');
+const { parseGameDefinition, ValidationError } = require('../engine');
+
+function buildDefinition() {
+  return {
+    meta: { schemaVersion: '1.2.0', gameId: 'resource-registry' },
+    systems: { tickMs: 1000 },
+    resources: [
+      { id: 'gold', name: 'Gold', max: 100, integer: true, maxScaling: { layerId: 'idle', multiplierKeys: ['mul.vault'] } },
+      { id: 'wood', min: 0, max: 10, overflow: 'reject' },
+      { id: 'debt', min: -50, integer: true, rounding: 'ceil' },
+    ],
+    state: {
+      resources: { gold: 250, wood: 0, debt: 0 },
+      layers: {
+        idle: {
+          multipliers: {},
+          routines: { woodcut: { active: false } },
+          routinePools: { workers: { total: 1, used: 0, activeRoutine: null } },
+        },
+      },
+    },
+    layers: [
+      {
+        id: 'idle',
+        type: 'progressLayer',
+        unlock: { always: true },
+        routineSystem: {
+          slotPools: {
+            workers: {
+              totalPath: 'layers.idle.routinePools.workers.total',
+              usedPath: 'layers.idle.routinePools.workers.used',
+              activeRoutineIdPath: 'layers.idle.routinePools.workers.activeRoutine',
+            },
+          },
+        },
+        sublayers: [
+          {
+            id: 'main',
+            type: 'progress',
+            sections: [
+              {
+                id: 'jobs',
+                elements: [
+                  {
+                    id: 'woodcut',
+                    type: 'routine',
+                    mode: 'manual',
+                    slot: { poolId: 'workers' },
+                    produces: [{ path: 'resources.wood', perSecond: 4 }],
+                  },
+                ],
+              },
+            ],
+          },
+        ],
+      },
+    ],
+  };
+}
+
+function createEngine() {
+  const engine = new GameEngine({ devModeStrict: false, timeSystem: { getDeltaTime: () => 1000 } });
+  engine.initialize(buildDefinition());
+  return engine;
+}
+
+function runWriteEnforcementCase() {
+  const engine = createEngine();
+  const store = engine.stateStore;
+  assert.strictEqual(store.get('resources.gold'), 100, 'initial state is clamped to the cap');
+  assert.strictEqual(engine.resourceRegistry.get('gold').name, 'Gold');
+  assert.strictEqual(engine.resourceRegistry.get('wood').name, 'wood', 'display names default to the id');
+
+  store.set('resources.gold', 12.9);
+  assert.strictEqual(store.get('resources.gold'), 12, 'integer resources floor by default');
+  store.set('resources.gold', -3);
+  assert.strictEqual(store.get('resources.gold'), 0, 'the default floor is 0');
+  store.set('resources.debt', -70.5);
+  assert.strictEqual(store.get('resources.debt'), -50, 'declared floors and rounding modes apply');
+  store.set('resources.debt', -7.5);
+  assert.strictEqual(store.get('resources.debt'), -7);
+
+  store.patch('resources', { gold: 1000.5 });
+  assert.strictEqual(store.get('resources.gold'), 100, 'patches are normalized');
+  store.replaceCanonical({ ...store.snapshot().canonical, resources: { gold: 7.5, wood: 3, debt: 0 } });
+  assert.deepStrictEqual(store.get('resources'), { gold: 7, wood: 3, debt: 0 }, 'whole-state replacement is normalized');
+
+  store.set('flags', { anything: 'goes' });
+  assert.deepStrictEqual(store.get('flags'), { anything: 'goes' }, 'paths outside declared resources are untouched');
+  assert.throws(() => store.set('resources.gold', 'lots'), /Resource "gold" must hold a number/);
+}
+
+function runRejectPolicyCase() {
+  const engine = createEngine();
+  const store = engine.stateStore;
+  assert.throws(() => store.set('resources.wood', 11), /Resource "wood" write of 11 exceeds max 10 \(overflow policy "reject"\)/);
+  assert.throws(() => store.set('resources.wood', -1), /is below min 0/);
+  assert.strictEqual(store.get('resources.wood'), 0);
+
+  assert.throws(() =>
+    store.transaction(() => {
+      store.set('resources.gold', 5);
+      store.set('resources.wood', 50);
+    })
+  );
+  assert.deepStrictEqual([store.get('resources.gold'), store.get('resources.wood')], [100, 0], 'a rejected write rolls back the transaction');
+}
+
+function runCapScalingAndRoutineCase() {
+  const engine = createEngine();
+  const store = engine.stateStore;
+  store.set('layers.idle.multipliers', { 'mul.vault': { research: [1.5] } });
+  engine.enqueueIntent({ type: 'ROUTINE_START', payload: { layerId: 'idle', routineId: 'woodcut' } });
+  engine.tick();
+
+  assert.deepStrictEqual(engine.resourceRegistry.getBounds('gold'), { min: 0, max: 250 }, 'compiled multipliers raise the cap');
+  store.set('resources.gold', 1000);
+  assert.strictEqual(store.get('resources.gold'), 250);
+
+  engine.tick();
+  engine.tick();
+  assert.strictEqual(store.get('resources.wood'), 10, 'routines fill a reject-policy resource up to its cap without throwing');
+}
+
+function collectIssueCodes(definition) {
+  try {
+    parseGameDefinition(definition);
+  } catch (error) {
+    assert.ok(error instanceof ValidationError);
+    return error.issues.map((entry) => `${entry.code} ${entry.path}`);
+  }
+  return [];
+}
+
+function runValidationCase() {
+  assert.deepStrictEqual(collectIssueCodes(buildDefinition()), []);
+
+  const undeclared = buildDefinition();
+  undeclared.state.resources.fish = 0;
+  undeclared.layers[0].sublayers[0].sections[0].elements[0].produces.push({ path: 'resources.fish', perSecond: 1 });
+  assert.deepStrictEqual(collectIssueCodes(undeclared), [
+    'REF_RESOURCE_UNDECLARED /state/resources/fish',
+    'REF_RESOURCE_UNDECLARED /layers/0/sublayers/0/sections/0/elements/0/produces/1/path',
+  ]);
+
+  const malformed = buildDefinition();
+  malformed.resources[0].min = 500;
+  malformed.resources[1].overflow = 'wrap';
+  malformed.resources[2].maxScaling = { layerId: 'idle', multiplierKeys: ['mul.debt'] };
+  assert.deepStrictEqual(collectIssueCodes(malformed), [
+    'RESOURCE_BOUNDS_ORDER /resources/0/max',
+    'RESOURCE_OVERFLOW_ENUM /resources/1/overflow',
+    'RESOURCE_MAX_SCALING_REQUIRES_MAX /resources/2/maxScaling',
+  ]);
+}
+
+function run() {
+  runWriteEnforcementCase();
+  runRejectPolicyCase();
+  runCapScalingAndRoutineCase();
+  runValidationCase();
+  console.log('resource registry tests passed');
+}
+
+run();
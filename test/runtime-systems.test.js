@@ -52,6 +52,69 @@ function runTimeSystemCase() {
   assert.strictEqual(system.getDeltaTime(), 20);
 }
 
+function runTimeControlsCase() {
+  const marks = [0, 100, 200, 350, 400, 500];
+  const system = new TimeSystem({ tickRate: 10, now: () => marks.shift() });
+
+  assert.strictEqual(system.getDeltaTime(), 100);
+  system.setTimeScale(10);
+  assert.strictEqual(system.getDeltaTime(), 1000);
+  system.pause();
+  assert.strictEqual(system.getDeltaTime(), 0);
+  assert.deepStrictEqual(system.getTimeControls(), { paused: true, timeScale: 10 });
+  system.resume();
+  system.setTimeScale(2);
+  assert.strictEqual(system.getDeltaTime(), 300, 'resume must not replay the paused gap');
+  system.setTimeScale(0);
+  assert.strictEqual(system.getDeltaTime(), 0);
+
+  assert.throws(() => system.setTimeScale(-1), /finite, non-negative/);
+  assert.throws(() => system.setTimeScale(Infinity), /finite, non-negative/);
+
+  const fixedMarks = [0, 100, 200];
+  const fixed = new TimeSystem({ tickRate: 10, mode: 'fixed', timeScale: 2, now: () => fixedMarks.shift() });
+  assert.strictEqual(fixed.beginFrame().steps, 1, 'fixed steps follow real time');
+  assert.strictEqual(fixed.getDeltaTime(), 200, 'each fixed step carries the time scale');
+  fixed.pause();
+  assert.strictEqual(fixed.beginFrame().steps, 0);
+  assert.strictEqual(fixed.getDeltaTime(), 0, 'paused fixed steps advance no game time');
+
+  let nowMs = 0;
+  const fastForward = new TimeSystem({ tickRate: 50, mode: 'fixed', timeScale: 10, now: () => nowMs });
+  let gameMs = 0;
+  let droppedMs = 0;
+  for (let frame = 1; frame <= 50; frame += 1) {
+    nowMs = frame * 20;
+    const result = fastForward.beginFrame();
+    droppedMs += result.droppedMs;
+    for (let step = 0; step < result.steps; step += 1) {
+      gameMs += fastForward.getDeltaTime();
+    }
+  }
+  assert.strictEqual(droppedMs, 0, '10x at 50fps stays within maxStepsPerFrame');
+  assert.strictEqual(gameMs, 10000, '10x for one second advances ten seconds of game time');
+}
+
+function runFixedTimeStepCase() {
+  const marks = [1000, 1030, 1080, 1500, 1510];
+  const system = new TimeSystem({ tickRate: 20, mode: 'fixed', maxStepsPerFrame: 3, now: () => marks.shift() });
+
+  assert.deepStrictEqual(system.beginFrame(), { steps: 1, droppedMs: 0, alpha: 0 });
+  assert.deepStrictEqual(system.beginFrame(), { steps: 0, droppedMs: 0, alpha: 0.6 });
+  assert.deepStrictEqual(system.beginFrame(), { steps: 1, droppedMs: 0, alpha: 0.6 });
+  assert.deepStrictEqual(
+    system.beginFrame(),
+    { steps: 3, droppedMs: 300, alpha: 0.0 },
+    'steps beyond maxStepsPerFrame are dropped while the sub-step remainder carries forward'
+  );
+  assert.strictEqual(system.getDeltaTime(), 50, 'fixed mode always hands out exact tick durations');
+  assert.deepStrictEqual(system.beginFrame(), { steps: 0, droppedMs: 0, alpha: 0.2 });
+
+  assert.throws(() => new TimeSystem({ mode: 'warp' }), /mode must be one of/);
+  assert.throws(() => new TimeSystem({ mode: 'fixed', maxStepsPerFrame: 0 }), /maxStepsPerFrame/);
+  assert.throws(() => new TimeSystem().beginFrame(), /fixed time-step mode/);
+}
+
 function runModifierCase() {
   const validDefinition = loadFixture('valid-definition.json');
   const resolver = new ModifierResolver({ definition: validDefinition });
@@ -366,6 +429,8 @@ function runIntentRouterLockInjectionCase() {
 function run() {
   runStateStoreCase();
   runTimeSystemCase();
+  runFixedTimeStepCase();
+  runTimeControlsCase();
   runModifierCase();
   runLayerResetCase();
   runUIComposerCase();
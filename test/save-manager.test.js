@@ -0,0 +1,185 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { SaveSystem } = require('../engine/systems/save/SaveSystem');
+const { SaveManager } = require('../engine/systems/save/SaveManager');
+const {
+  FileSystemStorageAdapter,
+  KeyValueStorageAdapter,
+  MemoryStorageAdapter,
+} = require('../engine/systems/save/storageAdapters');
+const { GameEngine } = require('../engine/core/GameEngine');
+
+function loadFixture(name) {
+  return JSON.parse(
+    fs.readFileSync(path.join(__dirname, '..', 'engine', 'validation', 'fixtures', name), 'utf8')
+  );
+}
+
+function createLocalStorageShape() {
+  const values = new Map();
+  return {
+    get length() {
+      return values.size;
+    },
+    key: (index) => Array.from(values.keys())[index] || null,
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: (key) => values.delete(key),
+  };
+}
+
+function buildPayload(xp) {
+  return new SaveSystem({ schemaVersion: '1.2.0' }).serialize({ canonical: { resources: { xp } } });
+}
+
+function runAdapterContractCase(adapter) {
+  assert.strictEqual(adapter.getItem('slot:a'), null);
+  adapter.setItem('slot:a', 'one');
+  adapter.setItem('slot:b', 'two');
+  assert.strictEqual(adapter.getItem('slot:a'), 'one');
+  assert.deepStrictEqual(adapter.keys(), ['slot:a', 'slot:b']);
+  adapter.removeItem('slot:a');
+  assert.deepStrictEqual(adapter.keys(), ['slot:b']);
+  assert.throws(() => adapter.setItem('slot:c', 3), /must be a string/);
+}
+
+function runStorageAdaptersCase() {
+  runAdapterContractCase(new MemoryStorageAdapter());
+
+  const shared = createLocalStorageShape();
+  shared.setItem('other-game:slot:x', 'foreign');
+  runAdapterContractCase(new KeyValueStorageAdapter({ storage: shared, prefix: 'idle:' }));
+  assert.strictEqual(shared.getItem('idle:slot:b'), 'two', 'keys are namespaced by prefix');
+  assert.strictEqual(shared.getItem('other-game:slot:x'), 'foreign');
+
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'idle-saves-'));
+  try {
+    runAdapterContractCase(new FileSystemStorageAdapter({ directory }));
+    assert.deepStrictEqual(fs.readdirSync(directory), ['slot%3Ab.save'], 'no temp files are left behind');
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+function runSlotsAndBackupRotationCase() {
+  const storage = new MemoryStorageAdapter();
+  const manager = new SaveManager({ storage, saveSystem: new SaveSystem({ schemaVersion: '1.2.0' }), maxBackups: 2 });
+
+  assert.strictEqual(manager.load('manual'), null);
+  for (let xp = 1; xp <= 4; xp += 1) {
+    manager.save('manual', buildPayload(xp));
+  }
+  manager.save('second', buildPayload(99));
+
+  assert.deepStrictEqual(manager.listSlots(), [
+    { slotId: 'manual', revision: 4, backups: 2, isAutosave: false },
+    { slotId: 'second', revision: 1, backups: 0, isAutosave: false },
+  ]);
+
+  const loaded = manager.load('manual');
+  assert.strictEqual(loaded.source, 'primary');
+  assert.strictEqual(loaded.payload.snapshot.canonical.resources.xp, 4);
+
+  storage.setItem('slot:manual', '{"slotId":"manual","revision":4,"payload":{"schemaVer');
+  const fallback = manager.load('manual');
+  assert.strictEqual(fallback.source, 'backup-1', 'last good save fallback should skip the corrupted primary');
+  assert.strictEqual(fallback.payload.snapshot.canonical.resources.xp, 3);
+  assert.strictEqual(fallback.skipped[0].source, 'primary');
+
+  let applyCalls = 0;
+  const applied = manager.restore('manual', (payload) => {
+    applyCalls += 1;
+    if (payload.snapshot.canonical.resources.xp === 3) {
+      throw new Error('engine rejected save');
+    }
+  });
+  assert.strictEqual(applied.source, 'backup-2', 'apply failures also fall back to older backups');
+  assert.strictEqual(applyCalls, 2);
+
+  manager.deleteSlot('manual');
+  assert.deepStrictEqual(storage.keys(), ['slot:second']);
+
+  storage.setItem('slot:broken', 'not json');
+  assert.throws(() => manager.load('broken'), /could not load slot "broken"/);
+  assert.throws(() => manager.save('bad/slot', buildPayload(1)), /slotId must match/);
+  assert.throws(() => manager.save('manual', { schemaVersion: '0.1.0', snapshot: {} }), /incompatible/);
+}
+
+function runEngineAutosaveCase() {
+  const definition = loadFixture('valid-definition.json');
+  const engine = new GameEngine({ devModeStrict: false, timeSystem: { getDeltaTime: () => 250 } });
+  engine.initialize(definition);
+
+  const storage = new MemoryStorageAdapter();
+  const manager = SaveManager.forEngine(engine, { storage, autosave: { everyTicks: 10, everyMs: 1000 } });
+
+  const autosaves = [];
+  for (let tick = 0; tick < 9; tick += 1) {
+    engine.stateStore.set('resources.xp', tick);
+    const result = manager.onTick(engine.tick());
+    if (result) {
+      autosaves.push({ tick, revision: result.revision });
+    }
+  }
+
+  assert.deepStrictEqual(
+    autosaves,
+    [
+      { tick: 3, revision: 1 },
+      { tick: 7, revision: 2 },
+    ],
+    'game-time threshold should trigger before the tick threshold'
+  );
+
+  const restoredEngine = new GameEngine({ devModeStrict: false, timeSystem: { getDeltaTime: () => 250 } });
+  restoredEngine.initialize(definition);
+  const restored = manager.restore('autosave', (payload) => restoredEngine.importSave(payload));
+  assert.strictEqual(restored.source, 'primary');
+  assert.strictEqual(restoredEngine.stateStore.get('resources.xp'), 7);
+  assert.deepStrictEqual(restored.payload.metadata, { slotId: 'autosave', autosave: true, gameId: definition.meta.gameId });
+
+  const noCapture = new SaveManager({ storage, saveSystem: engine.saveSystem, autosave: { everyTicks: 1 } });
+  assert.throws(() => noCapture.onTick({ dt: 1 }), /capture callback/);
+}
+
+function runEngineReloadCase() {
+  const definition = loadFixture('valid-definition.json');
+  const engine = new GameEngine({ devModeStrict: false, timeSystem: { getDeltaTime: () => 250 } });
+  engine.initialize(definition);
+  const storage = new MemoryStorageAdapter();
+  const manager = SaveManager.forEngine(engine, { storage });
+
+  const original = engine.saveSystem;
+  engine.reloadDefinition(definition);
+  assert.notStrictEqual(engine.saveSystem, original);
+  assert.strictEqual(manager.saveSystem, engine.saveSystem, 'the manager follows the SaveSystem a reload installs');
+
+  engine.saveSystem.registerMigration({
+    from: '0.9.0',
+    to: '1.0.0',
+    migrate: (payload) => ({ snapshot: { ...payload.snapshot, migrated: true } }),
+  });
+  const legacy = { ...engine.exportSave(), schemaVersion: '0.9.0' };
+  storage.setItem('slot:legacy', JSON.stringify({ slotId: 'legacy', revision: 1, payload: legacy }));
+  assert.strictEqual(manager.load('legacy').source, 'primary', 'migrations registered after the reload apply');
+
+  engine.importSave(legacy);
+  const report = engine.saveSystem.getLastMigrationReport();
+  assert.deepStrictEqual(report.steps, [{ from: '0.9.0', to: '1.0.0' }]);
+  manager.save('current');
+  manager.load('current');
+  assert.deepStrictEqual(engine.saveSystem.getLastMigrationReport(), report, 'validating a save leaves the migration report alone');
+}
+
+function run() {
+  runStorageAdaptersCase();
+  runSlotsAndBackupRotationCase();
+  runEngineAutosaveCase();
+  runEngineReloadCase();
+  console.log('save-manager tests passed');
+}
+
+run();
@@ -0,0 +1,170 @@
+const assert = require('assert');
+
+const { GameEngine } = require('../engine/core/GameEngine');
+const { SaveReconciler } = require('../engine/systems/save/SaveReconciler');
+
+function buildDefinition(options = {}) {
+  const routines = options.routines || ['woodcut', 'fishing'];
+  const extraLayers = options.extraLayers || [];
+  const resources = options.resources || { wood: 0, fish: 0 };
+
+  return {
+    meta: { schemaVersion: '1.2.0', gameId: 'save-reconciler' },
+    systems: { tickMs: 1000 },
+    state: {
+      resources,
+      flags: {},
+      layers: {
+        idle: {
+          routines: Object.fromEntries(routines.map((routineId) => [routineId, { active: false }])),
+          routinePools: { workers: { total: 1, used: 0, activeRoutine: null } },
+        },
+      },
+    },
+    layers: [
+      {
+        id: 'idle',
+        type: 'progressLayer',
+        unlock: { always: true },
+        routineSystem: {
+          slotPools: {
+            workers: {
+              totalPath: 'layers.idle.routinePools.workers.total',
+              usedPath: 'layers.idle.routinePools.workers.used',
+              activeRoutineIdPath: 'layers.idle.routinePools.workers.activeRoutine',
+            },
+          },
+        },
+        sublayers: [
+          {
+            id: 'main',
+            type: 'progress',
+            sections: [
+              {
+                id: 'jobs',
+                elements: routines.map((routineId) => ({
+                  id: routineId,
+                  type: 'routine',
+                  mode: 'manual',
+                  slot: { poolId: 'workers' },
+                  produces: [{ path: `resources.${routineId === 'woodcut' ? 'wood' : 'fish'}`, perSecond: 1 }],
+                })),
+              },
+            ],
+          },
+        ],
+      },
+      ...extraLayers.map((layerId) => ({ id: layerId, type: 'progressLayer', unlock: { always: true }, sublayers: [] })),
+    ],
+  };
+}
+
+function createEngine(definition) {
+  const engine = new GameEngine({ devModeStrict: false, timeSystem: { getDeltaTime: () => 1000 } });
+  engine.initialize(definition);
+  return engine;
+}
+
+function runSeedAndOrphanCase() {
+  const reconciler = new SaveReconciler({ definition: buildDefinition({ resources: { wood: 0, fish: 0, stone: 5 } }) });
+  const canonical = {
+    resources: { wood: 12, fish: 3, mana: 40 },
+    flags: { introSeen: true },
+    legacy: { score: 9 },
+    layers: {
+      idle: {
+        routines: { woodcut: { active: false, lastStopReason: 'intent-stop' }, fishing: 'corrupted' },
+        routinePools: { workers: { total: 1, used: 0, activeRoutine: null } },
+        customCounter: 4,
+      },
+    },
+  };
+  const before = JSON.stringify(canonical);
+
+  const result = reconciler.reconcile({ canonical });
+  assert.strictEqual(JSON.stringify(canonical), before, 'reconcile must not mutate its input');
+
+  assert.deepStrictEqual(result.canonical.resources, { wood: 12, fish: 3, stone: 5 });
+  assert.deepStrictEqual(result.canonical.flags, { introSeen: true }, 'empty default objects are open maps');
+  assert.strictEqual(result.canonical.legacy, undefined);
+  assert.strictEqual(result.canonical.layers.idle.customCounter, 4, 'layer-owned state of known layers is kept');
+  assert.strictEqual(result.canonical.layers.idle.routines.woodcut.lastStopReason, 'intent-stop');
+
+  assert.deepStrictEqual(result.report.seeded, [{ path: 'resources.stone', value: 5 }]);
+  assert.deepStrictEqual(result.report.reset, [
+    { path: 'layers.idle.routines.fishing', savedValue: 'corrupted', value: { active: false } },
+  ]);
+  assert.deepStrictEqual(
+    result.report.orphaned.map((entry) => [entry.path, entry.action]),
+    [
+      ['resources.mana', 'quarantined'],
+      ['legacy', 'quarantined'],
+    ]
+  );
+  assert.deepStrictEqual(result.report.quarantine, { 'resources.mana': 40, legacy: { score: 9 } });
+  assert.strictEqual(result.report.changed, true);
+
+  const dropped = reconciler.reconcile({ canonical }, { orphanPolicy: 'drop' });
+  assert.deepStrictEqual(dropped.report.quarantine, {});
+  assert.ok(dropped.report.orphaned.every((entry) => entry.action === 'dropped'));
+
+  const clean = reconciler.reconcile({ canonical: result.canonical });
+  assert.strictEqual(clean.report.changed, false, 'a reconciled snapshot reconciles to itself');
+  assert.throws(() => reconciler.reconcile({ canonical }, { orphanPolicy: 'keep' }), /orphanPolicy must be one of/);
+}
+
+function runRemovedContentEngineCase() {
+  const oldEngine = createEngine(buildDefinition({ extraLayers: ['mine'] }));
+  oldEngine.enqueueIntent({ type: 'ROUTINE_START', payload: { layerId: 'idle', routineId: 'woodcut' } });
+  oldEngine.tick();
+  oldEngine.stateStore.set('layers.mine.depth', 3);
+  const payload = JSON.parse(JSON.stringify(oldEngine.exportSave()));
+  assert.ok(payload.snapshot.runtime.unlocks.unlockedRefs.includes('layer:mine'));
+
+  const newEngine = createEngine(buildDefinition({ routines: ['fishing'], resources: { wood: 0, fish: 0, stone: 0 } }));
+  const restored = newEngine.importSave(payload);
+  const report = restored.reconciliation;
+
+  assert.deepStrictEqual(report.routinesStopped, [{ layerId: 'idle', routineId: 'woodcut', reason: 'routine-removed' }]);
+  assert.deepStrictEqual(report.unlockLatchesDropped, [
+    'layer:idle/sublayer:main/section:jobs/element:woodcut',
+    'layer:mine',
+  ]);
+  assert.deepStrictEqual(report.seeded, [{ path: 'resources.stone', value: 0 }]);
+  assert.deepStrictEqual(
+    report.orphaned.map((entry) => entry.path),
+    ['layers.idle.routines.woodcut', 'layers.mine']
+  );
+  assert.strictEqual(newEngine.getLastReconciliationReport(), report);
+
+  assert.strictEqual(newEngine.stateStore.get('layers.idle.routinePools.workers.activeRoutine'), null);
+  assert.strictEqual(newEngine.stateStore.get('layers.idle.routines.woodcut'), undefined);
+  assert.strictEqual(newEngine.stateStore.get('layers.mine'), undefined);
+  assert.deepStrictEqual(newEngine.routineSystem.exportRuntimeState().activeByPool, []);
+
+  const woodBefore = newEngine.stateStore.get('resources.wood');
+  newEngine.enqueueIntent({ type: 'ROUTINE_START', payload: { layerId: 'idle', routineId: 'fishing' } });
+  newEngine.tick();
+  assert.strictEqual(newEngine.stateStore.get('resources.wood'), woodBefore, 'removed routine must not keep producing');
+  assert.strictEqual(newEngine.stateStore.get('layers.idle.routinePools.workers.activeRoutine'), 'idle/fishing');
+
+  const quarantine = newEngine.getQuarantinedState();
+  assert.deepStrictEqual(Object.keys(quarantine), ['layers.idle.routines.woodcut', 'layers.mine']);
+  const resaved = newEngine.exportSave();
+  assert.deepStrictEqual(resaved.snapshot.runtime.quarantine, quarantine, 'quarantined values survive re-saves');
+
+  const verbatim = createEngine(buildDefinition({ routines: ['fishing'] }));
+  const rawPayload = JSON.parse(JSON.stringify(payload));
+  rawPayload.snapshot.runtime.routines.activeByPool = [];
+  const verbatimResult = verbatim.importSave(rawPayload, { reconcile: false });
+  assert.strictEqual(verbatimResult.reconciliation, null);
+  assert.strictEqual(verbatim.stateStore.get('layers.mine.depth'), 3, 'reconcile: false applies the save as-is');
+}
+
+function run() {
+  runSeedAndOrphanCase();
+  runRemovedContentEngineCase();
+  console.log('save-reconciler tests passed');
+}
+
+run();
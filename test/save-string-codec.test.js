@@ -0,0 +1,98 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const { SaveSystem } = require('../engine/systems/save/SaveSystem');
+const { SaveStringCodec, SAVE_STRING_ERROR_CODES } = require('../engine/systems/save/SaveStringCodec');
+const { GameEngine } = require('../engine/core/GameEngine');
+
+function loadFixture(name) {
+  return JSON.parse(
+    fs.readFileSync(path.join(__dirname, '..', 'engine', 'validation', 'fixtures', name), 'utf8')
+  );
+}
+
+function createCodec(gameId = 'idle-proto') {
+  return new SaveStringCodec({ saveSystem: new SaveSystem({ schemaVersion: '1.2.0' }), gameId });
+}
+
+function assertSaveStringError(fn, code) {
+  assert.throws(fn, (error) => error.name === 'SaveStringError' && error.code === code);
+}
+
+function buildPayload() {
+  const resources = {};
+  for (let index = 0; index < 50; index += 1) {
+    resources[`resource_${index}`] = index * 1.5;
+  }
+
+  return new SaveSystem({ schemaVersion: '1.2.0' }).serialize(
+    { canonical: { resources, layers: { idle: { note: 'ünïcode ✓' } } } },
+    { slot: 'export' }
+  );
+}
+
+function runRoundTripCase() {
+  const codec = createCodec();
+  const payload = buildPayload();
+  const text = codec.encode(payload);
+
+  assert.ok(text.startsWith('IGS1:1.2.0:'), 'header carries format and schemaVersion in clear text');
+  assert.ok(/^[A-Za-z0-9_\-:.]+$/.test(text), 'save string must be copy/paste safe');
+  assert.ok(text.length < JSON.stringify(payload).length, 'save string should be compressed');
+  assert.strictEqual(codec.encode(payload), text, 'encoding must be deterministic');
+
+  const restored = codec.decode(`  ${text.slice(0, 40)}\n${text.slice(40)}  `);
+  assert.deepStrictEqual(restored.snapshot, payload.snapshot, 'whitespace from copy/paste is ignored');
+  assert.deepStrictEqual(restored.metadata, payload.metadata);
+}
+
+function runRejectionCase() {
+  const codec = createCodec();
+  const text = codec.encode(buildPayload());
+  const data = text.slice(text.lastIndexOf(':') + 1);
+  const flipped = data[10] === 'A' ? 'B' : 'A';
+
+  assertSaveStringError(() => codec.decode(''), SAVE_STRING_ERROR_CODES.EMPTY);
+  assertSaveStringError(() => codec.decode('{"schemaVersion":"1.2.0"}'), SAVE_STRING_ERROR_CODES.FORMAT_UNKNOWN);
+  assertSaveStringError(() => codec.decode(text.slice(0, text.length - 5)), SAVE_STRING_ERROR_CODES.TRUNCATED);
+  assertSaveStringError(() => codec.decode(text.slice(0, 12)), SAVE_STRING_ERROR_CODES.TRUNCATED);
+  assertSaveStringError(
+    () => codec.decode(`${text.slice(0, text.length - data.length)}${data.slice(0, 10)}${flipped}${data.slice(11)}`),
+    SAVE_STRING_ERROR_CODES.CHECKSUM_MISMATCH
+  );
+  assertSaveStringError(
+    () => codec.decode(text.replace('IGS1:1.2.0:', 'IGS1:1.1.0:')),
+    SAVE_STRING_ERROR_CODES.CHECKSUM_MISMATCH
+  );
+  assertSaveStringError(() => createCodec('other-game').decode(text), SAVE_STRING_ERROR_CODES.GAME_MISMATCH);
+}
+
+function runEngineSaveStringCase() {
+  const definition = loadFixture('valid-definition.json');
+  const source = new GameEngine({ devModeStrict: false, timeSystem: { getDeltaTime: () => 100 } });
+  source.initialize(definition);
+  source.stateStore.set('resources.xp', 42);
+  source.tick();
+
+  const text = source.exportSaveString();
+
+  const target = new GameEngine({ devModeStrict: false, timeSystem: { getDeltaTime: () => 100 } });
+  target.initialize(definition);
+  target.importSaveString(text);
+  assert.deepStrictEqual(target.stateStore.snapshot().canonical, source.stateStore.snapshot().canonical);
+
+  const foreign = new GameEngine({ devModeStrict: false, timeSystem: { getDeltaTime: () => 100 } });
+  foreign.initialize({ ...definition, meta: { ...definition.meta, gameId: 'someone-else' } });
+  assertSaveStringError(() => foreign.importSaveString(text), SAVE_STRING_ERROR_CODES.GAME_MISMATCH);
+  assert.strictEqual(foreign.stateStore.get('resources.xp'), definition.state.resources.xp);
+}
+
+function run() {
+  runRoundTripCase();
+  runRejectionCase();
+  runEngineSaveStringCase();
+  console.log('save-string-codec tests passed');
+}
+
+run();
@@ -59,8 +59,107 @@ function runMigrationCase() {
   );
 }
 
+function runMigrationRegistryCase() {
+  const system = new SaveSystem({
+    schemaVersion: '1.2.0',
+    migrations: [
+      {
+        from: '1.0',
+        to: '1.1',
+        migrate(payload) {
+          const resources = payload.snapshot.canonical.resources;
+          resources.gold = resources.coins;
+          delete resources.coins;
+          return payload;
+        },
+      },
+    ],
+  });
+  system.registerMigration({
+    from: '1.1.0',
+    to: '1.2.0',
+    migrate(payload) {
+      return {
+        snapshot: { ...payload.snapshot, canonical: { ...payload.snapshot.canonical, flags: { migrated: true } } },
+      };
+    },
+  });
+
+  const legacyPayload = {
+    schemaVersion: '1.0',
+    snapshot: { canonical: { resources: { coins: 7 } } },
+    metadata: { slot: 'legacy' },
+  };
+  const restored = system.deserialize(legacyPayload);
+
+  assert.strictEqual(restored.schemaVersion, '1.2.0');
+  assert.deepStrictEqual(restored.snapshot, { canonical: { resources: { gold: 7 }, flags: { migrated: true } } });
+  assert.deepStrictEqual(restored.metadata, { slot: 'legacy' }, 'metadata carries forward when a step omits it');
+  assert.deepStrictEqual(restored.migrationsApplied, [
+    { from: '1.0.0', to: '1.1.0' },
+    { from: '1.1.0', to: '1.2.0' },
+  ]);
+  assert.deepStrictEqual(legacyPayload.snapshot.canonical.resources, { coins: 7 }, 'steps must not mutate input payload');
+  assert.deepStrictEqual(system.getLastMigrationReport().steps.length, 2);
+
+  const current = system.deserialize({ schemaVersion: '1.2.0', snapshot: { canonical: {} } });
+  assert.deepStrictEqual(current.migrationsApplied, []);
+
+  assert.throws(() => system.migrate({ schemaVersion: '1.3.0', snapshot: {} }, '1.2.0'), /incompatible/);
+  assert.throws(
+    () => new SaveSystem({ schemaVersion: '1.1.0' }).migrate({ schemaVersion: '1.2.0', snapshot: {} }, '1.1.0'),
+    /cannot downgrade/
+  );
+  assert.throws(() => system.registerMigration({ from: '1.0', to: '1.2', migrate: (payload) => payload }), /duplicate/);
+  assert.throws(() => system.registerMigration({ from: '1.2', to: '1.1', migrate: (payload) => payload }), /newer/);
+  assert.throws(() => system.registerMigration({ from: '1.5', to: '1.6' }), /migrate function/);
+}
+
+function runMigrationStepValidationCase() {
+  const gapped = new SaveSystem({
+    schemaVersion: '1.2.0',
+    migrations: [{ from: '1.0.0', to: '1.1.0', migrate: (payload) => payload }],
+  });
+  assert.throws(
+    () => gapped.migrate({ schemaVersion: '1.0.0', snapshot: {} }, '1.2.0'),
+    /no migration path from schemaVersion 1\.0\.0 to 1\.2\.0 \(missing step from 1\.1\.0\)/
+  );
+
+  const broken = new SaveSystem({
+    schemaVersion: '1.2.0',
+    migrations: [{ from: '1.1', to: '1.2', migrate: () => ({ snapshot: [] }) }],
+  });
+  assert.throws(
+    () => broken.migrate({ schemaVersion: '1.1', snapshot: {} }, '1.2.0'),
+    /1\.1\.0 -> 1\.2\.0 returned an invalid payload/
+  );
+
+  const patched = new SaveSystem({
+    schemaVersion: '1.1.1',
+    migrations: [{ from: '1.0', to: '1.1', migrate: (payload) => ({ snapshot: { ...payload.snapshot, migrated: true } }) }],
+  });
+  const fromOldMinor = patched.deserialize({ schemaVersion: '1.0.0', snapshot: { xp: 1 } });
+  assert.strictEqual(fromOldMinor.schemaVersion, '1.1.1');
+  assert.deepStrictEqual(fromOldMinor.snapshot, { xp: 1, migrated: true }, 'a patch-bumped target reuses the 1.0 -> 1.1 step');
+  assert.deepStrictEqual(fromOldMinor.migrationsApplied, [{ from: '1.0.0', to: '1.1.0' }]);
+  const fromSameMinor = patched.deserialize({ schemaVersion: '1.1.0', snapshot: { xp: 2 } });
+  assert.deepStrictEqual([fromSameMinor.snapshot, fromSameMinor.migrationsApplied], [{ xp: 2 }, []], 'patch-only differences need no step');
+  const fromPatchedSave = patched.deserialize({ schemaVersion: '1.0.4', snapshot: { xp: 3 } });
+  assert.deepStrictEqual(fromPatchedSave.migrationsApplied, [{ from: '1.0.0', to: '1.1.0' }], 'patched saves chain from the step below them');
+  assert.deepStrictEqual(patched.deserialize({ schemaVersion: '1.1.2', snapshot: {} }).migrationsApplied, []);
+
+  const futureMajor = new SaveSystem({
+    schemaVersion: '1.0.0',
+    migrations: [{ from: '0.9', to: '1.0', migrate: (payload) => ({ snapshot: { canonical: payload.snapshot.state } }) }],
+  });
+  const upgraded = futureMajor.migrate({ schemaVersion: '0.9', snapshot: { state: { xp: 1 } } }, '1.0.0');
+  assert.deepStrictEqual(upgraded.snapshot, { canonical: { xp: 1 } }, 'registered steps may bridge across majors');
+}
+
 runRoundTripCase();
 runDeterministicSerializationCase();
 runMigrationCase();
+runMigrationRegistryCase();
+runMigrationStepValidationCase();
 
 console.log('save-system tests passed');
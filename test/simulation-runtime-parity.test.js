@@ -130,6 +130,7 @@ function runRuntimeLoop({ definition, scenario }) {
   const engine = new GameEngine({
     tickRate: 1000 / dt,
     now: () => nowMs,
+    rngSeed: scenario.seed,
   });
   engine.initialize(definition);
   scenario.configureEngine(engine);
@@ -0,0 +1,98 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const { GameEngine } = require('../engine/core/GameEngine');
+const { StateStore } = require('../engine/systems/state-store/StateStore');
+
+function loadFixture(name) {
+  return JSON.parse(
+    fs.readFileSync(path.join(__dirname, '..', 'engine', 'validation', 'fixtures', name), 'utf8')
+  );
+}
+
+function createStore() {
+  return new StateStore({
+    resources: { gold: 1, xp: 0 },
+    layers: { idle: { routines: { chop: { active: false } } } },
+    flags: { introSeen: false },
+  });
+}
+
+function runPathCopyingCase() {
+  const store = createStore();
+  const before = store.snapshot();
+  assert.strictEqual(store.snapshot(), before, 'snapshots without writes in between are the same object');
+
+  store.set('resources.gold', 2);
+  const after = store.snapshot();
+  assert.notStrictEqual(after.canonical, before.canonical);
+  assert.notStrictEqual(after.canonical.resources, before.canonical.resources, 'nodes on the written path are copied');
+  assert.strictEqual(after.canonical.layers, before.canonical.layers, 'untouched subtrees keep their identity');
+  assert.strictEqual(after.canonical.flags, before.canonical.flags);
+  assert.strictEqual(after.derived, before.derived);
+  assert.strictEqual(before.canonical.resources.gold, 1, 'earlier snapshots are unaffected by later writes');
+
+  store.set('resources.gold', 2);
+  assert.strictEqual(store.snapshot(), after, 'writing an identical primitive keeps the tree');
+
+  store.patch('layers.idle.routines', { chop: { active: true } });
+  const patched = store.snapshot();
+  assert.strictEqual(patched.canonical.resources, after.canonical.resources);
+  assert.deepStrictEqual(patched.canonical.layers.idle.routines.chop, { active: true });
+  assert.strictEqual(after.canonical.layers.idle.routines.chop.active, false);
+
+  store.setDerived('unlocks', { unlockedRefs: ['a'] });
+  const derived = store.snapshot();
+  assert.strictEqual(derived.canonical, patched.canonical, 'derived writes share the canonical tree');
+  assert.notStrictEqual(derived.derived, patched.derived);
+}
+
+function runImmutabilityCase() {
+  const store = createStore();
+  const input = { items: [{ id: 'axe' }] };
+  store.set('inventory', input);
+  input.items[0].id = 'changed';
+  assert.strictEqual(store.get('inventory.items')[0].id, 'axe', 'written values are copied in');
+
+  const items = store.get('inventory.items');
+  assert.ok(Object.isFrozen(items) && Object.isFrozen(items[0]), 'read values are frozen');
+  assert.throws(() => items.push({ id: 'sword' }), TypeError);
+  assert.ok(Object.isFrozen(store.snapshot()) && Object.isFrozen(store.snapshot().derived));
+
+  const snapshot = store.snapshot();
+  store.replaceCanonical(snapshot.canonical);
+  assert.strictEqual(store.snapshot().canonical, snapshot.canonical, 'store nodes are reused without copying');
+
+  store.set('flags', { introSeen: true });
+  store.replaceCanonical(snapshot.canonical);
+  assert.strictEqual(store.get('flags.introSeen'), false, 'restoring an old snapshot rolls back later writes');
+}
+
+function runEngineSharingCase() {
+  const engine = new GameEngine({ timeSystem: { getDeltaTime: () => 100 } });
+  engine.initialize(loadFixture('valid-definition.json'));
+  engine.intentRouter.register('START_JOB', () => {
+    engine.stateStore.set('resources.gold', engine.stateStore.get('resources.gold') + 1);
+    return { code: 'JOB_PAID' };
+  });
+
+  engine.tick();
+  engine.tick();
+  const quiet = engine.stateStore.snapshot();
+  engine.enqueueIntent({ type: 'START_JOB', payload: { targetRef: 'layer:idle', jobId: 'chop' } });
+  engine.tick();
+  const paid = engine.stateStore.snapshot();
+
+  assert.strictEqual(paid.canonical.resources.gold, quiet.canonical.resources.gold + 1);
+  assert.strictEqual(paid.canonical.flags, quiet.canonical.flags, 'state a tick did not touch is shared across ticks');
+}
+
+function run() {
+  runPathCopyingCase();
+  runImmutabilityCase();
+  runEngineSharingCase();
+  console.log('state-store copy-on-write tests passed');
+}
+
+run();
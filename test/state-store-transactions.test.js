@@ -0,0 +1,126 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const { GameEngine } = require('../engine/core/GameEngine');
+const { StateStore, StateInvariantError, STATE_INVARIANT_VIOLATION } = require('../engine/systems/state-store/StateStore');
+
+function loadFixture(name) {
+  return JSON.parse(
+    fs.readFileSync(path.join(__dirname, '..', 'engine', 'validation', 'fixtures', name), 'utf8')
+  );
+}
+
+function createStore() {
+  const store = new StateStore({ resources: { gold: 10, wood: 5 }, upgrades: { axe: 0 } });
+  store.addInvariant('resourcesNonNegative', (state) =>
+    Object.entries(state.resources).every(([, amount]) => amount >= 0) || 'a resource went negative'
+  );
+  return store;
+}
+
+// Buy handler shape: pay several resources, then grant the upgrade.
+function buyAxe(store, cost) {
+  return store.transaction(() => {
+    store.set('resources.gold', store.get('resources.gold') - cost.gold);
+    store.set('resources.wood', store.get('resources.wood') - cost.wood);
+    store.patch('upgrades', { axe: store.get('upgrades.axe') + 1 });
+    return store.get('upgrades.axe');
+  });
+}
+
+function runCommitAndInvariantCase() {
+  const store = createStore();
+  assert.strictEqual(buyAxe(store, { gold: 4, wood: 2 }), 1);
+  assert.deepStrictEqual(store.snapshot().canonical, { resources: { gold: 6, wood: 3 }, upgrades: { axe: 1 } });
+
+  const before = store.snapshot();
+  let thrown = null;
+  try {
+    buyAxe(store, { gold: 4, wood: 4 });
+  } catch (error) {
+    thrown = error;
+  }
+  assert.ok(thrown instanceof StateInvariantError);
+  assert.strictEqual(thrown.code, STATE_INVARIANT_VIOLATION);
+  assert.strictEqual(thrown.invariantId, 'resourcesNonNegative');
+  assert.match(thrown.message, /a resource went negative/);
+  assert.strictEqual(store.snapshot(), before, 'a failed purchase leaves no partial writes behind');
+  assert.strictEqual(store.isInTransaction(), false);
+
+  assert.throws(
+    () => store.transaction(() => store.set('upgrades.axe', 5), { invariants: { axeCap: (state) => state.upgrades.axe <= 3 } }),
+    /invariant "axeCap" failed: check returned false/
+  );
+  assert.strictEqual(store.get('upgrades.axe'), 1, 'per-transaction invariants roll back too');
+}
+
+function runThrowAndNestingCase() {
+  const store = createStore();
+  assert.throws(
+    () =>
+      store.transaction(() => {
+        store.set('resources.gold', 0);
+        store.setDerived('preview', { pending: true });
+        throw new Error('handler failed');
+      }),
+    /handler failed/
+  );
+  assert.strictEqual(store.get('resources.gold'), 10);
+  assert.strictEqual(store.get('derived.preview'), undefined, 'derived writes roll back with canonical ones');
+
+  store.begin();
+  store.set('resources.gold', 9);
+  store.begin();
+  store.set('resources.gold', -1);
+  store.rollback();
+  assert.strictEqual(store.get('resources.gold'), 9, 'an inner rollback keeps the outer writes');
+  store.begin({ invariants: { goldCap: (state) => state.resources.gold <= 8 || 'gold cap' } });
+  store.set('resources.wood', 0);
+  store.commit();
+  assert.throws(() => store.commit(), /invariant "goldCap" failed: gold cap/, 'inner invariants run on the outermost commit');
+  assert.deepStrictEqual(store.get('resources'), { gold: 10, wood: 5 });
+
+  assert.throws(() => store.commit(), /commit called without an open transaction/);
+  assert.throws(() => store.rollback(), /rollback called without an open transaction/);
+  assert.throws(() => store.addInvariant('resourcesNonNegative', () => true), /already registered/);
+  assert.strictEqual(store.removeInvariant('resourcesNonNegative'), true);
+}
+
+function runWatcherCase() {
+  const store = createStore();
+  const changes = [];
+  store.watch('resources', (change) => changes.push(change));
+
+  store.begin();
+  store.set('resources.gold', 1);
+  assert.throws(() => store.flushWatchers(), /inside an open transaction/);
+  store.rollback();
+  assert.strictEqual(store.flushWatchers(), 0, 'rolled-back writes are never delivered');
+}
+
+function runLayerResetCase() {
+  const engine = new GameEngine({ timeSystem: { getDeltaTime: () => 100 } });
+  engine.initialize(loadFixture('valid-definition.json'));
+  engine.stateStore.set('resources.gold', 7);
+  engine.stateStore.set('resources.xp', 12);
+  engine.stateStore.addInvariant('keepsXp', (state) => state.resources.xp > 0 || 'reset would wipe xp');
+
+  const before = engine.stateStore.snapshot();
+  assert.throws(() => engine.layerResetService.execute('idle'), /reset would wipe xp/);
+  assert.strictEqual(engine.stateStore.snapshot(), before, 'a rejected reset leaves state untouched');
+
+  engine.stateStore.removeInvariant('keepsXp');
+  engine.layerResetService.execute('idle');
+  assert.deepStrictEqual(engine.stateStore.get('resources'), { xp: 0, gold: 7 });
+}
+
+function run() {
+  runCommitAndInvariantCase();
+  runThrowAndNestingCase();
+  runWatcherCase();
+  runLayerResetCase();
+  console.log('state-store transaction tests passed');
+}
+
+run();
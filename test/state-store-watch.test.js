@@ -0,0 +1,128 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const { GameEngine } = require('../engine/core/GameEngine');
+const { StateStore } = require('../engine/systems/state-store/StateStore');
+
+function loadFixture(name) {
+  return JSON.parse(
+    fs.readFileSync(path.join(__dirname, '..', 'engine', 'validation', 'fixtures', name), 'utf8')
+  );
+}
+
+function createStore() {
+  return new StateStore({ resources: { gold: 1, xp: 0 }, flags: { introSeen: false } });
+}
+
+function runBatchingCase() {
+  const store = createStore();
+  const changes = [];
+  store.watch('resources', (change) => changes.push(change));
+
+  store.set('resources.gold', 2);
+  store.set('resources.gold', 3);
+  store.set('flags.introSeen', true);
+  assert.strictEqual(changes.length, 0, 'nothing is delivered before flush');
+
+  assert.strictEqual(store.flushWatchers(), 1);
+  assert.deepStrictEqual(changes, [
+    {
+      path: 'resources',
+      oldValue: { gold: 1, xp: 0 },
+      newValue: { gold: 3, xp: 0 },
+      changedPaths: ['resources.gold'],
+    },
+  ]);
+  assert.ok(Object.isFrozen(changes[0].newValue) && Object.isFrozen(changes[0].oldValue), 'delivered values are frozen');
+
+  store.set('resources.gold', 3);
+  assert.strictEqual(store.flushWatchers(), 0, 'writes that leave the value unchanged are not delivered');
+
+  store.set('resources.xp', 4);
+  store.set('resources.xp', 0);
+  assert.strictEqual(store.flushWatchers(), 0, 'a change reverted within the batch is not delivered');
+}
+
+function runPathMatchingCase() {
+  const store = createStore();
+  const calls = {};
+  const record = (name) => (change) => {
+    calls[name] = change.changedPaths;
+  };
+  store.watch('resources.gold', record('gold'));
+  store.watch('flags', record('flags'));
+  store.watch('derived.unlocks', record('unlocks'));
+
+  store.patch('resources', { gold: 9 });
+  store.setDerived('unlocks', { unlockedRefs: ['a'] });
+  store.flushWatchers();
+  assert.deepStrictEqual(calls, { gold: ['resources'], unlocks: ['derived.unlocks'] }, 'writes above and below a watch match');
+
+  delete calls.gold;
+  delete calls.unlocks;
+  store.replaceCanonical({ resources: { gold: 9 }, flags: { introSeen: true } });
+  store.flushWatchers();
+  assert.deepStrictEqual(calls, { flags: ['flags'] }, 'replacing canonical state notifies canonical watchers whose value changed');
+}
+
+function runReadOnlyCase() {
+  const store = createStore();
+  const token = store.watch('resources.gold', () => {
+    store.set('resources.gold', 100);
+  });
+
+  store.set('resources.gold', 2);
+  assert.throws(() => store.flushWatchers(), /watch handlers are read-only/);
+  assert.strictEqual(store.get('resources.gold'), 2);
+
+  assert.strictEqual(store.unwatch(token), true);
+  store.set('resources.gold', 5);
+  assert.strictEqual(store.flushWatchers(), 0);
+  store.set('resources.gold', 6);
+  assert.doesNotThrow(() => store.flushWatchers(), 'the store accepts writes again after a failed flush');
+
+  assert.throws(() => store.watch('', () => {}), /path must be a non-empty string/);
+  assert.throws(() => store.watch('resources', null), /handler must be a function/);
+}
+
+function runEngineTickCase() {
+  const engine = new GameEngine({ timeSystem: { getDeltaTime: () => 100 } });
+  engine.initialize(loadFixture('valid-definition.json'));
+  engine.intentRouter.register('START_JOB', () => {
+    engine.stateStore.set('resources.gold', engine.stateStore.get('resources.gold') + 10);
+    engine.stateStore.set('resources.gold', engine.stateStore.get('resources.gold') + 5);
+    return { code: 'JOB_PAID' };
+  });
+
+  const deliveries = [];
+  engine.stateStore.watch('resources.gold', (change) => {
+    deliveries.push({ phase: engine.currentPhase, oldValue: change.oldValue, newValue: change.newValue });
+  });
+  const unlockChanges = [];
+  engine.stateStore.watch('derived.unlocks', (change) => unlockChanges.push(change));
+
+  engine.tick();
+  engine.enqueueIntent({ type: 'START_JOB', payload: { targetRef: 'layer:idle', jobId: 'chop' } });
+  engine.tick();
+  engine.tick();
+
+  assert.deepStrictEqual(
+    deliveries,
+    [{ phase: null, oldValue: 0, newValue: 15 }],
+    'one batched notification after the tick that changed gold'
+  );
+  const unlockNotifications = unlockChanges.length;
+  engine.tick();
+  assert.strictEqual(unlockChanges.length, unlockNotifications, 'derived unlock state rewritten with equal values is not delivered');
+}
+
+function run() {
+  runBatchingCase();
+  runPathMatchingCase();
+  runReadOnlyCase();
+  runEngineTickCase();
+  console.log('state-store watch tests passed');
+}
+
+run();
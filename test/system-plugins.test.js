@@ -0,0 +1,199 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const { GameEngine } = require('../engine/core/GameEngine');
+const { SystemPluginRegistry } = require('../engine/plugins/SystemPluginRegistry');
+
+function loadFixture(name) {
+  return JSON.parse(
+    fs.readFileSync(path.join(__dirname, '..', 'engine', 'validation', 'fixtures', name), 'utf8')
+  );
+}
+
+function createEngine(plugins, options = {}) {
+  const engine = new GameEngine({ timeSystem: { getDeltaTime: () => 100 }, ...options });
+  for (const plugin of plugins) {
+    engine.systemPluginRegistry.register(plugin);
+  }
+  engine.initialize(loadFixture('valid-definition.json'));
+  return engine;
+}
+
+function runRegistryOrderingCase() {
+  const registry = new SystemPluginRegistry();
+  registry.register({ id: 'analytics', after: ['stats'] });
+  registry.register({ id: 'stats' });
+  registry.register({ id: 'automation', before: ['stats'] });
+  registry.register({ id: 'ui-hints' });
+  assert.deepStrictEqual(
+    registry.getOrderedPlugins().map((plugin) => plugin.id),
+    ['automation', 'stats', 'analytics', 'ui-hints'],
+    'constraints win, otherwise registration order is kept'
+  );
+
+  assert.throws(() => registry.register({ id: 'stats' }), /duplicate registration/);
+  assert.throws(() => registry.register({ id: '9lives' }), /id must match/);
+  assert.throws(() => registry.register({ id: 'bad-hook', onRender: 'nope' }), /onRender must be a function/);
+  assert.throws(() => registry.register({ id: 'bad-intent', intents: { X: {} } }), /must declare a handle\(\) function/);
+
+  const cyclic = new SystemPluginRegistry();
+  cyclic.register({ id: 'a', after: ['b'] });
+  cyclic.register({ id: 'b', after: ['a'] });
+  assert.throws(() => cyclic.getOrderedPlugins(), /ordering cycle between: a, b/);
+
+  const dangling = new SystemPluginRegistry();
+  dangling.register({ id: 'a', before: ['missing'] });
+  assert.throws(() => dangling.getOrderedPlugins(), /references unregistered plugin "missing"/);
+}
+
+function runPhaseHookCase() {
+  const calls = [];
+  const stats = {
+    id: 'stats',
+    init(context) {
+      context.derived.set('', { ticks: 0, totalDt: 0 });
+    },
+    onTime(context, tick) {
+      calls.push(`stats:${tick.phase}`);
+      const current = context.derived.get();
+      context.derived.set('', { ticks: current.ticks + 1, totalDt: current.totalDt + tick.summary.dt });
+    },
+    onRender(context) {
+      calls.push('stats:render');
+      return context.derived.get('ticks');
+    },
+  };
+  const analytics = {
+    id: 'analytics',
+    after: ['stats'],
+    onInput: () => calls.push('analytics:input'),
+    onTime: () => calls.push('analytics:time'),
+    onLayerUpdate: () => calls.push('analytics:layer-update'),
+    onEventDispatch: () => calls.push('analytics:event-dispatch'),
+    onUnlockEvaluation: (context, tick) => {
+      calls.push('analytics:unlock-evaluation');
+      return tick.summary.unlocks.unlockedRefs.length;
+    },
+    onRender: () => calls.push('analytics:render'),
+  };
+
+  const engine = createEngine([analytics, stats]);
+  const summary = engine.tick();
+  engine.tick();
+
+  assert.deepStrictEqual(calls.slice(0, 8), [
+    'analytics:input',
+    'stats:time',
+    'analytics:time',
+    'analytics:layer-update',
+    'analytics:event-dispatch',
+    'analytics:unlock-evaluation',
+    'stats:render',
+    'analytics:render',
+  ]);
+  assert.deepStrictEqual(engine.stateStore.get('derived.plugins.stats'), { ticks: 2, totalDt: 200 });
+  assert.deepStrictEqual(summary.systemPlugins.stats, { render: 1 });
+  assert.strictEqual(summary.systemPlugins.analytics['unlock-evaluation'], summary.unlocks.unlockedRefs.length);
+  assert.strictEqual(engine.stateStore.get('derived.unlocks') !== undefined, true, 'engine derived state is untouched');
+}
+
+function runCatalogExtensionCase() {
+  const fired = [];
+  let destroyed = false;
+  const automation = {
+    id: 'automation',
+    intents: {
+      SET_AUTO_PAUSE_AT: {
+        payloadSchema: { xp: 'number' },
+        validatePayload(payload) {
+          return Number.isFinite(payload && payload.xp) ? null : 'payload.xp must be a finite number';
+        },
+        handle(intent, context) {
+          context.derived.set('pauseAtXp', intent.payload.xp);
+          return { ok: true, code: 'AUTO_PAUSE_ARMED' };
+        },
+      },
+    },
+    events: {
+      AUTOMATION_FIRED: {
+        payloadSchema: { action: 'string' },
+        validatePayload: (payload) => (typeof payload.action === 'string' ? null : 'payload.action must be a string'),
+        phaseConstraints: ['layer-update'],
+      },
+    },
+    init(context) {
+      context.eventBus.subscribe('AUTOMATION_FIRED', (event) => fired.push(event));
+    },
+    onLayerUpdate(context) {
+      const pauseAtXp = context.derived.get('pauseAtXp');
+      if (Number.isFinite(pauseAtXp) && context.state.get('resources.xp') >= pauseAtXp) {
+        context.derived.set('pauseAtXp', null);
+        context.enqueueIntent({ type: 'PAUSE_GAME', payload: {} });
+        context.eventBus.publish({ type: 'AUTOMATION_FIRED', payload: { action: 'pause' } });
+      }
+    },
+    destroy() {
+      destroyed = true;
+    },
+  };
+
+  const engine = createEngine([automation]);
+  engine.enqueueIntent({ type: 'SET_AUTO_PAUSE_AT', payload: { xp: 'lots' } });
+  engine.enqueueIntent({ type: 'SET_AUTO_PAUSE_AT', payload: { xp: 5 } });
+  const armTick = engine.tick();
+  assert.deepStrictEqual(
+    armTick.intentsRouted.map((routed) => routed.code),
+    ['INTENT_PAYLOAD_INVALID', 'INTENT_ROUTED'],
+    'plugin intents get strict catalog validation'
+  );
+  assert.strictEqual(armTick.intentsRouted[1].routingTarget, 'automation');
+  assert.deepStrictEqual(armTick.intentsRouted[1].result, { ok: true, code: 'AUTO_PAUSE_ARMED' });
+
+  engine.stateStore.set('resources.xp', 7);
+  engine.tick();
+  assert.deepStrictEqual(fired.map((event) => [event.type, event.source, event.phase]), [
+    ['AUTOMATION_FIRED', 'automation', 'layer-update'],
+  ]);
+  const pauseTick = engine.tick();
+  assert.deepStrictEqual(pauseTick.intentsRouted.map((routed) => routed.code), ['INTENT_ROUTED']);
+  assert.strictEqual(engine.getTimeControls().paused, false, 'injected time system does not support pause');
+  assert.strictEqual(pauseTick.intentsRouted[0].result.code, 'TIME_CONTROL_UNSUPPORTED');
+
+  assert.throws(
+    () => engine.eventBus.publish({ type: 'AUTOMATION_FIRED', payload: { action: 'x' }, phase: 'render' }),
+    /cannot be published during phase render/
+  );
+
+  engine.destroy();
+  assert.strictEqual(destroyed, true);
+  assert.strictEqual(engine.eventBus.subscribers.has('AUTOMATION_FIRED'), false, 'plugin subscriptions are removed');
+}
+
+function runCatalogCollisionCase() {
+  const shadowing = { id: 'shadow', intents: { PAUSE_GAME: { validatePayload: () => null, handle: () => null } } };
+  assert.throws(() => createEngine([shadowing]), /intent type PAUSE_GAME is already cataloged/);
+
+  const duplicateEvent = {
+    validatePayload: () => null,
+    phaseConstraints: ['input'],
+  };
+  assert.throws(
+    () => createEngine([{ id: 'first', events: { SHARED: duplicateEvent } }, { id: 'second', events: { SHARED: duplicateEvent } }]),
+    /event type SHARED is already cataloged/
+  );
+  assert.throws(
+    () => createEngine([{ id: 'phases', events: { BAD_PHASE: { validatePayload: () => null, phaseConstraints: ['later'] } } }]),
+    /phaseConstraints must list phases/
+  );
+}
+
+function run() {
+  runRegistryOrderingCase();
+  runPhaseHookCase();
+  runCatalogExtensionCase();
+  runCatalogCollisionCase();
+  console.log('system-plugins tests passed');
+}
+
+run();
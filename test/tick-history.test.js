@@ -0,0 +1,128 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const { GameEngine } = require('../engine/core/GameEngine');
+const { TickHistory } = require('../engine/systems/history/TickHistory');
+
+const WOODCUT_REF = 'layer:idle/sublayer:routines/section:jobs/element:woodcut';
+
+function loadFixture(name) {
+  return JSON.parse(
+    fs.readFileSync(path.join(__dirname, '..', 'engine', 'validation', 'fixtures', name), 'utf8')
+  );
+}
+
+function createEngine(options = {}) {
+  const definition = loadFixture('valid-definition.json');
+  definition.layers[0].sublayers[0].sections[0].elements[0].unlock = { resourceGte: { path: 'resources.xp', value: 3 } };
+
+  const engine = new GameEngine({ timeSystem: { getDeltaTime: () => 100 }, rngSeed: 5, ...options });
+  engine.initialize(definition);
+  engine.intentRouter.register('START_JOB', () => {
+    const xp = engine.stateStore.get('resources.xp');
+    engine.stateStore.set('resources.xp', xp + engine.randomService.nextInt('xp', 1, 2));
+    return { code: 'JOB_PAID' };
+  });
+  return engine;
+}
+
+function startJob(engine) {
+  engine.enqueueIntent({ type: 'START_JOB', payload: { targetRef: 'layer:idle', jobId: 'chop' } });
+}
+
+function canonical(engine) {
+  return JSON.parse(JSON.stringify(engine.stateStore.snapshot().canonical));
+}
+
+// Jobs on ticks 4 to 7; returns canonical state after each tick.
+function playLive(engine, ticks) {
+  const after = [];
+  for (let tick = 0; tick < ticks; tick += 1) {
+    if (tick >= 4) {
+      startJob(engine);
+    }
+    const summary = engine.tick();
+    after.push({ state: canonical(engine), transitions: summary.unlocks.transitions });
+  }
+  return after;
+}
+
+function runDisabledCase() {
+  const engine = createEngine();
+  engine.tick();
+  assert.strictEqual(engine.getHistoryRange(), null);
+  assert.throws(() => engine.rewindTo(0), /requires tick history/);
+  assert.throws(() => engine.stepForward(), /requires tick history/);
+}
+
+function runRewindAndStepCase() {
+  const engine = createEngine({ history: { capacity: 5 } });
+  const live = playLive(engine, 8);
+  const unlockTick = live.findIndex((entry) => entry.transitions.includes(WOODCUT_REF));
+  assert.ok(unlockTick > 0, 'woodcut unlocks during the session');
+
+  assert.deepStrictEqual(engine.getHistoryRange(), { oldestTick: 3, newestTick: 7, currentTick: 8, capacity: 5 });
+  assert.throws(() => engine.rewindTo(2), /tick 2 is not in history \(recorded ticks: 3\.\.7\)/, 'evicted ticks are gone');
+
+  engine.rewindTo(unlockTick);
+  assert.deepStrictEqual(canonical(engine), live[unlockTick - 1].state, 'rewind restores the state before the tick');
+  assert.strictEqual(engine.unlockEvaluator.unlockedByRef.get(WOODCUT_REF), false, 'unlock latches rewind too');
+  assert.strictEqual(engine.stateStore.get('derived.unlocks').unlocked[WOODCUT_REF], false);
+
+  startJob(engine);
+  const replayed = engine.stepForward();
+  assert.deepStrictEqual(replayed.unlocks.transitions, [WOODCUT_REF], 'stepping forward re-fires the same unlock');
+  assert.deepStrictEqual(canonical(engine), live[unlockTick].state, 'recorded intents replay; intents enqueued while rewound do not');
+
+  while (engine.getHistoryRange().currentTick < 8) {
+    engine.stepForward();
+  }
+  assert.deepStrictEqual(canonical(engine), live[7].state, 'stepping through the whole buffer returns to the live head');
+  assert.throws(() => engine.stepForward(), /tick 8 is not in history/);
+}
+
+function runBranchCase() {
+  const engine = createEngine({ history: true });
+  playLive(engine, 8);
+
+  engine.rewindTo(5);
+  startJob(engine);
+  engine.tick();
+  assert.deepStrictEqual(
+    engine.getHistoryRange(),
+    { oldestTick: 0, newestTick: 5, currentTick: 6, capacity: 600 },
+    'a live tick after rewinding replaces the recorded future'
+  );
+  assert.throws(() => engine.stepForward(), /tick 6 is not in history/);
+
+  engine.importSave(engine.exportSave());
+  assert.strictEqual(engine.getHistoryRange().newestTick, null, 'importing a save starts a fresh history');
+}
+
+function runRingBufferCase() {
+  const history = new TickHistory({ capacity: 3 });
+  for (let tick = 0; tick < 5; tick += 1) {
+    history.record({ tick, dt: 100, state: { tick } });
+  }
+  assert.deepStrictEqual([history.oldestTick, history.newestTick], [2, 4]);
+  assert.strictEqual(history.get(3).state.tick, 3);
+  assert.strictEqual(history.get(1), null);
+
+  history.truncateFrom(4);
+  assert.deepStrictEqual([history.oldestTick, history.newestTick], [2, 3]);
+  history.record({ tick: 9, dt: 100, state: {} });
+  assert.deepStrictEqual([history.oldestTick, history.newestTick], [9, 9], 'a gap starts a new history');
+
+  assert.throws(() => new TickHistory({ capacity: 0 }), /capacity must be a positive integer/);
+}
+
+function run() {
+  runDisabledCase();
+  runRewindAndStepCase();
+  runBranchCase();
+  runRingBufferCase();
+  console.log('tick history tests passed');
+}
+
+run();
@@ -0,0 +1,124 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const { GameEngine } = require('../engine/core/GameEngine');
+const { TickProfiler } = require('../engine/systems/perf/TickProfiler');
+
+function loadFixture(name) {
+  return JSON.parse(
+    fs.readFileSync(path.join(__dirname, '..', 'engine', 'validation', 'fixtures', name), 'utf8')
+  );
+}
+
+function createClockedEngine(options = {}) {
+  const clock = { ms: 0 };
+  const engine = new GameEngine({
+    timeSystem: { getDeltaTime: () => 100 },
+    onLayerUpdate: () => {
+      clock.ms += 5;
+    },
+    ...options,
+  });
+  engine.systemPluginRegistry.register({
+    id: 'slowStats',
+    onTime() {
+      clock.ms += 2;
+    },
+  });
+  engine.initialize(loadFixture('valid-definition.json'));
+  return { engine, clock };
+}
+
+function runDisabledByDefaultCase() {
+  const { engine } = createClockedEngine();
+  const summary = engine.tick();
+
+  assert.strictEqual(summary.perf, null, 'ticks are not profiled unless opted in');
+  assert.strictEqual(engine.getPerfReport(), null);
+  assert.strictEqual(engine.stateStore.profiler, null);
+  assert.strictEqual(engine.eventBus.profiler, null);
+}
+
+function runTickSampleCase() {
+  const { engine, clock } = createClockedEngine();
+  engine.enableProfiler({ now: () => clock.ms });
+
+  engine.enqueueIntent({ type: 'REQUEST_LAYER_RESET', payload: { layerId: 'idle' } });
+  engine.tick();
+  const summary = engine.tick();
+  const sample = summary.perf.tick;
+
+  assert.strictEqual(sample.totalMs, 7, 'tick wall time covers every phase');
+  assert.strictEqual(sample.phases.time, 2, 'system plugin hooks count toward their phase');
+  assert.strictEqual(sample.phases['layer-update'], 5);
+  assert.strictEqual(sample.phases.render, 0);
+  assert.deepStrictEqual(sample.layers.idle, { ms: 5, calls: 1 }, 'layer update time is keyed by layer id');
+  assert.deepStrictEqual(sample.plugins.slowStats, { ms: 2, calls: 1 });
+  assert.deepStrictEqual(Object.keys(sample.systems), ['timerSystem', 'multiplierCompiler', 'routineSystem', 'characteristicSystem']);
+  assert.ok(sample.counters.stateReads > 0, 'state reads are counted');
+  assert.ok(sample.counters.stateWrites > 0, 'derived unlock writes are counted');
+
+  const resetTick = engine.getPerfReport();
+  assert.strictEqual(resetTick.subscribers.LayerResetService.calls, 1, 'handlers are timed per subscriber scope');
+  assert.strictEqual(resetTick.ticksProfiled, 2);
+  assert.strictEqual(summary.perf.rolling.ticksProfiled, 2, 'tick summary carries the rolling stats');
+}
+
+function runRollingWindowCase() {
+  const { engine, clock } = createClockedEngine({ profiler: { windowSize: 2 } });
+  engine.profiler.now = () => clock.ms;
+
+  engine.tick();
+  engine.stateStore.snapshot();
+  engine.tick();
+  engine.tick();
+
+  const report = engine.getPerfReport();
+  assert.strictEqual(report.ticksProfiled, 3);
+  assert.strictEqual(report.window, 2, 'only the last windowSize ticks are aggregated');
+  assert.deepStrictEqual(report.layers.idle, { lastMs: 5, avgMs: 5, maxMs: 5, calls: 2 });
+  assert.deepStrictEqual(report.totalMs, { lastMs: 7, avgMs: 7, maxMs: 7 });
+  assert.strictEqual(
+    report.counters.snapshots.last,
+    report.counters.snapshots.max,
+    'snapshots taken between ticks are not attributed to the next tick'
+  );
+
+  engine.disableProfiler();
+  assert.strictEqual(engine.tick().perf, null);
+  assert.strictEqual(engine.getPerfReport(), null);
+  assert.strictEqual(engine.stateStore.profiler, null, 'disabling detaches counters from the store');
+}
+
+function runProfilerUnitCase() {
+  let now = 0;
+  const profiler = new TickProfiler({ now: () => now, windowSize: 3 });
+
+  assert.strictEqual(profiler.measure('layers', 'idle', () => 'outside'), 'outside', 'measure is a passthrough outside ticks');
+  assert.strictEqual(profiler.endTick(), null);
+
+  profiler.beginTick();
+  assert.throws(
+    () =>
+      profiler.measure('subscribers', 'Layer:idle', () => {
+        now += 4;
+        throw new Error('handler failed');
+      }),
+    /handler failed/
+  );
+  const sample = profiler.endTick();
+  assert.deepStrictEqual(sample.subscribers['Layer:idle'], { ms: 4, calls: 1 }, 'failed handlers are still timed');
+
+  assert.throws(() => new TickProfiler({ windowSize: 0 }), /windowSize must be a positive integer/);
+}
+
+function run() {
+  runDisabledByDefaultCase();
+  runTickSampleCase();
+  runRollingWindowCase();
+  runProfilerUnitCase();
+  console.log('tick profiler tests passed');
+}
+
+run();
@@ -0,0 +1,156 @@
+const assert = require('assert');
+
+const { GameEngine } = require('../engine/core/GameEngine');
+const { StateStore } = require('../engine/systems/state-store/StateStore');
+const { TimerSystem } = require('../engine/systems/timers/TimerSystem');
+
+function buildDefinition() {
+  return {
+    meta: { schemaVersion: '1.2.0', gameId: 'timer-system' },
+    systems: { tickMs: 1000 },
+    state: { resources: { gold: 0 }, layers: { idle: {} } },
+    layers: [
+      {
+        id: 'idle',
+        type: 'progressLayer',
+        unlock: { always: true },
+        sublayers: [{ id: 'main', type: 'progress', sections: [] }],
+      },
+    ],
+  };
+}
+
+function createEngine() {
+  const engine = new GameEngine({ devModeStrict: false, timeSystem: { getDeltaTime: () => 1000 } });
+  engine.initialize(buildDefinition());
+  const fired = [];
+  engine.eventBus.subscribe('TIMER_*', (event) => fired.push(`${event.type}@${event.tick}:${event.meta.timerId}`));
+  return { engine, fired };
+}
+
+function tickTimes(engine, count) {
+  for (let index = 0; index < count; index += 1) {
+    engine.tick();
+  }
+}
+
+function runDelayAndTickCase() {
+  const { engine, fired } = createEngine();
+  const timers = engine.timerSystem;
+  assert.strictEqual(timers.schedule({ event: { type: 'TIMER_BUFF_EXPIRED' }, delayMs: 2500 }), 'timer_1');
+  timers.schedule({ id: 'harvest', event: { type: 'TIMER_HARVEST', payload: { amount: 2 } }, delayMs: 1000, intervalMs: 1000, times: 3 });
+  timers.schedule({ id: 'festival', event: { type: 'TIMER_FESTIVAL' }, atTick: 1, intervalTicks: 2 });
+  assert.deepStrictEqual(timers.list(), ['timer_1', 'harvest', 'festival']);
+
+  engine.eventBus.subscribe('TIMER_HARVEST', (event) => {
+    if (event.tick === 0) {
+      // Scheduled after this tick's timers ran, so "at tick 1" means the very next tick.
+      timers.schedule({ id: 'nextTick', event: { type: 'TIMER_NEXT' }, atTick: 1 });
+    }
+  });
+
+  tickTimes(engine, 6);
+  assert.deepStrictEqual(fired, [
+    'TIMER_HARVEST@0:harvest',
+    'TIMER_HARVEST@1:harvest',
+    'TIMER_FESTIVAL@1:festival',
+    'TIMER_NEXT@1:nextTick',
+    'TIMER_BUFF_EXPIRED@2:timer_1',
+    'TIMER_HARVEST@2:harvest',
+    'TIMER_FESTIVAL@3:festival',
+    'TIMER_FESTIVAL@5:festival',
+  ]);
+  assert.deepStrictEqual(timers.list(), ['festival'], 'exhausted timers are removed from canonical state');
+  assert.strictEqual(engine.lastTickSummary.timers.fired[0].timerId, 'festival');
+
+  assert.strictEqual(timers.cancel('festival'), true);
+  assert.strictEqual(timers.cancel('festival'), false);
+  tickTimes(engine, 2);
+  assert.strictEqual(fired.length, 8);
+}
+
+function runSaveCatchUpAndResetCase() {
+  const { engine } = createEngine();
+  engine.timerSystem.schedule({ id: 'cooldown', event: { type: 'TIMER_COOLDOWN' }, delayMs: 4000 });
+  engine.timerSystem.schedule({ id: 'income', event: { type: 'TIMER_INCOME' }, delayMs: 500, intervalMs: 500 });
+  tickTimes(engine, 2);
+  const save = engine.exportSave();
+  assert.strictEqual(save.snapshot.canonical.timers.entries.cooldown.remaining, 2000, 'timers are canonical countdowns');
+
+  const { engine: restored, fired } = createEngine();
+  restored.importSave(save);
+  const report = restored.catchUp(5000, { chunkMs: 1000 });
+  assert.strictEqual(report.ticks, 5);
+  assert.strictEqual(fired.filter((entry) => entry.startsWith('TIMER_INCOME')).length, 10, 'each elapsed interval fires once');
+  assert.deepStrictEqual(
+    fired.filter((entry) => entry.startsWith('TIMER_COOLDOWN')),
+    ['TIMER_COOLDOWN@3:cooldown'],
+    'the restored countdown resumes where the save left it, on the saved tick clock'
+  );
+
+  const { engine: loaded, fired: loadedFired } = createEngine();
+  loaded.importSave(save);
+  assert.strictEqual(loaded.tickIndex, 2, 'the tick counter is restored from the save');
+  loaded.timerSystem.schedule({ id: 'bell', event: { type: 'TIMER_BELL' }, atTick: 3 });
+  tickTimes(loaded, 2);
+  assert.deepStrictEqual(loadedFired.filter((entry) => entry.startsWith('TIMER_BELL')), ['TIMER_BELL@3:bell'], 'atTick counts from the saved tick');
+
+  restored.layerResetService.execute('idle');
+  assert.deepStrictEqual(restored.timerSystem.list(), ['income'], 'layer resets keep engine-owned timers');
+}
+
+function runValidationCase() {
+  const { engine } = createEngine();
+  const timers = engine.timerSystem;
+  assert.throws(() => timers.schedule({ event: { type: 'TIMER_X' } }), /exactly one of delayMs or atTick/);
+  assert.throws(() => timers.schedule({ event: { type: 'TIMER_X' }, delayMs: 1, atTick: 2 }), /exactly one of delayMs or atTick/);
+  assert.throws(() => timers.schedule({ event: {}, delayMs: 1 }), /non-empty string type/);
+  assert.throws(() => timers.schedule({ id: 'a.b', event: { type: 'TIMER_X' }, delayMs: 1 }), /id must match/);
+  assert.throws(() => timers.schedule({ event: { type: 'TIMER_X' }, atTick: 2, intervalMs: 10 }), /intervalMs cannot repeat/);
+  assert.throws(() => timers.schedule({ event: { type: 'TIMER_X' }, delayMs: 1, times: 2 }), /requires an interval/);
+  assert.throws(() => new TimerSystem({ stateStore: engine.stateStore }), /requires stateStore and eventBus/);
+
+  const store = new StateStore({});
+  const standalone = new TimerSystem({ stateStore: store, eventBus: engine.eventBus });
+  assert.strictEqual(store.get('timers'), undefined, 'constructing never writes canonical state');
+  standalone.ensureState();
+  assert.deepStrictEqual(standalone.list(), []);
+  assert.deepStrictEqual(timers.list(), []);
+}
+
+function runStrictCatalogCase() {
+  const engine = new GameEngine({ timeSystem: { getDeltaTime: () => 1000 } });
+  engine.initialize(buildDefinition());
+  engine.eventBus.registerCatalogEntry('TIMER_BELL', {
+    payloadSchema: { rings: 'number' },
+    phaseConstraints: ['layer-update'],
+  });
+  engine.eventBus.registerCatalogEntry('TIMER_LATE', { payloadSchema: {}, phaseConstraints: ['event-dispatch'] });
+  const timers = engine.timerSystem;
+  const before = engine.stateStore.get('timers');
+
+  assert.throws(() => timers.schedule({ event: { type: 'TIMER_UNKNOWN' }, delayMs: 1 }), /has no event catalog entry/);
+  assert.throws(
+    () => timers.schedule({ event: { type: 'TIMER_BELL', payload: { rings: 'two' } }, delayMs: 1 }),
+    /TIMER_BELL has an invalid payload/
+  );
+  assert.throws(() => timers.schedule({ event: { type: 'TIMER_LATE' }, delayMs: 1 }), /must allow the layer-update phase/);
+  assert.deepStrictEqual(engine.stateStore.get('timers'), before, 'rejected schedules leave timer state untouched');
+
+  const fired = [];
+  engine.eventBus.subscribe('TIMER_BELL', (event) => fired.push(event.payload.rings));
+  timers.schedule({ event: { type: 'TIMER_BELL', payload: { rings: 2 } }, delayMs: 1000 });
+  engine.tick();
+  assert.deepStrictEqual(fired, [2]);
+  assert.strictEqual(engine.currentPhase, null);
+}
+
+function run() {
+  runDelayAndTickCase();
+  runSaveCatchUpAndResetCase();
+  runValidationCase();
+  runStrictCatalogCase();
+  console.log('timer system tests passed');
+}
+
+run();